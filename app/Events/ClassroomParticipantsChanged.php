@@ -0,0 +1,33 @@
+<?php
+
+namespace App\Events;
+
+use Illuminate\Broadcasting\Channel;
+use Illuminate\Broadcasting\InteractsWithSockets;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcastNow;
+use Illuminate\Foundation\Events\Dispatchable;
+
+/**
+ * Someone joined or left a session; carries the names of everyone connected.
+ */
+class ClassroomParticipantsChanged implements ShouldBroadcastNow
+{
+    use Dispatchable, InteractsWithSockets;
+
+    /**
+     * @param  string  $code  join code of the session
+     * @param  list<string>  $participants  names of the connected students
+     */
+    public function __construct(
+        public string $code,
+        public array $participants,
+    ) {}
+
+    /**
+     * @return array<int, Channel>
+     */
+    public function broadcastOn(): array
+    {
+        return [new Channel("classroom.{$this->code}")];
+    }
+}
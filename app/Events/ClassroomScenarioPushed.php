@@ -0,0 +1,41 @@
+<?php
+
+namespace App\Events;
+
+use Illuminate\Broadcasting\Channel;
+use Illuminate\Broadcasting\InteractsWithSockets;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcastNow;
+use Illuminate\Foundation\Events\Dispatchable;
+
+/**
+ * The teacher pushed a scenario to the session's students. `drag` is set when
+ * the push comes from a single drag edit, so students who still show the
+ * previous push can apply just that edit.
+ *
+ * Broadcast immediately (not queued) so live drags arrive without a queue worker.
+ */
+class ClassroomScenarioPushed implements ShouldBroadcastNow
+{
+    use Dispatchable, InteractsWithSockets;
+
+    /**
+     * @param  string  $code  join code of the session
+     * @param  string  $payload  encoded scenario (permalink format)
+     * @param  array<int, mixed>|null  $drag  compact drag edit, as stored in links
+     */
+    public function __construct(
+        public string $code,
+        public string $payload,
+        public ?array $drag = null,
+    ) {}
+
+    /**
+     * Students listen on the session's public channel; the join code is the secret.
+     *
+     * @return array<int, Channel>
+     */
+    public function broadcastOn(): array
+    {
+        return [new Channel("classroom.{$this->code}")];
+    }
+}
@@ -0,0 +1,31 @@
+<?php
+
+namespace App\Events;
+
+use Illuminate\Broadcasting\Channel;
+use Illuminate\Broadcasting\InteractsWithSockets;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcastNow;
+use Illuminate\Foundation\Events\Dispatchable;
+
+/**
+ * The teacher ended a session; students stop following it.
+ */
+class ClassroomSessionEnded implements ShouldBroadcastNow
+{
+    use Dispatchable, InteractsWithSockets;
+
+    /**
+     * @param  string  $code  join code of the session
+     */
+    public function __construct(
+        public string $code,
+    ) {}
+
+    /**
+     * @return array<int, Channel>
+     */
+    public function broadcastOn(): array
+    {
+        return [new Channel("classroom.{$this->code}")];
+    }
+}
@@ -0,0 +1,45 @@
+<?php
+
+namespace App\Events;
+
+use App\Models\ClassroomSubmission;
+use Illuminate\Broadcasting\InteractsWithSockets;
+use Illuminate\Broadcasting\PrivateChannel;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcastNow;
+use Illuminate\Foundation\Events\Dispatchable;
+
+/**
+ * A student sent their version of the scenario. Only the teacher's private
+ * channel receives it (see `routes/channels.php`).
+ */
+class ClassroomSubmissionReceived implements ShouldBroadcastNow
+{
+    use Dispatchable, InteractsWithSockets;
+
+    /**
+     * @param  string  $code  join code of the session
+     * @param  ClassroomSubmission  $submission
+     */
+    public function __construct(
+        public string $code,
+        public ClassroomSubmission $submission,
+    ) {}
+
+    /**
+     * @return array<int, PrivateChannel>
+     */
+    public function broadcastOn(): array
+    {
+        return [new PrivateChannel("classroom.{$this->code}.teacher")];
+    }
+
+    /**
+     * The submission as listed by `GET /classroom/{code}`.
+     *
+     * @return array<string, mixed>
+     */
+    public function broadcastWith(): array
+    {
+        return ['submission' => $this->submission->only(['id', 'name', 'payload', 'note', 'created_at'])];
+    }
+}
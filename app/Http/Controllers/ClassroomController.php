@@ -0,0 +1,240 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Events\ClassroomParticipantsChanged;
+use App\Events\ClassroomScenarioPushed;
+use App\Events\ClassroomSessionEnded;
+use App\Events\ClassroomSubmissionReceived;
+use App\Models\ClassroomParticipant;
+use App\Models\ClassroomSession;
+use App\Models\Scenario;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Http\Response;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * JSON endpoints for live classroom sessions.
+ *
+ * A signed-in teacher starts a session and gets a join code; students join
+ * with the code and a name, without an account (their participant id is kept
+ * in the Laravel session). Changes reach the other browsers through Laravel
+ * broadcasting (see `App\Events`).
+ *
+ * Sessions belonging to other teachers are reported as missing (404); ended
+ * sessions answer 410. Validation failures use Laravel's standard 422 JSON format.
+ */
+class ClassroomController extends Controller
+{
+    /**
+     * Start a session for the signed-in teacher.
+     */
+    public function store(Request $request): JsonResponse
+    {
+        $classroom = $request->user()->classroomSessions()->create(['code' => ClassroomSession::newCode()]);
+
+        return response()->json(['data' => $this->summary($classroom)], 201);
+    }
+
+    /**
+     * The teacher's view of a session: connected students and the versions they sent.
+     */
+    public function show(Request $request, ClassroomSession $classroom): JsonResponse
+    {
+        $this->ensureOwned($request, $classroom);
+
+        return response()->json(['data' => [
+            ...$this->summary($classroom),
+            'submissions' => $classroom->submissions()->latest()->get(['id', 'name', 'payload', 'note', 'created_at']),
+        ]]);
+    }
+
+    /**
+     * Send a scenario to every student, optionally with the drag edit that produced it.
+     */
+    public function push(Request $request, ClassroomSession $classroom): Response
+    {
+        $this->ensureOwned($request, $classroom);
+        $this->ensureOpen($classroom);
+
+        $validated = $request->validate([
+            'payload' => Scenario::payloadRules(),
+            // `[chart, index, value]`, or with mode, brush width and lock bits as in the client's encodeDrag
+            'drag' => ['sometimes', 'nullable', 'array', 'min:3', 'max:6'],
+            'drag.0' => ['required_with:drag', 'in:x,v,a'],
+            'drag.1' => ['required_with:drag', 'integer', 'min:0'],
+            'drag.2' => ['required_with:drag', 'numeric'],
+            'drag.3' => ['required_with:drag.4,drag.5', 'in:p,b,e,s'],
+            'drag.4' => ['required_with:drag.3', 'integer', 'between:0,50'],
+            'drag.5' => ['required_with:drag.3', 'integer', 'between:0,3'],
+        ]);
+
+        $classroom->update(['payload' => $validated['payload']]);
+        ClassroomScenarioPushed::dispatch($classroom->code, $validated['payload'], $validated['drag'] ?? null);
+
+        return response()->noContent();
+    }
+
+    /**
+     * End a session; students can no longer join or send versions.
+     */
+    public function end(Request $request, ClassroomSession $classroom): Response
+    {
+        $this->ensureOwned($request, $classroom);
+
+        if (! $classroom->ended_at) {
+            $classroom->update(['ended_at' => now()]);
+            ClassroomSessionEnded::dispatch($classroom->code);
+        }
+
+        return response()->noContent();
+    }
+
+    /**
+     * Join a session as a student (or rename when already joined).
+     */
+    public function join(Request $request, ClassroomSession $classroom): JsonResponse
+    {
+        $this->ensureOpen($classroom);
+
+        $validated = $request->validate(['name' => ['required', 'string', 'max:40']]);
+
+        $participant = $this->participant($request, $classroom);
+        if ($participant) {
+            $participant->update(['name' => $validated['name'], 'last_seen_at' => now()]);
+        } else {
+            if ($classroom->participants()->count() >= ClassroomSession::MAX_PARTICIPANTS) {
+                throw ValidationException::withMessages([
+                    'name' => 'This session is full ('.ClassroomSession::MAX_PARTICIPANTS.' students).',
+                ]);
+            }
+            $participant = $classroom->participants()->create(['name' => $validated['name'], 'last_seen_at' => now()]);
+            $request->session()->put($this->sessionKey($classroom), $participant->id);
+        }
+
+        $this->announceParticipants($classroom);
+
+        return response()->json(['data' => [
+            ...$this->summary($classroom),
+            'name' => $participant->name,
+            'payload' => $classroom->payload,
+        ]]);
+    }
+
+    /**
+     * Keep a student listed as connected; returns who else is connected.
+     */
+    public function heartbeat(Request $request, ClassroomSession $classroom): JsonResponse
+    {
+        $this->ensureOpen($classroom);
+        $participant = $this->participant($request, $classroom);
+        abort_unless($participant, 404);
+
+        $participant->update(['last_seen_at' => now()]);
+
+        return response()->json(['data' => $this->summary($classroom)]);
+    }
+
+    /**
+     * Leave a session.
+     */
+    public function leave(Request $request, ClassroomSession $classroom): Response
+    {
+        $participant = $this->participant($request, $classroom);
+        if ($participant) {
+            $participant->delete();
+            $request->session()->forget($this->sessionKey($classroom));
+            $this->announceParticipants($classroom);
+        }
+
+        return response()->noContent();
+    }
+
+    /**
+     * Send the student's version of the scenario to the teacher.
+     */
+    public function submit(Request $request, ClassroomSession $classroom): JsonResponse
+    {
+        $this->ensureOpen($classroom);
+        $participant = $this->participant($request, $classroom);
+        abort_unless($participant, 403, 'Join the session first.');
+
+        $validated = $request->validate([
+            'payload' => Scenario::payloadRules(),
+            'note' => ['nullable', 'string', 'max:200'],
+        ]);
+
+        if ($classroom->submissions()->count() >= ClassroomSession::MAX_SUBMISSIONS) {
+            throw ValidationException::withMessages([
+                'payload' => 'This session has received the maximum of '.ClassroomSession::MAX_SUBMISSIONS.' versions.',
+            ]);
+        }
+
+        $submission = $classroom->submissions()->create([
+            'classroom_participant_id' => $participant->id,
+            'name' => $participant->name,
+            'payload' => $validated['payload'],
+            'note' => $validated['note'] ?? null,
+        ]);
+        ClassroomSubmissionReceived::dispatch($classroom->code, $submission);
+
+        return response()->json(['data' => $submission->only(['id', 'name', 'note', 'created_at'])], 201);
+    }
+
+    /**
+     * Code, state and connected students of a session.
+     *
+     * @return array<string, mixed>
+     */
+    private function summary(ClassroomSession $classroom): array
+    {
+        return [
+            'code' => $classroom->code,
+            'ended' => $classroom->ended_at !== null,
+            'participants' => $classroom->onlineParticipants()->pluck('name'),
+        ];
+    }
+
+    /**
+     * Tell everyone in the session who is connected now.
+     */
+    private function announceParticipants(ClassroomSession $classroom): void
+    {
+        ClassroomParticipantsChanged::dispatch($classroom->code, $classroom->onlineParticipants()->pluck('name')->all());
+    }
+
+    /**
+     * The participant this browser joined as, if any.
+     */
+    private function participant(Request $request, ClassroomSession $classroom): ?ClassroomParticipant
+    {
+        $id = $request->session()->get($this->sessionKey($classroom));
+
+        return $id ? $classroom->participants()->find($id) : null;
+    }
+
+    /**
+     * Laravel session key holding the participant id for a classroom session.
+     */
+    private function sessionKey(ClassroomSession $classroom): string
+    {
+        return "classroom.{$classroom->code}";
+    }
+
+    /**
+     * Hide other teachers' sessions behind a 404.
+     */
+    private function ensureOwned(Request $request, ClassroomSession $classroom): void
+    {
+        abort_unless($classroom->user()->is($request->user()), 404);
+    }
+
+    /**
+     * Refuse changes to ended sessions.
+     */
+    private function ensureOpen(ClassroomSession $classroom): void
+    {
+        abort_if($classroom->ended_at !== null, 410, 'This session has ended.');
+    }
+}
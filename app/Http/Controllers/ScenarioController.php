@@ -0,0 +1,146 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Scenario;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Http\Response;
+use Illuminate\Validation\Rule;
+use Illuminate\Validation\ValidationException;
+
+/**
+ * JSON endpoints for the signed-in user's scenario library.
+ *
+ * Scenarios belonging to other users are reported as missing (404). Validation
+ * failures use Laravel's standard 422 JSON error format.
+ */
+class ScenarioController extends Controller
+{
+    /**
+     * List the user's scenarios (without payloads), most recently updated first.
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $scenarios = $request->user()->scenarios()
+            ->latest('updated_at')
+            ->get(['id', 'name', 'created_at', 'updated_at']);
+
+        return response()->json(['data' => $scenarios]);
+    }
+
+    /**
+     * Save a new scenario.
+     */
+    public function store(Request $request): JsonResponse
+    {
+        $this->ensureCapacity($request);
+
+        $validated = $request->validate([
+            'name' => $this->nameRules($request),
+            'payload' => Scenario::payloadRules(),
+        ]);
+
+        $scenario = $request->user()->scenarios()->create($validated);
+
+        return response()->json(['data' => $scenario], 201);
+    }
+
+    /**
+     * Return one scenario including its payload.
+     */
+    public function show(Request $request, Scenario $scenario): JsonResponse
+    {
+        $this->ensureOwned($request, $scenario);
+
+        return response()->json(['data' => $scenario]);
+    }
+
+    /**
+     * Rename a scenario and/or replace its payload.
+     */
+    public function update(Request $request, Scenario $scenario): JsonResponse
+    {
+        $this->ensureOwned($request, $scenario);
+
+        $validated = $request->validate([
+            'name' => ['sometimes', ...$this->nameRules($request, $scenario)],
+            'payload' => ['sometimes', ...Scenario::payloadRules()],
+        ]);
+
+        $scenario->update($validated);
+
+        return response()->json(['data' => $scenario]);
+    }
+
+    /**
+     * Copy a scenario under a new name ("<name> (copy)", "<name> (copy 2)", ...).
+     */
+    public function duplicate(Request $request, Scenario $scenario): JsonResponse
+    {
+        $this->ensureOwned($request, $scenario);
+        $this->ensureCapacity($request);
+
+        $user = $request->user();
+        $base = mb_substr($scenario->name, 0, 100);
+        $name = "{$base} (copy)";
+        for ($i = 2; $user->scenarios()->where('name', $name)->exists(); $i++) {
+            $name = "{$base} (copy {$i})";
+        }
+
+        $copy = $user->scenarios()->create(['name' => $name, 'payload' => $scenario->payload]);
+
+        return response()->json(['data' => $copy], 201);
+    }
+
+    /**
+     * Delete a scenario.
+     */
+    public function destroy(Request $request, Scenario $scenario): Response
+    {
+        $this->ensureOwned($request, $scenario);
+
+        $scenario->delete();
+
+        return response()->noContent();
+    }
+
+    /**
+     * Hide other users' scenarios behind a 404.
+     */
+    private function ensureOwned(Request $request, Scenario $scenario): void
+    {
+        abort_unless($scenario->user()->is($request->user()), 404);
+    }
+
+    /**
+     * Refuse to create scenarios beyond the per-user limit.
+     *
+     * @throws ValidationException
+     */
+    private function ensureCapacity(Request $request): void
+    {
+        if ($request->user()->scenarios()->count() >= Scenario::MAX_PER_USER) {
+            throw ValidationException::withMessages([
+                'name' => 'You can keep at most '.Scenario::MAX_PER_USER.' scenarios. Delete some first.',
+            ]);
+        }
+    }
+
+    /**
+     * Scenario names are unique per user.
+     *
+     * @return array<int, mixed>
+     */
+    private function nameRules(Request $request, ?Scenario $ignore = null): array
+    {
+        return [
+            'required',
+            'string',
+            'max:120',
+            Rule::unique('scenarios', 'name')
+                ->where('user_id', $request->user()->id)
+                ->ignore($ignore?->id),
+        ];
+    }
+}
@@ -0,0 +1,46 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * A student in a classroom session. Students do not need an account: the
+ * participant id is kept in their Laravel session, and `last_seen_at` is
+ * refreshed by the page's heartbeat.
+ */
+class ClassroomParticipant extends Model
+{
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'name',
+        'last_seen_at',
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'last_seen_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * Get the session the participant joined.
+     *
+     * @return BelongsTo<ClassroomSession, $this>
+     */
+    public function classroomSession(): BelongsTo
+    {
+        return $this->belongsTo(ClassroomSession::class);
+    }
+}
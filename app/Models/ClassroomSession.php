@@ -0,0 +1,122 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+/**
+ * A live classroom session: a teacher pushes scenarios to the students who
+ * joined with the session's code, and students send their own versions back.
+ *
+ * `payload` holds the last pushed scenario in the permalink encoding, so
+ * students who join late start from it.
+ */
+class ClassroomSession extends Model
+{
+    /** Characters of join codes; easily confused ones (0/O, 1/I) are left out. */
+    public const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+    /** Length of a join code. */
+    public const CODE_LENGTH = 6;
+
+    /** Participants not heard from for this many seconds are no longer listed as connected. */
+    public const ONLINE_SECONDS = 60;
+
+    /** Maximum number of participants in one session. */
+    public const MAX_PARTICIPANTS = 100;
+
+    /** Maximum number of versions students may send in one session. */
+    public const MAX_SUBMISSIONS = 500;
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'code',
+        'payload',
+        'ended_at',
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'ended_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * Sessions are addressed by their join code in routes.
+     */
+    public function getRouteKeyName(): string
+    {
+        return 'code';
+    }
+
+    /**
+     * A join code that no other session uses.
+     */
+    public static function newCode(): string
+    {
+        do {
+            $code = '';
+            for ($i = 0; $i < self::CODE_LENGTH; $i++) {
+                $code .= self::CODE_ALPHABET[random_int(0, strlen(self::CODE_ALPHABET) - 1)];
+            }
+        } while (self::where('code', $code)->exists());
+
+        return $code;
+    }
+
+    /**
+     * Get the teacher who started the session.
+     *
+     * @return BelongsTo<User, $this>
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Get the students who joined the session.
+     *
+     * @return HasMany<ClassroomParticipant, $this>
+     */
+    public function participants(): HasMany
+    {
+        return $this->hasMany(ClassroomParticipant::class);
+    }
+
+    /**
+     * Get the versions students sent to the teacher.
+     *
+     * @return HasMany<ClassroomSubmission, $this>
+     */
+    public function submissions(): HasMany
+    {
+        return $this->hasMany(ClassroomSubmission::class);
+    }
+
+    /**
+     * Participants heard from within the last `ONLINE_SECONDS`, by name.
+     *
+     * @return Collection<int, ClassroomParticipant>
+     */
+    public function onlineParticipants(): Collection
+    {
+        return $this->participants()
+            ->where('last_seen_at', '>=', now()->subSeconds(self::ONLINE_SECONDS))
+            ->orderBy('name')
+            ->get(['id', 'name']);
+    }
+}
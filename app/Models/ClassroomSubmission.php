@@ -0,0 +1,44 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * A scenario a student sent to the teacher for review, in the permalink encoding.
+ */
+class ClassroomSubmission extends Model
+{
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'classroom_participant_id',
+        'name',
+        'payload',
+        'note',
+    ];
+
+    /**
+     * Get the session the version was sent in.
+     *
+     * @return BelongsTo<ClassroomSession, $this>
+     */
+    public function classroomSession(): BelongsTo
+    {
+        return $this->belongsTo(ClassroomSession::class);
+    }
+
+    /**
+     * Get the student who sent it (null once they have been removed).
+     *
+     * @return BelongsTo<ClassroomParticipant, $this>
+     */
+    public function participant(): BelongsTo
+    {
+        return $this->belongsTo(ClassroomParticipant::class, 'classroom_participant_id');
+    }
+}
@@ -0,0 +1,59 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * A named KINESO scenario saved by a user.
+ *
+ * `payload` holds the scenario in the same versioned encoding as the page's
+ * permalink fragments, so the client decodes (and upgrades) both the same way.
+ */
+class Scenario extends Model
+{
+    /** @use HasFactory<\Database\Factories\ScenarioFactory> */
+    use HasFactory;
+
+    /** Maximum length of an encoded payload, matching the client's link limit. */
+    public const MAX_PAYLOAD_LENGTH = 8000;
+
+    /** Shape of an encoded payload (`v<version>.<base64url>`); its content is validated by the client. */
+    public const PAYLOAD_PATTERN = '/^v\d+\.[A-Za-z0-9_-]+$/';
+
+    /** Maximum number of scenarios a single user may keep. */
+    public const MAX_PER_USER = 200;
+
+    /**
+     * Validation rules for an encoded payload, shared by every endpoint that accepts one.
+     * The payload must look like an encoded permalink; its content is validated by the client.
+     *
+     * @return array<int, string>
+     */
+    public static function payloadRules(): array
+    {
+        return ['required', 'string', 'max:'.self::MAX_PAYLOAD_LENGTH, 'regex:'.self::PAYLOAD_PATTERN];
+    }
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'name',
+        'payload',
+    ];
+
+    /**
+     * Get the user that owns the scenario.
+     *
+     * @return BelongsTo<User, $this>
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+}
@@ -4,6 +4,7 @@
 
 // use Illuminate\Contracts\Auth\MustVerifyEmail;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 use Illuminate\Foundation\Auth\User as Authenticatable;
 use Illuminate\Notifications\Notifiable;
 
@@ -45,4 +46,24 @@ protected function casts(): array
             'password' => 'hashed',
         ];
     }
+
+    /**
+     * Get the scenarios saved by the user.
+     *
+     * @return HasMany<Scenario, $this>
+     */
+    public function scenarios(): HasMany
+    {
+        return $this->hasMany(Scenario::class);
+    }
+
+    /**
+     * Get the classroom sessions the user started as a teacher.
+     *
+     * @return HasMany<ClassroomSession, $this>
+     */
+    public function classroomSessions(): HasMany
+    {
+        return $this->hasMany(ClassroomSession::class);
+    }
 }
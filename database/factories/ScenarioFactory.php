@@ -0,0 +1,28 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\User;
+use Illuminate\Database\Eloquent\Factories\Factory;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\Scenario>
+ */
+class ScenarioFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        $scenario = ['f' => ['mode' => 'linear', 'x0' => '0', 'v0' => (string) fake()->numberBetween(0, 10), 'a' => '2', 't1' => '10']];
+
+        return [
+            'user_id' => User::factory(),
+            'name' => fake()->unique()->words(3, true),
+            'payload' => 'v1.'.rtrim(strtr(base64_encode(json_encode($scenario)), '+/', '-_'), '='),
+        ];
+    }
+}
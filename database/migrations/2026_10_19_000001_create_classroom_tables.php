@@ -0,0 +1,54 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('classroom_sessions', function (Blueprint $table) {
+            $table->id();
+            // The teacher who started the session
+            $table->foreignId('user_id')->constrained()->cascadeOnDelete();
+            $table->string('code', 8)->unique();
+            // Last scenario pushed by the teacher, in the permalink format
+            $table->text('payload')->nullable();
+            $table->timestamp('ended_at')->nullable();
+            $table->timestamps();
+        });
+
+        Schema::create('classroom_participants', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('classroom_session_id')->constrained()->cascadeOnDelete();
+            $table->string('name', 40);
+            $table->timestamp('last_seen_at');
+            $table->timestamps();
+        });
+
+        Schema::create('classroom_submissions', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('classroom_session_id')->constrained()->cascadeOnDelete();
+            $table->foreignId('classroom_participant_id')->nullable()->constrained()->nullOnDelete();
+            // Kept separately so the name survives the participant leaving
+            $table->string('name', 40);
+            $table->text('payload');
+            $table->string('note', 200)->nullable();
+            $table->timestamps();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('classroom_submissions');
+        Schema::dropIfExists('classroom_participants');
+        Schema::dropIfExists('classroom_sessions');
+    }
+};
@@ -0,0 +1,225 @@
+/**
+ * resources/js/accessibility.js
+ * KINESO — text and sound for the charts
+ *
+ * Helpers that let the charts be used without seeing them: keyboard
+ * navigation across data points, the step used to change a value with the
+ * arrow keys, plain-language descriptions of a curve's shape and the pitches
+ * used to play a curve as sound (low values low, high values high).
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+import { extent } from './decimation.js';
+
+/** Points moved by PageUp / PageDown. */
+const PAGE_STEP = 10;
+
+/** Pitch range of the sonification (Hz): two octaves from A3. */
+const LOW_PITCH = 220;
+const HIGH_PITCH = 880;
+
+/** Most pitch changes scheduled for one playback; longer curves are sampled evenly. */
+const MAX_SOUND_STEPS = 400;
+
+/**
+ * Index reached by a navigation key: ArrowLeft / ArrowRight move one point,
+ * PageDown / PageUp `PAGE_STEP` points, Home / End to the first or last point.
+ * @param {string} key - `KeyboardEvent.key`
+ * @param {number} index - current point
+ * @param {number} n - number of points
+ * @returns {number|null} new index, or null when `key` does not navigate
+ */
+function navigateIndex(key, index, n) {
+    if (n <= 0) return null;
+    const clamp = (i) => Math.min(n - 1, Math.max(0, i));
+    switch (key) {
+    case 'ArrowRight': return clamp(index + 1);
+    case 'ArrowLeft': return clamp(index - 1);
+    case 'PageUp': return clamp(index + PAGE_STEP);
+    case 'PageDown': return clamp(index - PAGE_STEP);
+    case 'Home': return 0;
+    case 'End': return n - 1;
+    default: return null;
+    }
+}
+
+/**
+ * Round a positive number down to 1, 2 or 5 times a power of ten.
+ * @param {number} v
+ * @returns {number}
+ */
+function niceStep(v) {
+    const p = Math.pow(10, Math.floor(Math.log10(v)));
+    const m = v / p;
+    return (m >= 5 ? 5 : m >= 2 ? 2 : 1) * p;
+}
+
+/**
+ * Change made by one ArrowUp / ArrowDown press: about 1 % of the range of the
+ * series, rounded to a readable step (10 % with `coarse`, e.g. Shift held).
+ * A flat series uses 1 % of its magnitude, or 0.1.
+ * @param {number[]} values
+ * @param {boolean} [coarse=false]
+ * @returns {number}
+ */
+function adjustStep(values, coarse = false) {
+    const { min, max } = extent(values);
+    let span = max - min;
+    if (!(span > 0)) span = Math.max(Math.abs(min), Math.abs(max));
+    const step = span > 0 ? niceStep(span / 100) : 0.1;
+    return coarse ? step * 10 : step;
+}
+
+/**
+ * Format a number for speech: three significant figures, no exponent for
+ * everyday magnitudes and a proper minus sign.
+ * @param {number} v
+ * @param {number} [digits=3]
+ * @returns {string}
+ */
+function formatNumber(v, digits = 3) {
+    if (!Number.isFinite(v)) return 'undefined';
+    if (v === 0) return '0';
+    const text = Math.abs(v) >= 1e-4 && Math.abs(v) < 1e7 ? String(Number(v.toPrecision(digits))) : v.toExponential(digits - 1);
+    return text.replace('-', '−');
+}
+
+/**
+ * Turning points of a series: local maxima and minima that stand out from the
+ * samples around them by more than `threshold` (small wiggles are ignored).
+ * @param {number[]} ys
+ * @param {number} threshold
+ * @returns {Array<{index:number, type:'max'|'min'}>}
+ */
+function turningPoints(ys, threshold) {
+    const out = [];
+    let dir = 0, cand = 0;
+    for (let i = 1; i < ys.length; i++) {
+        if (dir === 0) {
+            if (ys[i] - ys[0] > threshold) { dir = 1; cand = i; } else if (ys[0] - ys[i] > threshold) { dir = -1; cand = i; }
+        } else if (dir === 1) {
+            if (ys[i] >= ys[cand]) cand = i;
+            else if (ys[cand] - ys[i] > threshold) { out.push({ index: cand, type: 'max' }); dir = -1; cand = i; }
+        } else if (ys[i] <= ys[cand]) {
+            cand = i;
+        } else if (ys[i] - ys[cand] > threshold) {
+            out.push({ index: cand, type: 'min' }); dir = 1; cand = i;
+        }
+    }
+    return out;
+}
+
+/**
+ * How a rising or falling stretch bends: straight, steeper towards its end or flatter.
+ * @param {number[]} xs
+ * @param {number[]} ys
+ * @param {number} from - first index
+ * @param {number} to - last index
+ * @param {number} range - range of the whole series, for the straightness tolerance
+ * @returns {'straight'|'steeper'|'flatter'}
+ */
+function bend(xs, ys, from, to, range) {
+    const dx = xs[to] - xs[from];
+    if (to - from < 2 || !(dx > 0)) return 'straight';
+    const slope = (ys[to] - ys[from]) / dx;
+    let worst = 0;
+    for (let i = from; i <= to; i++) worst = Math.max(worst, Math.abs(ys[i] - (ys[from] + slope * (xs[i] - xs[from]))));
+    if (worst <= 0.01 * range) return 'straight';
+    const mid = Math.floor((from + to) / 2);
+    const first = Math.abs((ys[mid] - ys[from]) / ((xs[mid] - xs[from]) || 1));
+    const second = Math.abs((ys[to] - ys[mid]) / ((xs[to] - xs[mid]) || 1));
+    return second > first ? 'steeper' : 'flatter';
+}
+
+/**
+ * Plain-language description of a curve for screen readers, e.g.
+ * "Starts at 0 at t = 0, rises ever more steeply to a maximum of 50 at t = 5,
+ * then falls to 0 at t = 10. Crosses zero once, at t = 10."
+ * @param {number[]} xs - horizontal values (usually times), ascending
+ * @param {number[]} ys
+ * @param {{xName?:string, maxTurns?:number}} [options] - name of the horizontal
+ *   quantity (default `t`) and most turning points listed one by one (default 6)
+ * @returns {string}
+ */
+function describeCurve(xs, ys, options = {}) {
+    const { xName = 't', maxTurns = 6 } = options;
+    const pts = [];
+    for (let i = 0; i < Math.min(xs.length, ys.length); i++) {
+        if (Number.isFinite(xs[i]) && Number.isFinite(ys[i])) pts.push([xs[i], ys[i]]);
+    }
+    if (!pts.length) return 'No data.';
+    const X = pts.map(p => p[0]), Y = pts.map(p => p[1]);
+    const n = Y.length;
+    const at = (i) => `${xName} = ${formatNumber(X[i])}`;
+    if (n === 1) return `A single point: ${formatNumber(Y[0])} at ${at(0)}.`;
+    let lo = 0, hi = 0;
+    Y.forEach((y, i) => { if (y < Y[lo]) lo = i; if (y > Y[hi]) hi = i; });
+    const range = Y[hi] - Y[lo];
+    if (range <= 1e-9 * Math.max(1, Math.abs(Y[hi]))) return `Constant at ${formatNumber(Y[0])} from ${at(0)} to ${at(n - 1)}.`;
+
+    const turns = turningPoints(Y, 0.02 * range);
+    const parts = [`Starts at ${formatNumber(Y[0])} at ${at(0)}`];
+    const stretch = (from, to, end) => {
+        const rising = Y[to] > Y[from];
+        const shape = bend(X, Y, from, to, range);
+        const how = shape === 'straight' ? ' steadily' : shape === 'steeper' ? ' ever more steeply' : ' ever more slowly';
+        const target = end ? `${formatNumber(Y[to])}` : `a ${rising ? 'maximum' : 'minimum'} of ${formatNumber(Y[to])}`;
+        if (Math.abs(Y[to] - Y[from]) <= 0.02 * range) return `stays near ${formatNumber(Y[from])} until ${at(to)}`;
+        return `${rising ? 'rises' : 'falls'}${how} to ${target} at ${at(to)}`;
+    };
+    if (turns.length > maxTurns) {
+        parts.push(`goes up and down ${turns.length} times between ${formatNumber(Y[lo])} and ${formatNumber(Y[hi])}`);
+        parts.push(`ends at ${formatNumber(Y[n - 1])} at ${at(n - 1)}`);
+    } else {
+        let from = 0;
+        turns.forEach(tp => { parts.push(stretch(from, tp.index, false)); from = tp.index; });
+        parts.push((turns.length ? 'then ' : '') + stretch(from, n - 1, true));
+    }
+    let text = parts.join(', ') + '.';
+    if (turns.length) text += ` Highest ${formatNumber(Y[hi])} at ${at(hi)}, lowest ${formatNumber(Y[lo])} at ${at(lo)}.`;
+
+    const zeros = [];
+    for (let i = 1; i < n; i++) {
+        if ((Y[i - 1] < 0 && Y[i] >= 0) || (Y[i - 1] > 0 && Y[i] <= 0)) {
+            const f = Y[i - 1] / (Y[i - 1] - Y[i]);
+            zeros.push(X[i - 1] + f * (X[i] - X[i - 1]));
+        }
+    }
+    if (zeros.length === 1) text += ` Crosses zero once, at ${xName} = ${formatNumber(zeros[0])}.`;
+    else if (zeros.length > 1) text += ` Crosses zero ${zeros.length} times, first at ${xName} = ${formatNumber(zeros[0])}.`;
+    return text;
+}
+
+/**
+ * Pitch of a value on the sonification scale: `LOW_PITCH` at `min`, `HIGH_PITCH`
+ * at `max`, exponential in between so equal changes sound like equal intervals.
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number} frequency in Hz
+ */
+function pitchFor(value, min, max) {
+    const f = max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0.5;
+    return LOW_PITCH * Math.pow(HIGH_PITCH / LOW_PITCH, f);
+}
+
+/**
+ * Pitches for playing a curve over time, at most `MAX_SOUND_STEPS` evenly spaced samples.
+ * @param {number[]} values
+ * @returns {Array<{at:number, frequency:number}>} `at` is the fraction (0–1) of the playback
+ */
+function sonificationSteps(values) {
+    const { min, max, minIndex } = extent(values);
+    if (minIndex < 0) return [];
+    const n = values.length;
+    const count = Math.min(n, MAX_SOUND_STEPS);
+    const steps = [];
+    for (let k = 0; k < count; k++) {
+        const i = count === 1 ? 0 : Math.round(k * (n - 1) / (count - 1));
+        if (Number.isFinite(values[i])) steps.push({ at: count === 1 ? 0 : k / (count - 1), frequency: pitchFor(values[i], min, max) });
+    }
+    return steps;
+}
+
+export { PAGE_STEP, LOW_PITCH, HIGH_PITCH, MAX_SOUND_STEPS, navigateIndex, adjustStep, formatNumber, turningPoints, describeCurve, pitchFor, sonificationSteps };
@@ -0,0 +1,139 @@
+/**
+ * resources/js/bodies.js
+ * KINESO — several bodies on one timeline
+ *
+ * The form describes the first body. Further bodies move with constant
+ * acceleration from their own x0, v0 and a (the values at t = 0, as in
+ * `computeKinematics`) and are sampled at the first body's times, so every
+ * body shares one time axis. This module samples them, finds the times at
+ * which two bodies meet, re-expresses motion relative to a moving reference
+ * body and writes the per-body CSV.
+ *
+ * Values are in SI. This module has no DOM or Chart.js dependencies.
+ */
+
+import { SI_UNITS, fromSI } from './units.js';
+import { CSV_FORMAT, joinCsv } from './kinematics-core.js';
+
+/** Most bodies on the page, including the one described by the form. */
+const MAX_BODIES = 6;
+
+/** Colour of each body, by position; the first matches the page's x(t) colour. */
+const BODY_COLORS = ['rgba(255,152,0,1)', 'rgba(0,150,136,1)', 'rgba(156,39,176,1)', 'rgba(121,85,72,1)', 'rgba(233,30,99,1)', 'rgba(63,81,181,1)'];
+
+/**
+ * Name given to a new body: A, B, C, ... by position.
+ * @param {number} index - 0 for the form's body
+ * @returns {string}
+ */
+function defaultBodyName(index) {
+    return String.fromCharCode(65 + (index % 26));
+}
+
+/**
+ * Colour of the body at a position.
+ * @param {number} index - 0 for the form's body
+ * @returns {string}
+ */
+function bodyColor(index) {
+    return BODY_COLORS[index % BODY_COLORS.length];
+}
+
+/**
+ * Sample a constant-acceleration body at the given times.
+ * @param {{x0:number, v0:number, a:number}} body - values at t = 0 (SI)
+ * @param {number[]} times
+ * @returns {{xs:number[], vs:number[], as:number[]}}
+ */
+function sampleBody(body, times) {
+    const { x0, v0, a } = body;
+    return {
+        xs: times.map(t => Number((x0 + v0 * t + 0.5 * a * t * t).toFixed(8))),
+        vs: times.map(t => Number((v0 + a * t).toFixed(8))),
+        as: times.map(() => a),
+    };
+}
+
+/**
+ * Times at which two bodies are at the same position: exact equal samples and
+ * sign changes of the separation, interpolated linearly between samples. A
+ * stretch where the bodies stay together is reported once, where it starts.
+ * @param {number[]} times
+ * @param {number[]} xsA
+ * @param {number[]} xsB
+ * @returns {Array<{t:number, x:number}>}
+ */
+function findMeetings(times, xsA, xsB) {
+    const out = [];
+    const n = Math.min(times.length, xsA.length, xsB.length);
+    let prev = NaN;
+    for (let i = 0; i < n; i++) {
+        const d = xsA[i] - xsB[i];
+        if (d === 0) {
+            if (prev !== 0) out.push({ t: times[i], x: xsA[i] });
+        } else if (i > 0 && prev !== 0 && Math.sign(d) !== Math.sign(prev)) {
+            const f = prev / (prev - d);
+            out.push({ t: times[i - 1] + f * (times[i] - times[i - 1]), x: xsA[i - 1] + f * (xsA[i] - xsA[i - 1]) });
+        }
+        prev = d;
+    }
+    return out;
+}
+
+/**
+ * Meetings between every pair of bodies, in time order.
+ * @param {number[]} times
+ * @param {Array<{xs:number[]}>} series - one entry per body
+ * @returns {Array<{t:number, x:number, a:number, b:number}>} `a` and `b` are body indexes (a < b)
+ */
+function findAllMeetings(times, series) {
+    const out = [];
+    for (let a = 0; a < series.length; a++) {
+        for (let b = a + 1; b < series.length; b++) {
+            findMeetings(times, series[a].xs, series[b].xs).forEach(m => out.push({ ...m, a, b }));
+        }
+    }
+    return out.sort((p, q) => p.t - q.t);
+}
+
+/**
+ * Express every body's motion in the frame moving with a reference body:
+ * positions, velocities and accelerations minus the reference's. The reference
+ * itself rests at x = 0.
+ * @param {Array<{xs:number[], vs:number[], as:number[]}>} series - one entry per body (other keys are kept)
+ * @param {number} ref - index of the reference body
+ * @returns {Array<Object>} new series; the input is not changed
+ */
+function relativeTo(series, ref) {
+    const r = series[ref];
+    if (!r) return series;
+    const minus = (values, base) => values.map((v, i) => Number((v - base[i]).toFixed(8)));
+    return series.map(s => ({ ...s, xs: minus(s.xs, r.xs), vs: minus(s.vs, r.vs), as: minus(s.as, r.as) }));
+}
+
+/**
+ * CSV with per-body x, v and a columns, e.g. `t (s),x_A (m),v_A (m/s),a_A (m/s^2),x_B (m),...,phase`.
+ * @param {number[]} times
+ * @param {Array<{name:string, xs:number[], vs:number[], as:number[]}>} series - one entry per body
+ * @param {number[]} [phases] - phase of the first body per sample (defaults to a single phase)
+ * @param {Object} [units=SI_UNITS] - unit choice from `units.js`
+ * @param {{separator:string, decimal:string, phase:string}} [format=CSV_FORMAT] - see `kinematics-core.js`
+ * @returns {string} CSV content
+ */
+function csvFromBodies(times, series, phases, units = SI_UNITS, format = CSV_FORMAT) {
+    const headers = ['t (s)'];
+    const columns = [];
+    series.forEach(s => {
+        const name = String(s.name).replace(/[,;"\r\n]/g, ' ').trim();
+        headers.push(`x_${name} (${units.length})`, `v_${name} (${units.velocity})`, `a_${name} (${units.acceleration})`);
+        columns.push(fromSI('length', s.xs, units), fromSI('velocity', s.vs, units), fromSI('acceleration', s.as, units));
+    });
+    headers.push(format.phase);
+    const lines = [headers];
+    for (let i = 0; i < times.length; i++) {
+        lines.push([times[i].toFixed(6), ...columns.map(c => c[i].toFixed(6)), phases && phases[i] ? phases[i] : 1]);
+    }
+    return joinCsv(lines, format);
+}
+
+export { MAX_BODIES, BODY_COLORS, defaultBodyName, bodyColor, sampleBody, findMeetings, findAllMeetings, relativeTo, csvFromBodies };
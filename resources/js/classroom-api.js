@@ -0,0 +1,150 @@
+/**
+ * resources/js/classroom-api.js
+ * KINESO — client for live classroom sessions
+ *
+ * Thin wrappers around the `/classroom` JSON routes (same conventions as
+ * `scenario-api.js`: `window.axios`, the `data` member of the response, axios
+ * errors on failure) plus `connectEcho`, which opens the Laravel Echo
+ * connection to the local Reverb websocket server on first use.
+ *
+ * Broadcast channels:
+ * - `classroom.<code>` (public): `ClassroomScenarioPushed`, `ClassroomParticipantsChanged`, `ClassroomSessionEnded`
+ * - `classroom.<code>.teacher` (private, teacher only): `ClassroomSubmissionReceived`
+ */
+
+import { describeApiError } from './scenario-api';
+
+const BASE = '/classroom';
+
+/** Seconds between a student's heartbeats; the server lists students heard from in the last minute. */
+const HEARTBEAT_SECONDS = 20;
+
+/**
+ * @typedef {{code:string, ended:boolean, participants:string[]}} ClassroomSummary
+ * @typedef {{id:number, name:string, payload:string, note:string|null, created_at:string}} ClassroomSubmission
+ */
+
+/**
+ * Normalise a typed join code: upper case, without spaces or dashes.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeCode(text) {
+    return String(text || '').toUpperCase().replace(/[\s-]+/g, '');
+}
+
+/** @returns {Promise<ClassroomSummary>} the new session (teacher; needs a signed-in user) */
+async function startSession() {
+    const res = await window.axios.post(BASE);
+    return res.data.data;
+}
+
+/**
+ * @param {string} code
+ * @returns {Promise<ClassroomSummary & {submissions:ClassroomSubmission[]}>} teacher's view, newest submission first
+ */
+async function getSession(code) {
+    const res = await window.axios.get(`${BASE}/${code}`);
+    return res.data.data;
+}
+
+/**
+ * Send a scenario to every student.
+ * @param {string} code
+ * @param {string} payload - encoded scenario from `encodeScenario`
+ * @param {Array|null} [drag=null] - compact drag edit (`encodeDrag`) when the push comes from one drag
+ * @returns {Promise<void>}
+ */
+async function pushScenario(code, payload, drag = null) {
+    await window.axios.post(`${BASE}/${code}/push`, drag ? { payload, drag } : { payload });
+}
+
+/**
+ * @param {string} code
+ * @returns {Promise<void>}
+ */
+async function endSession(code) {
+    await window.axios.post(`${BASE}/${code}/end`);
+}
+
+/**
+ * @param {string} code
+ * @param {string} name - shown to the teacher and the class
+ * @returns {Promise<ClassroomSummary & {name:string, payload:string|null}>} with the last pushed scenario
+ */
+async function joinSession(code, name) {
+    const res = await window.axios.post(`${BASE}/${code}/join`, { name });
+    return res.data.data;
+}
+
+/**
+ * @param {string} code
+ * @returns {Promise<ClassroomSummary>}
+ */
+async function sendHeartbeat(code) {
+    const res = await window.axios.post(`${BASE}/${code}/heartbeat`);
+    return res.data.data;
+}
+
+/**
+ * @param {string} code
+ * @returns {Promise<void>}
+ */
+async function leaveSession(code) {
+    await window.axios.post(`${BASE}/${code}/leave`);
+}
+
+/**
+ * Send the student's version of the scenario to the teacher.
+ * @param {string} code
+ * @param {string} payload - encoded scenario from `encodeScenario`
+ * @param {string} [note]
+ * @returns {Promise<{id:number, name:string, note:string|null, created_at:string}>}
+ */
+async function submitVersion(code, payload, note = '') {
+    const res = await window.axios.post(`${BASE}/${code}/submissions`, { payload, note: note || null });
+    return res.data.data;
+}
+
+/**
+ * Turn a failed request into a message for the user.
+ * @param {*} err - rejection from one of the functions above
+ * @returns {string}
+ */
+function describeClassroomError(err) {
+    const res = err && err.response;
+    if (res && res.status === 401) return 'Please sign in to start a session.';
+    if (res && res.status === 403) return 'Join the session first.';
+    if (res && res.status === 404) return 'There is no session with that code.';
+    if (res && res.status === 410) return 'This session has ended.';
+    return describeApiError(err);
+}
+
+let echo = null;
+
+/**
+ * The shared Laravel Echo instance, created on first use. laravel-echo and
+ * pusher-js are loaded only then, so pages without a session never open a socket.
+ * @returns {Promise<Object>} Echo instance (also set as `window.Echo`)
+ * @throws {Error} when the Reverb settings are missing from the build
+ */
+async function connectEcho() {
+    if (echo) return echo;
+    const env = import.meta.env;
+    if (!env.VITE_REVERB_APP_KEY) throw new Error('Live sessions are not configured: set the REVERB_* values in .env, rebuild and run "php artisan reverb:start".');
+    const [{ default: Echo }, { default: Pusher }] = await Promise.all([import('laravel-echo'), import('pusher-js')]);
+    window.Pusher = Pusher;
+    echo = new Echo({
+        broadcaster: 'reverb',
+        key: env.VITE_REVERB_APP_KEY,
+        wsHost: env.VITE_REVERB_HOST,
+        wsPort: env.VITE_REVERB_PORT ?? 80,
+        wssPort: env.VITE_REVERB_PORT ?? 443,
+        forceTLS: (env.VITE_REVERB_SCHEME ?? 'https') === 'https',
+        enabledTransports: ['ws', 'wss'],
+    });
+    window.Echo = echo;
+    return echo;
+}
+
+export { HEARTBEAT_SECONDS, normalizeCode, startSession, getSession, pushScenario, endSession, joinSession, sendHeartbeat, leaveSession, submitVersion, describeClassroomError, connectEcho };
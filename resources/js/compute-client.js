@@ -0,0 +1,89 @@
+/**
+ * resources/js/compute-client.js
+ * KINESO — page side of the computation worker
+ *
+ * `runComputation(type, payload)` runs a task from `compute-tasks.js` in a Web
+ * Worker (started on first use) so long computations do not freeze the page,
+ * and resolves with its result. Without worker support, or when the worker
+ * cannot start, tasks run on the page instead with the same results. Errors
+ * keep their class (`ExpressionError`, `ScenarioError`) so callers can tell
+ * them apart as before.
+ */
+
+import { runTask } from './compute-tasks';
+import { ExpressionError } from './expression';
+import { ScenarioError } from './kinematics-core';
+
+let worker = null;
+let workerFailed = false;
+let nextId = 1;
+// id → {resolve, reject} of the tasks sent to the worker
+const pending = new Map();
+
+/**
+ * Rebuild an error posted by the worker.
+ * @param {{name:string, message:string, pos?:number}} data
+ * @returns {Error}
+ */
+function restoreError(data) {
+    if (data.name === 'ExpressionError') return Object.assign(new ExpressionError(data.message), { pos: data.pos ?? -1 });
+    if (data.name === 'ScenarioError') return new ScenarioError(data.message);
+    const err = new Error(data.message);
+    err.name = data.name;
+    return err;
+}
+
+/**
+ * The shared worker, or null when tasks must run on the page.
+ * @returns {Worker|null}
+ */
+function getWorker() {
+    if (worker || workerFailed) return worker;
+    if (typeof Worker === 'undefined') { workerFailed = true; return null; }
+    try {
+        worker = new Worker(new URL('./compute-worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        console.warn('Computation worker unavailable, computing on the page:', err);
+        workerFailed = true;
+        return null;
+    }
+    worker.onmessage = (e) => {
+        const { id, result, error } = e.data;
+        const task = pending.get(id);
+        if (!task) return;
+        pending.delete(id);
+        if (error) task.reject(restoreError(error)); else task.resolve(result);
+    };
+    worker.onerror = (e) => {
+        // the worker could not load (e.g. blocked): run the waiting tasks and every later one on the page
+        console.warn('Computation worker failed, computing on the page:', e.message || e);
+        e.preventDefault();
+        worker.terminate();
+        worker = null;
+        workerFailed = true;
+        const waiting = [...pending.values()];
+        pending.clear();
+        waiting.forEach(task => { try { task.resolve(runTask(task.type, task.payload)); } catch (err) { task.reject(err); } });
+    };
+    return worker;
+}
+
+/**
+ * Run a task from `compute-tasks.js` off the page when possible.
+ * @param {string} type - task name (`scenario`, `parseCsv`, `importSeries`)
+ * @param {Object} payload - plain data
+ * @returns {Promise<*>} the task's result
+ */
+function runComputation(type, payload) {
+    const w = getWorker();
+    if (!w) {
+        try { return Promise.resolve(runTask(type, payload)); } catch (err) { return Promise.reject(err); }
+    }
+    return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject, type, payload });
+        w.postMessage({ id, type, payload });
+    });
+}
+
+export { runComputation };
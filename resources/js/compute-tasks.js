@@ -0,0 +1,68 @@
+/**
+ * resources/js/compute-tasks.js
+ * KINESO — computations that may take long on large inputs
+ *
+ * Sampling a scenario, parsing a CSV file and smoothing an imported series can
+ * take seconds for hundreds of thousands of samples. `runTask` runs one of them
+ * by name; the page sends tasks to the worker in `compute-worker.js` through
+ * `compute-client.js`, which falls back to calling `runTask` directly where
+ * workers are not available. Inputs and results are plain data, so they can be
+ * posted between threads.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+import { computeScenario } from './kinematics-core.js';
+import { parseCsv, buildSeries } from './csv-import.js';
+import { smoothSeries, differentiateNonUniform } from './smoothing.js';
+
+/** Tasks by name; each takes one payload object and returns plain data. */
+const TASKS = {
+    /**
+     * @param {{scenario:Object, maxPoints?:number}} p
+     * @returns {Object} result of `computeScenario`
+     */
+    scenario: (p) => computeScenario(p.scenario, p.maxPoints),
+    /**
+     * @param {{text:string}} p - file contents
+     * @returns {{headers:string[], rows:number[][]}} result of `parseCsv`
+     */
+    parseCsv: (p) => parseCsv(p.text),
+    /**
+     * Map parsed rows to an SI series, smooth it and differentiate the raw samples.
+     * @param {{rows:number[][], mapping:Object, method:string, window:number}} p - `mapping` as for `buildSeries`
+     * @returns {{series:Object, smoothed:{xs:number[], vs:number[], as:number[]}, rawVs:number[], rawAs:number[]}}
+     */
+    importSeries: (p) => {
+        const series = buildSeries(p.rows, p.mapping);
+        const smoothed = smoothSeries(series.times, series.xs, { method: p.method, window: p.window });
+        const rawVs = differentiateNonUniform(series.times, series.xs);
+        return { series, smoothed, rawVs, rawAs: differentiateNonUniform(series.times, rawVs) };
+    },
+};
+
+/**
+ * Run a task by name.
+ * @param {string} type - key of `TASKS`
+ * @param {Object} payload
+ * @returns {*} the task's result
+ * @throws {Error} for an unknown task, or whatever the task throws
+ */
+function runTask(type, payload) {
+    const task = TASKS[type];
+    if (!task) throw new Error(`Unknown task "${type}"`);
+    return task(payload);
+}
+
+/**
+ * Plain copy of an error that survives `postMessage`.
+ * @param {*} err
+ * @returns {{name:string, message:string, pos?:number}}
+ */
+function serializeError(err) {
+    const out = { name: (err && err.name) || 'Error', message: err && err.message ? err.message : String(err) };
+    if (err && typeof err.pos === 'number') out.pos = err.pos;
+    return out;
+}
+
+export { TASKS, runTask, serializeError };
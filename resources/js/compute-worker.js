@@ -0,0 +1,18 @@
+/**
+ * resources/js/compute-worker.js
+ * KINESO — Web Worker running `compute-tasks.js`
+ *
+ * Receives `{id, type, payload}` and answers `{id, result}` or `{id, error}`
+ * (see `serializeError`). Started by `compute-client.js`.
+ */
+
+import { runTask, serializeError } from './compute-tasks.js';
+
+self.onmessage = (e) => {
+    const { id, type, payload } = e.data || {};
+    try {
+        self.postMessage({ id, result: runTask(type, payload) });
+    } catch (err) {
+        self.postMessage({ id, error: serializeError(err) });
+    }
+};
@@ -0,0 +1,143 @@
+/**
+ * resources/js/csv-import.js
+ * KINESO — measured-data CSV import
+ *
+ * Parses CSV exports from motion sensors and video-tracking tools into numeric
+ * columns, then maps a time and a position column into a sorted `{times, xs}`
+ * series in SI units. Timestamps may be non-uniform.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+/** Most samples kept from one file (sensor logs run to hundreds of thousands); later rows are dropped and reported. */
+const MAX_IMPORT_ROWS = 500000;
+
+/** Conversion factors to seconds. */
+const TIME_UNITS = { s: 1, ms: 0.001, min: 60 };
+
+/** Conversion factors to metres. */
+const LENGTH_UNITS = { m: 1, cm: 0.01, mm: 0.001, km: 1000, ft: 0.3048, in: 0.0254 };
+
+/**
+ * Guess the field delimiter from the first non-empty lines.
+ * @param {string[]} lines
+ * @returns {','|';'|'\t'}
+ */
+function detectDelimiter(lines) {
+    const sample = lines.slice(0, 5).join('\n');
+    const counts = { '\t': 0, ';': 0, ',': 0 };
+    for (const c of sample) if (c in counts) counts[c]++;
+    if (counts['\t'] > 0) return '\t';
+    return counts[';'] > 0 && counts[';'] >= counts[','] / 2 ? ';' : ',';
+}
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields.
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {string[]}
+ */
+function splitLine(line, delimiter) {
+    const fields = [];
+    let cur = '', quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else cur += c;
+        } else if (c === '"') quoted = true;
+        else if (c === delimiter) { fields.push(cur.trim()); cur = ''; }
+        else cur += c;
+    }
+    fields.push(cur.trim());
+    return fields;
+}
+
+/**
+ * Parse a numeric CSV field. With a `;` or tab delimiter a decimal comma is accepted.
+ * @param {string} field
+ * @param {string} delimiter
+ * @returns {number} parsed value or NaN
+ */
+function parseField(field, delimiter) {
+    let f = field;
+    if (delimiter !== ',') f = f.replace(',', '.');
+    return f === '' ? NaN : Number(f);
+}
+
+/**
+ * Parse CSV text into a header row and numeric rows.
+ * Blank lines and lines starting with `#` are skipped. The first row is
+ * treated as a header when any of its fields is non-numeric.
+ * @param {string} text - raw file content
+ * @returns {{delimiter:string, headers:string[], rows:number[][]}}
+ * @throws {Error} when the file has no data rows
+ */
+function parseCsv(text) {
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith('#'));
+    if (!lines.length) throw new Error('The file is empty.');
+    const delimiter = detectDelimiter(lines);
+    const first = splitLine(lines[0], delimiter);
+    const hasHeader = first.some(f => Number.isNaN(parseField(f, delimiter)));
+    const width = first.length;
+    const headers = hasHeader ? first.map((h, i) => h || `Column ${i + 1}`) : first.map((_, i) => `Column ${i + 1}`);
+    const rows = lines.slice(hasHeader ? 1 : 0).map(l => {
+        const fields = splitLine(l, delimiter);
+        const row = new Array(width);
+        for (let i = 0; i < width; i++) row[i] = parseField(fields[i] !== undefined ? fields[i] : '', delimiter);
+        return row;
+    });
+    if (!rows.length) throw new Error('The file has a header but no data rows.');
+    return { delimiter, headers, rows };
+}
+
+/**
+ * Guess which columns hold time and position from the header names.
+ * Falls back to the first two columns.
+ * @param {string[]} headers
+ * @returns {{tCol:number, xCol:number}}
+ */
+function guessColumns(headers) {
+    const norm = headers.map(h => h.toLowerCase());
+    let tCol = norm.findIndex(h => /^(t|time|zeit|temps)\b/.test(h));
+    if (tCol < 0) tCol = 0;
+    let xCol = norm.findIndex((h, i) => i !== tCol && /^(x|pos|position|distance|displacement|s)\b/.test(h));
+    if (xCol < 0) xCol = tCol === 0 ? 1 : 0;
+    return { tCol, xCol: Math.min(xCol, headers.length - 1) };
+}
+
+/**
+ * Build a time-sorted series in SI units from parsed rows.
+ * Rows with a non-numeric time or position are dropped, as are repeated timestamps
+ * (the first sample wins). At most `MAX_IMPORT_ROWS` samples are kept.
+ * @param {number[][]} rows - numeric rows from `parseCsv`
+ * @param {{tCol:number, xCol:number, tUnit?:string, xUnit?:string}} mapping
+ * @returns {{times:number[], xs:number[], skipped:number, duplicates:number, truncated:boolean}}
+ * @throws {Error} when fewer than 3 usable samples remain
+ */
+function buildSeries(rows, mapping) {
+    const tScale = TIME_UNITS[mapping.tUnit || 's'];
+    const xScale = LENGTH_UNITS[mapping.xUnit || 'm'];
+    if (!tScale || !xScale) throw new Error('Unknown unit selection.');
+    const pairs = [];
+    let skipped = 0;
+    for (const row of rows) {
+        const t = row[mapping.tCol], x = row[mapping.xCol];
+        if (Number.isFinite(t) && Number.isFinite(x)) pairs.push([t * tScale, x * xScale]);
+        else skipped++;
+    }
+    pairs.sort((p, q) => p[0] - q[0]);
+    const times = [], xs = [];
+    let duplicates = 0;
+    for (const [t, x] of pairs) {
+        if (times.length && t === times[times.length - 1]) { duplicates++; continue; }
+        times.push(t); xs.push(x);
+    }
+    const truncated = times.length > MAX_IMPORT_ROWS;
+    if (truncated) { times.length = MAX_IMPORT_ROWS; xs.length = MAX_IMPORT_ROWS; }
+    if (times.length < 3) throw new Error('At least 3 rows with numeric time and position are needed.');
+    return { times, xs, skipped, duplicates, truncated };
+}
+
+export { MAX_IMPORT_ROWS, TIME_UNITS, LENGTH_UNITS, parseCsv, guessColumns, buildSeries };
@@ -0,0 +1,111 @@
+/**
+ * resources/js/decimation.js
+ * KINESO — decimation of long series for the charts
+ *
+ * Charts draw at most `CHART_POINTS` points however long a run is. The points
+ * are picked with Largest-Triangle-Three-Buckets (LTTB), which keeps the shape
+ * of a line, and the smallest and largest value of every series are always
+ * kept so that peaks survive. Series drawn against the same time axis share
+ * one set of sample indexes: the union of the picks for each of them.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+/** Most points drawn per chart; longer series are decimated. */
+const CHART_POINTS = 2000;
+
+/**
+ * Smallest and largest finite value of a series and where they are, without
+ * spreading the series into `Math.min` (which fails for very long arrays).
+ * @param {number[]} values
+ * @returns {{min:number, max:number, minIndex:number, maxIndex:number}} NaN / -1 when no value is finite
+ */
+function extent(values) {
+    let min = NaN, max = NaN, minIndex = -1, maxIndex = -1;
+    for (let i = 0; i < values.length; i++) {
+        const v = values[i];
+        if (!Number.isFinite(v)) continue;
+        if (minIndex < 0 || v < min) { min = v; minIndex = i; }
+        if (maxIndex < 0 || v > max) { max = v; maxIndex = i; }
+    }
+    return { min, max, minIndex, maxIndex };
+}
+
+/**
+ * Indexes of the samples kept by Largest-Triangle-Three-Buckets: the first and
+ * last sample, and from each of `threshold - 2` buckets the sample forming the
+ * largest triangle with the previous pick and the mean of the next bucket.
+ * Non-finite values count as 0.
+ * @param {number[]} xs - ascending horizontal values (times)
+ * @param {number[]} ys
+ * @param {number} threshold - number of samples to keep (at least 3)
+ * @returns {number[]} ascending indexes; every index when the series is not longer than `threshold`
+ */
+function lttbIndexes(xs, ys, threshold) {
+    const n = Math.min(xs.length, ys.length);
+    if (threshold >= n || n < 3) return Array.from({ length: n }, (_, i) => i);
+    const keep = Math.max(3, Math.floor(threshold));
+    const y = (i) => (Number.isFinite(ys[i]) ? ys[i] : 0);
+    const size = (n - 2) / (keep - 2);
+    const out = [0];
+    let a = 0;
+    for (let b = 0; b < keep - 2; b++) {
+        // mean of the next bucket (the last sample for the final bucket)
+        const nextStart = Math.floor((b + 1) * size) + 1;
+        const nextEnd = Math.min(n, Math.floor((b + 2) * size) + 1);
+        let mx = 0, my = 0;
+        for (let j = nextStart; j < nextEnd; j++) { mx += xs[j]; my += y(j); }
+        const count = nextEnd - nextStart;
+        if (count > 0) { mx /= count; my /= count; } else { mx = xs[n - 1]; my = y(n - 1); }
+        // the sample of this bucket with the largest triangle
+        const start = Math.floor(b * size) + 1;
+        const end = Math.min(n - 1, Math.floor((b + 1) * size) + 1);
+        let best = start, bestArea = -1;
+        for (let j = start; j < end; j++) {
+            const area = Math.abs((xs[a] - mx) * (y(j) - y(a)) - (xs[a] - xs[j]) * (my - y(a)));
+            if (area > bestArea) { bestArea = area; best = j; }
+        }
+        out.push(best);
+        a = best;
+    }
+    out.push(n - 1);
+    return out;
+}
+
+/**
+ * Sample indexes to draw for series sharing one horizontal axis: the union of
+ * the LTTB picks of each series (sharing `threshold` between them) and of each
+ * series' minimum and maximum.
+ * @param {number[]} xs - ascending horizontal values (times)
+ * @param {number[][]} series - values of each series at `xs`
+ * @param {number} [threshold=CHART_POINTS]
+ * @returns {number[]|null} ascending indexes, or null when nothing needs to be dropped
+ */
+function decimationIndexes(xs, series, threshold = CHART_POINTS) {
+    const n = xs.length;
+    if (n <= threshold || !series.length) return null;
+    const keep = new Uint8Array(n);
+    const share = Math.max(3, Math.floor(threshold / series.length));
+    series.forEach(ys => {
+        lttbIndexes(xs, ys, share).forEach(i => { keep[i] = 1; });
+        const { minIndex, maxIndex } = extent(ys);
+        if (minIndex >= 0) keep[minIndex] = 1;
+        if (maxIndex >= 0) keep[maxIndex] = 1;
+    });
+    const out = [];
+    for (let i = 0; i < n; i++) if (keep[i]) out.push(i);
+    return out;
+}
+
+/**
+ * The values at some sample indexes.
+ * @template T
+ * @param {T[]} values
+ * @param {number[]|null} indexes - from `decimationIndexes`; null keeps every value
+ * @returns {T[]}
+ */
+function pickIndexes(values, indexes) {
+    return indexes ? indexes.map(i => values[i]) : values;
+}
+
+export { CHART_POINTS, extent, lttbIndexes, decimationIndexes, pickIndexes };
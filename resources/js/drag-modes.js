@@ -0,0 +1,173 @@
+/**
+ * resources/js/drag-modes.js
+ * KINESO — drag modes for hand-edited series
+ *
+ * Dragging a chart point edits the whole series through one of these modes:
+ * - `point`: only the dragged sample moves (the original behaviour)
+ * - `brush`: neighbours follow with Gaussian weights, so the edit stays smooth
+ *   and its derivatives do not spike
+ * - `endpoints`: the whole series bends towards the new value while its first
+ *   and last samples keep their values
+ * - `slide`: the samples around the dragged one are moved along the time axis
+ *   by a whole number of samples (horizontal drag), blended in with the brush weights
+ *
+ * Locked samples (e.g. x0 or v0, see `lockedIndexes`) never move. An edit is
+ * described by `{mode, value, width, shift}` so that it can be stored in links
+ * and replayed on a regenerated series with the same result.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+/** Drag modes with the label shown in the selector. */
+const DRAG_MODES = {
+    point: 'Single point',
+    brush: 'Smooth brush',
+    endpoints: 'Keep endpoints',
+    slide: 'Slide in time',
+};
+
+/** Brush width (samples) used when none is given, and the largest one accepted. */
+const DEFAULT_BRUSH_WIDTH = 5;
+const MAX_BRUSH_WIDTH = 50;
+
+/**
+ * Mode to use for a pointer event: Shift picks the brush, Alt keeps the
+ * endpoints and Shift+Alt slides in time; without modifiers the selected mode
+ * applies. (Ctrl is not available: the drag plugin ignores Ctrl-clicks.)
+ * @param {string} selected - mode chosen in the selector
+ * @param {{shiftKey?:boolean, altKey?:boolean}} [keys] - the pointer event
+ * @returns {'point'|'brush'|'endpoints'|'slide'}
+ */
+function modeForKeys(selected, keys = {}) {
+    if (keys.shiftKey && keys.altKey) return 'slide';
+    if (keys.shiftKey) return 'brush';
+    if (keys.altKey) return 'endpoints';
+    return Object.prototype.hasOwnProperty.call(DRAG_MODES, selected) ? selected : 'point';
+}
+
+/**
+ * Gaussian weights around a sample: 1 at `index`, exp(−d²/2w²) at d samples
+ * away and 0 beyond 3w.
+ * @param {number} n - number of samples
+ * @param {number} index
+ * @param {number} width - standard deviation in samples; below 1 only `index` moves
+ * @returns {number[]}
+ */
+function brushWeights(n, index, width) {
+    const w = new Array(n).fill(0);
+    if (index < 0 || index >= n) return w;
+    w[index] = 1;
+    if (!(width >= 1)) return w;
+    const reach = Math.ceil(3 * width);
+    for (let i = Math.max(0, index - reach); i <= Math.min(n - 1, index + reach); i++) {
+        const d = i - index;
+        w[i] = Math.exp(-(d * d) / (2 * width * width));
+    }
+    return w;
+}
+
+/**
+ * Weights that are 1 at `index` and fall smoothly (smoothstep) to 0 at the
+ * first and last samples. Dragging an endpoint itself moves nothing.
+ * @param {number} n - number of samples
+ * @param {number} index
+ * @returns {number[]}
+ */
+function endpointWeights(n, index) {
+    const w = new Array(n).fill(0);
+    if (index <= 0 || index >= n - 1) return w;
+    const smooth = (u) => u * u * (3 - 2 * u);
+    for (let i = 0; i < n; i++) {
+        w[i] = i <= index ? smooth(i / index) : smooth((n - 1 - i) / (n - 1 - index));
+    }
+    return w;
+}
+
+/**
+ * Samples of a chart that a set of locks keeps fixed. x0 is the first position;
+ * v0 is the first velocity. Velocity and acceleration edits already integrate
+ * from the form's x0 (and v0), so those locks only pin samples of the chart
+ * they belong to; keeping v0 during position edits is done by the caller.
+ * @param {'position'|'velocity'|'acceleration'} chartType
+ * @param {{x0?:boolean, v0?:boolean}} [locks]
+ * @returns {number[]} indexes
+ */
+function lockedIndexes(chartType, locks = {}) {
+    if (chartType === 'position' && locks.x0) return [0];
+    if (chartType === 'velocity' && locks.v0) return [0];
+    return [];
+}
+
+/**
+ * Apply a drag edit to a series.
+ * `point`, `brush` and `endpoints` move the samples by their weight times the
+ * change of the dragged sample (`value` minus its current value); `slide`
+ * blends in the series shifted `shift` samples later (negative: earlier).
+ * @param {number[]} values - current series (not changed)
+ * @param {number} index - dragged sample
+ * @param {{mode?:string, value?:number, width?:number, shift?:number}} edit
+ * @param {number[]} [locked=[]] - indexes that must keep their values
+ * @returns {number[]} the edited series; a copy of `values` when a locked sample is dragged
+ */
+function editSeries(values, index, edit, locked = []) {
+    const n = values.length;
+    const out = values.slice();
+    if (index < 0 || index >= n || locked.includes(index)) return out;
+    const mode = edit.mode || 'point';
+    const width = edit.width === undefined ? DEFAULT_BRUSH_WIDTH : edit.width;
+    let weights;
+    if (mode === 'brush' || mode === 'slide') weights = brushWeights(n, index, width);
+    else if (mode === 'endpoints') weights = endpointWeights(n, index);
+    else weights = brushWeights(n, index, 0);
+    locked.forEach(i => { if (i >= 0 && i < n) weights[i] = 0; });
+
+    if (mode === 'slide') {
+        const shift = Math.round(edit.shift || 0);
+        if (!shift) return out;
+        for (let i = 0; i < n; i++) {
+            if (!weights[i]) continue;
+            const from = values[Math.min(n - 1, Math.max(0, i - shift))];
+            out[i] = values[i] + weights[i] * (from - values[i]);
+        }
+        return out;
+    }
+    const delta = edit.value - values[index];
+    if (!Number.isFinite(delta)) return out;
+    for (let i = 0; i < n; i++) {
+        if (weights[i]) out[i] = values[i] + weights[i] * delta;
+    }
+    return out;
+}
+
+/**
+ * Whether a drag edit can replace the previous one in the edit list: both move
+ * the same single point of the same chart with the same locks, so only the
+ * last value matters. Other modes build on the series left by earlier edits.
+ * @param {{chart:string, index:number, mode?:string, locks?:Object}} prev
+ * @param {{chart:string, index:number, mode?:string, locks?:Object}} next
+ * @returns {boolean}
+ */
+function canMergeDrags(prev, next) {
+    if (!prev || prev.chart !== next.chart || prev.index !== next.index) return false;
+    if ((prev.mode || 'point') !== 'point' || (next.mode || 'point') !== 'point') return false;
+    const a = prev.locks || {}, b = next.locks || {};
+    return !!a.x0 === !!b.x0 && !!a.v0 === !!b.v0;
+}
+
+/**
+ * Short note on how a drag edit was applied, for the edit log; empty for a single point.
+ * @param {{mode?:string, width?:number, shift?:number}} edit
+ * @returns {string} e.g. ` (brush, width 5)`
+ */
+function describeDragEdit(edit) {
+    const width = edit.width === undefined ? DEFAULT_BRUSH_WIDTH : edit.width;
+    if (edit.mode === 'brush') return ` (brush, width ${width})`;
+    if (edit.mode === 'endpoints') return ' (endpoints kept)';
+    if (edit.mode === 'slide') {
+        const k = Math.round(edit.shift || 0);
+        return ` (slid ${Math.abs(k)} sample${Math.abs(k) === 1 ? '' : 's'} ${k < 0 ? 'earlier' : 'later'}, width ${width})`;
+    }
+    return '';
+}
+
+export { DRAG_MODES, DEFAULT_BRUSH_WIDTH, MAX_BRUSH_WIDTH, modeForKeys, brushWeights, endpointWeights, lockedIndexes, editSeries, canMergeDrags, describeDragEdit };
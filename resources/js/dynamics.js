@@ -0,0 +1,229 @@
+/**
+ * resources/js/dynamics.js
+ * KINESO — motion from forces
+ *
+ * In dynamics mode the acceleration is not given: it follows from Newton's
+ * second law, a = F(x, v) / m, where F is the sum of the force terms the user
+ * combines (a constant push, weight, friction, air drag and springs). The
+ * motion is solved with the ODE steppers of `integrators.js`.
+ *
+ * Forces act along the x axis and are in SI units: N, with coefficients in
+ * N·s/m (linear drag), kg/m (quadratic drag) and N/m (spring). Friction is
+ * kinetic while the body moves and static while it rests: a body that comes
+ * to rest stays there as long as the other forces are within μs·m·g.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+import { DEFAULT_INTEGRATOR, stepMotion } from './integrators.js';
+
+/**
+ * Force terms: their label and parameters (name → label, unit and default value).
+ * `weight` pulls along +x (use a negative g when x points up); `friction` takes its
+ * normal force from m·g on a level floor.
+ */
+const FORCE_TERMS = {
+    push: { label: 'Constant push', params: { F: { label: 'F', unit: 'N', value: 10 } } },
+    weight: { label: 'Weight', params: { g: { label: 'g', unit: 'm/s²', value: 9.81 } } },
+    friction: {
+        label: 'Friction',
+        params: { muK: { label: 'μk', unit: '', value: 0.3 }, muS: { label: 'μs', unit: '', value: 0.5 }, g: { label: 'g', unit: 'm/s²', value: 9.81 } },
+    },
+    linearDrag: { label: 'Linear drag', params: { b: { label: 'b', unit: 'N·s/m', value: 0.5 } } },
+    quadraticDrag: { label: 'Quadratic drag', params: { c: { label: 'c', unit: 'kg/m', value: 0.25 } } },
+    spring: { label: 'Spring', params: { k: { label: 'k', unit: 'N/m', value: 10 }, rest: { label: 'rest x', unit: 'm', value: 0 } } },
+};
+
+/** Most force terms in one scenario. */
+const MAX_FORCES = 10;
+
+/** Mass (kg) of a new dynamics scenario. */
+const DEFAULT_MASS = 1;
+
+/**
+ * Ready-made scenarios: mass (kg), x0 (m), v0 (m/s), duration t1 (s) and force terms.
+ */
+const DYNAMICS_PRESETS = {
+    skydiver: {
+        label: 'Skydiver reaching terminal velocity',
+        note: 'x is the distance fallen. Drag grows with v² until it balances the weight at v = √(m·g / c) ≈ 56 m/s.',
+        mass: 80, x0: 0, v0: 0, t1: 30,
+        forces: [{ kind: 'weight', g: 9.81 }, { kind: 'quadraticDrag', c: 0.25 }],
+    },
+    roughFloor: {
+        label: 'Block sliding to a stop on a rough floor',
+        note: 'Kinetic friction μk·m·g slows the block at a constant rate; once it stops, static friction holds it.',
+        mass: 2, x0: 0, v0: 4, t1: 3,
+        forces: [{ kind: 'friction', muK: 0.3, muS: 0.5, g: 9.81 }],
+    },
+    pushedBlock: {
+        label: 'Block pushed across a rough floor',
+        note: 'The push beats static friction (μs·m·g ≈ 9.8 N), then the net force is F − μk·m·g.',
+        mass: 2, x0: 0, v0: 0, t1: 5,
+        forces: [{ kind: 'push', F: 12 }, { kind: 'friction', muK: 0.3, muS: 0.5, g: 9.81 }],
+    },
+    dampedSpring: {
+        label: 'Damped mass on a spring',
+        note: 'The spring pulls the mass back to x = 0 and linear drag makes each swing smaller.',
+        mass: 0.5, x0: 0.2, v0: 0, t1: 10,
+        forces: [{ kind: 'spring', k: 20, rest: 0 }, { kind: 'linearDrag', b: 0.4 }],
+    },
+};
+
+/**
+ * A force term of the given kind with its default parameters.
+ * @param {string} kind - key of `FORCE_TERMS`
+ * @returns {Object}
+ */
+function defaultForce(kind) {
+    const term = { kind };
+    for (const [name, p] of Object.entries(FORCE_TERMS[kind].params)) term[name] = p.value;
+    return term;
+}
+
+/**
+ * Short description of a force term, e.g. "Spring (k = 20 N/m, rest x = 0 m)".
+ * @param {{kind:string}} term
+ * @returns {string}
+ */
+function describeForce(term) {
+    const def = FORCE_TERMS[term.kind];
+    if (!def) return String(term.kind);
+    const params = Object.entries(def.params).map(([name, p]) => `${p.label} = ${term[name]}${p.unit ? ' ' + p.unit : ''}`);
+    return `${def.label} (${params.join(', ')})`;
+}
+
+/**
+ * What is wrong with a mass and list of force terms, if anything.
+ * @param {number} mass
+ * @param {Array<Object>} forces
+ * @returns {string|null} a message for the user, or null when they are valid
+ */
+function checkDynamics(mass, forces) {
+    if (!(mass > 0) || !Number.isFinite(mass)) return 'Mass must be > 0.';
+    if (!Array.isArray(forces)) return 'Forces must be a list.';
+    if (forces.length > MAX_FORCES) return `At most ${MAX_FORCES} force terms are supported.`;
+    for (const [i, term] of forces.entries()) {
+        const def = term && FORCE_TERMS[term.kind];
+        if (!def) return `Force ${i + 1}: unknown kind "${term && term.kind}".`;
+        for (const [name, p] of Object.entries(def.params)) {
+            if (!Number.isFinite(term[name])) return `Force ${i + 1} (${def.label}): ${p.label} must be a number.`;
+        }
+        if (term.kind === 'friction' && (term.muK < 0 || term.muS < 0 || term.g < 0)) return `Force ${i + 1} (Friction): μk, μs and g must be ≥ 0.`;
+        if (term.kind === 'linearDrag' && term.b < 0) return `Force ${i + 1} (Linear drag): b must be ≥ 0.`;
+        if (term.kind === 'quadraticDrag' && term.c < 0) return `Force ${i + 1} (Quadratic drag): c must be ≥ 0.`;
+    }
+    return null;
+}
+
+/**
+ * Force of one term that does not depend on friction (N).
+ * @param {Object} term
+ * @param {number} mass
+ * @param {number} x
+ * @param {number} v
+ * @returns {number}
+ */
+function appliedForce(term, mass, x, v) {
+    switch (term.kind) {
+    case 'push': return term.F;
+    case 'weight': return mass * term.g;
+    case 'linearDrag': return -term.b * v;
+    case 'quadraticDrag': return -term.c * v * Math.abs(v);
+    case 'spring': return -term.k * (x - term.rest);
+    default: return 0;
+    }
+}
+
+/**
+ * Every term's force and the net force at one state. Friction opposes the motion
+ * with μk·m·g; at rest it cancels the other forces up to μs·m·g in total (shared
+ * between friction terms in proportion to their μs) and otherwise acts kinetically
+ * against them.
+ * @param {Array<Object>} forces
+ * @param {number} mass
+ * @param {number} x
+ * @param {number} v
+ * @returns {{parts:number[], net:number, stuck:boolean}} `stuck` when static friction holds the body at rest
+ */
+function forceBreakdown(forces, mass, x, v) {
+    const parts = forces.map(term => appliedForce(term, mass, x, v));
+    const applied = parts.reduce((sum, f) => sum + f, 0);
+    const frictions = forces.map((term, i) => (term.kind === 'friction' ? i : -1)).filter(i => i >= 0);
+    let stuck = false;
+    if (frictions.length) {
+        const capacity = frictions.reduce((sum, i) => sum + forces[i].muS * mass * forces[i].g, 0);
+        stuck = v === 0 && Math.abs(applied) <= capacity;
+        const direction = v !== 0 ? Math.sign(v) : Math.sign(applied);
+        frictions.forEach(i => {
+            const term = forces[i];
+            if (stuck) parts[i] = capacity > 0 ? -applied * (term.muS * mass * term.g) / capacity : 0;
+            else parts[i] = -direction * term.muK * mass * term.g;
+        });
+    }
+    return { parts, net: parts.reduce((sum, f) => sum + f, 0), stuck };
+}
+
+/**
+ * Solve the motion of a mass under the given forces from (x0, v0) at t0 to t1 with
+ * a fixed step. When friction brings the body to rest within a step and static
+ * friction can hold it there, the step ends at the stop and the body stays at rest.
+ * @param {{mass:number, forces:Array<Object>, x0:number, v0:number, t0:number, t1:number, dt:number, integrator?:string}} p
+ *   `integrator` is a scheme of `integrators.js` (default `DEFAULT_INTEGRATOR`)
+ * @param {number} maxPoints - most samples
+ * @returns {{times:number[], xs:number[], vs:number[], as:number[], forces:Array<{kind:string, label:string, values:number[]}>,
+ *   net:number[], truncated:boolean}} samples, each term's force (N) and the net force
+ */
+function solveDynamics(p, maxPoints) {
+    const { mass, forces } = p;
+    const scheme = p.integrator || DEFAULT_INTEGRATOR;
+    const hasFriction = forces.some(term => term.kind === 'friction');
+    const accel = (t, x, v) => forceBreakdown(forces, mass, x, v).net / mass;
+    const times = [], xs = [], vs = [], as = [], net = [];
+    const parts = forces.map(() => []);
+    const round = (v) => Number(v.toFixed(8));
+    const record = (t, x, v) => {
+        const b = forceBreakdown(forces, mass, x, v);
+        times.push(round(t)); xs.push(round(x)); vs.push(round(v)); as.push(round(b.net / mass)); net.push(round(b.net));
+        b.parts.forEach((f, i) => parts[i].push(round(f)));
+    };
+    const steps = p.t1 >= p.t0 ? Math.floor((p.t1 - p.t0) / p.dt + 1e-9) : -1;
+    let x = p.x0, v = p.v0, truncated = false;
+    for (let k = 0; k <= steps; k++) {
+        const t = p.t0 + k * p.dt;
+        record(t, x, v);
+        if (times.length >= maxPoints) { truncated = k < steps; break; }
+        if (k === steps) break;
+        if (hasFriction && forceBreakdown(forces, mass, x, v).stuck) continue;
+        if (hasFriction && v !== 0) {
+            // friction stops the body within this step: step to the stop and let static friction hold it if it can
+            // (multi-stage steps would otherwise see friction flip direction and never reach v = 0)
+            const a0 = accel(t, x, v);
+            if (Math.sign(a0) === -Math.sign(v) && Math.abs(v) <= Math.abs(a0) * p.dt && forceBreakdown(forces, mass, x, 0).stuck) {
+                x = stepMotion(scheme, accel, t, x, v, -v / a0).x;
+                v = 0;
+                continue;
+            }
+        }
+        const next = stepMotion(scheme, accel, t, x, v, p.dt);
+        if (!Number.isFinite(next.x) || !Number.isFinite(next.v)) break;
+        if (hasFriction && v !== 0 && Math.sign(next.v) !== Math.sign(v) && forceBreakdown(forces, mass, next.x, 0).stuck) next.v = 0;
+        ({ x, v } = next);
+    }
+    return {
+        times, xs, vs, as, net, truncated,
+        forces: forces.map((term, i) => ({ kind: term.kind, label: describeForce(term), values: parts[i] })),
+    };
+}
+
+export {
+    FORCE_TERMS,
+    MAX_FORCES,
+    DEFAULT_MASS,
+    DYNAMICS_PRESETS,
+    defaultForce,
+    describeForce,
+    checkDynamics,
+    forceBreakdown,
+    solveDynamics,
+};
@@ -0,0 +1,229 @@
+/**
+ * resources/js/embed-bridge.js
+ * KINESO — attributes and postMessage API of the embeddable chart
+ *
+ * `<kineso-chart>` (see `kineso-chart.js`) takes its scenario from HTML
+ * attributes, and a host page that shows it in an iframe reads and sets that
+ * scenario with `window.postMessage`. Messages are plain objects whose `type`
+ * starts with `kineso:`:
+ * - host → widget: `kineso:get` (answered with `kineso:scenario`, holding the
+ *   scenario and the samples) and `kineso:set` with a `scenario` (answered with
+ *   `kineso:scenario`, or `kineso:error` and a `message` when it is invalid)
+ * - widget → host: `kineso:ready` once the widget listens, `kineso:change`
+ *   after every recomputation and `kineso:drag` after every drag
+ * A request may carry an `id`, copied into its answer, and a `widget`: the
+ * element id of the widget it is meant for when a frame holds several.
+ * Scenarios are objects as for `computeScenario`, in SI units.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+import { ExpressionError } from './expression.js';
+import { DEFAULT_SCENARIO, ScenarioError } from './kinematics-core.js';
+import { FORCE_TERMS, defaultForce } from './dynamics.js';
+
+/** Prefix of every message type. */
+const BRIDGE_PREFIX = 'kineso:';
+
+/** Messages the widget sends; a widget ignores them rather than answering with an error. */
+const NOTIFICATIONS = ['ready', 'change', 'drag', 'scenario', 'error'];
+
+/** Scenario keys set by a single attribute: attribute name → key. */
+const SCENARIO_ATTRIBUTES = {
+    mode: 'mode', x0: 'x0', v0: 'v0', a: 'a', t0: 't0', t1: 't1', dt: 'dt',
+    'expr-kind': 'exprKind', expr: 'expr', integrator: 'integrator',
+    speed: 'speed', angle: 'angle', h: 'h', g: 'g', mass: 'mass',
+};
+
+const NUMBER_KEYS = ['x0', 'v0', 'a', 't0', 't1', 'dt', 'speed', 'angle', 'h', 'g', 'mass'];
+const TEXT_KEYS = ['mode', 'exprKind', 'expr', 'integrator'];
+
+/**
+ * Origins allowed to use the bridge, from the `bridge` attribute.
+ * @param {string|null} text - space-separated origins, or `*` for any
+ * @returns {string[]}
+ */
+function parseOrigins(text) {
+    return String(text || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Whether a message from `origin` may use the bridge.
+ * @param {string} origin - `MessageEvent.origin`
+ * @param {string[]} origins - from `parseOrigins`
+ * @returns {boolean}
+ */
+function originAllowed(origin, origins) {
+    return origins.includes('*') || origins.includes(origin);
+}
+
+/**
+ * Motion phases from the `phases` attribute, written as for `--phase`:
+ * "4:a:1.5 3:t:0" (duration, `a` for an acceleration or `t` for a target velocity, value).
+ * @param {string} text
+ * @returns {Array<{duration:number, kind:'accel'|'target', value:number}>}
+ * @throws {ScenarioError}
+ */
+function parsePhases(text) {
+    return String(text).split(/\s+/).filter(Boolean).map(item => {
+        const parts = item.split(':');
+        const [duration, value] = [Number(parts[0]), Number(parts[2])];
+        if (parts.length !== 3 || !['a', 't'].includes(parts[1]) || parts[0] === '' || parts[2] === '' || !Number.isFinite(duration) || !Number.isFinite(value)) {
+            throw new ScenarioError(`Invalid phase "${item}": use <duration>:<a|t>:<value>.`);
+        }
+        return { duration, kind: parts[1] === 't' ? 'target' : 'accel', value };
+    });
+}
+
+/**
+ * Force terms from the `forces` attribute, written as for `--force`:
+ * "friction:0.3:0.5 spring:20" (kind, then parameters in the order of `FORCE_TERMS`;
+ * omitted ones keep their defaults).
+ * @param {string} text
+ * @returns {Array<{kind:string}>}
+ * @throws {ScenarioError}
+ */
+function parseForces(text) {
+    return String(text).split(/\s+/).filter(Boolean).map(item => {
+        const [kind, ...params] = item.split(':');
+        const names = Object.prototype.hasOwnProperty.call(FORCE_TERMS, kind) ? Object.keys(FORCE_TERMS[kind].params) : null;
+        if (!names) throw new ScenarioError(`Unknown force "${kind}".`);
+        if (params.length > names.length) throw new ScenarioError(`Force "${kind}" takes at most ${names.length} parameters (${names.join(':')}).`);
+        const term = defaultForce(kind);
+        params.forEach((value, i) => {
+            term[names[i]] = Number(value);
+            if (value === '' || !Number.isFinite(term[names[i]])) throw new ScenarioError(`Force "${kind}": ${names[i]} must be a number.`);
+        });
+        return term;
+    });
+}
+
+/**
+ * The scenario described by an element's attributes; attributes left out keep
+ * the defaults of `computeScenario`.
+ * @param {(name:string) => string|null} getAttribute
+ * @returns {Object} scenario keys that were given
+ * @throws {ScenarioError} for values that are not numbers where numbers are expected, or bad phases and forces
+ */
+function scenarioFromAttributes(getAttribute) {
+    const scenario = {};
+    for (const [name, key] of Object.entries(SCENARIO_ATTRIBUTES)) {
+        const text = getAttribute(name);
+        if (text === null) continue;
+        if (NUMBER_KEYS.includes(key)) {
+            const n = Number(text.trim());
+            if (text.trim() === '' || !Number.isFinite(n)) throw new ScenarioError(`Attribute "${name}" must be a number, got "${text}".`);
+            scenario[key] = n;
+        } else {
+            scenario[key] = text;
+        }
+    }
+    const phases = getAttribute('phases');
+    if (phases !== null) scenario.segments = parsePhases(phases);
+    const forces = getAttribute('forces');
+    if (forces !== null) scenario.forces = parseForces(forces);
+    return scenario;
+}
+
+/**
+ * Attribute values that describe a scenario, the reverse of `scenarioFromAttributes`.
+ * Keys equal to their default are left out.
+ * @param {Object} scenario
+ * @returns {Object<string, string>} attribute name → value
+ */
+function scenarioToAttributes(scenario) {
+    const attributes = {};
+    for (const [name, key] of Object.entries(SCENARIO_ATTRIBUTES)) {
+        if (scenario[key] !== undefined && scenario[key] !== DEFAULT_SCENARIO[key]) attributes[name] = String(scenario[key]);
+    }
+    if (scenario.segments && scenario.segments.length) {
+        attributes.phases = scenario.segments.map(s => `${s.duration}:${s.kind === 'target' ? 't' : 'a'}:${s.value}`).join(' ');
+    }
+    if (scenario.forces && scenario.forces.length) {
+        attributes.forces = scenario.forces.map(term => [term.kind, ...Object.keys(FORCE_TERMS[term.kind].params).map(name => term[name])].join(':')).join(' ');
+    }
+    return attributes;
+}
+
+/**
+ * Check the types of a scenario received from a host page and keep only known keys.
+ * Values are checked further by `computeScenario`.
+ * @param {*} raw
+ * @returns {Object}
+ * @throws {ScenarioError}
+ */
+function normalizeScenario(raw) {
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (!isObject(raw)) throw new ScenarioError('The scenario must be an object.');
+    const scenario = {};
+    for (const [key, value] of Object.entries(raw)) {
+        if (NUMBER_KEYS.includes(key)) {
+            if (!Number.isFinite(value)) throw new ScenarioError(`"${key}" must be a number.`);
+            scenario[key] = value;
+        } else if (TEXT_KEYS.includes(key)) {
+            if (typeof value !== 'string') throw new ScenarioError(`"${key}" must be a string.`);
+            scenario[key] = value;
+        } else if (key === 'segments') {
+            if (!Array.isArray(value)) throw new ScenarioError('"segments" must be an array.');
+            scenario.segments = value.map((s, i) => {
+                if (!isObject(s) || !['accel', 'target'].includes(s.kind) || !Number.isFinite(s.duration) || !Number.isFinite(s.value)) {
+                    throw new ScenarioError(`Segment ${i + 1} needs a duration, a kind ("accel" or "target") and a value.`);
+                }
+                return { duration: s.duration, kind: s.kind, value: s.value };
+            });
+        } else if (key === 'forces') {
+            if (!Array.isArray(value)) throw new ScenarioError('"forces" must be an array.');
+            scenario.forces = value.map((term, i) => {
+                if (!isObject(term) || !Object.prototype.hasOwnProperty.call(FORCE_TERMS, term.kind)) throw new ScenarioError(`Force ${i + 1} has an unknown kind.`);
+                const force = defaultForce(term.kind);
+                for (const name of Object.keys(FORCE_TERMS[term.kind].params)) if (term[name] !== undefined) force[name] = term[name];
+                return force;
+            });
+        }
+    }
+    return scenario;
+}
+
+/**
+ * Answer a message from the host page.
+ * @param {*} message - `MessageEvent.data`
+ * @param {{id:string, getScenario:() => Object, getData:() => Object, setScenario:(scenario:Object) => void}} widget
+ *   `setScenario` throws `ScenarioError` or `ExpressionError` for invalid scenarios
+ * @returns {Object|null} the answer, or null when the message is not a request for this widget
+ */
+function handleBridgeMessage(message, widget) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string' || !message.type.startsWith(BRIDGE_PREFIX)) return null;
+    if (message.widget !== undefined && message.widget !== widget.id) return null;
+    const request = message.type.slice(BRIDGE_PREFIX.length);
+    if (NOTIFICATIONS.includes(request)) return null;
+    const reply = (type, body) => ({
+        type: BRIDGE_PREFIX + type,
+        ...(message.id !== undefined ? { id: message.id } : {}),
+        ...(widget.id ? { widget: widget.id } : {}),
+        ...body,
+    });
+    if (request === 'get') return reply('scenario', { scenario: widget.getScenario(), data: widget.getData() });
+    if (request === 'set') {
+        try {
+            widget.setScenario(normalizeScenario(message.scenario));
+        } catch (err) {
+            if (!(err instanceof ScenarioError) && !(err instanceof ExpressionError)) throw err;
+            return reply('error', { message: err.message });
+        }
+        return reply('scenario', { scenario: widget.getScenario(), data: widget.getData() });
+    }
+    return reply('error', { message: `Unknown request "${message.type}".` });
+}
+
+export {
+    BRIDGE_PREFIX,
+    SCENARIO_ATTRIBUTES,
+    parseOrigins,
+    originAllowed,
+    parsePhases,
+    parseForces,
+    scenarioFromAttributes,
+    scenarioToAttributes,
+    normalizeScenario,
+    handleBridgeMessage,
+};
@@ -0,0 +1,219 @@
+/**
+ * resources/js/events.js
+ * KINESO — event solver
+ *
+ * Finds the times at which x, v or a reach a target value, e.g. "when does x
+ * reach 50 m?", "when does v = 0?" or "when does the object return to its
+ * start?". Constant-acceleration motion (the plain form values or motion
+ * phases) is solved exactly from its pieces; any other series (expressions,
+ * dragged points, imported data) by locating sign changes between samples and
+ * interpolating linearly, the same interpolation `sampleAt` uses for playback.
+ *
+ * Values are in SI. This module has no DOM or Chart.js dependencies.
+ */
+
+import { resolveSegments } from './kinematics-core.js';
+
+/** Most events defined at once. */
+const MAX_EVENTS = 8;
+
+/** Kinds of event: a target value of x, v or a, or a return to the starting position. */
+const EVENT_KINDS = ['x', 'v', 'a', 'start'];
+
+/** Quantity of the value of each event kind (`start` has no value). */
+const EVENT_QUANTITIES = { x: 'length', v: 'velocity', a: 'acceleration', start: null };
+
+/** Two crossings closer than this (s) are the same one, e.g. a root on a phase boundary. */
+const SAME_TIME = 1e-9;
+
+/**
+ * Constant-acceleration pieces of a linear scenario (SI), in the form returned by
+ * `resolveSegments`: within a piece x = x0 + v0·τ + ½·a·τ² with τ = t − t0.
+ * @param {{x0:number, v0:number, a:number, t0:number, t1:number, segments?:Array<Object>}} scenario
+ * @returns {Array<{t0:number, t1:number, x0:number, v0:number, a:number}>}
+ */
+function constantPieces(scenario) {
+    const { x0, v0, a, t0 = 0, t1, segments } = scenario;
+    if (segments && segments.length) return resolveSegments(x0, v0, segments, t0);
+    // computeKinematics measures t from zero; re-base the piece on t0
+    return [{ t0, t1, x0: x0 + v0 * t0 + 0.5 * a * t0 * t0, v0: v0 + a * t0, a }];
+}
+
+/**
+ * Value of a quantity and of its rate of change at τ into a piece.
+ * @param {{x0:number, v0:number, a:number}} p
+ * @param {'x'|'v'|'a'} quantity
+ * @param {number} tau
+ * @returns {{value:number, rate:number}}
+ */
+function pieceValue(p, quantity, tau) {
+    if (quantity === 'x') return { value: p.x0 + p.v0 * tau + 0.5 * p.a * tau * tau, rate: p.v0 + p.a * tau };
+    if (quantity === 'v') return { value: p.v0 + p.a * tau, rate: p.a };
+    return { value: p.a, rate: 0 };
+}
+
+/**
+ * Real roots of c2·τ² + c1·τ + c0 = 0 in ascending order; a double root is
+ * returned once. An identically zero polynomial has no roots here (the caller
+ * treats it as holding the value).
+ * @param {number} c2
+ * @param {number} c1
+ * @param {number} c0
+ * @returns {number[]}
+ */
+function polynomialRoots(c2, c1, c0) {
+    if (c2 === 0) return c1 === 0 ? [] : [-c0 / c1];
+    const disc = c1 * c1 - 4 * c2 * c0;
+    const scale = c1 * c1 + Math.abs(4 * c2 * c0);
+    if (Math.abs(disc) <= 1e-12 * scale) return [-c1 / (2 * c2)];
+    if (disc < 0) return [];
+    // numerically stable form, avoiding cancellation between -c1 and sqrt(disc)
+    const q = -0.5 * (c1 + (c1 >= 0 ? 1 : -1) * Math.sqrt(disc));
+    const r1 = q / c2;
+    const r2 = q !== 0 ? c0 / q : -r1;
+    return r1 < r2 ? [r1, r2] : [r2, r1];
+}
+
+/**
+ * Direction of a crossing from the signs of the difference to the target
+ * just before and just after it.
+ * @param {number} before
+ * @param {number} after
+ * @returns {'up'|'down'|'touch'}
+ */
+function direction(before, after) {
+    if (before < 0 && after > 0) return 'up';
+    if (before > 0 && after < 0) return 'down';
+    if (before === 0 || Number.isNaN(before)) return after > 0 ? 'up' : after < 0 ? 'down' : 'touch';
+    if (after === 0 || Number.isNaN(after)) return before < 0 ? 'up' : before > 0 ? 'down' : 'touch';
+    return 'touch';
+}
+
+/**
+ * Append a crossing unless it repeats the previous one; holds that continue
+ * each other are merged.
+ * @param {Array<Object>} out
+ * @param {{t:number, direction:string, until?:number}} crossing
+ */
+function pushCrossing(out, crossing) {
+    const last = out[out.length - 1];
+    if (last && last.direction === 'hold' && crossing.t <= last.until + SAME_TIME) {
+        if (crossing.direction === 'hold') last.until = Math.max(last.until, crossing.until);
+        return;
+    }
+    if (last && Math.abs(crossing.t - last.t) <= SAME_TIME) {
+        if (crossing.direction === 'hold') out[out.length - 1] = crossing;
+        return;
+    }
+    out.push(crossing);
+}
+
+/**
+ * Exact times at which a quantity of constant-acceleration motion equals a target.
+ * Roots inside each piece come from the quadratic (x) or linear (v) equation;
+ * jumps across the target at a phase boundary (a) count as crossings there.
+ * Only times within [tMin, tMax] are reported.
+ * @param {Array<{t0:number, t1:number, x0:number, v0:number, a:number}>} pieces - from `constantPieces`
+ * @param {'x'|'v'|'a'} quantity
+ * @param {number} target
+ * @param {number} tMin
+ * @param {number} tMax
+ * @returns {Array<{t:number, direction:'up'|'down'|'touch'|'hold', until?:number}>}
+ */
+function exactCrossings(pieces, quantity, target, tMin, tMax) {
+    const out = [];
+    const tol = 1e-9 * Math.max(1, Math.abs(target));
+    pieces.forEach((p, k) => {
+        const from = Math.max(p.t0, tMin), to = Math.min(p.t1, tMax);
+        if (from > to + SAME_TIME) return;
+        if (k > 0) {
+            // a value that jumps over the target between pieces
+            const prev = pieces[k - 1];
+            const before = pieceValue(prev, quantity, prev.t1 - prev.t0).value - target;
+            const after = pieceValue(p, quantity, 0).value - target;
+            if (p.t0 >= tMin && Math.abs(before) > tol && Math.abs(after) > tol && Math.sign(before) !== Math.sign(after)) {
+                pushCrossing(out, { t: p.t0, direction: direction(before, after) });
+            }
+        }
+        const c = quantity === 'x' ? [0.5 * p.a, p.v0, p.x0 - target] : quantity === 'v' ? [0, p.a, p.v0 - target] : [0, 0, p.a - target];
+        if (c[0] === 0 && c[1] === 0) {
+            if (Math.abs(c[2]) <= tol) pushCrossing(out, { t: from, direction: 'hold', until: to });
+            return;
+        }
+        for (const tau of polynomialRoots(c[0], c[1], c[2])) {
+            const t = p.t0 + tau;
+            if (t < from - SAME_TIME || t > to + SAME_TIME) continue;
+            const { rate } = pieceValue(p, quantity, tau);
+            // a zero rate at a root of x means the value only touches the target (turning point)
+            const dir = rate > 0 ? 'up' : rate < 0 ? 'down' : 'touch';
+            pushCrossing(out, { t: Math.min(Math.max(t, from), to), direction: dir });
+        }
+    });
+    return out;
+}
+
+/**
+ * Times at which sampled values equal a target: samples equal to it and sign
+ * changes of the difference, interpolated linearly between samples. A run of
+ * equal samples is reported once as a hold.
+ * @param {number[]} times - ascending
+ * @param {number[]} values
+ * @param {number} target
+ * @returns {Array<{t:number, direction:'up'|'down'|'touch'|'hold', until?:number}>}
+ */
+function sampledCrossings(times, values, target) {
+    const out = [];
+    const n = Math.min(times.length, values.length);
+    const tol = 1e-9 * Math.max(1, Math.abs(target));
+    const d = (i) => {
+        const diff = values[i] - target;
+        return Math.abs(diff) <= tol ? 0 : diff;
+    };
+    let i = 0;
+    while (i < n) {
+        if (d(i) === 0) {
+            let j = i;
+            while (j + 1 < n && d(j + 1) === 0) j++;
+            if (j > i) out.push({ t: times[i], direction: 'hold', until: times[j] });
+            else out.push({ t: times[i], direction: direction(i > 0 ? d(i - 1) : NaN, i + 1 < n ? d(i + 1) : NaN) });
+            i = j + 1;
+            continue;
+        }
+        if (i + 1 < n && d(i + 1) !== 0 && Math.sign(d(i)) !== Math.sign(d(i + 1))) {
+            const f = d(i) / (d(i) - d(i + 1));
+            out.push({ t: times[i] + f * (times[i + 1] - times[i]), direction: d(i + 1) > 0 ? 'up' : 'down' });
+        }
+        i++;
+    }
+    return out;
+}
+
+/**
+ * Solve one event on a series.
+ * With `pieces` (constant-acceleration motion) the roots are exact; otherwise
+ * they are found numerically on the samples. A `start` event looks for x equal
+ * to its value at the first sample, after that sample.
+ * @param {{kind:'x'|'v'|'a'|'start', value?:number}} event - value in SI
+ * @param {{times:number[], xs:number[], vs:number[], as:number[], pieces?:Array<Object>|null}} data
+ * @returns {Array<{t:number, direction:'up'|'down'|'touch'|'hold', until?:number}>} crossings in time order
+ */
+function solveEvent(event, data) {
+    const { times } = data;
+    if (!times.length) return [];
+    const quantity = event.kind === 'start' ? 'x' : event.kind;
+    const series = { x: data.xs, v: data.vs, a: data.as }[quantity];
+    if (!series) return [];
+    const tMin = times[0], tMax = times[times.length - 1];
+    let target = Number(event.value) || 0;
+    if (event.kind === 'start') {
+        target = data.pieces && data.pieces.length ? pieceValue(data.pieces[0], 'x', tMin - data.pieces[0].t0).value : series[0];
+    }
+    const crossings = data.pieces && data.pieces.length
+        ? exactCrossings(data.pieces, quantity, target, tMin, tMax)
+        : sampledCrossings(times, series, target);
+    if (event.kind !== 'start') return crossings;
+    // the start itself (or resting there from the start) is not a return
+    return crossings.filter(c => c.t > tMin + SAME_TIME);
+}
+
+export { MAX_EVENTS, EVENT_KINDS, EVENT_QUANTITIES, constantPieces, polynomialRoots, exactCrossings, sampledCrossings, solveEvent };
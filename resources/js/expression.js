@@ -0,0 +1,524 @@
+/**
+ * resources/js/expression.js
+ * KINESO — sandboxed math-expression parser
+ *
+ * Parses user-typed formulas such as `3*sin(0.5*t)` or `2*t^3 - t` into a small
+ * AST without using `eval` or `Function`. The AST can be evaluated, differentiated
+ * symbolically, integrated for a handful of common forms, simplified and printed.
+ *
+ * Supported syntax:
+ * - numbers (`2`, `0.5`, `1e-3`), the variable `t`, constants `pi` and `e`
+ * - `+ - * /`, `^` (or `**`, right associative), unary minus, parentheses
+ * - implicit multiplication after a number or closing parenthesis (`2t`, `3sin(t)`, `(t+1)(t-1)`)
+ * - functions listed in `FUNCTIONS` (`sin`, `cos`, `exp`, `ln`, `sqrt`, `min`, ...)
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+/** Maximum accepted source length, keeps pathological input away from the parser. */
+const MAX_SOURCE_LENGTH = 500;
+/** Maximum nesting depth of parentheses / unary operators. */
+const MAX_DEPTH = 64;
+
+/**
+ * Error raised for invalid expressions. `pos` is the 0-based character offset
+ * of the offending token (or -1 when the problem is not tied to one position).
+ */
+class ExpressionError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [pos=-1]
+     */
+    constructor(message, pos = -1) {
+        super(pos >= 0 ? `${message} (at character ${pos + 1})` : message);
+        this.name = 'ExpressionError';
+        this.pos = pos;
+    }
+}
+
+/** Named constants available in expressions. */
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * Functions available in expressions, keyed by name, with their arity.
+ * `log` is the base-10 logarithm; use `ln` for the natural logarithm.
+ */
+const FUNCTIONS = {
+    sin: { arity: 1, fn: Math.sin },
+    cos: { arity: 1, fn: Math.cos },
+    tan: { arity: 1, fn: Math.tan },
+    asin: { arity: 1, fn: Math.asin },
+    acos: { arity: 1, fn: Math.acos },
+    atan: { arity: 1, fn: Math.atan },
+    sinh: { arity: 1, fn: Math.sinh },
+    cosh: { arity: 1, fn: Math.cosh },
+    tanh: { arity: 1, fn: Math.tanh },
+    exp: { arity: 1, fn: Math.exp },
+    ln: { arity: 1, fn: Math.log },
+    log: { arity: 1, fn: Math.log10 },
+    sqrt: { arity: 1, fn: Math.sqrt },
+    abs: { arity: 1, fn: Math.abs },
+    sign: { arity: 1, fn: Math.sign },
+    floor: { arity: 1, fn: Math.floor },
+    ceil: { arity: 1, fn: Math.ceil },
+    round: { arity: 1, fn: Math.round },
+    min: { arity: 2, fn: Math.min },
+    max: { arity: 2, fn: Math.max },
+    atan2: { arity: 2, fn: Math.atan2 },
+    pow: { arity: 2, fn: Math.pow },
+};
+
+// --- tokenizer ---
+/**
+ * Split source text into tokens.
+ * @param {string} src
+ * @returns {Array<{type:'num'|'ident'|'op'|'('|')'|','|'end', value?:any, pos:number}>}
+ */
+function tokenize(src) {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+        const c = src[i];
+        if (/\s/.test(c)) { i++; continue; }
+        const num = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(src.slice(i));
+        if (num) { tokens.push({ type: 'num', value: parseFloat(num[0]), pos: i }); i += num[0].length; continue; }
+        const ident = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+        if (ident) { tokens.push({ type: 'ident', value: ident[0], pos: i }); i += ident[0].length; continue; }
+        if (src.startsWith('**', i)) { tokens.push({ type: 'op', value: '^', pos: i }); i += 2; continue; }
+        if ('+-*/^'.includes(c)) { tokens.push({ type: 'op', value: c, pos: i }); i++; continue; }
+        if (c === '(' || c === ')' || c === ',') { tokens.push({ type: c, pos: i }); i++; continue; }
+        throw new ExpressionError(`Unexpected character '${c}'`, i);
+    }
+    tokens.push({ type: 'end', pos: src.length });
+    return tokens;
+}
+
+// --- AST constructors ---
+const num = (value, name) => (name ? { type: 'num', value, name } : { type: 'num', value });
+const variable = (name) => ({ type: 'var', name });
+const op = (o, left, right) => ({ type: 'op', op: o, left, right });
+const neg = (arg) => ({ type: 'neg', arg });
+const call = (name, ...args) => ({ type: 'call', name, args });
+
+// --- parser ---
+/**
+ * Parse an expression into an AST.
+ * @param {string} src - expression text
+ * @param {{variables?: string[]}} [opts] - allowed variable names (default `['t']`)
+ * @returns {Object} AST root node
+ * @throws {ExpressionError} on any syntax error, unknown name or wrong arity
+ */
+function parseExpression(src, opts = {}) {
+    const variables = opts.variables || ['t'];
+    if (typeof src !== 'string' || !src.trim()) throw new ExpressionError('Expression is empty');
+    if (src.length > MAX_SOURCE_LENGTH) throw new ExpressionError(`Expression is longer than ${MAX_SOURCE_LENGTH} characters`);
+    const tokens = tokenize(src);
+    let k = 0;
+    let depth = 0;
+    const peek = () => tokens[k];
+    const next = () => tokens[k++];
+    const expect = (type) => {
+        const tok = next();
+        if (tok.type !== type) throw new ExpressionError(type === ')' ? 'Missing closing parenthesis' : `Expected '${type}'`, tok.pos);
+        return tok;
+    };
+    const enter = (pos) => { if (++depth > MAX_DEPTH) throw new ExpressionError('Expression is nested too deeply', pos); };
+    const startsPrimary = (tok) => tok.type === 'num' || tok.type === 'ident' || tok.type === '(';
+
+    function parseSum() {
+        let left = parseProduct();
+        while (peek().type === 'op' && (peek().value === '+' || peek().value === '-')) {
+            const o = next().value;
+            left = op(o, left, parseProduct());
+        }
+        return left;
+    }
+
+    function parseProduct() {
+        let left = parseUnary();
+        for (;;) {
+            const tok = peek();
+            if (tok.type === 'op' && (tok.value === '*' || tok.value === '/')) {
+                next();
+                left = op(tok.value, left, parseUnary());
+            } else if (startsPrimary(tok) && endsImplicitFactor(tokens[k - 1])) {
+                left = op('*', left, parseUnary());
+            } else {
+                return left;
+            }
+        }
+    }
+
+    // implicit multiplication is only allowed after a number or ')' to keep `t t` an error
+    function endsImplicitFactor(tok) { return tok && (tok.type === 'num' || tok.type === ')'); }
+
+    function parseUnary() {
+        const tok = peek();
+        if (tok.type === 'op' && (tok.value === '-' || tok.value === '+')) {
+            next();
+            enter(tok.pos);
+            const arg = parseUnary();
+            depth--;
+            return tok.value === '-' ? neg(arg) : arg;
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePrimary();
+        if (peek().type === 'op' && peek().value === '^') {
+            next();
+            return op('^', base, parseUnary());
+        }
+        return base;
+    }
+
+    function parsePrimary() {
+        const tok = next();
+        if (tok.type === 'num') return num(tok.value);
+        if (tok.type === '(') {
+            enter(tok.pos);
+            const inner = parseSum();
+            expect(')');
+            depth--;
+            return inner;
+        }
+        if (tok.type === 'ident') {
+            const name = tok.value;
+            if (peek().type === '(') {
+                const def = Object.hasOwn(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+                if (!def) throw new ExpressionError(`Unknown function '${name}'`, tok.pos);
+                enter(tok.pos);
+                next();
+                const args = [parseSum()];
+                while (peek().type === ',') { next(); args.push(parseSum()); }
+                expect(')');
+                depth--;
+                if (args.length !== def.arity) throw new ExpressionError(`${name}() expects ${def.arity} argument${def.arity === 1 ? '' : 's'}, got ${args.length}`, tok.pos);
+                return name === 'pow' ? op('^', args[0], args[1]) : call(name, ...args);
+            }
+            if (variables.includes(name)) return variable(name);
+            if (Object.hasOwn(CONSTANTS, name)) return num(CONSTANTS[name], name);
+            if (Object.hasOwn(FUNCTIONS, name)) throw new ExpressionError(`Function '${name}' needs parentheses, e.g. ${name}(t)`, tok.pos);
+            throw new ExpressionError(`Unknown name '${name}'`, tok.pos);
+        }
+        if (tok.type === 'end') throw new ExpressionError('Unexpected end of expression', tok.pos);
+        throw new ExpressionError(`Unexpected '${tok.type === 'op' ? tok.value : tok.type}'`, tok.pos);
+    }
+
+    const ast = parseSum();
+    const rest = peek();
+    if (rest.type !== 'end') throw new ExpressionError(rest.type === ')' ? 'Unmatched closing parenthesis' : `Unexpected '${rest.value !== undefined ? rest.value : rest.type}'`, rest.pos);
+    return ast;
+}
+
+// --- evaluation ---
+/**
+ * Compile an AST into a plain JavaScript function of one variable.
+ * @param {Object} node - AST node
+ * @param {string} [name='t'] - variable name bound to the function argument
+ * @returns {(value:number) => number}
+ */
+function compileExpression(node, name = 't') {
+    switch (node.type) {
+        case 'num': { const v = node.value; return () => v; }
+        case 'var': return node.name === name ? (t) => t : () => NaN;
+        case 'neg': { const f = compileExpression(node.arg, name); return (t) => -f(t); }
+        case 'op': {
+            const l = compileExpression(node.left, name);
+            const r = compileExpression(node.right, name);
+            switch (node.op) {
+                case '+': return (t) => l(t) + r(t);
+                case '-': return (t) => l(t) - r(t);
+                case '*': return (t) => l(t) * r(t);
+                case '/': return (t) => l(t) / r(t);
+                default: return (t) => Math.pow(l(t), r(t));
+            }
+        }
+        case 'call': {
+            const fn = FUNCTIONS[node.name].fn;
+            const args = node.args.map(a => compileExpression(a, name));
+            return args.length === 1 ? (t) => fn(args[0](t)) : (t) => fn(...args.map(a => a(t)));
+        }
+        default: throw new ExpressionError(`Unknown node type '${node.type}'`);
+    }
+}
+
+/**
+ * Whether the AST references the given variable.
+ * @param {Object} node
+ * @param {string} [name='t']
+ * @returns {boolean}
+ */
+function dependsOn(node, name = 't') {
+    switch (node.type) {
+        case 'var': return node.name === name;
+        case 'neg': return dependsOn(node.arg, name);
+        case 'op': return dependsOn(node.left, name) || dependsOn(node.right, name);
+        case 'call': return node.args.some(a => dependsOn(a, name));
+        default: return false;
+    }
+}
+
+// --- simplification ---
+const isNum = (node, value) => node.type === 'num' && (value === undefined || node.value === value);
+
+/**
+ * Fold constants and drop neutral terms (`x+0`, `1*x`, `x^1`, ...).
+ * Keeps named constants such as `pi` unless they combine with another number.
+ * @param {Object} node
+ * @returns {Object} simplified AST
+ */
+function simplify(node) {
+    switch (node.type) {
+        case 'neg': {
+            const arg = simplify(node.arg);
+            if (isNum(arg) && !arg.name) return num(-arg.value);
+            if (arg.type === 'neg') return arg.arg;
+            if (arg.type === 'op' && arg.op === '*' && isNum(arg.left) && !arg.left.name) return op('*', num(-arg.left.value), arg.right);
+            return neg(arg);
+        }
+        case 'call': {
+            const args = node.args.map(simplify);
+            if (args.every(a => isNum(a))) return num(FUNCTIONS[node.name].fn(...args.map(a => a.value)));
+            return call(node.name, ...args);
+        }
+        case 'op': {
+            const l = simplify(node.left);
+            const r = simplify(node.right);
+            if (isNum(l) && isNum(r) && !l.name && !r.name) return num(compileExpression(op(node.op, l, r))(0));
+            switch (node.op) {
+                case '+':
+                    if (isNum(l, 0)) return r;
+                    if (isNum(r, 0)) return l;
+                    if (r.type === 'neg') return op('-', l, r.arg);
+                    if (r.type === 'op' && r.op === '*' && isNum(r.left) && !r.left.name && r.left.value < 0) return op('-', l, simplify(op('*', num(-r.left.value), r.right)));
+                    break;
+                case '-':
+                    if (isNum(r, 0)) return l;
+                    if (isNum(l, 0)) return simplify(neg(r));
+                    if (r.type === 'neg') return op('+', l, r.arg);
+                    break;
+                case '*':
+                    if (isNum(l, 0) || isNum(r, 0)) return num(0);
+                    if (isNum(l, 1)) return r;
+                    if (isNum(r, 1)) return l;
+                    if (isNum(l, -1)) return simplify(neg(r));
+                    if (isNum(r, -1)) return simplify(neg(l));
+                    if (l.type === 'neg' || r.type === 'neg') return simplify(neg(op('*', l.type === 'neg' ? l.arg : l, r.type === 'neg' ? r.arg : r)));
+                    // keep numeric factors in front: t*3 -> 3*t
+                    if (isNum(r) && !isNum(l)) return simplify(op('*', r, l));
+                    // merge numeric coefficients: 3*(0.5*x) -> 1.5*x
+                    if (isNum(l) && !l.name && r.type === 'op' && r.op === '*' && isNum(r.left) && !r.left.name) return op('*', num(l.value * r.left.value), r.right);
+                    // and numeric divisors: 3*(x/0.5) -> 6*x
+                    if (isNum(l) && !l.name && r.type === 'op' && r.op === '/' && isNum(r.right) && !r.right.name) return simplify(op('*', num(l.value / r.right.value), r.left));
+                    break;
+                case '/':
+                    if (isNum(l, 0)) return num(0);
+                    if (isNum(r, 1)) return l;
+                    if (l.type === 'neg') return simplify(neg(op('/', l.arg, r)));
+                    if (isNum(r) && !r.name && r.value < 0) return simplify(neg(op('/', l, num(-r.value))));
+                    // fold a numeric divisor into a leading coefficient: (2*x)/4 -> 0.5*x
+                    if (isNum(r) && !r.name && l.type === 'op' && l.op === '*' && isNum(l.left) && !l.left.name) return op('*', num(l.left.value / r.value), l.right);
+                    // (x/2)/4 -> x/8
+                    if (isNum(r) && !r.name && l.type === 'op' && l.op === '/' && isNum(l.right) && !l.right.name) return simplify(op('/', l.left, num(l.right.value * r.value)));
+                    break;
+                case '^':
+                    if (isNum(r, 0)) return num(1);
+                    if (isNum(r, 1)) return l;
+                    break;
+            }
+            return op(node.op, l, r);
+        }
+        default: return node;
+    }
+}
+
+// --- calculus ---
+/**
+ * Symbolic derivative of an AST with respect to `name`.
+ * Returns `null` for functions without a usable closed-form derivative
+ * (`min`, `max`), so callers can fall back to numerical differentiation.
+ * @param {Object} node
+ * @param {string} [name='t']
+ * @returns {Object|null} simplified derivative AST
+ */
+function differentiate(node, name = 't') {
+    const d = (n) => derive(n, name);
+    function derive(n) {
+        if (!dependsOn(n, name)) return num(0);
+        switch (n.type) {
+            case 'var': return num(1);
+            case 'neg': { const da = d(n.arg); return da && neg(da); }
+            case 'op': {
+                const { left: f, right: g } = n;
+                const df = d(f), dg = d(g);
+                if (!df || !dg) return null;
+                switch (n.op) {
+                    case '+': return op('+', df, dg);
+                    case '-': return op('-', df, dg);
+                    case '*': return op('+', op('*', df, g), op('*', f, dg));
+                    case '/': return op('/', op('-', op('*', df, g), op('*', f, dg)), op('^', g, num(2)));
+                    default:
+                        if (!dependsOn(g, name)) return op('*', op('*', g, op('^', f, op('-', g, num(1)))), df);
+                        if (!dependsOn(f, name)) return op('*', op('*', call('ln', f), n), dg);
+                        return op('*', n, op('+', op('*', dg, call('ln', f)), op('/', op('*', g, df), f)));
+                }
+            }
+            case 'call': {
+                const u = n.args[0];
+                const du = d(u);
+                if (!du) return null;
+                const chain = (outer) => op('*', outer, du);
+                switch (n.name) {
+                    case 'sin': return chain(call('cos', u));
+                    case 'cos': return chain(neg(call('sin', u)));
+                    case 'tan': return op('/', du, op('^', call('cos', u), num(2)));
+                    case 'asin': return op('/', du, call('sqrt', op('-', num(1), op('^', u, num(2)))));
+                    case 'acos': return neg(op('/', du, call('sqrt', op('-', num(1), op('^', u, num(2))))));
+                    case 'atan': return op('/', du, op('+', num(1), op('^', u, num(2))));
+                    case 'sinh': return chain(call('cosh', u));
+                    case 'cosh': return chain(call('sinh', u));
+                    case 'tanh': return op('/', du, op('^', call('cosh', u), num(2)));
+                    case 'exp': return chain(n);
+                    case 'ln': return op('/', du, u);
+                    case 'log': return op('/', du, op('*', u, call('ln', num(10))));
+                    case 'sqrt': return op('/', du, op('*', num(2), n));
+                    case 'abs': return chain(call('sign', u));
+                    case 'sign': case 'floor': case 'ceil': case 'round': return num(0);
+                    case 'atan2': {
+                        const [y, x] = n.args;
+                        const dy = d(y), dx = d(x);
+                        if (!dy || !dx) return null;
+                        return op('/', op('-', op('*', x, dy), op('*', y, dx)), op('+', op('^', x, num(2)), op('^', y, num(2))));
+                    }
+                    default: return null;
+                }
+            }
+            default: return num(0);
+        }
+    }
+    const result = d(node);
+    return result && simplify(result);
+}
+
+/**
+ * Symbolic antiderivative for common forms: polynomials, sums, constant
+ * multiples, `1/t`, `b^(k*t+c)` and `sin`/`cos`/`exp`/`sinh`/`cosh` of a linear
+ * argument. Returns `null` when no rule applies so callers can integrate numerically.
+ * @param {Object} node
+ * @param {string} [name='t']
+ * @returns {Object|null} simplified antiderivative AST (integration constant omitted)
+ */
+function integrate(node, name = 't') {
+    // Returns the constant slope k when u = k*t + c, otherwise null
+    const linearSlope = (u) => {
+        const du = differentiate(u, name);
+        return du && !dependsOn(du, name) && !isNum(du, 0) ? du : null;
+    };
+    function anti(n) {
+        if (!dependsOn(n, name)) return op('*', n, variable(name));
+        switch (n.type) {
+            case 'var': return op('/', op('^', n, num(2)), num(2));
+            case 'neg': { const a = anti(n.arg); return a && neg(a); }
+            case 'op': {
+                const { left: f, right: g } = n;
+                if (n.op === '+' || n.op === '-') {
+                    const af = anti(f), ag = anti(g);
+                    return af && ag && op(n.op, af, ag);
+                }
+                if (n.op === '*') {
+                    if (!dependsOn(f, name)) { const ag = anti(g); return ag && op('*', f, ag); }
+                    if (!dependsOn(g, name)) { const af = anti(f); return af && op('*', af, g); }
+                    return null;
+                }
+                if (n.op === '/') {
+                    if (!dependsOn(g, name)) { const af = anti(f); return af && op('/', af, g); }
+                    const k = linearSlope(g);
+                    if (!dependsOn(f, name) && k) return op('/', op('*', f, call('ln', call('abs', g))), k);
+                    return null;
+                }
+                // power
+                if (!dependsOn(g, name)) {
+                    const k = linearSlope(f);
+                    if (!k) return null;
+                    const exponent = simplify(g);
+                    if (isNum(exponent, -1)) return op('/', call('ln', call('abs', f)), k);
+                    const n1 = op('+', g, num(1));
+                    return op('/', op('^', f, n1), op('*', n1, k));
+                }
+                if (!dependsOn(f, name)) {
+                    const k = linearSlope(g);
+                    return k && op('/', n, op('*', k, call('ln', f)));
+                }
+                return null;
+            }
+            case 'call': {
+                if (n.args.length !== 1) return null;
+                const u = n.args[0];
+                const k = linearSlope(u);
+                if (!k) return null;
+                switch (n.name) {
+                    case 'sin': return op('/', neg(call('cos', u)), k);
+                    case 'cos': return op('/', call('sin', u), k);
+                    case 'exp': return op('/', n, k);
+                    case 'sinh': return op('/', call('cosh', u), k);
+                    case 'cosh': return op('/', call('sinh', u), k);
+                    default: return null;
+                }
+            }
+            default: return null;
+        }
+    }
+    const result = anti(node);
+    return result && simplify(result);
+}
+
+// --- printing ---
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, neg: 3, '^': 4 };
+
+/**
+ * Format a number compactly for display (at most 6 significant digits).
+ * @param {number} v
+ * @returns {string}
+ */
+function formatNumber(v) {
+    return String(Number(v.toPrecision(6)));
+}
+
+/**
+ * Print an AST back to expression syntax with minimal parentheses.
+ * @param {Object} node
+ * @returns {string}
+ */
+function formatExpression(node) {
+    const prec = (n) => (n.type === 'op' ? PRECEDENCE[n.op] : n.type === 'neg' || (n.type === 'num' && n.value < 0) ? PRECEDENCE.neg : 5);
+    const wrap = (n, min) => (prec(n) < min ? `(${formatExpression(n)})` : formatExpression(n));
+    switch (node.type) {
+        case 'num': return node.name || formatNumber(node.value);
+        case 'var': return node.name;
+        case 'neg': return '-' + wrap(node.arg, PRECEDENCE.neg + 1);
+        case 'call': return `${node.name}(${node.args.map(formatExpression).join(', ')})`;
+        case 'op': {
+            const p = PRECEDENCE[node.op];
+            if (node.op === '^') return `${wrap(node.left, p + 1)}^${wrap(node.right, p)}`;
+            const right = wrap(node.right, node.op === '-' || node.op === '/' ? p + 1 : p);
+            const sep = node.op === '*' || node.op === '/' ? node.op : ` ${node.op} `;
+            return `${wrap(node.left, p)}${sep}${right}`;
+        }
+        default: return '?';
+    }
+}
+
+export {
+    ExpressionError,
+    CONSTANTS,
+    FUNCTIONS,
+    parseExpression,
+    compileExpression,
+    dependsOn,
+    simplify,
+    differentiate,
+    integrate,
+    formatExpression,
+};
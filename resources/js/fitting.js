@@ -0,0 +1,169 @@
+/**
+ * resources/js/fitting.js
+ * KINESO — least-squares model fitting for position data
+ *
+ * Fits kinematic models to a sampled x(t) series and reports parameter
+ * standard errors, R² and residuals:
+ * - `linear`:    x = x0 + v0·t
+ * - `quadratic`: x = x0 + v0·t + ½·a·t²  (constant acceleration)
+ * - `piecewise`: two constant-acceleration phases joined with continuous x and v,
+ *                the switch time is chosen by a grid search over the samples
+ *
+ * Parameters refer to t = 0, matching `computeKinematics`. This module has
+ * no DOM or Chart.js dependencies.
+ */
+
+/** Switch times tried in the coarse pass of the two-phase fit, bounding its cost on long series. */
+const MAX_SWITCH_CANDIDATES = 200;
+
+/**
+ * Invert a small symmetric positive definite matrix (Gauss–Jordan).
+ * @param {number[][]} A
+ * @returns {number[][]|null} inverse, or null when the matrix is singular
+ */
+function invert(A) {
+    const n = A.length;
+    const M = A.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+    for (let c = 0; c < n; c++) {
+        let p = c;
+        for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+        if (Math.abs(M[p][c]) < 1e-14) return null;
+        [M[c], M[p]] = [M[p], M[c]];
+        const pivot = M[c][c];
+        for (let k = 0; k < 2 * n; k++) M[c][k] /= pivot;
+        for (let r = 0; r < n; r++) {
+            if (r === c || !M[r][c]) continue;
+            const f = M[r][c];
+            for (let k = 0; k < 2 * n; k++) M[r][k] -= f * M[c][k];
+        }
+    }
+    return M.map(row => row.slice(n));
+}
+
+/**
+ * Ordinary least squares for y ≈ X·β.
+ * @param {number[][]} X - design matrix, one row of basis values per sample
+ * @param {number[]} y - observations
+ * @returns {{beta:number[], cov:number[][], se:number[], fitted:number[], residuals:number[], sse:number, r2:number, dof:number}|null}
+ *   estimates with covariance σ²(XᵀX)⁻¹ and standard errors, or null when the problem is singular
+ */
+function leastSquares(X, y) {
+    const n = y.length;
+    const p = X[0] ? X[0].length : 0;
+    if (n < p || p === 0) return null;
+    // scale columns for conditioning, undo afterwards
+    const scale = new Array(p).fill(0);
+    for (const row of X) for (let j = 0; j < p; j++) scale[j] = Math.max(scale[j], Math.abs(row[j]));
+    for (let j = 0; j < p; j++) if (!scale[j]) return null;
+    const XtX = Array.from({ length: p }, () => new Array(p).fill(0));
+    const Xty = new Array(p).fill(0);
+    for (let i = 0; i < n; i++) {
+        const row = X[i].map((v, j) => v / scale[j]);
+        for (let r = 0; r < p; r++) {
+            Xty[r] += row[r] * y[i];
+            for (let c = 0; c < p; c++) XtX[r][c] += row[r] * row[c];
+        }
+    }
+    const inv = invert(XtX);
+    if (!inv) return null;
+    const beta = inv.map((row, r) => row.reduce((s, v, j) => s + v * Xty[j], 0) / scale[r]);
+    const fitted = X.map(row => row.reduce((s, v, j) => s + v * beta[j], 0));
+    const residuals = y.map((v, i) => v - fitted[i]);
+    const sse = residuals.reduce((s, r) => s + r * r, 0);
+    const mean = y.reduce((s, v) => s + v, 0) / n;
+    const sst = y.reduce((s, v) => s + (v - mean) * (v - mean), 0);
+    const dof = n - p;
+    const sigma2 = dof > 0 ? sse / dof : NaN;
+    const cov = inv.map((row, r) => row.map((v, c) => sigma2 * v / (scale[r] * scale[c])));
+    return {
+        beta,
+        cov,
+        se: cov.map((row, j) => Math.sqrt(row[j])),
+        fitted,
+        residuals,
+        sse,
+        r2: sst > 0 ? 1 - sse / sst : 1,
+        dof,
+    };
+}
+
+/**
+ * Fit a kinematic model to position samples.
+ * @param {number[]} times - sample times (s)
+ * @param {number[]} xs - positions (m)
+ * @param {'linear'|'quadratic'|'piecewise'} [model='quadratic']
+ * @returns {{model:string, params:Array<{name:string, value:number, se:number, unit:string}>, r2:number, rmse:number,
+ *   fitted:number[], residuals:number[], evaluate:(t:number) => number, switchTime?:number}}
+ * @throws {Error} when there are too few samples or the fit is degenerate
+ */
+function fitModel(times, xs, model = 'quadratic') {
+    const n = times.length;
+    const need = { linear: 3, quadratic: 4, piecewise: 8 }[model];
+    if (!need) throw new Error(`Unknown model '${model}'`);
+    if (n < need) throw new Error(`At least ${need} samples are needed for a ${model} fit.`);
+
+    if (model === 'piecewise') return fitPiecewise(times, xs);
+
+    const degree = model === 'linear' ? 1 : 2;
+    const X = times.map(t => (degree === 1 ? [1, t] : [1, t, t * t]));
+    const r = leastSquares(X, xs);
+    if (!r) throw new Error('The fit is degenerate – the time values must not all be equal.');
+    const [c0, c1, c2] = r.beta;
+    const params = [
+        { name: 'x0', value: c0, se: r.se[0], unit: 'm' },
+        { name: 'v0', value: c1, se: r.se[1], unit: 'm/s' },
+    ];
+    if (degree === 2) params.push({ name: 'a', value: 2 * c2, se: 2 * r.se[2], unit: 'm/s^2' });
+    const evaluate = degree === 1 ? (t) => c0 + c1 * t : (t) => c0 + c1 * t + c2 * t * t;
+    return { model, params, r2: r.r2, rmse: Math.sqrt(r.sse / n), fitted: r.fitted, residuals: r.residuals, evaluate };
+}
+
+/**
+ * Two constant-acceleration phases with continuous x and v:
+ * x = c0 + c1·t + c2·t² + c3·max(0, t − ts)². For every candidate switch time ts
+ * (interior samples, keeping at least 3 samples per phase) the model is linear,
+ * so the best ts is the one with the smallest residual sum of squares.
+ * Standard errors are conditional on the chosen switch time.
+ * @param {number[]} times
+ * @param {number[]} xs
+ */
+function fitPiecewise(times, xs) {
+    const n = times.length;
+    let best = null;
+    const tryIndex = (k) => {
+        const ts = times[k];
+        const X = times.map(t => { const d = Math.max(0, t - ts); return [1, t, t * t, d * d]; });
+        const r = leastSquares(X, xs);
+        if (r && (!best || r.sse < best.r.sse)) best = { k, ts, r };
+    };
+    // coarse pass over at most MAX_SWITCH_CANDIDATES samples, then every sample around the best one
+    const step = Math.max(1, Math.ceil((n - 6) / MAX_SWITCH_CANDIDATES));
+    for (let k = 3; k < n - 3; k += step) tryIndex(k);
+    if (best && step > 1) {
+        const centre = best.k;
+        for (let k = Math.max(3, centre - step + 1); k < Math.min(n - 3, centre + step); k++) if (k !== centre) tryIndex(k);
+    }
+    if (!best) throw new Error('The piecewise fit is degenerate.');
+    const { ts, r } = best;
+    const [c0, c1, c2, c3] = r.beta;
+    // a2 = 2(c2 + c3): its variance includes the c2/c3 covariance
+    const seA2 = 2 * Math.sqrt(r.cov[2][2] + r.cov[3][3] + 2 * r.cov[2][3]);
+    return {
+        model: 'piecewise',
+        params: [
+            { name: 'x0', value: c0, se: r.se[0], unit: 'm' },
+            { name: 'v0', value: c1, se: r.se[1], unit: 'm/s' },
+            { name: 'a1', value: 2 * c2, se: 2 * r.se[2], unit: 'm/s^2' },
+            { name: 'a2', value: 2 * (c2 + c3), se: seA2, unit: 'm/s^2' },
+            { name: 'ts', value: ts, se: NaN, unit: 's' },
+        ],
+        switchTime: ts,
+        r2: r.r2,
+        rmse: Math.sqrt(r.sse / n),
+        fitted: r.fitted,
+        residuals: r.residuals,
+        evaluate: (t) => { const d = Math.max(0, t - ts); return c0 + c1 * t + c2 * t * t + c3 * d * d; },
+    };
+}
+
+export { leastSquares, fitModel };
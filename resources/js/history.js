@@ -0,0 +1,68 @@
+/**
+ * resources/js/history.js
+ * KINESO — undo / redo history
+ *
+ * A linear list of entries with a cursor. Every entry describes the state
+ * *after* an edit (the first one is the initial state), so undo moves the
+ * cursor back and the caller restores the entry it lands on. Recording a new
+ * entry while the cursor is not at the end discards the redo branch.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+/** Entries kept before the oldest ones are dropped. */
+const HISTORY_LIMIT = 100;
+
+/**
+ * Create an empty history. With `weigh`, the oldest entries are also dropped
+ * while the entries together weigh more than `maxWeight` (the current entry is
+ * always kept), so long runs cannot fill the memory with snapshots.
+ * @template T
+ * @param {number} [limit=HISTORY_LIMIT] - maximum number of entries kept
+ * @param {{weigh?:(entry:T) => number, maxWeight?:number}} [options]
+ * @returns {{
+ *   push:(entry:T) => T,
+ *   undo:() => T|null,
+ *   redo:() => T|null,
+ *   goTo:(index:number) => T|null,
+ *   current:() => T|null,
+ *   canUndo:() => boolean,
+ *   canRedo:() => boolean,
+ *   entries:() => T[],
+ *   cursor:() => number,
+ *   clear:() => void
+ * }}
+ */
+function createHistory(limit = HISTORY_LIMIT, options = {}) {
+    const { weigh = null, maxWeight = Infinity } = options;
+    const entries = [];
+    let cursor = -1;
+    return {
+        push(entry) {
+            entries.splice(cursor + 1);
+            entries.push(entry);
+            if (entries.length > limit) entries.splice(0, entries.length - limit);
+            if (weigh) {
+                let total = entries.reduce((sum, e) => sum + weigh(e), 0);
+                while (entries.length > 1 && total > maxWeight) total -= weigh(entries.shift());
+            }
+            cursor = entries.length - 1;
+            return entry;
+        },
+        undo() { return cursor > 0 ? entries[--cursor] : null; },
+        redo() { return cursor < entries.length - 1 ? entries[++cursor] : null; },
+        goTo(index) {
+            if (!Number.isInteger(index) || index < 0 || index >= entries.length) return null;
+            cursor = index;
+            return entries[cursor];
+        },
+        current() { return cursor >= 0 ? entries[cursor] : null; },
+        canUndo() { return cursor > 0; },
+        canRedo() { return cursor < entries.length - 1; },
+        entries() { return entries.slice(); },
+        cursor() { return cursor; },
+        clear() { entries.length = 0; cursor = -1; },
+    };
+}
+
+export { HISTORY_LIMIT, createHistory };
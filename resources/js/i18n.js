@@ -0,0 +1,195 @@
+/**
+ * resources/js/i18n.js
+ * KINESO — translations and locale-aware numbers
+ *
+ * Texts are translated by their English wording, as in Laravel's JSON
+ * translation files: `lang/de.json` maps each English text to its German
+ * one, and a text a catalog does not list stays English. Placeholders are
+ * written `:name`. A text that was built from a catalog entry with
+ * placeholders is recognised as a whole, e.g. "Saved "Ramp"." matches
+ * `Saved ":name".`, so messages produced by the other modules (and the
+ * errors they throw) are translated without passing parameters around.
+ *
+ * Numbers are shown with the locale's decimal sign and no digit grouping.
+ * When one is read back a decimal comma and a decimal point are both
+ * accepted, whatever the locale; text with grouping or other stray
+ * characters is not a number, rather than the leading digits of one.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+import de from '../../lang/de.json';
+
+/** Languages of the switcher: locale → name in that language. */
+const LOCALES = { en: 'English', de: 'Deutsch' };
+
+/** Language of the source texts, used when no other one fits. */
+const DEFAULT_LOCALE = 'en';
+
+/** Translations by locale: English text → translated text. English needs none. */
+const CATALOGS = { en: {}, de };
+
+/** A number as typed: digits with at most one decimal sign, and an optional exponent. */
+const DECIMAL_PATTERN = /^[+\-−]?(\d+([.,]\d*)?|[.,]\d+)([eE][+-]?\d+)?$/;
+
+const PLACEHOLDER = /:([A-Za-z]\w*)/g;
+const templateCache = new Map();
+const decimalSignCache = new Map();
+
+/**
+ * The supported locale that best fits a list of language tags, e.g. a stored
+ * choice followed by `navigator.languages`.
+ * @param {Array<string|null|undefined>} tags - most wanted first
+ * @returns {string} key of `LOCALES`
+ */
+function pickLocale(tags) {
+    for (const tag of tags) {
+        const language = String(tag || '').toLowerCase().split(/[-_]/)[0];
+        if (Object.prototype.hasOwnProperty.call(LOCALES, language)) return language;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Catalog entries with placeholders, compiled to patterns that match texts built from them.
+ * @param {string} locale
+ * @returns {Array<{pattern:RegExp, names:string[], key:string}>} longest entries first
+ */
+function templatesOf(locale) {
+    if (!templateCache.has(locale)) {
+        const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const templates = Object.keys(CATALOGS[locale] || {})
+            .filter(key => new RegExp(PLACEHOLDER.source).test(key))
+            .sort((a, b) => b.length - a.length)
+            .map(key => {
+                const names = [];
+                const source = key.split(PLACEHOLDER).map((part, i) => {
+                    if (i % 2 === 0) return escape(part);
+                    names.push(part);
+                    return '(.+?)';
+                }).join('');
+                return { pattern: new RegExp(`^${source}$`, 's'), names, key };
+            });
+        templateCache.set(locale, templates);
+    }
+    return templateCache.get(locale);
+}
+
+/**
+ * Replace the `:name` placeholders of a text.
+ * @param {string} text
+ * @param {Object<string, *>} params
+ * @returns {string}
+ */
+function fillPlaceholders(text, params) {
+    return text.replace(PLACEHOLDER, (match, name) => (Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match));
+}
+
+/**
+ * Translate a text into a locale. With `params` the text is a catalog key whose
+ * placeholders are filled in; without, a finished text is looked up as it is and
+ * then against the entries with placeholders, whose captured values are translated
+ * in turn (so "Error: Mass must be > 0." becomes "Fehler: Die Masse muss > 0 sein.").
+ * Texts the catalog does not know are returned unchanged.
+ * @param {string} locale - key of `LOCALES`
+ * @param {string} text - English text
+ * @param {Object<string, *>} [params]
+ * @returns {string}
+ */
+function translate(locale, text, params) {
+    const catalog = CATALOGS[locale] || {};
+    const has = (key) => Object.prototype.hasOwnProperty.call(catalog, key);
+    if (params) return fillPlaceholders(has(text) ? catalog[text] : text, params);
+    if (has(text)) return catalog[text];
+    if (locale === DEFAULT_LOCALE || !/[A-Za-z]/.test(text)) return text;
+    for (const { pattern, names, key } of templatesOf(locale)) {
+        const match = pattern.exec(text);
+        if (!match) continue;
+        const values = {};
+        names.forEach((name, i) => { values[name] = translate(locale, match[i + 1]); });
+        return fillPlaceholders(catalog[key], values);
+    }
+    return text;
+}
+
+/**
+ * The decimal sign of a locale.
+ * @param {string} locale
+ * @returns {string} `.` or `,`
+ */
+function decimalSign(locale) {
+    if (!decimalSignCache.has(locale)) {
+        const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+        decimalSignCache.set(locale, part ? part.value : '.');
+    }
+    return decimalSignCache.get(locale);
+}
+
+/**
+ * Format a number with a fixed number of decimals in a locale, like `toFixed`.
+ * @param {number} value
+ * @param {number} digits
+ * @param {string} locale
+ * @returns {string}
+ */
+function formatDecimal(value, digits, locale) {
+    return localizeNumberText(value.toFixed(digits), locale);
+}
+
+/**
+ * Write a number as typed into an input of a locale, e.g. "2,5" for 2.5 in German.
+ * Text that is not a number is returned unchanged.
+ * @param {string|number} text - number or text with a decimal point or comma
+ * @param {string} locale
+ * @returns {string}
+ */
+function localizeNumberText(text, locale) {
+    const s = String(text);
+    return DECIMAL_PATTERN.test(s.trim()) ? s.replace(/[.,]/, decimalSign(locale)) : s;
+}
+
+/**
+ * Write a typed number with a decimal point, as links, saved scenarios and
+ * the other modules expect. Text that is not a number is returned unchanged.
+ * @param {string} text
+ * @returns {string}
+ */
+function canonicalNumberText(text) {
+    const s = String(text);
+    return DECIMAL_PATTERN.test(s.trim()) ? s.trim().replace(',', '.').replace('−', '-') : s;
+}
+
+/**
+ * Read a typed number; a decimal comma and a decimal point are both accepted.
+ * @param {string|null} text
+ * @returns {number} NaN when the text is not a number
+ */
+function parseDecimal(text) {
+    const s = String(text === null || text === undefined ? '' : text).trim();
+    return DECIMAL_PATTERN.test(s) ? Number(canonicalNumberText(s)) : NaN;
+}
+
+/**
+ * How CSV exports are written in a locale (see `CSV_FORMAT` in `kinematics-core.js`):
+ * with a decimal comma the fields are separated by semicolons, as spreadsheets
+ * in those locales expect.
+ * @param {string} locale
+ * @returns {{separator:string, decimal:string, phase:string}}
+ */
+function csvFormat(locale) {
+    const decimal = decimalSign(locale);
+    return { separator: decimal === ',' ? ';' : ',', decimal, phase: translate(locale, 'phase') };
+}
+
+export {
+    LOCALES,
+    DEFAULT_LOCALE,
+    pickLocale,
+    translate,
+    decimalSign,
+    formatDecimal,
+    localizeNumberText,
+    canonicalNumberText,
+    parseDecimal,
+    csvFormat,
+};
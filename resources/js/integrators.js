@@ -0,0 +1,321 @@
+/**
+ * resources/js/integrators.js
+ * KINESO — numerical integration and differentiation schemes
+ *
+ * The page derives missing quantities numerically: velocities and positions
+ * are integrated from dragged or expression-defined samples, velocities and
+ * accelerations differentiated from positions. The scheme used is selectable:
+ *
+ * - `euler` — forward Euler: left-endpoint sums, forward differences (1st order)
+ * - `semi-implicit` — semi-implicit (symplectic) Euler: the position step uses
+ *   the velocity already updated, i.e. right-endpoint sums for v → x and
+ *   backward differences (1st order)
+ * - `trapezoid` — trapezoid rule / Heun's method, central differences (2nd order)
+ * - `simpson` — Simpson's rule / Kutta's third-order method, five-point differences
+ * - `rk4` — classical Runge–Kutta, midpoint samples from cubic interpolation,
+ *   five-point differences (4th order)
+ *
+ * `solveMotion` uses the same schemes as ODE solvers for x'' = a(t, x, v), and
+ * `compareWithExact` / `convergenceTable` compare them with the exact solution
+ * for constant acceleration.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+/** Scheme names as shown on the page. */
+const INTEGRATORS = {
+    euler: 'Euler (forward)',
+    'semi-implicit': 'Semi-implicit Euler',
+    trapezoid: 'Trapezoid (Heun)',
+    simpson: 'Simpson (RK3)',
+    rk4: 'Runge–Kutta 4',
+};
+
+/** Scheme used when none is chosen. */
+const DEFAULT_INTEGRATOR = 'trapezoid';
+
+/** Global order of accuracy of each scheme as an ODE solver (error ∝ dtᵖ). */
+const INTEGRATOR_ORDERS = { euler: 1, 'semi-implicit': 1, trapezoid: 2, simpson: 3, rk4: 4 };
+
+/** Time step divisors of the convergence table: dt, dt/2, dt/4, dt/8. */
+const CONVERGENCE_STEPS = [1, 2, 4, 8];
+
+/** Most steps of the comparison at the chosen dt (the convergence table takes eight times as many). */
+const MAX_COMPARE_STEPS = 20000;
+
+/** Error raised for an unknown scheme name. */
+class IntegratorError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IntegratorError';
+    }
+}
+
+/**
+ * Check a scheme name.
+ * @param {string} scheme
+ * @returns {string} the name
+ * @throws {IntegratorError}
+ */
+function checkScheme(scheme) {
+    if (!Object.prototype.hasOwnProperty.call(INTEGRATORS, scheme)) throw new IntegratorError(`Unknown integrator "${scheme}"`);
+    return scheme;
+}
+
+/**
+ * Value of sampled data halfway between samples k-1 and k, by cubic
+ * interpolation through the four nearest samples (quadratic at the ends).
+ * @param {number[]} fs
+ * @param {number} k - 1 ≤ k < fs.length
+ * @returns {number}
+ */
+function midpoint(fs, k) {
+    const n = fs.length;
+    if (n < 3) return 0.5 * (fs[k - 1] + fs[k]);
+    if (k === 1) return (3 * fs[0] + 6 * fs[1] - fs[2]) / 8;
+    if (k === n - 1) return (3 * fs[n - 1] + 6 * fs[n - 2] - fs[n - 3]) / 8;
+    return (-fs[k - 2] + 9 * fs[k - 1] + 9 * fs[k] - fs[k + 1]) / 16;
+}
+
+/**
+ * Running integral of evenly spaced samples, starting from `y0`.
+ * @param {number[]} fs - samples of the derivative
+ * @param {number} y0 - value at the first sample
+ * @param {number} dt - sample spacing
+ * @param {string} [scheme=DEFAULT_INTEGRATOR] - see `INTEGRATORS`
+ * @returns {number[]} integrated values, same length as `fs`
+ * @throws {IntegratorError} for an unknown scheme
+ */
+function integrateSamples(fs, y0, dt, scheme = DEFAULT_INTEGRATOR) {
+    checkScheme(scheme);
+    const n = fs.length;
+    const ys = new Array(n);
+    if (!n) return ys;
+    ys[0] = y0;
+    for (let k = 1; k < n; k++) {
+        switch (scheme) {
+        case 'euler': ys[k] = ys[k - 1] + fs[k - 1] * dt; break;
+        case 'semi-implicit': ys[k] = ys[k - 1] + fs[k] * dt; break;
+        case 'simpson':
+            // exact for cubics: quadratic through the first three samples, then Simpson over pairs of steps
+            if (k === 1) ys[k] = n > 2 ? y0 + dt / 12 * (5 * fs[0] + 8 * fs[1] - fs[2]) : y0 + 0.5 * (fs[0] + fs[1]) * dt;
+            else ys[k] = ys[k - 2] + dt / 3 * (fs[k - 2] + 4 * fs[k - 1] + fs[k]);
+            break;
+        case 'rk4': ys[k] = ys[k - 1] + dt / 6 * (fs[k - 1] + 4 * midpoint(fs, k) + fs[k]); break;
+        default: ys[k] = ys[k - 1] + 0.5 * (fs[k - 1] + fs[k]) * dt;
+        }
+    }
+    return ys;
+}
+
+/**
+ * First derivative of evenly spaced samples: forward differences (`euler`),
+ * backward differences (`semi-implicit`), central differences (`trapezoid`,
+ * one-sided at the ends) or five-point differences (`simpson`, `rk4`,
+ * second-order one-sided at the ends).
+ * @param {number[]} ys
+ * @param {number} dt - sample spacing
+ * @param {string} [scheme=DEFAULT_INTEGRATOR]
+ * @returns {number[]}
+ * @throws {IntegratorError} for an unknown scheme
+ */
+function differentiateSamples(ys, dt, scheme = DEFAULT_INTEGRATOR) {
+    checkScheme(scheme);
+    const n = ys.length;
+    const out = new Array(n);
+    const forward = (i) => (ys[i + 1] - ys[i]) / dt;
+    const backward = (i) => (ys[i] - ys[i - 1]) / dt;
+    for (let i = 0; i < n; i++) {
+        if (n < 2) out[i] = 0;
+        else if (i === 0) out[i] = scheme === 'simpson' || scheme === 'rk4' ? (n > 2 ? (-3 * ys[0] + 4 * ys[1] - ys[2]) / (2 * dt) : forward(0)) : forward(0);
+        else if (i === n - 1) out[i] = scheme === 'simpson' || scheme === 'rk4' ? (n > 2 ? (3 * ys[i] - 4 * ys[i - 1] + ys[i - 2]) / (2 * dt) : backward(i)) : backward(i);
+        else if (scheme === 'euler') out[i] = forward(i);
+        else if (scheme === 'semi-implicit') out[i] = backward(i);
+        else if ((scheme === 'simpson' || scheme === 'rk4') && i > 1 && i < n - 2) out[i] = (-ys[i + 2] + 8 * ys[i + 1] - 8 * ys[i - 1] + ys[i - 2]) / (12 * dt);
+        else out[i] = (ys[i + 1] - ys[i - 1]) / (2 * dt);
+    }
+    return out;
+}
+
+/**
+ * Second derivative of evenly spaced samples: second differences taken
+ * forward (`euler`), backward (`semi-implicit`), centred (`trapezoid`) or from
+ * five samples (`simpson`, `rk4`, with second-order one-sided differences at
+ * the ends); otherwise the ends use the nearest full stencil.
+ * @param {number[]} ys
+ * @param {number} dt - sample spacing
+ * @param {string} [scheme=DEFAULT_INTEGRATOR]
+ * @returns {number[]}
+ * @throws {IntegratorError} for an unknown scheme
+ */
+function secondDifferenceSamples(ys, dt, scheme = DEFAULT_INTEGRATOR) {
+    checkScheme(scheme);
+    const n = ys.length;
+    const out = new Array(n);
+    const h2 = dt * dt;
+    const around = (c) => (ys[c + 1] - 2 * ys[c] + ys[c - 1]) / h2;
+    for (let i = 0; i < n; i++) {
+        if (n < 3) { out[i] = 0; continue; }
+        const higher = scheme === 'simpson' || scheme === 'rk4';
+        if (higher && i > 1 && i < n - 2) out[i] = (-ys[i + 2] + 16 * ys[i + 1] - 30 * ys[i] + 16 * ys[i - 1] - ys[i - 2]) / (12 * h2);
+        else if (higher && n > 3 && (i === 0 || i === n - 1)) {
+            const s = i === 0 ? 1 : -1;
+            out[i] = (2 * ys[i] - 5 * ys[i + s] + 4 * ys[i + 2 * s] - ys[i + 3 * s]) / h2;
+        } else if (scheme === 'euler') out[i] = around(Math.min(i + 1, n - 2));
+        else if (scheme === 'semi-implicit') out[i] = around(Math.max(i - 1, 1));
+        else out[i] = around(Math.min(Math.max(i, 1), n - 2));
+    }
+    return out;
+}
+
+/**
+ * Advance x'' = accel(t, x, v) by one step.
+ * @param {string} scheme - see `INTEGRATORS`
+ * @param {(t:number, x:number, v:number) => number} accel
+ * @param {number} t
+ * @param {number} x
+ * @param {number} v
+ * @param {number} h - step
+ * @returns {{x:number, v:number}}
+ * @throws {IntegratorError} for an unknown scheme
+ */
+function stepMotion(scheme, accel, t, x, v, h) {
+    switch (checkScheme(scheme)) {
+    case 'euler':
+        return { x: x + h * v, v: v + h * accel(t, x, v) };
+    case 'semi-implicit': {
+        const v1 = v + h * accel(t, x, v);
+        return { x: x + h * v1, v: v1 };
+    }
+    case 'trapezoid': {
+        const a1 = accel(t, x, v);
+        const xp = x + h * v, vp = v + h * a1;
+        return { x: x + h / 2 * (v + vp), v: v + h / 2 * (a1 + accel(t + h, xp, vp)) };
+    }
+    case 'simpson': {
+        // Kutta's third-order method, which is Simpson's rule when a depends on t only
+        const k1x = v, k1v = accel(t, x, v);
+        const k2x = v + h / 2 * k1v, k2v = accel(t + h / 2, x + h / 2 * k1x, v + h / 2 * k1v);
+        const k3x = v - h * k1v + 2 * h * k2v, k3v = accel(t + h, x - h * k1x + 2 * h * k2x, v - h * k1v + 2 * h * k2v);
+        return { x: x + h / 6 * (k1x + 4 * k2x + k3x), v: v + h / 6 * (k1v + 4 * k2v + k3v) };
+    }
+    default: {
+        const k1x = v, k1v = accel(t, x, v);
+        const k2x = v + h / 2 * k1v, k2v = accel(t + h / 2, x + h / 2 * k1x, v + h / 2 * k1v);
+        const k3x = v + h / 2 * k2v, k3v = accel(t + h / 2, x + h / 2 * k2x, v + h / 2 * k2v);
+        const k4x = v + h * k3v, k4v = accel(t + h, x + h * k3x, v + h * k3v);
+        return { x: x + h / 6 * (k1x + 2 * k2x + 2 * k3x + k4x), v: v + h / 6 * (k1v + 2 * k2v + 2 * k3v + k4v) };
+    }
+    }
+}
+
+/**
+ * Solve x'' = accel(t, x, v) from (x0, v0) at t0 with a fixed step.
+ * @param {string} scheme - see `INTEGRATORS`
+ * @param {(t:number, x:number, v:number) => number} accel
+ * @param {number} x0
+ * @param {number} v0
+ * @param {number} t0
+ * @param {number} dt
+ * @param {number} steps - number of steps; the result has `steps + 1` samples
+ * @returns {{times:number[], xs:number[], vs:number[], as:number[]}}
+ * @throws {IntegratorError} for an unknown scheme
+ */
+function solveMotion(scheme, accel, x0, v0, t0, dt, steps) {
+    checkScheme(scheme);
+    const times = [t0], xs = [x0], vs = [v0], as = [accel(t0, x0, v0)];
+    let x = x0, v = v0;
+    for (let k = 1; k <= steps; k++) {
+        const t = t0 + (k - 1) * dt;
+        ({ x, v } = stepMotion(scheme, accel, t, x, v, dt));
+        times.push(t0 + k * dt); xs.push(x); vs.push(v); as.push(accel(t0 + k * dt, x, v));
+    }
+    return { times, xs, vs, as };
+}
+
+/**
+ * Number of steps of `dt` covering [t0, t1] (at least one).
+ * @param {number} t0
+ * @param {number} t1
+ * @param {number} dt
+ * @returns {number}
+ */
+function stepCount(t0, t1, dt) {
+    return Math.max(1, Math.round((t1 - t0) / dt));
+}
+
+/**
+ * Constant-acceleration motion solved with each scheme and exactly, with the
+ * error (numerical minus exact) of x and v at every step.
+ * @param {{x0:number, v0:number, a:number, t0:number, t1:number, dt:number}} p
+ * @param {string[]} [schemes] - default every scheme
+ * @returns {{times:number[], exact:{xs:number[], vs:number[]},
+ *   results:Array<{scheme:string, xs:number[], vs:number[], xErrors:number[], vErrors:number[]}>}}
+ */
+function compareWithExact(p, schemes = Object.keys(INTEGRATORS)) {
+    const steps = stepCount(p.t0, p.t1, p.dt);
+    const accel = () => p.a;
+    const times = Array.from({ length: steps + 1 }, (_, k) => p.t0 + k * p.dt);
+    const exact = {
+        xs: times.map(t => p.x0 + p.v0 * (t - p.t0) + 0.5 * p.a * (t - p.t0) ** 2),
+        vs: times.map(t => p.v0 + p.a * (t - p.t0)),
+    };
+    const results = schemes.map(scheme => {
+        const run = solveMotion(scheme, accel, p.x0, p.v0, p.t0, p.dt, steps);
+        return {
+            scheme, xs: run.xs, vs: run.vs,
+            xErrors: run.xs.map((x, k) => x - exact.xs[k]),
+            vErrors: run.vs.map((v, k) => v - exact.vs[k]),
+        };
+    });
+    return { times, exact, results };
+}
+
+/**
+ * How the error of each scheme scales with the time step: the largest |error|
+ * of x over [t0, t1] for dt, dt/2, dt/4 and dt/8, and the observed order
+ * log2(error(h) / error(h/2)) between neighbouring rows. Errors at the level
+ * of rounding count as exact and get no order.
+ * @param {{x0:number, v0:number, a:number, t0:number, t1:number, dt:number}} p
+ * @param {string[]} [schemes] - default every scheme
+ * @returns {Array<{dt:number, cells:Array<{scheme:string, maxError:number, exact:boolean, order:number|null}>}>}
+ */
+function convergenceTable(p, schemes = Object.keys(INTEGRATORS)) {
+    const scale = Math.max(1, Math.abs(p.x0) + Math.abs(p.v0) * (p.t1 - p.t0) + Math.abs(p.a) * (p.t1 - p.t0) ** 2);
+    const rows = CONVERGENCE_STEPS.map(div => {
+        const dt = p.dt / div;
+        const { results } = compareWithExact({ ...p, dt }, schemes);
+        return {
+            dt,
+            cells: results.map(r => {
+                const maxError = r.xErrors.reduce((m, e) => Math.max(m, Math.abs(e)), 0);
+                return { scheme: r.scheme, maxError, exact: maxError <= 1e-11 * scale, order: null };
+            }),
+        };
+    });
+    rows.forEach((row, i) => {
+        if (!i) return;
+        row.cells.forEach((cell, j) => {
+            const prev = rows[i - 1].cells[j];
+            if (!cell.exact && !prev.exact) cell.order = Math.log2(prev.maxError / cell.maxError);
+        });
+    });
+    return rows;
+}
+
+export {
+    INTEGRATORS,
+    DEFAULT_INTEGRATOR,
+    INTEGRATOR_ORDERS,
+    CONVERGENCE_STEPS,
+    MAX_COMPARE_STEPS,
+    IntegratorError,
+    integrateSamples,
+    differentiateSamples,
+    secondDifferenceSamples,
+    stepMotion,
+    solveMotion,
+    stepCount,
+    compareWithExact,
+    convergenceTable,
+};
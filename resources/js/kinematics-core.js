@@ -0,0 +1,577 @@
+/**
+ * resources/js/kinematics-core.js
+ * KINESO — kinematics math
+ *
+ * The computations behind the demo page: constant-acceleration, multi-phase,
+ * expression-defined, force-driven (`dynamics.js`), rotational (`rotation.js`) and projectile trajectories, the finite-difference and
+ * integration helpers (with the schemes of `integrators.js`), drag synchronisation (`applyDragEdit`), CSV output and
+ * `computeScenario`, which turns one set of page parameters into sampled data. Shared by `kinematics.js`, the
+ * `<kineso-chart>` element and the `scripts/kineso.js` command-line tool.
+ *
+ * Imports use explicit `.js` extensions so the module also loads in plain Node.
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+import { ExpressionError, parseExpression, compileExpression, simplify, differentiate, integrate, formatExpression } from './expression.js';
+import { SI_UNITS, fromSI } from './units.js';
+import { INTEGRATORS, DEFAULT_INTEGRATOR, integrateSamples, differentiateSamples, secondDifferenceSamples } from './integrators.js';
+import { DEFAULT_MASS, checkDynamics, solveDynamics } from './dynamics.js';
+import { DEFAULT_RADIUS, checkRadius, pointMotion } from './rotation.js';
+import { lockedIndexes, editSeries } from './drag-modes.js';
+
+/**
+ * Default cap on the number of samples. Charts show a decimated copy and the
+ * table only renders the rows in view, so the cap only bounds memory; a run
+ * that reaches it is reported as `truncated`.
+ */
+const MAX_POINTS = 100000;
+
+/** Parameters of the page form on first load; `computeScenario` fills missing values from these. */
+const DEFAULT_SCENARIO = Object.freeze({
+    mode: 'linear',
+    x0: 0, v0: 5, a: 2, t0: 0, t1: 10, dt: 0.1,
+    exprKind: '', expr: '',
+    segments: [],
+    speed: 20, angle: 45, h: 0, g: 9.81,
+    integrator: DEFAULT_INTEGRATOR,
+    mass: DEFAULT_MASS, forces: [],
+    radius: DEFAULT_RADIUS,
+});
+
+/** Error raised for scenario parameters that cannot produce a trajectory. */
+class ScenarioError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScenarioError';
+    }
+}
+
+/**
+ * Compute kinematic trajectories (x, v, a) for constant acceleration.
+ * @param {number} x0 - initial position (m)
+ * @param {number} v0 - initial velocity (m/s)
+ * @param {number} a - constant acceleration (m/s^2)
+ * @param {number} t0 - start time (s)
+ * @param {number} t1 - end time (s)
+ * @param {number} dt - time step (s)
+ * @param {number} [maxPoints=MAX_POINTS] - limit points to avoid huge arrays
+ * @returns {{times:number[], xs:number[], vs:number[], as:number[], truncated:boolean}} computed arrays;
+ *   `truncated` when `maxPoints` stopped the sampling before `t1`
+ */
+function computeKinematics(x0, v0, a, t0, t1, dt, maxPoints = MAX_POINTS) {
+    const times = [];
+    const xs = [];
+    const vs = [];
+    const as = [];
+
+    let truncated = false;
+    if (dt <= 0) return { times, xs, vs, as, truncated };
+
+    for (let t = t0; t <= t1 + 1e-12; t += dt) {
+        const x = x0 + v0 * t + 0.5 * a * t * t;
+        const v = v0 + a * t;
+        times.push(Number(t.toFixed(8)));
+        xs.push(Number(x.toFixed(8)));
+        vs.push(Number(v.toFixed(8)));
+        as.push(Number(a.toFixed(8)));
+        if (times.length >= maxPoints) { truncated = t + dt <= t1 + 1e-12; break; }
+    }
+    return { times, xs, vs, as, truncated };
+}
+
+/**
+ * Resolve a list of motion phases into constant-acceleration pieces.
+ * Each phase either sets its acceleration directly (`kind: 'accel'`) or
+ * reaches a target velocity by the end of its duration (`kind: 'target'`).
+ * Start position and velocity of each piece are chained from the previous one
+ * so x and v stay continuous across phase boundaries. Phases without a positive
+ * duration give no piece; `phase` keeps the 1-based number of each piece's segment.
+ * @param {number} x0 - initial position (m)
+ * @param {number} v0 - initial velocity (m/s)
+ * @param {Array<{duration:number, kind:'accel'|'target', value:number}>} segments
+ * @param {number} [t0=0] - start time (s)
+ * @returns {Array<{t0:number, t1:number, x0:number, v0:number, a:number, phase:number}>} resolved pieces
+ */
+function resolveSegments(x0, v0, segments, t0 = 0) {
+    const pieces = [];
+    let t = t0, x = x0, v = v0;
+    for (const [i, seg] of segments.entries()) {
+        const duration = Number(seg.duration);
+        if (!(duration > 0)) continue;
+        const value = Number(seg.value) || 0;
+        const a = seg.kind === 'target' ? (value - v) / duration : value;
+        pieces.push({ t0: t, t1: t + duration, x0: x, v0: v, a, phase: i + 1 });
+        x += v * duration + 0.5 * a * duration * duration;
+        v += a * duration;
+        t += duration;
+    }
+    return pieces;
+}
+
+/**
+ * Compute kinematic trajectories for a chain of constant-acceleration phases.
+ * Samples are taken every `dt` from `t0` to the end of the last phase; a sample
+ * lying exactly on a boundary belongs to the phase that starts there.
+ * @param {number} x0 - initial position (m)
+ * @param {number} v0 - initial velocity (m/s)
+ * @param {Array<{duration:number, kind:'accel'|'target', value:number}>} segments
+ * @param {number} t0 - start time (s)
+ * @param {number} dt - time step (s)
+ * @param {number} [maxPoints=MAX_POINTS] - limit points to avoid huge arrays
+ * @returns {{times:number[], xs:number[], vs:number[], as:number[], phases:number[], boundaries:Array<{t:number, phase:number}>, truncated:boolean}}
+ *   computed arrays, 1-based phase number per sample, the start time of every phase after the first and
+ *   whether `maxPoints` stopped the sampling early. Phases are numbered by their index in `segments`, so
+ *   skipped zero-duration phases leave gaps.
+ */
+function computePiecewiseKinematics(x0, v0, segments, t0, dt, maxPoints = MAX_POINTS) {
+    const times = [];
+    const xs = [];
+    const vs = [];
+    const as = [];
+    const phases = [];
+    const pieces = resolveSegments(x0, v0, segments, t0);
+    const boundaries = pieces.slice(1).map(p => ({ t: p.t0, phase: p.phase }));
+
+    let truncated = false;
+    if (dt <= 0 || !pieces.length) return { times, xs, vs, as, phases, boundaries, truncated };
+
+    const tEnd = pieces[pieces.length - 1].t1;
+    let k = 0;
+    for (let t = t0; t <= tEnd + 1e-12; t += dt) {
+        while (k < pieces.length - 1 && t >= pieces[k].t1 - 1e-12) k++;
+        const p = pieces[k];
+        const tau = t - p.t0;
+        times.push(Number(t.toFixed(8)));
+        xs.push(Number((p.x0 + p.v0 * tau + 0.5 * p.a * tau * tau).toFixed(8)));
+        vs.push(Number((p.v0 + p.a * tau).toFixed(8)));
+        as.push(Number(p.a.toFixed(8)));
+        phases.push(p.phase);
+        if (times.length >= maxPoints) { truncated = t + dt <= tEnd + 1e-12; break; }
+    }
+    return { times, xs, vs, as, phases, boundaries, truncated };
+}
+
+/**
+ * Estimate velocity from position using central differences.
+ * Boundary points use forward/backward differences.
+ * @param {number[]} xs - position samples
+ * @param {number} dt - time step
+ * @param {string} [scheme] - scheme of `integrators.js` to use instead
+ * @returns {number[]} velocity estimates
+ */
+function computeVFromX(xs, dt, scheme) {
+    if (scheme) return differentiateSamples(xs, dt, scheme);
+    const n = xs.length;
+    const vs = new Array(n);
+    for (let i = 0; i < n; i++) {
+        if (i === 0) vs[i] = (xs[1] - xs[0]) / dt;
+        else if (i === n - 1) vs[i] = (xs[n - 1] - xs[n - 2]) / dt;
+        else vs[i] = (xs[i + 1] - xs[i - 1]) / (2 * dt);
+    }
+    return vs;
+}
+
+/**
+ * Estimate acceleration from position using second differences.
+ * @param {number[]} xs - position samples
+ * @param {number} dt - time step
+ * @param {string} [scheme] - scheme of `integrators.js` to use instead
+ * @returns {number[]} acceleration estimates
+ */
+function computeAFromX(xs, dt, scheme) {
+    if (scheme) return secondDifferenceSamples(xs, dt, scheme);
+    const n = xs.length;
+    const as = new Array(n);
+    for (let i = 0; i < n; i++) {
+        if (i === 0) as[i] = (xs[2] - 2 * xs[1] + xs[0]) / (dt * dt);
+        else if (i === n - 1) as[i] = (xs[n - 1] - 2 * xs[n - 2] + xs[n - 3]) / (dt * dt);
+        else as[i] = (xs[i + 1] - 2 * xs[i] + xs[i - 1]) / (dt * dt);
+    }
+    return as;
+}
+
+/**
+ * Estimate acceleration from velocity using finite differences.
+ * @param {number[]} vs - velocity samples
+ * @param {number} dt - time step
+ * @param {string} [scheme] - scheme of `integrators.js` to use instead
+ * @returns {number[]} acceleration estimates
+ */
+function computeAFromV(vs, dt, scheme) {
+    if (scheme) return differentiateSamples(vs, dt, scheme);
+    const n = vs.length;
+    const as = new Array(n);
+    for (let i = 0; i < n; i++) {
+        if (i === 0) as[i] = (vs[1] - vs[0]) / dt;
+        else if (i === n - 1) as[i] = (vs[n - 1] - vs[n - 2]) / dt;
+        else as[i] = (vs[i + 1] - vs[i - 1]) / (2 * dt);
+    }
+    return as;
+}
+
+/**
+ * Integrate velocity to produce position using trapezoidal rule.
+ * @param {number[]} vs - velocity samples
+ * @param {number} x0 - initial position
+ * @param {number} dt - time step
+ * @param {string} [scheme] - scheme of `integrators.js` to use instead
+ * @returns {number[]} integrated positions
+ */
+function integrateVToX(vs, x0, dt, scheme) {
+    if (scheme) return integrateSamples(vs, x0, dt, scheme);
+    const n = vs.length;
+    const xs = new Array(n);
+    xs[0] = x0;
+    for (let k = 1; k < n; k++) {
+        xs[k] = xs[k - 1] + 0.5 * (vs[k - 1] + vs[k]) * dt;
+    }
+    return xs;
+}
+
+/**
+ * Integrate acceleration to produce velocity using simple Euler integration.
+ * @param {number[]} as - acceleration samples
+ * @param {number} v0 - initial velocity
+ * @param {number} dt - time step
+ * @param {string} [scheme] - scheme of `integrators.js` to use instead
+ * @returns {number[]} integrated velocities
+ */
+function integrateAToV(as, v0, dt, scheme) {
+    if (scheme) return integrateSamples(as, v0, dt, scheme);
+    const n = as.length;
+    const vs = new Array(n);
+    vs[0] = v0;
+    for (let k = 1; k < n; k++) {
+        vs[k] = vs[k - 1] + as[k - 1] * dt;
+    }
+    return vs;
+}
+
+/**
+ * Apply a drag edit (see `drag-modes.js`) to one series and recompute the other
+ * two from it: dragging x differentiates to v and a, dragging v integrates to x
+ * (from x0) and differentiates to a, dragging a integrates to v (from v0) and x.
+ * The series are changed in place.
+ * @param {'position'|'velocity'|'acceleration'} chartType - the dragged series
+ * @param {number} index - dragged sample
+ * @param {number} value - its new value (SI)
+ * @param {{xs:number[], vs:number[], as:number[], x0:number, v0:number, dt:number, integrator?:string}} series
+ *   without an `integrator` the helpers keep their own methods (central differences, trapezoid v → x, Euler a → v)
+ * @param {{mode?:string, width?:number, shift?:number, locks?:{x0?:boolean, v0?:boolean}}} [edit={}] - drag mode and locks;
+ *   a locked v0 keeps the first velocity when x is dragged
+ */
+function applyDragEdit(chartType, index, value, series, edit = {}) {
+    const { xs, vs, as, x0, v0, dt } = series;
+    const scheme = series.integrator;
+    const locks = edit.locks || {};
+    const edited = (values) => editSeries(values, index, { ...edit, value }, lockedIndexes(chartType, locks));
+    const replace = (target, values) => target.splice(0, target.length, ...values);
+    if (chartType === 'position') {
+        const firstV = vs[0];
+        replace(xs, edited(xs));
+        const newV = computeVFromX(xs, dt, scheme);
+        if (locks.v0) newV[0] = firstV;
+        replace(as, computeAFromX(xs, dt, scheme));
+        replace(vs, newV);
+    } else if (chartType === 'velocity') {
+        replace(vs, edited(vs));
+        replace(xs, integrateVToX(vs, x0, dt, scheme));
+        replace(as, computeAFromV(vs, dt, scheme));
+    } else if (chartType === 'acceleration') {
+        replace(as, edited(as));
+        replace(vs, integrateAToV(as, v0, dt, scheme));
+        replace(xs, integrateVToX(vs, x0, dt, scheme));
+    }
+}
+
+/**
+ * Compute kinematic trajectories from a user expression for a(t), v(t) or x(t).
+ * The expression is parsed by the sandboxed parser in `expression.js`. The
+ * other two quantities are derived symbolically when a closed form exists and
+ * otherwise numerically with the finite-difference / integration helpers above,
+ * using `integrator`.
+ * Initial conditions apply at `t0`: x(t0) = x0 and, for a(t), v(t0) = v0.
+ * @param {'a'|'v'|'x'} kind - which quantity the expression defines
+ * @param {string} source - expression text in terms of `t`
+ * @param {number} x0 - initial position (m), ignored for x(t)
+ * @param {number} v0 - initial velocity (m/s), only used for a(t)
+ * @param {number} t0 - start time (s)
+ * @param {number} t1 - end time (s)
+ * @param {number} dt - time step (s)
+ * @param {number} [maxPoints=MAX_POINTS] - limit points to avoid huge arrays
+ * @param {string} [integrator=DEFAULT_INTEGRATOR] - numerical scheme, see `integrators.js`
+ * @returns {{times:number[], xs:number[], vs:number[], as:number[], formulas:{x:string|null, v:string|null, a:string|null}, truncated:boolean}}
+ *   computed arrays, the printed formula of each quantity (`null` when it was derived numerically) and
+ *   whether `maxPoints` stopped the sampling early
+ * @throws {ExpressionError} when the expression does not parse or is not finite over the interval
+ */
+function computeExpressionKinematics(kind, source, x0, v0, t0, t1, dt, maxPoints = MAX_POINTS, integrator = DEFAULT_INTEGRATOR) {
+    const given = parseExpression(source);
+    const times = [];
+    let truncated = false;
+    if (dt > 0) {
+        for (let t = t0; t <= t1 + 1e-12; t += dt) {
+            times.push(Number(t.toFixed(8)));
+            if (times.length >= maxPoints) { truncated = t + dt <= t1 + 1e-12; break; }
+        }
+    }
+
+    // Shift an antiderivative so that it takes the value `start` at t0
+    const anchored = (anti, start) => {
+        if (!anti) return null;
+        const offset = start - compileExpression(anti)(t0);
+        return simplify({ type: 'op', op: '+', left: anti, right: { type: 'num', value: offset } });
+    };
+    const sample = (node, label) => {
+        const f = compileExpression(node);
+        return times.map(t => {
+            const y = f(t);
+            if (!Number.isFinite(y)) throw new ExpressionError(`${label}(t) is not finite at t = ${t}`);
+            return Number(y.toFixed(8));
+        });
+    };
+
+    let xNode = null, vNode = null, aNode = null;
+    if (kind === 'x') {
+        xNode = given;
+        vNode = differentiate(xNode);
+        aNode = vNode && differentiate(vNode);
+    } else if (kind === 'v') {
+        vNode = given;
+        aNode = differentiate(vNode);
+        xNode = anchored(integrate(vNode), x0);
+    } else {
+        aNode = given;
+        vNode = anchored(integrate(aNode), v0);
+        xNode = vNode && anchored(integrate(vNode), x0);
+    }
+
+    let xs = xNode ? sample(xNode, 'x') : null;
+    let vs = vNode ? sample(vNode, 'v') : null;
+    let as = aNode ? sample(aNode, 'a') : null;
+    if (times.length > 1) {
+        // numerical fallbacks, in the direction the missing quantity is derived
+        if (kind === 'x') {
+            if (!vs) vs = computeVFromX(xs, dt, integrator);
+            if (!as) as = computeAFromX(xs, dt, integrator);
+        } else if (kind === 'v') {
+            if (!as) as = computeAFromV(vs, dt, integrator);
+            if (!xs) xs = integrateVToX(vs, x0, dt, integrator);
+        } else {
+            if (!vs) vs = integrateAToV(as, v0, dt, integrator);
+            if (!xs) xs = integrateVToX(vs, x0, dt, integrator);
+        }
+    }
+
+    const print = (node) => (node ? formatExpression(node) : null);
+    const zeros = () => times.map(() => 0);
+    return { times, xs: xs || zeros(), vs: vs || zeros(), as: as || zeros(), formulas: { x: print(xNode), v: print(vNode), a: print(aNode) }, truncated };
+}
+
+/**
+ * Compute a 2D projectile trajectory (no air resistance) from launch to impact
+ * with the ground (y = 0). Samples are taken every `dt`; the exact impact
+ * point is appended as the final sample unless the run was truncated.
+ * @param {number} speed - launch speed (m/s)
+ * @param {number} angleDeg - launch angle above the horizontal (degrees)
+ * @param {number} h - launch height (m), must be >= 0
+ * @param {number} g - gravitational acceleration (m/s^2), must be > 0
+ * @param {number} dt - time step (s)
+ * @param {number} [maxPoints=MAX_POINTS] - limit points to avoid huge arrays
+ * @returns {{times:number[], xs:number[], ys:number[], vxs:number[], vys:number[], truncated:boolean,
+ *   summary:{range:number, apexT:number, apexX:number, apexY:number, flightTime:number, impactVx:number, impactVy:number, impactSpeed:number, impactAngle:number}}}
+ *   sampled arrays and derived quantities; `impactAngle` is measured below the horizontal in degrees
+ */
+function computeProjectile(speed, angleDeg, h, g, dt, maxPoints = MAX_POINTS) {
+    const times = [], xs = [], ys = [], vxs = [], vys = [];
+    const theta = angleDeg * Math.PI / 180;
+    const vx0 = speed * Math.cos(theta);
+    const vy0 = speed * Math.sin(theta);
+    const flightTime = (vy0 + Math.sqrt(vy0 * vy0 + 2 * g * h)) / g;
+    const apexT = vy0 > 0 ? vy0 / g : 0;
+    const impactVy = vy0 - g * flightTime;
+    const summary = {
+        range: vx0 * flightTime,
+        apexT,
+        apexX: vx0 * apexT,
+        apexY: h + vy0 * apexT - 0.5 * g * apexT * apexT,
+        flightTime,
+        impactVx: vx0,
+        impactVy,
+        impactSpeed: Math.hypot(vx0, impactVy),
+        impactAngle: Math.atan2(-impactVy, vx0) * 180 / Math.PI,
+    };
+
+    const push = (t) => {
+        times.push(Number(t.toFixed(8)));
+        xs.push(Number((vx0 * t).toFixed(8)));
+        ys.push(Number(Math.max(0, h + vy0 * t - 0.5 * g * t * t).toFixed(8)));
+        vxs.push(Number(vx0.toFixed(8)));
+        vys.push(Number((vy0 - g * t).toFixed(8)));
+    };
+    let truncated = false;
+    if (dt > 0 && g > 0 && h >= 0) {
+        for (let t = 0; t < flightTime - 1e-9; t += dt) {
+            if (times.length >= maxPoints) { truncated = true; break; }
+            push(t);
+        }
+        if (!truncated) push(flightTime);
+    }
+    return { times, xs, ys, vxs, vys, truncated, summary };
+}
+
+/**
+ * How CSV exports are written: the field `separator`, the `decimal` sign and the
+ * heading of the phase column. The page passes the one of its language (see `i18n.js`).
+ */
+const CSV_FORMAT = Object.freeze({ separator: ',', decimal: '.', phase: 'phase' });
+
+/**
+ * Join CSV rows: the first row holds the headings, the others numbers written with
+ * a decimal point, which is replaced by the decimal sign of `format`.
+ * @param {Array<Array<string|number>>} lines
+ * @param {{separator:string, decimal:string}} format
+ * @returns {string}
+ */
+function joinCsv(lines, format) {
+    const field = (f, row) => (row > 0 && format.decimal !== '.' ? String(f).replace('.', format.decimal) : f);
+    return lines.map((r, row) => r.map(f => field(f, row)).join(format.separator)).join('\n');
+}
+
+/**
+ * Convert arrays to CSV string suitable for download.
+ * @param {number[]} times
+ * @param {number[]} xs
+ * @param {number[]} vs
+ * @param {number[]} as
+ * @param {number[]} [phases] - 1-based phase number per sample (defaults to a single phase)
+ * @param {Object} [units=SI_UNITS] - unit choice from `units.js`; values are converted and the headers name the units
+ * @param {{separator:string, decimal:string, phase:string}} [format=CSV_FORMAT]
+ * @returns {string} CSV content
+ */
+function csvFromData(times, xs, vs, as, phases, units = SI_UNITS, format = CSV_FORMAT) {
+    const x = fromSI('length', xs, units), v = fromSI('velocity', vs, units), a = fromSI('acceleration', as, units);
+    const lines = [['t (s)', `x (${units.length})`, `v (${units.velocity})`, `a (${units.acceleration})`, format.phase]];
+    for (let i = 0; i < times.length; i++) lines.push([times[i].toFixed(6), x[i].toFixed(6), v[i].toFixed(6), a[i].toFixed(6), phases && phases[i] ? phases[i] : 1]);
+    return joinCsv(lines, format);
+}
+
+/**
+ * Convert rotational arrays to CSV string suitable for download: θ, ω and α, then the
+ * tangential and centripetal acceleration of the point at `radius` and the revolutions turned.
+ * @param {number[]} times
+ * @param {number[]} thetas - rad
+ * @param {number[]} omegas - rad/s
+ * @param {number[]} alphas - rad/s²
+ * @param {number[]} [phases] - 1-based phase number per sample (defaults to a single phase)
+ * @param {number} radius - m
+ * @param {Object} [units=SI_UNITS] - unit choice from `units.js`; angles use its angle unit, the accelerations its acceleration unit
+ * @param {{separator:string, decimal:string, phase:string}} [format=CSV_FORMAT]
+ * @returns {string} CSV content
+ */
+function csvFromRotation(times, thetas, omegas, alphas, phases, radius, units = SI_UNITS, format = CSV_FORMAT) {
+    const point = pointMotion({ thetas, omegas, alphas }, radius);
+    const theta = fromSI('angle', thetas, units), omega = fromSI('angularVelocity', omegas, units), alpha = fromSI('angularAcceleration', alphas, units);
+    const [at, ac] = [point.tangential, point.centripetal].map(arr => fromSI('acceleration', arr, units));
+    const lines = [['t (s)', `theta (${units.angle})`, `omega (${units.angularVelocity})`, `alpha (${units.angularAcceleration})`,
+        `a_t (${units.acceleration})`, `a_c (${units.acceleration})`, 'revolutions', format.phase]];
+    for (let i = 0; i < times.length; i++) {
+        lines.push([times[i].toFixed(6), theta[i].toFixed(6), omega[i].toFixed(6), alpha[i].toFixed(6), at[i].toFixed(6), ac[i].toFixed(6),
+            point.revolutions[i].toFixed(6), phases && phases[i] ? phases[i] : 1]);
+    }
+    return joinCsv(lines, format);
+}
+
+/**
+ * Convert projectile arrays to CSV string suitable for download.
+ * @param {{times:number[], xs:number[], ys:number[], vxs:number[], vys:number[]}} data
+ * @param {Object} [units=SI_UNITS] - unit choice from `units.js`
+ * @param {{separator:string, decimal:string}} [format=CSV_FORMAT]
+ * @returns {string} CSV content
+ */
+function csvFromProjectile(data, units = SI_UNITS, format = CSV_FORMAT) {
+    const { times } = data;
+    const [xs, ys] = [data.xs, data.ys].map(arr => fromSI('length', arr, units));
+    const [vxs, vys] = [data.vxs, data.vys].map(arr => fromSI('velocity', arr, units));
+    const lines = [['t (s)', `x (${units.length})`, `y (${units.length})`, `vx (${units.velocity})`, `vy (${units.velocity})`]];
+    for (let i = 0; i < times.length; i++) lines.push([times[i].toFixed(6), xs[i].toFixed(6), ys[i].toFixed(6), vxs[i].toFixed(6), vys[i].toFixed(6)]);
+    return joinCsv(lines, format);
+}
+
+/**
+ * Compute one scenario the way the page does: in linear mode an expression
+ * takes precedence over motion phases, which take precedence over the constant `a`.
+ * Dynamics mode solves a = F(x, v) / m for the force terms in `forces` with `integrator`.
+ * Rotational mode is computed like linear mode with `x0`, `v0`, `a`, the phases and the
+ * expression standing for θ, ω and α (rad, rad/s, rad/s²); `radius` (m) places the marked point.
+ * @param {{mode?:'linear'|'projectile'|'dynamics'|'rotational', x0?:number, v0?:number, a?:number, t0?:number, t1?:number, dt?:number,
+ *   exprKind?:''|'a'|'v'|'x', expr?:string, segments?:Array<{duration:number, kind:'accel'|'target', value:number}>,
+ *   speed?:number, angle?:number, h?:number, g?:number, integrator?:string, mass?:number, forces?:Array<Object>,
+ *   radius?:number}} params - missing values come from `DEFAULT_SCENARIO`;
+ *   `integrator` is the scheme for quantities an expression only gives numerically
+ * @param {number} [maxPoints=MAX_POINTS] - limit points to avoid huge arrays
+ * @returns {Object} for `linear`: `{mode, times, xs, vs, as, phases, boundaries, formulas, truncated}` (`formulas` is null
+ *   unless an expression was used); for `dynamics`: the same plus `forces` (each term's force in N) and `net`;
+ *   for `rotational`: the same as `linear` (θ, ω, α in `xs`, `vs`, `as`) plus `radius`;
+ *   for `projectile`: `{mode}` plus the result of `computeProjectile`
+ * @throws {ScenarioError} for an invalid time step, interval, launch parameters, mass, force term, radius or integrator
+ * @throws {ExpressionError} when the expression does not parse or is not finite over the interval
+ */
+function computeScenario(params, maxPoints = MAX_POINTS) {
+    const p = { ...DEFAULT_SCENARIO, ...params };
+    if (!(p.dt > 0)) throw new ScenarioError('Time step dt must be > 0');
+    if (!Object.prototype.hasOwnProperty.call(INTEGRATORS, p.integrator)) throw new ScenarioError(`Unknown integrator "${p.integrator}"`);
+
+    if (p.mode === 'projectile') {
+        if (!(p.g > 0)) throw new ScenarioError('Gravity g must be > 0 for projectile motion.');
+        if (!(p.h >= 0)) throw new ScenarioError('Launch height must be >= 0.');
+        return { mode: 'projectile', ...computeProjectile(p.speed, p.angle, p.h, p.g, p.dt, maxPoints) };
+    }
+    if (p.mode === 'dynamics') {
+        if (p.t1 < p.t0) throw new ScenarioError('End time must be >= start time');
+        const problem = checkDynamics(p.mass, p.forces);
+        if (problem) throw new ScenarioError(problem);
+        return { mode: 'dynamics', ...solveDynamics(p, maxPoints), phases: [], boundaries: [], formulas: null };
+    }
+    if (p.mode === 'rotational') {
+        const problem = checkRadius(p.radius);
+        if (problem) throw new ScenarioError(problem);
+        return { ...computeScenario({ ...p, mode: 'linear' }, maxPoints), mode: 'rotational', radius: p.radius };
+    }
+    if (p.mode !== 'linear') throw new ScenarioError(`Unknown mode "${p.mode}"`);
+
+    if (p.exprKind) {
+        if (!['a', 'v', 'x'].includes(p.exprKind)) throw new ScenarioError(`Unknown expression kind "${p.exprKind}"`);
+        if (p.t1 < p.t0) throw new ScenarioError('End time must be >= start time');
+        const result = computeExpressionKinematics(p.exprKind, String(p.expr || ''), p.x0, p.v0, p.t0, p.t1, p.dt, maxPoints, p.integrator);
+        return { mode: 'linear', ...result, phases: [], boundaries: [] };
+    }
+    if (p.segments && p.segments.length) {
+        return { mode: 'linear', ...computePiecewiseKinematics(p.x0, p.v0, p.segments, p.t0, p.dt, maxPoints), formulas: null };
+    }
+    if (p.t1 < p.t0) throw new ScenarioError('End time must be >= start time');
+    return { mode: 'linear', ...computeKinematics(p.x0, p.v0, p.a, p.t0, p.t1, p.dt, maxPoints), phases: [], boundaries: [], formulas: null };
+}
+
+export {
+    MAX_POINTS,
+    DEFAULT_SCENARIO,
+    ScenarioError,
+    computeKinematics,
+    resolveSegments,
+    computePiecewiseKinematics,
+    computeVFromX,
+    computeAFromX,
+    computeAFromV,
+    integrateVToX,
+    integrateAToV,
+    applyDragEdit,
+    computeExpressionKinematics,
+    computeProjectile,
+    computeScenario,
+    CSV_FORMAT,
+    joinCsv,
+    csvFromData,
+    csvFromRotation,
+    csvFromProjectile,
+};
@@ -2,21 +2,58 @@
  * resources/js/kinematics.js
  * KINESO — Kinematics demo client-side module
  *
- * Contains functions to compute kinematic trajectories for constant acceleration,
- * render interactive charts (Chart.js) and a data table, and support dragging
- * chart points to update the dataset and keep charts and table in sync.
+ * Renders interactive charts (Chart.js) and a data table for the trajectories
+ * computed in `kinematics-core.js`, and supports dragging chart points to update
+ * the dataset and keep charts and table in sync.
  *
  * Key helper functions:
- * - computeKinematics(x0, v0, a, t0, t1, dt)
- * - computeVFromX(xs, dt), computeAFromX(xs, dt), computeAFromV(vs, dt)
- * - integrateVToX(vs, x0, dt), integrateAToV(as, v0, dt)
- * - makeLineChart(ctx, datasets, labels, options)
+ * - makeLineChart(ctx, datasets, labels, options, plugins)
+ * - renderFitTable(tbody, fit) — least-squares results from `fitting.js`
+ * - renderHistoryLog(list, entries, cursor, onSelect) — undo / redo edit log
+ * - renderScenarioList(list, scenarios, handlers) — saved scenario library
+ * - renderParticipantList(list, names), renderSubmissionList(list, submissions, onOpen) — live classroom session from `classroom-api.js`
+ * - drawTrack(canvas, frame), timeCursorPlugin — animated playback
+ * - renderBodyEditor(container, bodies, onChange), meetingPlugin — several bodies from `bodies.js`
+ * - renderEventEditor(container, events, onChange), refreshEvents(state), eventMarkerPlugin — event solver from `events.js`
+ * - setupDragOptions(chartType) — drag modes, modifier keys and x0 / v0 locks from `drag-modes.js`
+ * - practice quiz panel (`#quizPanel`) — seeded problems and answer checks from `quiz.js`
+ * - chartDescriptionPlugin, playSonification(values, seconds, onEnd) — chart descriptions and sound from `accessibility.js`
+ * - printReport(html) — print the lab report from `lab-report.js` through a hidden frame
+ * - renderConvergenceTable(table, rows) — integrator accuracy against the exact solution, from `integrators.js`
+ * - renderForceEditor(container, forces, onChange), renderForceChart(state) — dynamics mode from `dynamics.js`
+ * - renderRotationTable(table, times, data, radius), drawDisc(canvas, frame), renderRotationSummary(el, state) — rotational mode from `rotation.js`
+ * - crosshairPlugin, timeAtPixel(chart, px), renderZoomStatus() — linked zoom, pan and hover crosshair from `time-window.js`
  *
  * The module uses Chart.js and optionally chartjs-plugin-dragdata (loaded dynamically).
  * This file is annotated with JSDoc for better IDE support and documentation generation.
  */
 
 import { Chart, LineController, LineElement, PointElement, LinearScale, CategoryScale, Title, Tooltip, Legend } from 'chart.js';
+import { getRelativePosition } from 'chart.js/helpers';
+import { ExpressionError } from './expression';
+import { ScenarioError, applyDragEdit, csvFromData, csvFromRotation, csvFromProjectile, MAX_POINTS } from './kinematics-core';
+import { guessColumns, MAX_IMPORT_ROWS } from './csv-import';
+import { fitModel } from './fitting';
+import { createHistory } from './history';
+import { PermalinkError, encodeDrag, decodeDrag, encodeScenario, decodeScenario } from './permalink';
+import { PLAYBACK_SPEEDS, sampleAt, advanceClock, stepTime } from './playback';
+import { REPORT_PAGE_SIZES, escapeHtml, describeScenario, describeImport, buildReportHtml } from './lab-report';
+import { MAX_BODIES, defaultBodyName, bodyColor, sampleBody, findAllMeetings, relativeTo, csvFromBodies } from './bodies';
+import { MAX_EVENTS, EVENT_QUANTITIES, constantPieces, solveEvent } from './events';
+import { DEFAULT_QUIZ_LENGTH, MAX_QUIZ_LENGTH, randomSeed, toSignificant, generateQuiz, checkNumericAnswer, checkSketch } from './quiz';
+import { DRAG_MODES, DEFAULT_BRUSH_WIDTH, MAX_BRUSH_WIDTH, modeForKeys, lockedIndexes, editSeries, canMergeDrags, describeDragEdit } from './drag-modes';
+import { extent, decimationIndexes, pickIndexes } from './decimation';
+import { runComputation } from './compute-client';
+import { createVirtualTable } from './virtual-table';
+import { FORCE_TERMS, MAX_FORCES, DEFAULT_MASS, DYNAMICS_PRESETS, defaultForce } from './dynamics';
+import { DEFAULT_RADIUS, revolutionsOf, pointMotion } from './rotation';
+import { INTEGRATORS, DEFAULT_INTEGRATOR, INTEGRATOR_ORDERS, MAX_COMPARE_STEPS, stepCount, compareWithExact, convergenceTable } from './integrators';
+import { ZOOM_STEP, clampWindow, zoomWindow, panWindow, windowRange, windowIndexes, windowLimits } from './time-window';
+import { navigateIndex, adjustStep, formatNumber, describeCurve, pitchFor, sonificationSteps } from './accessibility';
+import { UNITS, UNIT_SYSTEMS, QUANTITIES, SI_UNITS, resolveUnits, fromSI, toSI, unitFactor, unitLabel, convertValue } from './units';
+import { LOCALES, DEFAULT_LOCALE, pickLocale, translate, formatDecimal, localizeNumberText, canonicalNumberText, parseDecimal, csvFormat } from './i18n';
+import { HEARTBEAT_SECONDS, normalizeCode, startSession, getSession, pushScenario, endSession, joinSession, sendHeartbeat, leaveSession, submitVersion, describeClassroomError, connectEcho } from './classroom-api';
+import { listScenarios, loadScenario, saveScenario, updateScenario, duplicateScenario, deleteScenario, describeApiError } from './scenario-api';
 // Register only the components we need to avoid issues with multiple Chart copies
 Chart.register(LineController, LineElement, PointElement, LinearScale, CategoryScale, Title, Tooltip, Legend);
 
@@ -37,153 +74,658 @@ import('chartjs-plugin-dragdata').then(mod => {
     if (typeof pageLog === 'function') pageLog('Drag plugin import failed: ' + (err && err.message ? err.message : String(err)));
 });
 
-// --- kinematics helpers ---
+// Units chosen in the form. State and computations stay in SI; values are
+// converted with toDisplay() where they are shown and with fromDisplay() where they are read.
+let displayUnits = SI_UNITS;
+
+// In rotational mode θ, ω and α take the place of x, v and a (see `rotation.js`), so the
+// length, velocity and acceleration of the 1D pipeline are shown as their angular counterparts.
+// The radius and the accelerations of the marked point stay linear: they use `displayUnits` directly.
+let rotationalDisplay = false;
+
+/** Angular quantity shown in place of each 1D quantity in rotational mode. */
+const ANGULAR_COUNTERPARTS = { length: 'angle', velocity: 'angularVelocity', acceleration: 'angularAcceleration' };
+
+/** Symbol shown in place of x, v and a in rotational mode. */
+const ANGULAR_SYMBOLS = { x: 'θ', v: 'ω', a: 'α' };
+
 /**
- * Compute kinematic trajectories (x, v, a) for constant acceleration.
- * @param {number} x0 - initial position (m)
- * @param {number} v0 - initial velocity (m/s)
- * @param {number} a - constant acceleration (m/s^2)
- * @param {number} t0 - start time (s)
- * @param {number} t1 - end time (s)
- * @param {number} dt - time step (s)
- * @param {number} [maxPoints=1000] - limit points to avoid huge arrays
- * @returns {{times:number[], xs:number[], vs:number[], as:number[]}} computed arrays
+ * The quantity a 1D quantity is shown as: itself, or its angular counterpart in rotational mode.
+ * @param {string} quantity - key of `UNITS`
+ * @returns {string}
  */
-function computeKinematics(x0, v0, a, t0, t1, dt, maxPoints = 1000) {
-    const times = [];
-    const xs = [];
-    const vs = [];
-    const as = [];
+function displayQuantity(quantity) {
+    return (rotationalDisplay && ANGULAR_COUNTERPARTS[quantity]) || quantity;
+}
 
-    if (dt <= 0) return { times, xs, vs, as };
+/**
+ * Symbol of a 1D quantity as shown: x, v and a, or θ, ω and α in rotational mode.
+ * @param {'x'|'v'|'a'} name
+ * @returns {string}
+ */
+function symbolOf(name) {
+    return (rotationalDisplay && ANGULAR_SYMBOLS[name]) || name;
+}
 
-    for (let t = t0; t <= t1 + 1e-12; t += dt) {
-        const x = x0 + v0 * t + 0.5 * a * t * t;
-        const v = v0 + a * t;
-        times.push(Number(t.toFixed(8)));
-        xs.push(Number(x.toFixed(8)));
-        vs.push(Number(v.toFixed(8)));
-        as.push(Number(a.toFixed(8)));
-        if (times.length >= maxPoints) break;
-    }
-    return { times, xs, vs, as };
+/**
+ * Convert an SI value (or array) to the displayed unit of a quantity.
+ * @param {'length'|'velocity'|'acceleration'} quantity
+ * @param {number|number[]} value
+ * @returns {number|number[]}
+ */
+function toDisplay(quantity, value) {
+    return fromSI(displayQuantity(quantity), value, displayUnits);
 }
 
 /**
- * Estimate velocity from position using central differences.
- * Boundary points use forward/backward differences.
- * @param {number[]} xs - position samples
- * @param {number} dt - time step
- * @returns {number[]} velocity estimates
+ * Convert a value (or array) typed in the displayed unit of a quantity to SI.
+ * @param {'length'|'velocity'|'acceleration'} quantity
+ * @param {number|number[]} value
+ * @returns {number|number[]}
  */
-function computeVFromX(xs, dt) {
-    const n = xs.length;
-    const vs = new Array(n);
-    for (let i = 0; i < n; i++) {
-        if (i === 0) vs[i] = (xs[1] - xs[0]) / dt;
-        else if (i === n - 1) vs[i] = (xs[n - 1] - xs[n - 2]) / dt;
-        else vs[i] = (xs[i + 1] - xs[i - 1]) / (2 * dt);
-    }
-    return vs;
+function fromDisplay(quantity, value) {
+    return toSI(displayQuantity(quantity), value, displayUnits);
 }
 
 /**
- * Estimate acceleration from position using second differences.
- * @param {number[]} xs - position samples
- * @param {number} dt - time step
- * @returns {number[]} acceleration estimates
+ * Label of the displayed unit of a quantity, e.g. `km/h`.
+ * @param {'length'|'velocity'|'acceleration'} quantity
+ * @returns {string}
  */
-function computeAFromX(xs, dt) {
-    const n = xs.length;
-    const as = new Array(n);
-    for (let i = 0; i < n; i++) {
-        if (i === 0) as[i] = (xs[2] - 2 * xs[1] + xs[0]) / (dt * dt);
-        else if (i === n - 1) as[i] = (xs[n - 1] - 2 * xs[n - 2] + xs[n - 3]) / (dt * dt);
-        else as[i] = (xs[i + 1] - 2 * xs[i] + xs[i - 1]) / (dt * dt);
-    }
-    return as;
+function unitOf(quantity) {
+    return unitLabel(displayQuantity(quantity), displayUnits);
 }
 
+// Language of the page (see `i18n.js`). Texts put into the page in English are
+// translated by translateTree(); numbers are written with fmt() and inputNumber().
+let locale = DEFAULT_LOCALE;
+
 /**
- * Estimate acceleration from velocity using finite differences.
- * @param {number[]} vs - velocity samples
- * @param {number} dt - time step
- * @returns {number[]} acceleration estimates
+ * Translate a text into the page's language, like Laravel's `__()`; with `params` its
+ * `:name` placeholders are filled in.
+ * @param {string} text - English text
+ * @param {Object<string, *>} [params]
+ * @returns {string}
  */
-function computeAFromV(vs, dt) {
-    const n = vs.length;
-    const as = new Array(n);
-    for (let i = 0; i < n; i++) {
-        if (i === 0) as[i] = (vs[1] - vs[0]) / dt;
-        else if (i === n - 1) as[i] = (vs[n - 1] - vs[n - 2]) / dt;
-        else as[i] = (vs[i + 1] - vs[i - 1]) / (2 * dt);
-    }
-    return as;
+function __(text, params) {
+    return translate(locale, text, params);
+}
+
+/**
+ * Format a number with fixed decimals and the page language's decimal sign.
+ * @param {number} value
+ * @param {number} digits
+ * @returns {string}
+ */
+function fmt(value, digits) {
+    return formatDecimal(value, digits, locale);
+}
+
+/**
+ * A number as it is written into a numeric input, e.g. "2,5" in German.
+ * @param {number|string} value
+ * @returns {string}
+ */
+function inputNumber(value) {
+    return localizeNumberText(String(value), locale);
+}
+
+/** Attributes translated along with the text of the page. */
+const TRANSLATED_ATTRIBUTES = ['title', 'placeholder', 'aria-label'];
+
+/** Elements whose text is never translated: user data (names, file headers) and the debug log. */
+const UNTRANSLATED = 'script, style, textarea, [data-no-i18n]';
+
+// English source of each translated text node and attribute, with the text written in its
+// place: when the page has replaced that text since, the new text is the source.
+const translatedTexts = new WeakMap();
+
+/**
+ * Translate a text node, or an attribute of an element, into the page's language.
+ * Surrounding white space is kept.
+ * @param {Node} node - text node, or the element holding `attribute`
+ * @param {string} [attribute]
+ */
+function translateText(node, attribute) {
+    const current = attribute ? node.getAttribute(attribute) : node.nodeValue;
+    if (current === null) return;
+    if (!translatedTexts.has(node)) translatedTexts.set(node, {});
+    const texts = translatedTexts.get(node);
+    const key = attribute || '#text';
+    const source = texts[key] && texts[key].shown === current ? texts[key].source : current;
+    const trimmed = source.trim();
+    const translated = /[A-Za-z]/.test(trimmed) ? translate(locale, trimmed.replace(/\s+/g, ' ')) : trimmed;
+    const shown = translated === trimmed.replace(/\s+/g, ' ') ? source : source.replace(trimmed, () => translated);
+    texts[key] = { source, shown };
+    if (shown === current) return;
+    if (attribute) node.setAttribute(attribute, shown);
+    else node.nodeValue = shown;
 }
 
 /**
- * Integrate velocity to produce position using trapezoidal rule.
- * @param {number[]} vs - velocity samples
- * @param {number} x0 - initial position
- * @param {number} dt - time step
- * @returns {number[]} integrated positions
+ * Translate every text node and translated attribute in and under `root`,
+ * except inside `UNTRANSLATED` elements.
+ * @param {Node} root
  */
-function integrateVToX(vs, x0, dt) {
-    const n = vs.length;
-    const xs = new Array(n);
-    xs[0] = x0;
-    for (let k = 1; k < n; k++) {
-        xs[k] = xs[k - 1] + 0.5 * (vs[k - 1] + vs[k]) * dt;
+function translateTree(root) {
+    if (root.nodeType === Node.TEXT_NODE) {
+        if (!root.parentElement || !root.parentElement.closest(UNTRANSLATED)) translateText(root);
+        return;
     }
-    return xs;
+    if (root.nodeType !== Node.ELEMENT_NODE || root.closest(UNTRANSLATED)) return;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (node.nodeType === Node.ELEMENT_NODE && node.matches(UNTRANSLATED) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+    });
+    for (let node = root; node; node = walker.nextNode()) {
+        if (node.nodeType === Node.TEXT_NODE) translateText(node);
+        else TRANSLATED_ATTRIBUTES.forEach(name => { if (node.hasAttribute(name)) translateText(node, name); });
+    }
+}
+
+/** Quantity measured by each unit used in fit results. */
+const FIT_UNIT_QUANTITIES = { m: 'length', 'm/s': 'velocity', 'm/s^2': 'acceleration' };
+
+/** Quantity edited on each draggable chart. */
+const DRAG_QUANTITIES = { position: 'length', velocity: 'velocity', acceleration: 'acceleration' };
+
+/** Quantity defined by each expression kind. */
+const EXPR_QUANTITIES = { x: 'length', v: 'velocity', a: 'acceleration' };
+
+/** Line colours of the force terms in the force breakdown chart; the net force is drawn in black. */
+const FORCE_COLORS = ['rgba(33,150,243,1)', 'rgba(244,67,54,1)', 'rgba(39,174,96,1)', 'rgba(255,152,0,1)', 'rgba(123,31,162,1)', 'rgba(0,150,136,1)'];
+
+/** Line colour of each numerical scheme in the integrator comparison. */
+const INTEGRATOR_COLORS = { euler: 'rgba(244,67,54,1)', 'semi-implicit': 'rgba(255,152,0,1)', trapezoid: 'rgba(33,150,243,1)', simpson: 'rgba(39,174,96,1)', rk4: 'rgba(123,31,162,1)' };
+
+/**
+ * Unit choice selected by the form's unit fields.
+ * @param {FormData} f
+ * @returns {Object} unit choice from `resolveUnits`
+ */
+function formUnits(f) {
+    return resolveUnits(f.get('unitSystem') || 'si', { length: f.get('lengthUnit'), velocity: f.get('velocityUnit'), acceleration: f.get('accelUnit'), angle: f.get('angleUnit') });
 }
 
 /**
- * Integrate acceleration to produce velocity using simple Euler integration.
- * @param {number[]} as - acceleration samples
- * @param {number} v0 - initial velocity
- * @param {number} dt - time step
- * @returns {number[]} integrated velocities
+ * Numerical scheme selected by the form (see `integrators.js`).
+ * @param {FormData} f
+ * @returns {string}
  */
-function integrateAToV(as, v0, dt) {
-    const n = as.length;
-    const vs = new Array(n);
-    vs[0] = v0;
-    for (let k = 1; k < n; k++) {
-        vs[k] = vs[k - 1] + as[k - 1] * dt;
+function formIntegrator(f) {
+    const scheme = String(f.get('integrator') || '');
+    return Object.prototype.hasOwnProperty.call(INTEGRATORS, scheme) ? scheme : DEFAULT_INTEGRATOR;
+}
+
+/**
+ * Compute a linear scenario whose numbers are in SI but whose expression (if any) is
+ * typed in the displayed unit of its quantity. The expression is evaluated with x0 and
+ * v0 in that same unit, so its derivatives and integrals need no conversion factors,
+ * and the samples are scaled back to SI. Derived formulas are returned in the displayed units.
+ * The samples are computed by the worker (see `compute-client.js`).
+ * @param {Object} scenario - linear scenario as accepted by `computeScenario`
+ * @param {number} [maxPoints=MAX_POINTS]
+ * @returns {Promise<Object>} result of `computeScenario`, in SI
+ */
+async function computeDisplayedScenario(scenario, maxPoints = MAX_POINTS) {
+    if (!scenario.exprKind) return runComputation('scenario', { scenario, maxPoints });
+    const k = unitFactor(displayQuantity(EXPR_QUANTITIES[scenario.exprKind]), displayUnits);
+    const result = await runComputation('scenario', { scenario: { ...scenario, x0: scenario.x0 / k, v0: scenario.v0 / k }, maxPoints });
+    if (k === 1) return result;
+    const formulas = {};
+    for (const [q, quantity] of Object.entries(EXPR_QUANTITIES)) {
+        const ratio = k / unitFactor(displayQuantity(quantity), displayUnits);
+        const formula = result.formulas[q];
+        formulas[q] = formula === null || ratio === 1 ? formula : `${Number(ratio.toPrecision(6))}*(${formula})`;
     }
-    return vs;
+    const scale = (arr) => arr.map(v => v * k);
+    return { ...result, xs: scale(result.xs), vs: scale(result.vs), as: scale(result.as), formulas };
 }
 
 /**
- * Render the data rows into the provided tbody element.
- * @param {HTMLTableSectionElement} tbody - table body element to populate
+ * Show the data rows in the virtual results table (see `virtual-table.js`), in the
+ * displayed units; rows are formatted when they scroll into view.
+ * Further bodies add a velocity and a position cell each, after the first body's.
+ * @param {Object} table - virtual table from `createVirtualTable`
  * @param {number[]} times
  * @param {number[]} xs
  * @param {number[]} vs
  * @param {number[]} as
+ * @param {Array<{xs:number[], vs:number[]}>} [others=[]] - further bodies sampled at `times`
+ */
+function renderTable(table, times, xs, vs, as, others = []) { 
+    const cell = (v) => `<td style="padding:6px 8px; text-align:right">${fmt(v, 3)}</td>`;
+    table.setRows(times.length, (i) => `<td style="padding:6px 8px">${fmt(times[i], 3)}</td>${cell(toDisplay('velocity', vs[i]))}${cell(toDisplay('length', xs[i]))}`
+        + others.map(o => cell(toDisplay('velocity', o.vs[i])) + cell(toDisplay('length', o.xs[i]))).join(''));
+}
+
+/**
+ * Show projectile rows (t, x, y, vx, vy) in the virtual results table, in the displayed units.
+ * @param {Object} table - virtual table from `createVirtualTable`
+ * @param {{times:number[], xs:number[], ys:number[], vxs:number[], vys:number[]}} data
+ */
+function renderProjectileTable(table, data) {
+    const { times, xs, ys, vxs, vys } = data;
+    const cell = (v) => `<td style="padding:6px 8px; text-align:right">${fmt(v, 3)}</td>`;
+    table.setRows(times.length, (i) => `<td style="padding:6px 8px">${fmt(times[i], 3)}</td>${cell(toDisplay('length', xs[i]))}${cell(toDisplay('length', ys[i]))}`
+        + `${cell(toDisplay('velocity', vxs[i]))}${cell(toDisplay('velocity', vys[i]))}`);
+}
+
+/**
+ * Show rotational rows (t, ω, θ, then the marked point's a_t and a_c and the revolutions turned)
+ * in the virtual results table. Angles are in the displayed angle unit, accelerations in the linear one.
+ * @param {Object} table - virtual table from `createVirtualTable`
+ * @param {number[]} times
+ * @param {{thetas:number[], omegas:number[], alphas:number[]}} data - SI (rad)
+ * @param {number} radius - m
+ */
+function renderRotationTable(table, times, data, radius) {
+    const point = pointMotion(data, radius);
+    const cell = (v) => `<td style="padding:6px 8px; text-align:right">${fmt(v, 3)}</td>`;
+    const linear = (v) => cell(fromSI('acceleration', v, displayUnits));
+    table.setRows(times.length, (i) => `<td style="padding:6px 8px">${fmt(times[i], 3)}</td>${cell(toDisplay('velocity', data.omegas[i]))}${cell(toDisplay('length', data.thetas[i]))}`
+        + `${linear(point.tangential[i])}${linear(point.centripetal[i])}${cell(point.revolutions[i])}`);
+}
+
+/**
+ * Render least-squares fit results: one row per parameter (value ± standard error),
+ * followed by R², RMSE and the number of samples. Values are shown in the displayed units.
+ * @param {HTMLTableSectionElement} tbody - table body element to populate
+ * @param {{params:Array<{name:string, value:number, se:number, unit:string}>, r2:number, rmse:number, residuals:number[]}} fit
+ */
+function renderFitTable(tbody, fit) {
+    const se = (v) => (Number.isFinite(v) ? `± ${fmt(v, 4)}` : '');
+    const row = (p) => {
+        const q = FIT_UNIT_QUANTITIES[p.unit];
+        if (!q) return `<tr><td>${p.name}</td><td>${fmt(p.value, 4)}</td><td>${se(p.se)}</td><td>${p.unit}</td></tr>`;
+        return `<tr><td>${p.name}</td><td>${fmt(toDisplay(q, p.value), 4)}</td><td>${se(toDisplay(q, p.se))}</td><td>${unitOf(q)}</td></tr>`;
+    };
+    tbody.innerHTML = fit.params.map(row).join('')
+        + `<tr><td>R²</td><td>${fmt(fit.r2, 5)}</td><td></td><td></td></tr>`
+        + `<tr><td>RMSE</td><td>${fmt(toDisplay('length', fit.rmse), 4)}</td><td></td><td>${unitOf('length')}</td></tr>`
+        + `<tr><td>n</td><td>${fit.residuals.length}</td><td></td><td></td></tr>`;
+}
+
+/**
+ * Render the convergence table of the integrator comparison: one row per time step,
+ * one column per scheme with the largest position error (displayed length unit) and
+ * the order observed against the row above. Errors at the level of rounding read "exact".
+ * @param {HTMLTableElement} table
+ * @param {Array<{dt:number, cells:Array<{scheme:string, maxError:number, exact:boolean, order:number|null}>}>} rows - from `convergenceTable`
+ */
+function renderConvergenceTable(table, rows) {
+    if (!rows.length) { table.innerHTML = ''; return; }
+    const head = rows[0].cells.map(c => `<th scope="col" title="${INTEGRATORS[c.scheme]}, expected order ${INTEGRATOR_ORDERS[c.scheme]}">${c.scheme}</th>`).join('');
+    const cell = (c) => {
+        if (c.exact) return '<td>exact</td>';
+        const order = c.order === null ? '' : `<br><span style="color:var(--muted)">p ≈ ${fmt(c.order, 2)}</span>`;
+        return `<td>${inputNumber(toDisplay('length', c.maxError).toExponential(2))}${order}</td>`;
+    };
+    table.innerHTML = `<thead><tr><th scope="col">dt (s)</th>${head}</tr></thead>`
+        + `<tbody>${rows.map(r => `<tr><th scope="row">${inputNumber(Number(r.dt.toPrecision(4)))}</th>${r.cells.map(cell).join('')}</tr>`).join('')}</tbody>`
+        + `<caption style="caption-side:bottom; text-align:left; font-size:12px; color:var(--muted)">Largest |error| of x (${unitOf('length')}); p is the observed order, log₂ of the error ratio between rows.</caption>`;
+}
+
+/**
+ * Render the edit log: one clickable item per history entry. The current entry is
+ * highlighted and undone entries (still available to redo) are dimmed.
+ * @param {HTMLElement} list - `<ol>` receiving one `<li>` per entry
+ * @param {Array<{label:string}>} entries - history entries, oldest first
+ * @param {number} cursor - index of the current entry
+ * @param {(index:number) => void} onSelect - invoked with the index of the clicked entry
+ */
+function renderHistoryLog(list, entries, cursor, onSelect) {
+    list.innerHTML = '';
+    entries.forEach((entry, i) => {
+        const li = document.createElement('li');
+        li.textContent = entry.label;
+        li.className = i === cursor ? 'current' : (i > cursor ? 'undone' : '');
+        li.title = 'Revert to this point';
+        li.tabIndex = 0;
+        li.addEventListener('click', () => onSelect(i));
+        li.addEventListener('keydown', (e) => { if (e.key === 'Enter') onSelect(i); });
+        list.appendChild(li);
+    });
+    if (cursor === entries.length - 1) list.scrollTop = list.scrollHeight;
+}
+
+/**
+ * Render the saved scenario library: one row per scenario with its name (click
+ * to load) and rename / duplicate / delete buttons.
+ * @param {HTMLElement} list - `<ul>` receiving one `<li>` per scenario
+ * @param {Array<{id:number, name:string, updated_at:string}>} scenarios
+ * @param {{load:Function, rename:Function, duplicate:Function, remove:Function}} handlers - each called with the scenario
+ */
+function renderScenarioList(list, scenarios, handlers) {
+    list.innerHTML = '';
+    if (!scenarios.length) {
+        const li = document.createElement('li');
+        li.className = 'empty';
+        li.textContent = 'No saved scenarios yet.';
+        list.appendChild(li);
+        return;
+    }
+    scenarios.forEach(item => {
+        const li = document.createElement('li');
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'scenario-name';
+        name.textContent = item.name;
+        // the name is the user's own text: only the tooltip is translated
+        name.dataset.noI18n = '';
+        name.title = __('Load (saved :date)', { date: new Date(item.updated_at).toLocaleString(locale) });
+        name.addEventListener('click', () => handlers.load(item));
+        li.appendChild(name);
+        [['Rename', handlers.rename], ['Copy', handlers.duplicate], ['✕', handlers.remove]].forEach(([text, fn]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = text;
+            btn.title = text === '✕' ? 'Delete' : text;
+            btn.addEventListener('click', () => fn(item));
+            li.appendChild(btn);
+        });
+        list.appendChild(li);
+    });
+}
+
+/**
+ * Render the names of the people connected to a live session.
+ * @param {HTMLElement} list - `<ul>` receiving one `<li>` per name
+ * @param {string[]} names
+ */
+function renderParticipantList(list, names) {
+    list.innerHTML = '';
+    const items = names.length ? names : ['Nobody has joined yet.'];
+    items.forEach(name => {
+        const li = document.createElement('li');
+        if (!names.length) li.className = 'empty';
+        else li.dataset.noI18n = '';
+        li.textContent = name;
+        list.appendChild(li);
+    });
+}
+
+/**
+ * Render the versions students sent in a live session: one row per version
+ * with the student's name (click to open it) and their note.
+ * @param {HTMLElement} list - `<ul>` receiving one `<li>` per version
+ * @param {Array<{id:number, name:string, note:string|null, created_at:string}>} submissions - newest first
+ * @param {(submission:Object) => void} onOpen
  */
-function renderTable(tbody, times, xs, vs, as) { 
-    tbody.innerHTML = '';
-    for (let i = 0; i < times.length; i++) {
-        const tr = document.createElement('tr');
-        tr.innerHTML = `<td style="padding:6px 8px">${times[i].toFixed(3)}</td><td style="padding:6px 8px; text-align:right">${vs[i].toFixed(3)}</td><td style="padding:6px 8px; text-align:right">${xs[i].toFixed(3)}</td>`;
-        tbody.appendChild(tr);
+function renderSubmissionList(list, submissions, onOpen) {
+    list.innerHTML = '';
+    if (!submissions.length) {
+        const li = document.createElement('li');
+        li.className = 'empty';
+        li.textContent = 'No versions received yet.';
+        list.appendChild(li);
+        return;
     }
+    submissions.forEach(item => {
+        const li = document.createElement('li');
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'scenario-name';
+        name.textContent = item.note ? `${item.name}: ${item.note}` : item.name;
+        name.dataset.noI18n = '';
+        name.title = __('Open (sent :time)', { time: new Date(item.created_at).toLocaleTimeString(locale) });
+        name.addEventListener('click', () => onOpen(item));
+        li.appendChild(name);
+        list.appendChild(li);
+    });
+}
+
+/**
+ * Read a number typed into an editor input (phases, forces, bodies, events, quiz sketch).
+ * Text that is not a number (see `parseDecimal`) marks the input `.invalid`; the caller
+ * then keeps the previous value and does not recompute.
+ * @param {HTMLInputElement} input
+ * @returns {number} the value, or NaN
+ */
+function readEditorNumber(input) {
+    const value = parseDecimal(input.value);
+    input.classList.toggle('invalid', Number.isNaN(value));
+    return value;
+}
+
+/**
+ * Render the motion-phase editor rows into the provided container.
+ * Each row edits one segment in place (kind, duration, value) and offers
+ * move up / move down / delete buttons. Every change calls `onChange()`.
+ * @param {HTMLElement} container - element receiving one row per phase
+ * @param {Array<{duration:number, kind:'accel'|'target', value:number}>} segments - edited in place
+ * @param {() => void} onChange - invoked after any edit, reorder or removal
+ */
+function renderPhaseEditor(container, segments, onChange) {
+    container.innerHTML = '';
+    segments.forEach((seg, i) => {
+        const row = document.createElement('div');
+        row.className = 'phase-row';
+        row.innerHTML = `<span class="phase-label">P${i + 1}</span>`
+            + `<input type="text" inputmode="decimal" data-field="duration" value="${inputNumber(seg.duration)}" title="Duration (s)" aria-label="Phase ${i + 1} duration (s)">`
+            + `<select data-field="kind" aria-label="Phase ${i + 1} type"><option value="accel">${symbolOf('a')} =</option><option value="target">${symbolOf('v')} →</option></select>`
+            + `<input type="text" inputmode="decimal" data-field="value" value="${inputNumber(seg.value)}" aria-label="Phase ${i + 1} value">`
+            + `<button type="button" data-action="up" title="Move up"${i === 0 ? ' disabled' : ''}>↑</button>`
+            + `<button type="button" data-action="down" title="Move down"${i === segments.length - 1 ? ' disabled' : ''}>↓</button>`
+            + `<button type="button" data-action="delete" title="Delete phase">✕</button>`;
+        row.querySelector('select').value = seg.kind;
+        row.querySelector('[data-field="value"]').title = seg.kind === 'target'
+            ? `${rotationalDisplay ? 'Target angular velocity' : 'Target velocity'} (${unitOf('velocity')})`
+            : `${rotationalDisplay ? 'Angular acceleration' : 'Acceleration'} (${unitOf('acceleration')})`;
+
+        row.addEventListener('input', (e) => {
+            const field = e.target.dataset.field;
+            if (field !== 'duration' && field !== 'value') return;
+            const value = readEditorNumber(e.target);
+            if (Number.isNaN(value)) return;
+            seg[field] = value;
+            onChange();
+        });
+        row.addEventListener('change', (e) => {
+            if (e.target.dataset.field === 'kind') { seg.kind = e.target.value; renderPhaseEditor(container, segments, onChange); onChange(); }
+        });
+        row.addEventListener('click', (e) => {
+            const action = e.target.dataset && e.target.dataset.action;
+            if (!action) return;
+            if (action === 'delete') segments.splice(i, 1);
+            else if (action === 'up' && i > 0) segments.splice(i - 1, 2, segments[i], segments[i - 1]);
+            else if (action === 'down' && i < segments.length - 1) segments.splice(i, 2, segments[i + 1], segments[i]);
+            renderPhaseEditor(container, segments, onChange);
+            onChange();
+        });
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Render the force term editor of dynamics mode: one row per term with its
+ * parameters (SI units, see `FORCE_TERMS`) and a delete button. Each row edits
+ * one term in place; every change calls `onChange()`.
+ * @param {HTMLElement} container - element receiving one row per force term
+ * @param {Array<{kind:string}>} forces - edited in place
+ * @param {() => void} onChange - invoked after any edit or removal
+ */
+function renderForceEditor(container, forces, onChange) {
+    container.innerHTML = '';
+    forces.forEach((term, i) => {
+        const def = FORCE_TERMS[term.kind];
+        if (!def) return;
+        const row = document.createElement('div');
+        row.className = 'phase-row force-row';
+        row.innerHTML = `<span class="phase-label">F${i + 1}</span><span class="force-name">${def.label}</span>`
+            + Object.entries(def.params).map(([name, p]) => `<label>${p.label} <input type="text" inputmode="decimal" data-field="${name}" value="${inputNumber(term[name])}" title="${p.label}${p.unit ? ` (${p.unit})` : ''}" aria-label="Force ${i + 1} ${p.label}${p.unit ? ` (${p.unit})` : ''}"></label>`).join('')
+            + `<button type="button" data-action="delete" title="Delete force">✕</button>`;
+        row.addEventListener('input', (e) => {
+            const field = e.target.dataset.field;
+            if (!field || !def.params[field]) return;
+            const value = readEditorNumber(e.target);
+            if (Number.isNaN(value)) return;
+            term[field] = value;
+            onChange();
+        });
+        row.addEventListener('click', (e) => {
+            if (!e.target.dataset || e.target.dataset.action !== 'delete') return;
+            forces.splice(i, 1);
+            renderForceEditor(container, forces, onChange);
+            onChange();
+        });
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Render the editor rows for the bodies after the first one: colour, name, x0,
+ * v0 and a (typed in the displayed units) and a delete button. Each row edits
+ * one body in place; every change calls `onChange()`.
+ * @param {HTMLElement} container - element receiving one row per body
+ * @param {Array<{name:string, x0:number, v0:number, a:number}>} bodies - edited in place
+ * @param {() => void} onChange - invoked after any edit or removal
+ */
+function renderBodyEditor(container, bodies, onChange) {
+    container.innerHTML = '';
+    bodies.forEach((body, i) => {
+        const row = document.createElement('div');
+        row.className = 'phase-row body-row';
+        const number = (field, label, quantity) => `<input type="text" inputmode="decimal" data-field="${field}" value="${inputNumber(body[field])}" title="${label} (${unitOf(quantity)})" aria-label="${escapeHtml(body.name)} ${label}">`;
+        row.innerHTML = `<span class="body-swatch" style="background:${bodyColor(i + 1)}"></span>`
+            + `<input type="text" data-field="name" maxlength="20" value="${escapeHtml(body.name)}" title="Name" aria-label="Body ${i + 2} name">`
+            + number('x0', 'x0', 'length') + number('v0', 'v0', 'velocity') + number('a', 'a', 'acceleration')
+            + `<button type="button" data-action="delete" title="Delete body">✕</button>`;
+        row.addEventListener('input', (e) => {
+            const field = e.target.dataset.field;
+            if (!field) return;
+            if (field === 'name') body.name = e.target.value.trim() || defaultBodyName(i + 1);
+            else {
+                const value = readEditorNumber(e.target);
+                if (Number.isNaN(value)) return;
+                body[field] = value;
+            }
+            onChange();
+        });
+        row.addEventListener('click', (e) => {
+            if (!(e.target.dataset && e.target.dataset.action === 'delete')) return;
+            bodies.splice(i, 1);
+            renderBodyEditor(container, bodies, onChange);
+            onChange();
+        });
+        container.appendChild(row);
+    });
+}
+
+/**
+ * List the meetings between bodies, e.g. "A and B meet at t = 4.000 s, x = 40.000 m".
+ * @param {HTMLElement} el
+ * @param {Array<{t:number, x:number, a:number, b:number}>} meetings - from `findAllMeetings` (SI, ground frame)
+ * @param {string[]} names - body names by index
+ */
+function renderMeetingList(el, meetings, names) {
+    if (names.length < 2) { el.innerHTML = ''; return; }
+    if (!meetings.length) { el.innerHTML = '<div>The bodies do not meet in this time interval.</div>'; return; }
+    el.innerHTML = meetings.map(m => `<div>${escapeHtml(names[m.a])} and ${escapeHtml(names[m.b])} meet at t = ${fmt(m.t, 3)} s, x = ${fmt(toDisplay('length', m.x), 3)} ${unitOf('length')}</div>`).join('');
+}
+
+/** Colour of each event's markers and list entry, by position. */
+const EVENT_COLORS = ['rgba(76,175,80,1)', 'rgba(142,36,170,1)', 'rgba(0,137,123,1)', 'rgba(230,81,0,1)', 'rgba(84,110,122,1)', 'rgba(194,24,91,1)', 'rgba(57,73,171,1)', 'rgba(130,119,23,1)'];
+
+/** Options of the event kind select, by kind; x, v and a are shown as θ, ω and α in rotational mode. */
+const EVENT_KIND_LABELS = { x: 'x =', v: 'v =', a: 'a =', start: 'back at start' };
+
+/**
+ * Render the event editor rows (kind select, target value and delete button)
+ * into `container`. Values are typed in the displayed units; `start` events
+ * have no value. Editing mutates `events` in place and calls `onChange`.
+ * @param {HTMLElement} container
+ * @param {Array<{kind:'x'|'v'|'a'|'start', value:number}>} events
+ * @param {Function} onChange
+ */
+function renderEventEditor(container, events, onChange) {
+    container.innerHTML = '';
+    events.forEach((ev, i) => {
+        const row = document.createElement('div');
+        row.className = 'phase-row event-row';
+        const options = Object.entries(EVENT_KIND_LABELS).map(([kind, label]) => `<option value="${kind}"${kind === ev.kind ? ' selected' : ''}>${EVENT_QUANTITIES[kind] ? `${symbolOf(kind)} =` : label}</option>`).join('');
+        const quantity = EVENT_QUANTITIES[ev.kind];
+        row.innerHTML = `<span class="phase-label" style="color:${EVENT_COLORS[i % EVENT_COLORS.length]}">E${i + 1}</span>`
+            + `<select data-field="kind" aria-label="Event ${i + 1} condition">${options}</select>`
+            + (quantity ? `<input type="text" inputmode="decimal" data-field="value" value="${inputNumber(ev.value)}" title="Target (${unitOf(quantity)})" aria-label="Event ${i + 1} target"><span class="event-unit">${unitOf(quantity)}</span>` : '')
+            + `<button type="button" data-action="delete" title="Delete event">✕</button>`;
+        row.addEventListener('change', (e) => {
+            if (e.target.dataset.field !== 'kind') return;
+            ev.kind = e.target.value;
+            renderEventEditor(container, events, onChange);
+            onChange();
+        });
+        row.addEventListener('input', (e) => {
+            if (e.target.dataset.field !== 'value') return;
+            const value = readEditorNumber(e.target);
+            if (Number.isNaN(value)) return;
+            ev.value = value;
+            onChange();
+        });
+        row.addEventListener('click', (e) => {
+            if (!(e.target.dataset && e.target.dataset.action === 'delete')) return;
+            events.splice(i, 1);
+            renderEventEditor(container, events, onChange);
+            onChange();
+        });
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Short description of a crossing, e.g. "t = 4.525 s, increasing" or, for v = 0, "turning point".
+ * @param {{kind:string, value:number}} ev
+ * @param {{t:number, direction:string, until?:number}} c - from `solveEvent`
+ * @returns {string}
+ */
+function describeCrossing(ev, c) {
+    if (c.direction === 'hold') return `t = ${fmt(c.t, 3)} – ${fmt(c.until, 3)} s, constant`;
+    const stops = ev.kind === 'v' && Number(ev.value) === 0;
+    const how = stops
+        ? (c.direction === 'touch' ? 'stops momentarily' : 'turning point')
+        : { up: 'increasing', down: 'decreasing', touch: 'touches' }[c.direction];
+    return `t = ${fmt(c.t, 3)} s, ${how}`;
+}
+
+/**
+ * List every event with its crossing times, or a note when it never happens.
+ * @param {HTMLElement} el
+ * @param {Array<{kind:string, value:number}>} events - as typed (displayed units)
+ * @param {Array<Array<Object>>} results - crossings per event
+ */
+function renderEventResults(el, events, results) {
+    const shownMax = 20;
+    el.innerHTML = events.map((ev, i) => {
+        const quantity = EVENT_QUANTITIES[ev.kind];
+        const name = quantity ? `${symbolOf(ev.kind)} = ${inputNumber(ev.value)} ${unitOf(quantity)}` : __(EVENT_KIND_LABELS[ev.kind]);
+        const found = results[i] || [];
+        const items = found.slice(0, shownMax).map(c => `<li>${describeCrossing(ev, c)}</li>`).join('')
+            + (found.length > shownMax ? `<li>${__('… and :n more', { n: found.length - shownMax })}</li>` : '');
+        return `<div><strong style="color:${EVENT_COLORS[i % EVENT_COLORS.length]}">E${i + 1}</strong> ${escapeHtml(name)}: `
+            + (found.length ? `<ul class="event-times">${items}</ul>` : __('never in this interval')) + '</div>';
+    }).join('');
 }
 
 /**
- * Convert arrays to CSV string suitable for download.
+ * Highlight the table row nearest to every crossing, with the event names as a tooltip.
+ * @param {Object} table - virtual results table, rows in `times` order
  * @param {number[]} times
- * @param {number[]} xs
- * @param {number[]} vs
- * @param {number[]} as
- * @returns {string} CSV content
+ * @param {Array<Array<{t:number}>>} results - crossings per event (none clears the highlights)
  */
-function csvFromData(times, xs, vs, as) { 
-    const lines = [['t (s)', 'x (m)', 'v (m/s)', 'a (m/s^2)']];
-    for (let i = 0; i < times.length; i++) lines.push([times[i].toFixed(6), xs[i].toFixed(6), vs[i].toFixed(6), as[i].toFixed(6)]);
-    return lines.map(r => r.join(',')).join('\n');
+function highlightEventRows(table, times, results) {
+    const hits = new Map();
+    results.forEach((found, i) => found.forEach(c => {
+        const k = Math.round(indexForTime(times, c.t));
+        if (!Number.isFinite(k)) return;
+        if (!hits.has(k)) hits.set(k, []);
+        if (!hits.get(k).includes(i)) hits.get(k).push(i);
+    }));
+    const decorations = new Map();
+    hits.forEach((events, k) => decorations.set(k, {
+        className: 'event-hit',
+        style: `box-shadow: inset 3px 0 0 ${EVENT_COLORS[events[0] % EVENT_COLORS.length]}`,
+        title: events.map(i => 'E' + (i + 1)).join(', '),
+    }));
+    table.setDecorations(decorations);
 }
 
 /**
@@ -208,6 +750,25 @@ function downloadChartImage(chart, filename) {
     a.href = chart.toBase64Image(); a.download = filename; document.body.appendChild(a); a.click(); a.remove();
 }
 
+/**
+ * Print an HTML document from a hidden frame so the browser offers "Save as PDF".
+ * The frame is removed once the print dialog closes.
+ * @param {string} html - complete document, e.g. from `buildReportHtml`
+ */
+function printReport(html) {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position:fixed; right:0; bottom:0; width:0; height:0; border:0;';
+    frame.onload = () => {
+        const win = frame.contentWindow;
+        win.addEventListener('afterprint', () => frame.remove());
+        win.focus();
+        win.print();
+    };
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+}
+
 const baseChartOptions = {
     responsive: true,
     maintainAspectRatio: false,
@@ -224,365 +785,3675 @@ const baseChartOptions = {
 };
 
 /**
- * Create a new Chart.js line chart with safe lifecycle handling.
- * Ensures any existing Chart on the canvas is destroyed first.
- * @param {CanvasRenderingContext2D|HTMLCanvasElement|string} ctx - canvas context or element or id
- * @param {Array<Object>} datasets - Chart.js dataset configurations
- * @param {Array<number|string>} labels
- * @param {Object} [options={}] Chart.js configuration overrides
- * @returns {Chart} created Chart.js instance
+ * Fractional label index at which time `t` falls, interpolating linearly
+ * between neighbouring labels. Used to place markers on category time axes.
+ * @param {Array<number|string>} labels - ascending time labels
+ * @param {number} t - time to locate
+ * @returns {number} fractional index, or NaN when `t` is outside the labels
  */
-function makeLineChart(ctx, datasets, labels, options = {}) { 
-    const cfg = Object.assign({}, baseChartOptions, options);
-    // Ensure we're creating a line chart (explicit controller)
-    cfg.type = cfg.type || 'line';
-    // Ensure each dataset has a type to avoid controller lookup issues
-    cfg.data = { labels, datasets: datasets.map(ds => Object.assign({ type: 'line' }, ds)) };
-
-    // If a Chart already exists on this canvas, destroy it first to prevent "canvas already in use" errors
-    try {
-        let canvas = ctx && ctx.canvas ? ctx.canvas : ctx;
-        if (typeof canvas === 'string') canvas = document.getElementById(canvas);
-        const existing = Chart.getChart(canvas);
-        if (existing) existing.destroy();
-    } catch (e) { console.warn('makeLineChart destroy existing error', e); }
-
-    return new Chart(ctx, cfg);
+function indexForTime(labels, t) {
+    const n = labels ? labels.length : 0;
+    if (!n || t < Number(labels[0]) || t > Number(labels[n - 1])) return NaN;
+    let lo = 0, hi = n - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (Number(labels[mid]) <= t) lo = mid; else hi = mid;
+    }
+    const tLo = Number(labels[lo]), tHi = Number(labels[hi]);
+    return tHi > tLo ? lo + (t - tLo) / (tHi - tLo) : lo;
 }
 
 /**
- * Create a debounced version of a function.
- * @template T
- * @param {(...args: T[]) => void} fn
- * @param {number} [wait=250]
- * @returns {(...args: T[]) => void}
+ * Chart.js plugin drawing a dashed vertical line at every phase boundary.
+ * Boundaries are read from `options.plugins.phaseBoundaries.boundaries` as
+ * `{t, phase}` objects and positioned on the category axis between the
+ * neighbouring time labels.
  */
-function debounce(fn, wait = 250) { 
-    let t;
-    return (...args) => { clearTimeout(t); t = setTimeout(() => fn(...args), wait); };
-}
-
-let smallPosChart = null, smallVelChart = null, smallAccChart = null, mainChart = null;
+const phaseBoundaryPlugin = {
+    id: 'phaseBoundaries',
+    defaults: { boundaries: [], color: 'rgba(38,50,56,0.45)' },
+    afterDatasetsDraw(chart, args, opts) {
+        const boundaries = opts && opts.boundaries;
+        const labels = chart.data.labels;
+        const xScale = chart.scales.x;
+        if (!boundaries || !boundaries.length || !labels || labels.length < 2 || !xScale) return;
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        ctx.strokeStyle = opts.color;
+        ctx.fillStyle = opts.color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([5, 4]);
+        ctx.font = '10px sans-serif';
+        for (const b of boundaries) {
+            const px = xScale.getPixelForValue(indexForTime(labels, b.t));
+            if (!(px >= chartArea.left && px <= chartArea.right)) continue;
+            ctx.beginPath();
+            ctx.moveTo(px, chartArea.top);
+            ctx.lineTo(px, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText('P' + b.phase, px + 3, chartArea.top + 10);
+        }
+        ctx.restore();
+    }
+};
 
 /**
- * Destroy a Chart instance if one exists on the canvas/context provided.
- * @param {CanvasRenderingContext2D|HTMLCanvasElement|string} ctxOrCanvas
+ * Chart.js plugin marking where bodies meet: a ring at every point of
+ * `options.plugins.meetings.points` (`{t, y, label}`, `y` on the chart's `y`
+ * axis) with its label, placed on the category time axis like phase boundaries.
  */
-function destroyChartIfExists(ctxOrCanvas) { 
-    try {
-        let canvas = ctxOrCanvas && ctxOrCanvas.canvas ? ctxOrCanvas.canvas : ctxOrCanvas;
-        if (typeof canvas === 'string') canvas = document.getElementById(canvas);
-        if (!canvas) return;
-        const existing = Chart.getChart(canvas);
-        if (existing) existing.destroy();
-    } catch (e) { console.warn('destroyChartIfExists error', e); }
-}
+const meetingPlugin = {
+    id: 'meetings',
+    defaults: { points: [], color: 'rgba(38,50,56,0.9)' },
+    afterDatasetsDraw(chart, args, opts) {
+        const points = opts && opts.points;
+        const labels = chart.data.labels;
+        const xScale = chart.scales.x, yScale = chart.scales.y;
+        if (!points || !points.length || !labels || labels.length < 2 || !xScale || !yScale) return;
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        ctx.strokeStyle = opts.color;
+        ctx.fillStyle = opts.color;
+        ctx.lineWidth = 2;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        for (const p of points) {
+            const px = xScale.getPixelForValue(indexForTime(labels, p.t));
+            const py = yScale.getPixelForValue(p.y);
+            if (!(px >= chartArea.left && px <= chartArea.right && py >= chartArea.top && py <= chartArea.bottom)) continue;
+            ctx.beginPath();
+            ctx.arc(px, py, 5, 0, 2 * Math.PI);
+            ctx.stroke();
+            if (p.label) ctx.fillText(p.label, px, py - 9);
+        }
+        ctx.restore();
+    }
+};
 
 /**
- * Append a timestamped message to the debug panel (if present) and the console.
- * @param {string} msg
+ * Event crossings shared by every chart: `{t, label, color}` entries drawn by
+ * `eventMarkerPlugin`, set by `refreshEvents`.
  */
-function pageLog(msg) { 
-    try {
-        console.log(msg);
-        const el = document.getElementById('uiDebug');
-        if (!el) return;
-        const p = document.createElement('div');
-        p.innerText = (new Date()).toLocaleTimeString() + ' - ' + String(msg);
-        el.appendChild(p);
-        // keep scroll at bottom
-        el.scrollTop = el.scrollHeight;
-    } catch (e) { console.log('pageLog error', e); }
-}
+const eventMarks = { marks: [] };
 
-// Global error / rejection handlers — show messages in UI to aid debugging
-window.addEventListener('error', (e) => {
-    try {
-        console.error('Unhandled error:', e.error || e);
-        const el = document.getElementById && document.getElementById('chartError');
-        if (el) { el.style.display = 'block'; el.innerText = 'Unhandled JS error: ' + (e.error && e.error.message ? e.error.message : String(e.message || e)); }
-        if (typeof pageLog === 'function') pageLog('Unhandled error: ' + (e.error && e.error.message ? e.error.message : String(e.message || e)));
-    } catch (err) { console.warn('Error in global error handler:', err); }
-});
-
-window.addEventListener('unhandledrejection', (e) => {
-    try {
-        console.error('Unhandled promise rejection:', e.reason);
-        const el = document.getElementById && document.getElementById('chartError');
-        if (el) { el.style.display = 'block'; el.innerText = 'Unhandled promise rejection: ' + (e.reason && e.reason.message ? e.reason.message : String(e.reason)); }
-        if (typeof pageLog === 'function') pageLog('Unhandled rejection: ' + (e.reason && e.reason.message ? e.reason.message : String(e.reason)));
-    } catch (err) { console.warn('Error in rejection handler:', err); }
-});
+/**
+ * Chart.js plugin (registered globally) drawing a dotted vertical line with the
+ * event's label at every entry of `eventMarks`, on category (generated) and
+ * linear (imported) time axes. Marks only exist for 1D motion, so the
+ * projectile trajectory chart never shows them.
+ */
+const eventMarkerPlugin = {
+    id: 'eventMarks',
+    afterDatasetsDraw(chart) {
+        const xScale = chart.scales.x;
+        if (!eventMarks.marks.length || !xScale) return;
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([2, 3]);
+        ctx.font = '10px sans-serif';
+        for (const m of eventMarks.marks) {
+            const px = xScale.type === 'linear' ? xScale.getPixelForValue(m.t) : xScale.getPixelForValue(indexForTime(chart.data.labels || [], m.t));
+            if (!(px >= chartArea.left && px <= chartArea.right)) continue;
+            ctx.strokeStyle = m.color;
+            ctx.fillStyle = m.color;
+            ctx.beginPath();
+            ctx.moveTo(px, chartArea.top);
+            ctx.lineTo(px, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText(m.label, px + 3, chartArea.bottom - 4);
+        }
+        ctx.restore();
+    }
+};
+Chart.register(eventMarkerPlugin);
 
-function updateReadoutElements(t, x, v, a) {
-    const el = (id) => document.getElementById(id);
-    el('ro-t').innerText = typeof t === 'number' ? t.toFixed(3) : '-';
-    el('ro-x').innerText = typeof x === 'number' ? x.toFixed(3) : '-';
-    el('ro-v').innerText = typeof v === 'number' ? v.toFixed(3) : '-';
-    el('ro-a').innerText = typeof a === 'number' ? a.toFixed(3) : '-';
-}
+/**
+ * Current playback position shared by every chart: `t` is the time (null hides
+ * the cursor) and `point` the `{x, y}` marker used by charts whose x axis is not time.
+ */
+const playbackCursor = { t: null, point: null };
 
 /**
- * Apply a drag update to the shared state and recompute derived arrays.
- * - If position changed: recompute velocity and acceleration from positions
- * - If velocity changed: integrate to get new positions and recompute acceleration
- * - If acceleration changed: integrate to velocities and positions
- * @param {'position'|'velocity'|'acceleration'} chartType
- * @param {number} index - data index changed
- * @param {number} newValue - new numeric value after drag
- * @param {{times:number[], xs:number[], vs:number[], as:number[], x0:number, v0:number, dt:number}} state
- */
-function applyDragSync(chartType, index, newValue, state) {
-    // state: { times, xs, vs, as, x0, v0, dt }
-    const { times, xs, vs, as, x0, v0, dt } = state;
-    if (chartType === 'position') {
-        xs[index] = newValue;
-        const newV = computeVFromX(xs, dt);
-        const newA = computeAFromX(xs, dt);
-        state.vs.splice(0, state.vs.length, ...newV);
-        state.as.splice(0, state.as.length, ...newA);
-    } else if (chartType === 'velocity') {
-        vs[index] = newValue;
-        const newX = integrateVToX(vs, x0, dt);
-        const newA = computeAFromV(vs, dt);
-        state.xs.splice(0, state.xs.length, ...newX);
-        state.as.splice(0, state.as.length, ...newA);
-    } else if (chartType === 'acceleration') {
-        as[index] = newValue;
-        const newV = integrateAToV(as, v0, dt);
-        const newX = integrateVToX(newV, x0, dt);
-        state.vs.splice(0, state.vs.length, ...newV);
-        state.xs.splice(0, state.xs.length, ...newX);
+ * Chart.js plugin (registered globally) drawing the playback cursor: a vertical
+ * line at `playbackCursor.t` on time-based charts, or a dot at
+ * `playbackCursor.point` when `options.plugins.timeCursor.marker` is true
+ * (the projectile trajectory). Charts only need `chart.draw()` to follow it.
+ */
+const timeCursorPlugin = {
+    id: 'timeCursor',
+    defaults: { marker: false, color: 'rgba(39,174,96,0.9)' },
+    afterDatasetsDraw(chart, args, opts) {
+        const { t, point } = playbackCursor;
+        const xScale = chart.scales.x;
+        if (t === null || !xScale) return;
+        const { ctx, chartArea } = chart;
+        ctx.save();
+        ctx.strokeStyle = opts.color;
+        ctx.fillStyle = opts.color;
+        if (opts.marker) {
+            const yScale = chart.scales.y;
+            if (point && yScale) {
+                ctx.beginPath();
+                ctx.arc(xScale.getPixelForValue(point.x), yScale.getPixelForValue(point.y), 6, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+        } else {
+            const px = xScale.type === 'linear' ? xScale.getPixelForValue(t) : xScale.getPixelForValue(indexForTime(chart.data.labels || [], t));
+            if (px >= chartArea.left && px <= chartArea.right) {
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                ctx.moveTo(px, chartArea.top);
+                ctx.lineTo(px, chartArea.bottom);
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
     }
-    // Update charts and table
-    refreshChartsAndTable(state);
-}
+};
+Chart.register(timeCursorPlugin);
 
 /**
- * Redraw table and all charts using the supplied state object.
- * This function performs minimal updates to charts to avoid full re-creation when possible.
- * @param {{times:number[], xs:number[], vs:number[], as:number[], tbody:HTMLElement}} state
+ * Zoomed time window shared by the time charts of 1D motion: `window` is `{min, max}`
+ * (s), or null for the whole run (see `time-window.js`).
  */
-function refreshChartsAndTable(state) {
-    const { times, xs, vs, as, tbody } = state;
-    // update table
-    renderTable(tbody, times, xs, vs, as);
+const timeZoom = { window: null };
 
-    // update small charts
-    if (smallPosChart) {
-        smallPosChart.data.datasets[0].data = xs.slice();
-        smallPosChart.update('none');
-    }
-    if (smallVelChart) {
-        smallVelChart.data.datasets[0].data = vs.slice();
-        smallVelChart.update('none');
-    }
-    if (smallAccChart) {
-        smallAccChart.data.datasets[0].data = as.slice();
-        smallAccChart.update('none');
-    }
+/**
+ * Hover crosshair shared by the time charts: `t` is the time of the sample under
+ * the pointer (null hides it).
+ */
+const crosshair = { t: null };
 
-    // main chart (x & v)
-    if (mainChart) {
-        mainChart.data.datasets[0].data = xs.slice();
-        mainChart.data.datasets[1].data = vs.slice();
-        mainChart.update('none');
+/**
+ * Chart.js plugin (registered globally) drawing the hover crosshair: a thin
+ * vertical line at `crosshair.t` on the charts showing the page's samples
+ * (those with `chart.$sampleIndexes` set, see `sampleIndex`).
+ */
+const crosshairPlugin = {
+    id: 'crosshair',
+    defaults: { color: 'rgba(38,50,56,0.55)' },
+    afterDatasetsDraw(chart, args, opts) {
+        const xScale = chart.scales.x;
+        if (crosshair.t === null || chart.$sampleIndexes === undefined || !xScale) return;
+        const px = xScale.type === 'linear' ? xScale.getPixelForValue(crosshair.t) : xScale.getPixelForValue(indexForTime(chart.data.labels || [], crosshair.t));
+        const { ctx, chartArea } = chart;
+        if (!(px >= chartArea.left && px <= chartArea.right)) return;
+        ctx.save();
+        ctx.strokeStyle = opts.color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(px, chartArea.top);
+        ctx.lineTo(px, chartArea.bottom);
+        ctx.stroke();
+        ctx.restore();
     }
+};
+Chart.register(crosshairPlugin);
 
-
+/**
+ * Time under a horizontal pixel of a time chart, interpolating between the
+ * labels of a category axis.
+ * @param {Chart} chart
+ * @param {number} px - pixel from the left of the canvas
+ * @returns {number} s, NaN when the chart has no samples
+ */
+function timeAtPixel(chart, px) {
+    const xScale = chart.scales.x;
+    if (!xScale) return NaN;
+    if (xScale.type === 'linear') return xScale.getValueForPixel(px);
+    const labels = chart.data.labels || [];
+    const n = labels.length;
+    if (!n) return NaN;
+    const first = xScale.getPixelForValue(0), last = xScale.getPixelForValue(n - 1);
+    const k = n > 1 && last !== first ? Math.min(Math.max((px - first) / (last - first) * (n - 1), 0), n - 1) : 0;
+    const lo = Math.floor(k), hi = Math.min(lo + 1, n - 1);
+    return Number(labels[lo]) + (k - lo) * (Number(labels[hi]) - Number(labels[lo]));
 }
 
-// --- main wiring ---
-document.addEventListener('DOMContentLoaded', () => {
-    const form = document.getElementById('kinForm');
-    const tbody = document.querySelector('#resultsTable tbody');
-    const resetBtn = document.getElementById('resetBtn');
-    const exportBtn = document.getElementById('exportCsv');
-    const downloadBtn = document.getElementById('downloadCharts');
+/** Keys understood by a focused chart, appended to its description. */
+const CHART_KEY_HELP = 'Left and right arrow keys step through the points, Page Up and Page Down ten at a time, Home and End jump to the ends; '
+    + 'up and down arrows change the value when dragging is enabled (Shift for bigger steps); P plays the curve as sound; '
+    + 'plus and minus zoom the time axis of every chart and 0 resets the zoom.';
 
-    // Live update when typing form parameters (debounced)
-    const debouncedUpdate = debounce(updateFromForm, 250);
-    const liveInputs = form.querySelectorAll('input[name="x0"], input[name="v0"], input[name="a"], input[name="t0"], input[name="t1"], input[name="dt"]');
+/**
+ * Horizontal and vertical values of a dataset, whether its points are plain
+ * values on the chart's labels or `{x, y}` objects.
+ * @param {Chart} chart
+ * @param {Object} ds - one of `chart.data.datasets`
+ * @returns {{xs:number[], ys:number[]}}
+ */
+function datasetPoints(chart, ds) {
+    const labels = chart.data.labels || [];
+    const xs = ds.data.map((d, i) => (d !== null && typeof d === 'object' ? Number(d.x) : Number(labels[i])));
+    const ys = ds.data.map(d => (d !== null && typeof d === 'object' ? Number(d.y) : Number(d)));
+    return { xs, ys };
+}
+
+/**
+ * Name of a chart's horizontal quantity, from the x axis title (e.g. `t` from "t (s)").
+ * @param {Chart} chart
+ * @returns {string}
+ */
+function xAxisName(chart) {
+    const title = chart.options.scales && chart.options.scales.x && chart.options.scales.x.title;
+    return title && title.text ? String(title.text).split(' (')[0] : 't';
+}
+
+/**
+ * Text description of a chart for screen readers: its name, the shape of each
+ * visible curve (see `describeCurve`) and the keys that work when it has focus.
+ * @param {Chart} chart
+ * @returns {string}
+ */
+function describeChart(chart) {
+    const name = chart.canvas.getAttribute('aria-label') || 'chart';
+    const curves = chart.data.datasets
+        .filter((ds, i) => chart.isDatasetVisible(i) && ds.data.length)
+        .slice(0, 4)
+        .map(ds => {
+            const { xs, ys } = datasetPoints(chart, ds);
+            return `${ds.label}: ${describeCurve(xs, ys, { xName: xAxisName(chart) })}`;
+        });
+    return `${name.charAt(0).toUpperCase()}${name.slice(1)}. ${curves.length ? curves.join(' ') : 'No data.'} ${CHART_KEY_HELP}`;
+}
+
+// pending description updates per chart (drag previews update charts on every pointer move)
+const descriptionTimers = new WeakMap();
+
+/**
+ * Chart.js plugin (registered globally) keeping the description of a chart up
+ * to date: when the canvas has `aria-describedby`, the referenced element gets
+ * `describeChart(chart)` shortly after the chart's last update.
+ */
+const chartDescriptionPlugin = {
+    id: 'chartDescription',
+    afterUpdate(chart) {
+        const id = chart.canvas && chart.canvas.getAttribute('aria-describedby');
+        if (!id || !document.getElementById(id)) return;
+        clearTimeout(descriptionTimers.get(chart));
+        descriptionTimers.set(chart, setTimeout(() => {
+            const el = document.getElementById(id);
+            if (el && chart.canvas) el.textContent = describeChart(chart);
+        }, 300));
+    }
+};
+Chart.register(chartDescriptionPlugin);
+
+let audioContext = null;
+// oscillator of the curve being played, if any
+let sonification = null;
+
+/**
+ * The shared Web Audio context, created on first use (browsers only allow
+ * sound after a user gesture, which every caller here follows).
+ * @returns {AudioContext}
+ * @throws {Error} when the browser has no Web Audio
+ */
+function getAudioContext() {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) throw new Error('This browser cannot play sound.');
+    if (!audioContext) audioContext = new Ctx();
+    if (audioContext.state === 'suspended') audioContext.resume();
+    return audioContext;
+}
+
+/**
+ * Play a curve as a tone gliding in pitch (see `sonificationSteps`), stopping
+ * any curve already playing.
+ * @param {number[]} values - the curve's values in order
+ * @param {number} seconds - playback length
+ * @param {() => void} [onEnd] - called when playback ends or is stopped
+ */
+function playSonification(values, seconds, onEnd) {
+    stopSonification();
+    const steps = sonificationSteps(values);
+    if (!steps.length) { if (onEnd) onEnd(); return; }
+    const ctx = getAudioContext();
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const start = ctx.currentTime + 0.05, end = start + seconds;
+    osc.type = 'triangle';
+    osc.frequency.setValueAtTime(steps[0].frequency, start);
+    steps.forEach(s => osc.frequency.linearRampToValueAtTime(s.frequency, start + s.at * seconds));
+    // short fades avoid clicks at both ends
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(0.2, start + 0.03);
+    gain.gain.setValueAtTime(0.2, end - 0.03);
+    gain.gain.linearRampToValueAtTime(0, end);
+    osc.connect(gain).connect(ctx.destination);
+    osc.onended = () => {
+        // a newer playback may already have replaced this one
+        if (sonification !== osc && sonification !== null) return;
+        sonification = null;
+        if (onEnd) onEnd();
+    };
+    osc.start(start);
+    osc.stop(end + 0.02);
+    sonification = osc;
+}
+
+/** Stop the curve being played, if any. */
+function stopSonification() {
+    const osc = sonification;
+    sonification = null;
+    if (osc) { try { osc.stop(); } catch (e) { /* already stopped */ } }
+}
+
+/**
+ * Play a short beep, e.g. the pitch of the point reached with the keyboard.
+ * @param {number} frequency - Hz
+ */
+function playTone(frequency) {
+    const ctx = getAudioContext();
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const start = ctx.currentTime;
+    osc.type = 'triangle';
+    osc.frequency.setValueAtTime(frequency, start);
+    gain.gain.setValueAtTime(0.15, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.12);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(start);
+    osc.stop(start + 0.13);
+}
+
+/**
+ * Draw the 1D track used by playback: a ruler spanning `xMin`–`xMax`, the moving
+ * object (a cart) at `x`, and velocity / acceleration arrows scaled to the largest
+ * magnitude in the series. Arrows are omitted when their magnitude is zero.
+ * Further bodies (`others`) are drawn as carts in their own colour, without arrows.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{x:number, v:number, a:number, xMin:number, xMax:number, vMax:number, aMax:number, others?:Array<{x:number, color:string}>}} frame
+ */
+function drawTrack(canvas, frame) {
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    if (!w || !h) return;
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+        canvas.width = Math.round(w * dpr);
+        canvas.height = Math.round(h * dpr);
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+
+    const pad = 40, groundY = h - 18;
+    const span = frame.xMax - frame.xMin || 1;
+    const toPx = (x) => pad + (x - frame.xMin) / span * (w - 2 * pad);
+
+    // ruler
+    ctx.strokeStyle = '#c5ced8';
+    ctx.fillStyle = '#6c7a89';
+    ctx.lineWidth = 1;
+    ctx.font = '10px sans-serif';
+    ctx.beginPath();
+    ctx.moveTo(pad, groundY);
+    ctx.lineTo(w - pad, groundY);
+    ctx.stroke();
+    for (let i = 0; i <= 10; i++) {
+        const px = pad + i / 10 * (w - 2 * pad);
+        ctx.beginPath();
+        ctx.moveTo(px, groundY);
+        ctx.lineTo(px, groundY + (i % 5 ? 3 : 6));
+        ctx.stroke();
+    }
+    ctx.textAlign = 'left';
+    ctx.fillText(fmt(toDisplay('length', frame.xMin), 1) + ' ' + unitOf('length'), pad, h - 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(fmt(toDisplay('length', frame.xMax), 1) + ' ' + unitOf('length'), w - pad, h - 2);
+
+    // carts: other bodies first so the first body stays on top
+    const bodyW = 26, bodyH = 12, bodyY = groundY - 6 - bodyH;
+    const cart = (px, color) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(px - bodyW / 2, bodyY, bodyW, bodyH);
+        ctx.fillStyle = '#2c3e50';
+        [-7, 7].forEach(dx => { ctx.beginPath(); ctx.arc(px + dx, groundY - 3, 3, 0, 2 * Math.PI); ctx.fill(); });
+    };
+    (frame.others || []).forEach(o => cart(toPx(o.x), o.color));
+    const cx = toPx(frame.x);
+    cart(cx, 'rgba(255,152,0,1)');
+
+    // arrows: full length is a quarter of the track for the largest |v| or |a|
+    const maxLen = (w - 2 * pad) / 4;
+    const arrow = (value, max, y, color, label) => {
+        if (!value || !max) return;
+        const len = value / max * maxLen;
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(cx, y);
+        ctx.lineTo(cx + len, y);
+        ctx.stroke();
+        const dir = Math.sign(len);
+        ctx.beginPath();
+        ctx.moveTo(cx + len + dir * 6, y);
+        ctx.lineTo(cx + len, y - 4);
+        ctx.lineTo(cx + len, y + 4);
+        ctx.closePath();
+        ctx.fill();
+        ctx.textAlign = dir > 0 ? 'left' : 'right';
+        ctx.fillText(label, cx + len + dir * 9, y + 3);
+    };
+    arrow(frame.v, frame.vMax, bodyY - 8, 'rgba(33,150,243,1)', 'v');
+    arrow(frame.a, frame.aMax, bodyY - 20, 'rgba(244,67,54,1)', 'a');
+}
+
+/**
+ * Draw the rotating disc used by playback in rotational mode: a disc turned by `theta`
+ * (anticlockwise positive) with a spoke to the marked point, and at that point the
+ * velocity and tangential acceleration arrows (along the rim) and the centripetal
+ * acceleration arrow (towards the axis), each scaled to the largest magnitude in the series.
+ * The angle turned and the revolutions since `theta0` are written beside the disc.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{theta:number, theta0:number, v:number, at:number, ac:number, vMax:number, atMax:number, acMax:number}} frame
+ */
+function drawDisc(canvas, frame) {
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    if (!w || !h) return;
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+        canvas.width = Math.round(w * dpr);
+        canvas.height = Math.round(h * dpr);
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+
+    const r = Math.max(4, Math.min(h / 2 - 6, w / 4));
+    const cx = 40 + r, cy = h / 2;
+    // canvas y points down, so anticlockwise angles subtract from y
+    const px = cx + r * Math.cos(frame.theta), py = cy - r * Math.sin(frame.theta);
+    const along = { x: -Math.sin(frame.theta), y: -Math.cos(frame.theta) };
+    const inward = { x: -Math.cos(frame.theta), y: Math.sin(frame.theta) };
+
+    // disc, axis and spoke
+    ctx.strokeStyle = '#c5ced8';
+    ctx.fillStyle = 'rgba(236,240,244,1)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+    ctx.strokeStyle = '#6c7a89';
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.lineTo(px, py);
+    ctx.stroke();
+    ctx.fillStyle = '#2c3e50';
+    ctx.beginPath();
+    ctx.arc(cx, cy, 2, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillStyle = 'rgba(255,152,0,1)';
+    ctx.beginPath();
+    ctx.arc(px, py, 4, 0, 2 * Math.PI);
+    ctx.fill();
+
+    // arrows: full length is the disc radius for the largest |v|, |a_t| or a_c
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    const arrow = (value, max, dir, color, label) => {
+        if (!value || !max) return;
+        const len = value / max * r;
+        const ex = px + dir.x * len, ey = py + dir.y * len;
+        const ux = dir.x * Math.sign(len), uy = dir.y * Math.sign(len);
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(px, py);
+        ctx.lineTo(ex, ey);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(ex + ux * 6, ey + uy * 6);
+        ctx.lineTo(ex - uy * 4, ey + ux * 4);
+        ctx.lineTo(ex + uy * 4, ey - ux * 4);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillText(label, ex + ux * 12, ey + uy * 12 + 3);
+    };
+    arrow(frame.v, frame.vMax, along, 'rgba(33,150,243,1)', 'v');
+    arrow(frame.at, frame.atMax, along, 'rgba(244,67,54,1)', 'a_t');
+    arrow(frame.ac, frame.acMax, inward, 'rgba(156,39,176,1)', 'a_c');
+
+    // angle turned
+    ctx.fillStyle = '#3b4a59';
+    ctx.textAlign = 'left';
+    ctx.font = '12px sans-serif';
+    ctx.fillText(`θ = ${fmt(toDisplay('length', frame.theta), 2)} ${unitOf('length')}`, cx + r + 24, cy - 4);
+    ctx.fillText(__(':n revolutions', { n: fmt(revolutionsOf(frame.theta, frame.theta0), 2) }), cx + r + 24, cy + 12);
+}
+
+/**
+ * Create a new Chart.js line chart with safe lifecycle handling.
+ * Ensures any existing Chart on the canvas is destroyed first.
+ * Chart options are merged over `baseChartOptions`; `plugins` and `scales`
+ * are merged one level deep so overrides keep the shared tooltip and axes.
+ * @param {CanvasRenderingContext2D|HTMLCanvasElement|string} ctx - canvas context or element or id
+ * @param {Array<Object>} datasets - Chart.js dataset configurations
+ * @param {Array<number|string>} labels
+ * @param {Object} [options={}] Chart.js configuration overrides
+ * @param {Array<Object>} [plugins=[]] inline Chart.js plugins for this chart only
+ * @returns {Chart} created Chart.js instance
+ */
+function makeLineChart(ctx, datasets, labels, options = {}, plugins = []) {
+    const cfg = lineChartConfig(datasets, labels, options, plugins);
+
+    // If a Chart already exists on this canvas, destroy it first to prevent "canvas already in use" errors
+    try {
+        let canvas = ctx && ctx.canvas ? ctx.canvas : ctx;
+        if (typeof canvas === 'string') canvas = document.getElementById(canvas);
+        const existing = Chart.getChart(canvas);
+        if (existing) existing.destroy();
+    } catch (e) { console.warn('makeLineChart destroy existing error', e); }
+
+    const chart = new Chart(ctx, cfg);
+    // inline plugins cannot change after creation; renderLineChart compares them
+    chart.$inlinePlugins = plugins;
+    return chart;
+}
+
+/**
+ * Chart.js configuration used by `makeLineChart` and `renderLineChart`.
+ * @param {Array<Object>} datasets
+ * @param {Array<number|string>} labels
+ * @param {Object} options
+ * @param {Array<Object>} plugins
+ * @returns {Object}
+ */
+function lineChartConfig(datasets, labels, options, plugins) {
+    const { type, ...overrides } = options;
+    return {
+        // Ensure we're creating a line chart (explicit controller)
+        type: type || 'line',
+        // Ensure each dataset has a type to avoid controller lookup issues
+        data: { labels, datasets: datasets.map(ds => Object.assign({ type: 'line' }, ds)) },
+        options: Object.assign({}, baseChartOptions, { locale }, overrides, {
+            plugins: Object.assign({}, baseChartOptions.plugins, overrides.plugins),
+            scales: Object.assign({}, baseChartOptions.scales, overrides.scales),
+        }),
+        plugins,
+    };
+}
+
+/**
+ * Draw a line chart on a canvas, updating the chart already there in place when
+ * it has the same type and inline plugins: its data and options are replaced
+ * and it is redrawn without animation. Otherwise a new chart is created with
+ * `makeLineChart`. Arguments as for `makeLineChart`.
+ * @returns {Chart}
+ */
+function renderLineChart(ctx, datasets, labels, options = {}, plugins = []) {
+    let canvas = ctx && ctx.canvas ? ctx.canvas : ctx;
+    if (typeof canvas === 'string') canvas = document.getElementById(canvas);
+    const existing = canvas ? Chart.getChart(canvas) : null;
+    const cfg = lineChartConfig(datasets, labels, options, plugins);
+    const samePlugins = existing && existing.$inlinePlugins && existing.$inlinePlugins.length === plugins.length
+        && plugins.every((p, i) => existing.$inlinePlugins[i] === p);
+    if (!existing || existing.config.type !== cfg.type || !samePlugins) return makeLineChart(ctx, datasets, labels, options, plugins);
+    existing.data.labels = cfg.data.labels;
+    existing.data.datasets = cfg.data.datasets;
+    existing.options = cfg.options;
+    // the caller sets the sample indexes again if the chart shows decimated state samples
+    existing.$sampleIndexes = undefined;
+    existing.update('none');
+    return existing;
+}
+
+/**
+ * Index into the page's samples of a point drawn on a chart. Charts of long runs
+ * draw a decimated copy; `chart.$sampleIndexes` then lists the sample behind
+ * every drawn point (null: every sample is drawn; undefined: the chart does not
+ * show the page's samples, e.g. projectile motion).
+ * @param {Chart} chart
+ * @param {number} i - index of the drawn point
+ * @returns {number}
+ */
+function sampleIndex(chart, i) {
+    return chart.$sampleIndexes ? chart.$sampleIndexes[i] : i;
+}
+
+/**
+ * Fill the body datasets of a time chart (tagged with `body` and `series`) from
+ * the shown series inside the zoomed time window (`timeZoom`), decimated to at most
+ * `CHART_POINTS` points with the same sample indexes for every dataset and the
+ * labels (see `decimation.js` and `time-window.js`).
+ * @param {Chart} chart
+ * @param {number[]} times
+ * @param {Array<{xs:number[], vs:number[], as:number[]}>} shown - from `shownSeries`
+ */
+function setChartSeries(chart, times, shown) {
+    const datasets = chart.data.datasets.filter(ds => ds.body !== undefined && shown[ds.body]);
+    const full = datasets.map(ds => toDisplay(SERIES_QUANTITIES[ds.series], shown[ds.body][ds.series]));
+    const indexes = windowIndexes(times, full, timeZoom.window);
+    chart.$sampleIndexes = indexes;
+    chart.data.labels = pickIndexes(times, indexes);
+    datasets.forEach((ds, k) => { ds.data = pickIndexes(full[k], indexes); });
+}
+
+/**
+ * Create a debounced version of a function.
+ * @template T
+ * @param {(...args: T[]) => void} fn
+ * @param {number} [wait=250]
+ * @returns {(...args: T[]) => void}
+ */
+function debounce(fn, wait = 250) { 
+    let t;
+    return (...args) => { clearTimeout(t); t = setTimeout(() => fn(...args), wait); };
+}
+
+let smallPosChart = null, smallVelChart = null, smallAccChart = null, mainChart = null, residualChart = null, forceChart = null;
+
+/**
+ * Destroy a Chart instance if one exists on the canvas/context provided.
+ * @param {CanvasRenderingContext2D|HTMLCanvasElement|string} ctxOrCanvas
+ */
+function destroyChartIfExists(ctxOrCanvas) { 
+    try {
+        let canvas = ctxOrCanvas && ctxOrCanvas.canvas ? ctxOrCanvas.canvas : ctxOrCanvas;
+        if (typeof canvas === 'string') canvas = document.getElementById(canvas);
+        if (!canvas) return;
+        const existing = Chart.getChart(canvas);
+        if (existing) existing.destroy();
+    } catch (e) { console.warn('destroyChartIfExists error', e); }
+}
+
+/**
+ * Append a timestamped message to the debug panel (if present) and the console.
+ * @param {string} msg
+ */
+function pageLog(msg) { 
+    try {
+        console.log(msg);
+        const el = document.getElementById('uiDebug');
+        if (!el) return;
+        const p = document.createElement('div');
+        p.innerText = (new Date()).toLocaleTimeString() + ' - ' + String(msg);
+        el.appendChild(p);
+        // keep scroll at bottom
+        el.scrollTop = el.scrollHeight;
+    } catch (e) { console.log('pageLog error', e); }
+}
+
+// Global error / rejection handlers — show messages in UI to aid debugging
+window.addEventListener('error', (e) => {
+    try {
+        console.error('Unhandled error:', e.error || e);
+        const el = document.getElementById && document.getElementById('chartError');
+        if (el) { el.style.display = 'block'; el.innerText = 'Unhandled JS error: ' + (e.error && e.error.message ? e.error.message : String(e.message || e)); }
+        if (typeof pageLog === 'function') pageLog('Unhandled error: ' + (e.error && e.error.message ? e.error.message : String(e.message || e)));
+    } catch (err) { console.warn('Error in global error handler:', err); }
+});
+
+window.addEventListener('unhandledrejection', (e) => {
+    try {
+        console.error('Unhandled promise rejection:', e.reason);
+        const el = document.getElementById && document.getElementById('chartError');
+        if (el) { el.style.display = 'block'; el.innerText = 'Unhandled promise rejection: ' + (e.reason && e.reason.message ? e.reason.message : String(e.reason)); }
+        if (typeof pageLog === 'function') pageLog('Unhandled rejection: ' + (e.reason && e.reason.message ? e.reason.message : String(e.reason)));
+    } catch (err) { console.warn('Error in rejection handler:', err); }
+});
+
+/**
+ * Show one sample in the readout. Values are in SI and shown in the displayed units.
+ * @param {number} t
+ * @param {number} x
+ * @param {number} v
+ * @param {number} a
+ */
+function updateReadoutElements(t, x, v, a) {
+    const el = (id) => document.getElementById(id);
+    el('ro-t').innerText = typeof t === 'number' ? fmt(t, 3) : '-';
+    el('ro-x').innerText = typeof x === 'number' ? fmt(toDisplay('length', x), 3) : '-';
+    el('ro-v').innerText = typeof v === 'number' ? fmt(toDisplay('velocity', v), 3) : '-';
+    el('ro-a').innerText = typeof a === 'number' ? fmt(toDisplay('acceleration', a), 3) : '-';
+}
+
+/**
+ * Apply a drag update to the shared state and recompute derived arrays.
+ * The edited series is changed through the drag mode of `edit` (see `drag-modes.js`), then:
+ * - If position changed: recompute velocity and acceleration from positions
+ * - If velocity changed: integrate to get new positions and recompute acceleration
+ * - If acceleration changed: integrate to velocities and positions
+ * Locked samples keep their values; with v0 locked a position edit keeps the first velocity.
+ * @param {'position'|'velocity'|'acceleration'} chartType
+ * @param {number} index - data index changed
+ * @param {number} newValue - new numeric value after drag
+ * @param {{times:number[], xs:number[], vs:number[], as:number[], x0:number, v0:number, dt:number, integrator?:string}} state
+ *   `integrator` is the scheme used to re-derive the other two quantities
+ * @param {boolean} [refresh=true] - redraw charts and table afterwards (false when replaying several edits)
+ * @param {{mode?:string, width?:number, shift?:number, locks?:{x0?:boolean, v0?:boolean}}} [edit] - drag mode; a single point by default
+ */
+function applyDragSync(chartType, index, newValue, state, refresh = true, edit = {}) {
+    // state: { times, xs, vs, as, x0, v0, dt, integrator }
+    // the edited series no longer follows the constant-acceleration pieces or the forces
+    state.pieces = null;
+    state.forceBreakdown = null;
+    applyDragEdit(chartType, index, newValue, state, edit);
+    // Update charts and table
+    if (refresh) refreshChartsAndTable(state);
+}
+
+/**
+ * Every body's samples in the ground frame: the form's body first, then `state.others`.
+ * @param {{bodyName:string, xs:number[], vs:number[], as:number[], others:Array<Object>}} state
+ * @returns {Array<{name:string, color:string, xs:number[], vs:number[], as:number[]}>}
+ */
+function bodySeries(state) {
+    return [{ name: state.bodyName, color: bodyColor(0), xs: state.xs, vs: state.vs, as: state.as }, ...state.others];
+}
+
+/**
+ * Every body's samples as shown: relative to the reference body when `state.frame` is set.
+ * @param {Object} state
+ * @returns {Array<{name:string, color:string, xs:number[], vs:number[], as:number[]}>}
+ */
+function shownSeries(state) {
+    const series = bodySeries(state);
+    return state.frame === null ? series : relativeTo(series, state.frame);
+}
+
+/**
+ * Markers for `meetingPlugin`: each meeting placed on the shown position of the bodies.
+ * @param {Array<{t:number, a:number, b:number}>} meetings - from `findAllMeetings`
+ * @param {Array<{name:string, xs:number[]}>} shown - from `shownSeries`
+ * @param {number[]} times
+ * @returns {Array<{t:number, y:number, label:string}>}
+ */
+function meetingMarkers(meetings, shown, times) {
+    return meetings.map(m => ({ t: m.t, y: toDisplay('length', sampleAt(times, shown[m.a].xs, m.t)), label: `${shown[m.a].name} = ${shown[m.b].name}` }));
+}
+
+/** Quantity of each series key used by body datasets. */
+const SERIES_QUANTITIES = { xs: 'length', vs: 'velocity', as: 'acceleration' };
+
+/**
+ * Redraw table and all charts using the supplied state object.
+ * This function performs minimal updates to charts to avoid full re-creation when possible:
+ * datasets tagged with `body` (index) and `series` (`'xs'`, `'vs'` or `'as'`) get that body's
+ * shown values (decimated by `setChartSeries`), and the meeting markers and list are recomputed.
+ * @param {{times:number[], xs:number[], vs:number[], as:number[], table:Object}} state
+ */
+function refreshChartsAndTable(state) {
+    const { times, table } = state;
+    const shown = shownSeries(state);
+    const [first, ...others] = shown;
+    // update table; rotational mode adds the marked point's motion
+    if (state.rotation) {
+        const data = { thetas: first.xs, omegas: first.vs, alphas: first.as };
+        state.rotation.point = pointMotion(data, state.rotation.radius);
+        renderRotationTable(table, times, data, state.rotation.radius);
+    } else {
+        renderTable(table, times, first.xs, first.vs, first.as, others);
+    }
+
+    state.meetings = others.length ? findAllMeetings(times, bodySeries(state)) : [];
+    const markers = meetingMarkers(state.meetings, shown, times);
+
+    // a new run keeps the zoomed window as far as it still fits
+    const { full, minSpan } = windowLimits(times);
+    timeZoom.window = clampWindow(timeZoom.window, full, minSpan);
+    renderZoomStatus();
+
+    // update small charts and the main chart (x & v), decimated for long runs
+    [smallPosChart, smallVelChart, smallAccChart, mainChart].forEach(chart => {
+        if (!chart) return;
+        setChartSeries(chart, times, shown);
+        if (chart.options.plugins.meetings) chart.options.plugins.meetings.points = markers;
+        chart.update('none');
+    });
+
+    const meetingList = document.getElementById('bodyMeetings');
+    if (meetingList) renderMeetingList(meetingList, state.meetings, shown.map(b => b.name));
+    refreshEvents(state);
+    renderForceChart(state);
+    renderRotationSummary(document.getElementById('rotationSummary'), state);
+}
+
+/**
+ * Show the zoomed time window in `#zoomStatus` and enable `#resetZoom` while the charts are zoomed.
+ */
+function renderZoomStatus() {
+    const win = timeZoom.window;
+    const resetBtn = document.getElementById('resetZoom');
+    const status = document.getElementById('zoomStatus');
+    if (resetBtn) resetBtn.disabled = !win;
+    if (status) status.textContent = win ? __('Showing t = :from – :to s', { from: fmt(win.min, 3), to: fmt(win.max, 3) }) : '';
+}
+
+/**
+ * Summarise rotational mode in `#rotationSummary`: the revolutions turned and, at the
+ * end of the run, the marked point's speed and accelerations in the displayed linear units.
+ * Empty in other modes.
+ * @param {HTMLElement|null} el
+ * @param {{times:number[], rotation:{radius:number, point:Object}|null}} state
+ */
+function renderRotationSummary(el, state) {
+    if (!el) return;
+    const n = state.times.length;
+    if (!state.rotation || !state.rotation.point || !n) {
+        el.innerHTML = '';
+        return;
+    }
+    const { point } = state.rotation;
+    const linear = (q, v) => `${fmt(fromSI(q, v, displayUnits), 3)} ${unitLabel(q, displayUnits)}`;
+    const row = (label, value) => `<div><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</div>`;
+    el.innerHTML = [
+        row(__('Revolutions turned'), fmt(point.revolutions[n - 1], 3)),
+        row(__('Speed of the point at the end (r·ω)'), linear('velocity', point.speeds[n - 1])),
+        row(__('Tangential acceleration at the end (r·α)'), linear('acceleration', point.tangential[n - 1])),
+        row(__('Centripetal acceleration at the end (r·ω²)'), linear('acceleration', point.centripetal[n - 1])),
+        row(__('Total acceleration at the end'), linear('acceleration', point.total[n - 1])),
+    ].join('');
+}
+
+/**
+ * Draw the force breakdown of dynamics mode on `#forceChart`: every force term and the
+ * net force (N) against time, decimated like the other charts. The panel is hidden when
+ * there is no breakdown, e.g. in other modes or once a drag has changed the motion.
+ * @param {{times:number[], forceBreakdown:{forces:Array<{label:string, values:number[]}>, net:number[]}|null}} state
+ */
+function renderForceChart(state) {
+    const panel = document.getElementById('forcePanel');
+    const canvas = document.getElementById('forceChart');
+    if (!canvas) return;
+    const breakdown = state.forceBreakdown;
+    if (!breakdown || !state.times.length) {
+        if (panel) panel.style.display = 'none';
+        destroyChartIfExists(canvas);
+        forceChart = null;
+        return;
+    }
+    if (panel) panel.style.display = 'block';
+    const { times } = state;
+    const keep = decimationIndexes(times, [...breakdown.forces.map(f => f.values), breakdown.net]);
+    const points = (ys) => pickIndexes(times.map((t, i) => ({ x: t, y: ys[i] })), keep);
+    forceChart = renderLineChart(canvas, [
+        ...breakdown.forces.map((f, i) => ({ label: `F${i + 1} ${f.label}`, data: points(f.values), borderColor: FORCE_COLORS[i % FORCE_COLORS.length], borderWidth: 2, pointRadius: 0, fill: false })),
+        { label: __('Net force'), data: points(breakdown.net), borderColor: 'rgba(8,12,24,0.8)', borderDash: [6, 4], borderWidth: 2, pointRadius: 0, fill: false },
+    ], [], { plugins: { legend: { position: 'top', labels: { boxWidth: 12 } }, dragData: false }, scales: { x: { type: 'linear', title: { display: true, text: 't (s)' }, grid: { color: 'rgba(8,12,24,0.06)' }, ticks: { color: '#3b4a59', maxRotation: 0 } }, y: { type: 'linear', title: { display: true, text: 'F (N)' } } } });
+}
+
+/**
+ * Solve the events on the first body's current data (ground frame) and show the
+ * results: the `#eventResults` list, highlighted table rows and chart markers.
+ * Motion still described by `state.pieces` (no drags, not imported) is solved
+ * exactly; anything else numerically on the samples. Projectile motion has no events.
+ * @param {Object} state - page state with `events` (as typed), `pieces`, series and `table`
+ */
+function refreshEvents(state) {
+    const linear = state.mode === 'linear' && state.times.length > 0;
+    const data = {
+        times: state.times, xs: state.xs, vs: state.vs, as: state.as,
+        pieces: state.imported || state.drags.length ? null : state.pieces,
+    };
+    state.eventResults = linear
+        ? state.events.map(ev => solveEvent({ kind: ev.kind, value: EVENT_QUANTITIES[ev.kind] ? fromDisplay(EVENT_QUANTITIES[ev.kind], ev.value) : 0 }, data))
+        : [];
+    eventMarks.marks = state.eventResults.flatMap((found, i) => found.map(c => ({ t: c.t, label: 'E' + (i + 1), color: EVENT_COLORS[i % EVENT_COLORS.length] })));
+    highlightEventRows(state.table, state.times, state.eventResults);
+    const resultsEl = document.getElementById('eventResults');
+    if (resultsEl) {
+        if (linear) renderEventResults(resultsEl, state.events, state.eventResults);
+        else resultsEl.innerHTML = state.events.length ? '<div>Events apply to 1D motion.</div>' : '';
+    }
+    [smallPosChart, smallVelChart, smallAccChart, mainChart, residualChart].forEach(c => { if (c) c.draw(); });
+}
+
+// --- main wiring ---
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('kinForm');
+    const tbody = document.querySelector('#resultsTable tbody');
+    // only the rows scrolled into view exist in the DOM (see virtual-table.js)
+    const resultsTable = createVirtualTable(tbody, document.getElementById('resultsScroll') || tbody.parentElement.parentElement);
+    const resetBtn = document.getElementById('resetBtn');
+    const exportBtn = document.getElementById('exportCsv');
+    const downloadBtn = document.getElementById('downloadCharts');
+
+    // Live update when typing form parameters (debounced)
+    const debouncedUpdate = debounce(updateFromForm, 250);
+    const liveInputs = form.querySelectorAll('input[name="x0"], input[name="v0"], input[name="a"], input[name="t0"], input[name="t1"], input[name="dt"], input[name="expr"], input[name="speed"], input[name="angle"], input[name="h"], input[name="g"], input[name="bodyName"], input[name="mass"], input[name="radius"]');
     liveInputs.forEach(inp => inp.addEventListener('input', debouncedUpdate));
 
-    // debug panel toggle
-    const toggleDebugBtn = document.getElementById('toggleDebug');
-    const uiDebug = document.getElementById('uiDebug');
-    if (toggleDebugBtn && uiDebug) {
-        toggleDebugBtn.addEventListener('click', () => {
-            if (uiDebug.style.display === 'none') { uiDebug.style.display = 'block'; toggleDebugBtn.innerText = 'Hide debug'; }
-            else { uiDebug.style.display = 'none'; toggleDebugBtn.innerText = 'Show debug'; }
-        });
+    // Expression mode: a(t), v(t) or x(t) typed as a formula instead of a constant `a`
+    const exprRow = document.getElementById('exprRow');
+    const exprKindSelect = form.querySelector('select[name="exprKind"]');
+    if (exprKindSelect) exprKindSelect.addEventListener('change', () => updateFromForm());
+
+    // Numerical scheme for quantities derived from dragged points or from expressions without a closed form
+    const integratorSelect = form.querySelector('select[name="integrator"]');
+    if (integratorSelect) {
+        integratorSelect.innerHTML = Object.entries(INTEGRATORS).map(([key, label]) => `<option value="${key}"${key === DEFAULT_INTEGRATOR ? ' selected' : ''}>${label}</option>`).join('');
+        integratorSelect.addEventListener('change', () => updateFromForm());
+    }
+
+    // Motion mode: 1D linear (default) or 2D projectile. Headers and chart titles are swapped per mode.
+    const modeSelect = form.querySelector('select[name="mode"]');
+    if (modeSelect) modeSelect.addEventListener('change', () => updateFromForm());
+    const resultsHeadRow = document.querySelector('#resultsTable thead tr');
+    const linearHeadHtml = resultsHeadRow ? resultsHeadRow.innerHTML : '';
+    const projectileHeadHtml = '<th style="text-align:left">Time (s)</th><th style="text-align:right">x (<span data-unit="length">m</span>)</th><th style="text-align:right">y (<span data-unit="length">m</span>)</th><th style="text-align:right">vx (<span data-unit="velocity">m/s</span>)</th><th style="text-align:right">vy (<span data-unit="velocity">m/s</span>)</th>';
+    const smallTitles = ['smallPositionTitle', 'smallVelocityTitle', 'smallAccelerationTitle'].map(id => document.getElementById(id));
+    const linearTitles = smallTitles.map(el => (el ? el.innerHTML : ''));
+    const projectileTitles = ['<span class="pill pill-orange"></span> x(t) — Horizontal (<span data-unit="length">m</span>)', '<span class="pill pill-blue"></span> y(t) — Height (<span data-unit="length">m</span>)', '<span class="pill pill-red"></span> vx(t), vy(t) — Velocity (<span data-unit="velocity">m/s</span>)'];
+    // chart names used by screen readers (aria-label) and the sonification select
+    const chartCanvases = ['smallPositionChartTop', 'smallVelocityChartTop', 'smallAccelerationChartTop', 'mainChart'].map(id => document.getElementById(id));
+    const linearChartNames = chartCanvases.map(el => (el ? el.getAttribute('aria-label') : ''));
+    const projectileChartNames = ['horizontal position chart', 'height chart', 'velocity components chart', 'trajectory chart'];
+    // rotational mode: θ, ω and α in the 1D layout, plus the marked point's accelerations (linear units) and revolutions
+    const rotationalHeadHtml = '<th style="text-align:left">Time (s)</th><th style="text-align:right">ω (<span data-unit="velocity">rad/s</span>)</th><th style="text-align:right">θ (<span data-unit="length">rad</span>)</th>'
+        + '<th style="text-align:right" title="Tangential acceleration r·α">a<sub>t</sub> (<span data-linear-unit="acceleration">m/s²</span>)</th><th style="text-align:right" title="Centripetal acceleration r·ω²">a<sub>c</sub> (<span data-linear-unit="acceleration">m/s²</span>)</th><th style="text-align:right">Revolutions</th>';
+    const rotationalTitles = ['<span class="pill pill-orange"></span> θ(t) — Angle (<span data-unit="length">rad</span>)', '<span class="pill pill-blue"></span> ω(t) — Angular velocity (<span data-unit="velocity">rad/s</span>)', '<span class="pill pill-red"></span> α(t) — Angular acceleration (<span data-unit="acceleration">rad/s²</span>)'];
+    const rotationalChartNames = ['angle chart', 'angular velocity chart', 'angular acceleration chart', 'combined angle and angular velocity chart'];
+    // texts swapped for their `data-rotational-text` in rotational mode, captured before the page is translated
+    const rotationalTexts = [...document.querySelectorAll('[data-rotational-text]')].map(el => ({ el, linear: el.textContent, rotational: el.dataset.rotationalText }));
+    const trackCanvasLabel = document.getElementById('trackCanvas') ? document.getElementById('trackCanvas').getAttribute('aria-label') : '';
+
+    /**
+ * Show the inputs, table header, chart titles and chart names belonging to the given motion mode.
+ * Dynamics mode uses the 1D inputs with the force editor in place of `a`, the expression and the phases.
+ * Rotational mode uses the 1D inputs relabelled θ0, ω0 and α, with the radius and angle unit and without further bodies.
+ * @param {'linear'|'projectile'|'dynamics'|'rotational'} mode
+ */
+function applyModeLayout(mode) {
+        const projectile = mode === 'projectile';
+        const dynamics = mode === 'dynamics';
+        const rotational = mode === 'rotational';
+        const linearInputs = document.getElementById('linearInputs');
+        const projectileInputs = document.getElementById('projectileInputs');
+        if (linearInputs) linearInputs.style.display = projectile ? 'none' : 'block';
+        if (projectileInputs) projectileInputs.style.display = projectile ? 'block' : 'none';
+        ['accelRow', 'exprKindRow', 'phaseEditor'].forEach(id => { const el = document.getElementById(id); if (el) el.style.display = dynamics ? 'none' : ''; });
+        const dynamicsEditor = document.getElementById('dynamicsEditor');
+        if (dynamicsEditor) dynamicsEditor.style.display = dynamics ? 'block' : 'none';
+        ['rotationInputs', 'rotationSummary'].forEach(id => { const el = document.getElementById(id); if (el) el.style.display = rotational ? 'flex' : 'none'; });
+        const bodyEditor = document.getElementById('bodyEditor');
+        if (bodyEditor) bodyEditor.style.display = rotational ? 'none' : '';
+        rotationalTexts.forEach(({ el, linear, rotational: text }) => { el.textContent = rotational ? text : linear; });
+        const trackCanvas = document.getElementById('trackCanvas');
+        if (trackCanvas) trackCanvas.setAttribute('aria-label', rotational ? 'rotating disc with the marked point' : trackCanvasLabel);
+        if (resultsHeadRow) resultsHeadRow.innerHTML = projectile ? projectileHeadHtml : rotational ? rotationalHeadHtml : linearHeadHtml;
+        smallTitles.forEach((el, i) => { if (el) el.innerHTML = projectile ? projectileTitles[i] : rotational ? rotationalTitles[i] : linearTitles[i]; });
+        chartCanvases.forEach((el, i) => {
+            if (!el) return;
+            const name = projectile ? projectileChartNames[i] : rotational ? rotationalChartNames[i] : linearChartNames[i];
+            el.setAttribute('aria-label', name);
+            const option = document.querySelector(`#sonifyChart option[value="${el.id}"]`);
+            if (option) option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+        });
+        applyUnitLabels();
+    }
+
+    /**
+ * Write the displayed units into every `[data-unit]` element (labels, headers, readout, titles).
+ * `[data-linear-unit]` elements show the linear unit even in rotational mode, e.g. for the radius.
+ */
+function applyUnitLabels() {
+        document.querySelectorAll('[data-unit]').forEach(el => { el.textContent = unitOf(el.dataset.unit); });
+        document.querySelectorAll('[data-linear-unit]').forEach(el => { el.textContent = unitLabel(el.dataset.linearUnit, displayUnits); });
+    }
+
+    // Unit system and per-quantity overrides. Inputs are typed in the displayed units,
+    // so changing units converts the typed values (and phase values) to the new ones.
+    const unitSystemSelect = form.querySelector('select[name="unitSystem"]');
+    const unitOverrideSelects = { length: 'lengthUnit', velocity: 'velocityUnit', acceleration: 'accelUnit' };
+    if (unitSystemSelect) {
+        unitSystemSelect.innerHTML = Object.entries(UNIT_SYSTEMS).map(([key, sys]) => `<option value="${key}">${sys.label}</option>`).join('');
+    }
+    QUANTITIES.forEach(q => {
+        const select = form.querySelector(`select[name="${unitOverrideSelects[q]}"]`);
+        if (select) select.innerHTML = '<option value="">system</option>' + Object.entries(UNITS[q]).map(([key, unit]) => `<option value="${key}">${unit.label}</option>`).join('');
+    });
+    // rotational mode: one angle unit for θ, ω and α, independent of the unit system
+    const angleUnitSelect = form.querySelector('select[name="angleUnit"]');
+    if (angleUnitSelect) angleUnitSelect.innerHTML = Object.entries(UNITS.angle).map(([key, unit]) => `<option value="${key}">${unit.label}</option>`).join('');
+    // x0, v0 and a are angles in rotational mode (see displayQuantity); the radius and the projectile inputs are always linear
+    const unitInputs = { x0: 'length', v0: 'velocity', a: 'acceleration', speed: 'velocity', h: 'length', g: 'acceleration', radius: 'length' };
+    const motionInputs = ['x0', 'v0', 'a'];
+    const onUnitsChanged = () => {
+        const from = displayUnits;
+        const to = formUnits(new FormData(form));
+        const convert = (q, value) => convertValue(displayQuantity(q), value, from, to);
+        Object.entries(unitInputs).forEach(([name, q]) => {
+            const el = form.querySelector(`input[name="${name}"]`);
+            const quantity = motionInputs.includes(name) ? displayQuantity(q) : q;
+            if (el && Number.isFinite(parseDecimal(el.value))) el.value = inputNumber(convertValue(quantity, parseDecimal(el.value), from, to));
+        });
+        state.segments.forEach(seg => { seg.value = convert(seg.kind === 'target' ? 'velocity' : 'acceleration', seg.value); });
+        state.bodies.forEach(b => {
+            b.x0 = convert('length', b.x0);
+            b.v0 = convert('velocity', b.v0);
+            b.a = convert('acceleration', b.a);
+        });
+        state.events.forEach(ev => { if (EVENT_QUANTITIES[ev.kind]) ev.value = convert(EVENT_QUANTITIES[ev.kind], ev.value); });
+        // expressions are typed in the unit of their quantity: scale them rather than rewrite them
+        const exprInput = form.querySelector('input[name="expr"]');
+        const exprKind = exprKindSelect ? exprKindSelect.value : '';
+        if (exprKind && exprInput && exprInput.value.trim()) {
+            const ratio = convert(EXPR_QUANTITIES[exprKind], 1);
+            if (ratio !== 1) exprInput.value = `${ratio}*(${exprInput.value.trim()})`;
+        }
+        displayUnits = to;
+        if (phaseList) renderPhaseEditor(phaseList, state.segments, onPhasesChanged);
+        if (bodyList) renderBodyEditor(bodyList, state.bodies, onBodiesChanged);
+        if (eventList) renderEventEditor(eventList, state.events, onEventsChanged);
+        pendingHistoryLabel = 'Units: ' + QUANTITIES.map(unitOf).join(', ');
+        updateFromForm();
+    };
+    [unitSystemSelect, angleUnitSelect, ...Object.values(unitOverrideSelects).map(name => form.querySelector(`select[name="${name}"]`))]
+        .forEach(select => { if (select) select.addEventListener('change', onUnitsChanged); });
+
+    // debug panel toggle
+    const toggleDebugBtn = document.getElementById('toggleDebug');
+    const uiDebug = document.getElementById('uiDebug');
+    if (toggleDebugBtn && uiDebug) {
+        toggleDebugBtn.addEventListener('click', () => {
+            if (uiDebug.style.display === 'none') { uiDebug.style.display = 'block'; toggleDebugBtn.innerText = 'Hide debug'; }
+            else { uiDebug.style.display = 'none'; toggleDebugBtn.innerText = 'Show debug'; }
+        });
+    }
+
+    // small summary charts (top of right panel)
+    const smallPosCtx = document.getElementById('smallPositionChartTop').getContext('2d');
+    const smallVelCtx = document.getElementById('smallVelocityChartTop').getContext('2d');
+    const smallAccCtx = document.getElementById('smallAccelerationChartTop').getContext('2d');
+
+    // main combined chart (right side)
+    const mainCtx = document.getElementById('mainChart').getContext('2d');
+
+
+    // set before a regeneration to label its history entry; restoring an entry must not record a new one
+    let pendingHistoryLabel = null;
+    let restoringHistory = false;
+
+    // `bodies` holds the further bodies as typed (displayed units), `others` their SI samples and
+    // `frame` the index of the reference body (null for the ground frame)
+    let state = { mode: 'linear', times: [], xs: [], vs: [], as: [], phases: [], boundaries: [], segments: [], bodies: [], others: [], meetings: [], bodyName: 'A', frame: null, events: [], eventResults: [], pieces: null, projectile: null, imported: null, fit: null, forces: [], forceBreakdown: null, rotation: null, comparing: false, integrator: DEFAULT_INTEGRATOR, drags: [], x0: 0, v0: 0, dt: 0.1, table: resultsTable, dragEnabled: false, dragMode: 'point', dragWidth: DEFAULT_BRUSH_WIDTH, dragLocks: { x0: false, v0: false } };
+
+    // Motion phase editor: when at least one phase exists it replaces the constant `a` and time interval
+    const phaseList = document.getElementById('phaseList');
+    const addPhaseBtn = document.getElementById('addPhase');
+    const phaseHint = document.getElementById('phaseHint');
+    const onPhasesChanged = () => {
+        if (phaseHint) phaseHint.style.display = state.segments.length ? 'block' : 'none';
+        debouncedUpdate();
+    };
+    if (phaseList && addPhaseBtn) {
+        addPhaseBtn.addEventListener('click', () => {
+            state.segments.push({ duration: 2, kind: 'accel', value: 0 });
+            renderPhaseEditor(phaseList, state.segments, onPhasesChanged);
+            onPhasesChanged();
+        });
+    }
+
+    // Dynamics mode: mass and force terms (SI), with presets that also set x0, v0 and the interval
+    const forceList = document.getElementById('forceList');
+    const forceKindSelect = document.getElementById('forceKind');
+    const addForceBtn = document.getElementById('addForce');
+    const presetSelect = document.getElementById('dynamicsPreset');
+    const dynamicsNote = document.getElementById('dynamicsNote');
+    const onForcesChanged = () => {
+        if (addForceBtn) addForceBtn.disabled = state.forces.length >= MAX_FORCES;
+        debouncedUpdate();
+    };
+
+    /**
+ * Replace the force terms (e.g. from a link, preset or history entry) and refresh their editor.
+ * @param {Array<{kind:string}>} forces
+ */
+function setForces(forces) {
+        state.forces.splice(0, state.forces.length, ...forces.map(term => ({ ...term })));
+        if (forceList) renderForceEditor(forceList, state.forces, onForcesChanged);
+        if (addForceBtn) addForceBtn.disabled = state.forces.length >= MAX_FORCES;
+    }
+
+    if (forceKindSelect) forceKindSelect.innerHTML = Object.entries(FORCE_TERMS).map(([key, term]) => `<option value="${key}">${term.label}</option>`).join('');
+    if (forceList && addForceBtn) {
+        addForceBtn.addEventListener('click', () => {
+            if (state.forces.length >= MAX_FORCES) return;
+            state.forces.push(defaultForce(forceKindSelect ? forceKindSelect.value : 'push'));
+            renderForceEditor(forceList, state.forces, onForcesChanged);
+            onForcesChanged();
+        });
+    }
+    if (presetSelect) {
+        presetSelect.innerHTML = '<option value="">Choose a preset…</option>' + Object.entries(DYNAMICS_PRESETS).map(([key, preset]) => `<option value="${key}">${preset.label}</option>`).join('');
+        presetSelect.addEventListener('change', () => {
+            const preset = DYNAMICS_PRESETS[presetSelect.value];
+            if (dynamicsNote) dynamicsNote.textContent = preset ? preset.note : '';
+            if (!preset) return;
+            const set = (name, v) => { const el = form.querySelector(`input[name="${name}"]`); if (el) el.value = inputNumber(Number(v.toPrecision(6))); };
+            set('mass', preset.mass);
+            set('x0', toDisplay('length', preset.x0));
+            set('v0', toDisplay('velocity', preset.v0));
+            set('t1', preset.t1);
+            setForces(preset.forces);
+            pendingHistoryLabel = 'Preset: ' + preset.label;
+            updateFromForm();
+        });
+    }
+
+    // Further bodies: constant acceleration each, sampled at the first body's times
+    const bodyList = document.getElementById('bodyList');
+    const addBodyBtn = document.getElementById('addBody');
+    const frameRow = document.getElementById('frameRow');
+    const frameSelect = form.querySelector('select[name="frame"]');
+    const bodyNameInput = form.querySelector('input[name="bodyName"]');
+    const onBodiesChanged = () => {
+        renderFrameOptions();
+        debouncedUpdate();
+    };
+    if (bodyList && addBodyBtn) {
+        addBodyBtn.addEventListener('click', () => {
+            if (state.bodies.length >= MAX_BODIES - 1) return;
+            state.bodies.push({ name: defaultBodyName(state.bodies.length + 1), x0: 0, v0: 0, a: 0 });
+            renderBodyEditor(bodyList, state.bodies, onBodiesChanged);
+            onBodiesChanged();
+        });
+    }
+    if (bodyNameInput) bodyNameInput.addEventListener('input', renderFrameOptions);
+    if (frameSelect) frameSelect.addEventListener('change', () => updateFromForm());
+
+    /**
+ * Rebuild the frame of reference select from the body names, keeping the
+ * selection while that body exists, and show it only when there are several bodies.
+ */
+function renderFrameOptions() {
+        if (addBodyBtn) addBodyBtn.disabled = state.bodies.length >= MAX_BODIES - 1;
+        if (frameRow) frameRow.style.display = state.bodies.length ? 'flex' : 'none';
+        if (!frameSelect) return;
+        const value = frameSelect.value;
+        const names = [(bodyNameInput && bodyNameInput.value.trim()) || defaultBodyName(0), ...state.bodies.map(b => b.name)];
+        frameSelect.innerHTML = '<option value="">Ground</option>' + names.map((name, i) => `<option value="${i}">Relative to ${escapeHtml(name)}</option>`).join('');
+        frameSelect.value = value !== '' && Number(value) < names.length ? value : '';
+    }
+
+    /**
+ * Replace the further bodies (e.g. from a link or history entry) and refresh their editor.
+ * @param {Array<{name:string, x0:number, v0:number, a:number}>} bodies
+ */
+function setBodies(bodies) {
+        state.bodies.splice(0, state.bodies.length, ...bodies.map(b => ({ ...b })));
+        if (bodyList) renderBodyEditor(bodyList, state.bodies, onBodiesChanged);
+        renderFrameOptions();
+    }
+    renderFrameOptions();
+
+    // Events: conditions on the first body's x, v or a, solved whenever the data changes
+    const eventList = document.getElementById('eventList');
+    const addEventBtn = document.getElementById('addEvent');
+    const onEventsChanged = () => {
+        if (addEventBtn) addEventBtn.disabled = state.events.length >= MAX_EVENTS;
+        refreshEvents(state);
+    };
+    if (eventList && addEventBtn) {
+        addEventBtn.addEventListener('click', () => {
+            if (state.events.length >= MAX_EVENTS) return;
+            state.events.push({ kind: 'x', value: 0 });
+            renderEventEditor(eventList, state.events, onEventsChanged);
+            onEventsChanged();
+        });
+    }
+
+    /**
+ * Replace the events (e.g. from a link) and refresh their editor.
+ * @param {Array<{kind:string, value:number}>} events
+ */
+function setEvents(events) {
+        state.events.splice(0, state.events.length, ...events.map(ev => ({ ...ev })));
+        if (eventList) renderEventEditor(eventList, state.events, onEventsChanged);
+        if (addEventBtn) addEventBtn.disabled = state.events.length >= MAX_EVENTS;
+    }
+
+    /**
+ * Return drag plugin options for the given chart type.
+ * When `state.dragEnabled` is false or a moving frame of reference is shown,
+ * returns a no-op config preventing movement.
+ * A drag edits the series through the selected mode (`state.dragMode`), or the
+ * one picked by the modifier keys held at that moment (see `modeForKeys`). The
+ * plugin only reports the pointer; the preview of the edited series is drawn
+ * here, and on release the edit is applied to every chart and recorded.
+ * @param {'position'|'velocity'|'acceleration'} chartType
+ * @returns {Object} configuration accepted by chartjs-plugin-dragdata
+ */
+function setupDragOptions(chartType) {
+        // If dragging is disabled, return a no-op config so points aren't movable
+        if (!state.dragEnabled || state.frame !== null) {
+            return {
+                round: 6,
+                dragX: false,
+                dragY: false,
+                showTooltip: false,
+                onDragStart: () => {},
+                onDrag: () => {},
+                onDragEnd: () => {}
+            };
+        }
+
+        const quantity = DRAG_QUANTITIES[chartType];
+        const seriesOf = () => ({ position: state.xs, velocity: state.vs, acceleration: state.as }[chartType]);
+        const chartOf = () => ({ position: smallPosChart, velocity: smallVelChart, acceleration: smallAccChart }[chartType]);
+        // drag in progress: the series when it started and the latest edit shown
+        let session = null;
+
+        return {
+            round: 6,
+            dragX: false,
+            dragY: true,
+            showTooltip: true,
+            onDragStart: (e, datasetIndex, point) => {
+                // the plugin reports the drawn point; long runs draw a decimated copy of the samples
+                const chart = chartOf();
+                const index = chart ? sampleIndex(chart, point) : point;
+                // locked samples cannot be picked up
+                if (lockedIndexes(chartType, state.dragLocks).includes(index)) {
+                    pageLog(`Drag: ${chartType === 'position' ? 'x0' : 'v0'} is locked`);
+                    return false;
+                }
+                session = { index, original: seriesOf().slice(), startX: chart ? getRelativePosition(e, chart).x : 0, edit: null };
+            },
+            onDrag: (e, datasetIndex, point, value) => {
+                if (!session) return false;
+                const { index } = session;
+                const chart = chartOf();
+                const mode = modeForKeys(state.dragMode, e);
+                let shift = 0;
+                if (mode === 'slide' && chart) {
+                    // whole samples travelled horizontally since the drag started
+                    const scale = chart.scales.x;
+                    const step = (scale.getPixelForValue(1) - scale.getPixelForValue(0)) || 1;
+                    // a drawn point stands for several samples when the chart is decimated
+                    const indexes = chart.$sampleIndexes;
+                    const stride = indexes && indexes.length > 1 ? (indexes[indexes.length - 1] - indexes[0]) / (indexes.length - 1) : 1;
+                    shift = Math.round((getRelativePosition(e, chart).x - session.startX) / step * stride);
+                }
+                session.edit = { mode, width: state.dragWidth, shift, value: fromDisplay(quantity, value) };
+                const preview = editSeries(session.original, index, session.edit, lockedIndexes(chartType, state.dragLocks));
+                // chart values are in the displayed units, the readout takes SI
+                const t = state.times[index];
+                if (chartType === 'position') updateReadoutElements(t, preview[index], state.vs[index], state.as[index]);
+                else if (chartType === 'velocity') updateReadoutElements(t, state.xs[index], preview[index], state.as[index]);
+                else updateReadoutElements(t, state.xs[index], state.vs[index], preview[index]);
+                // quick visual sync for this dataset; the plugin must not write the point itself
+                if (chart) {
+                    chart.data.datasets[0].data = pickIndexes(toDisplay(quantity, preview), chart.$sampleIndexes || null);
+                    chart.update('none');
+                }
+                return false;
+            },
+            onDragEnd: () => {
+                const current = session;
+                session = null;
+                if (!current || !current.edit) return;
+                const { mode, width, shift, value: siValue } = current.edit;
+                const drag = { chart: chartType, index: current.index, value: siValue };
+                if (mode !== 'point') Object.assign(drag, { mode, width });
+                if (mode === 'slide') drag.shift = shift;
+                if (state.dragLocks.x0 || state.dragLocks.v0) drag.locks = { ...state.dragLocks };
+                commitDrag(drag, current.original);
+            }
+        };
+    }
+
+    /**
+ * Apply a finished drag edit to every chart and record it: the edit list, the
+ * history, an active fit, the readout, the form's initial value when the first
+ * sample moved and a live class. Used by pointer drags and keyboard adjustments.
+ * @param {{chart:'position'|'velocity'|'acceleration', index:number, value:number, mode?:string, width?:number, shift?:number, locks?:Object}} drag - value in SI
+ * @param {number[]} [original] - the edited series before the edit (SI); the current one by default
+ */
+function commitDrag(drag, original) {
+        const { chart: chartType, index, value: siValue } = drag;
+        const quantity = DRAG_QUANTITIES[chartType];
+        const seriesOf = () => ({ position: state.xs, velocity: state.vs, acceleration: state.as }[chartType]);
+        const before = original || seriesOf().slice();
+        const oldValue = before[index];
+        // apply sync changes and update all charts
+        applyDragSync(chartType, index, siValue, state, true, drag);
+        // consecutive edits of the same point collapse into one (only the last value matters)
+        const lastDrag = state.drags[state.drags.length - 1];
+        if (canMergeDrags(lastDrag, drag)) lastDrag.value = siValue;
+        else state.drags.push(drag);
+        const newValue = seriesOf()[index];
+        recordHistory(null, { chart: chartType, index, t: state.times[index], oldValue: toDisplay(quantity, oldValue), newValue: toDisplay(quantity, newValue), note: describeDragEdit(drag) });
+        // keep an active fit in step with the edited data
+        if (state.fit) runFit();
+        // update readout for final values
+        updateReadoutElements(state.times[index], state.xs[index], state.vs[index], state.as[index]);
+        // update the form's initial value when the first sample moved
+        if (seriesOf()[0] !== before[0]) {
+            const field = { position: 'x0', velocity: 'v0', acceleration: 'a' }[chartType];
+            document.querySelector(`input[name="${field}"]`).value = fmt(toDisplay(quantity, seriesOf()[0]), 6);
+        }
+        // a teacher sharing drags live sends the edit to the class
+        classroomDragged(drag);
+    }
+
+    /**
+ * Read the scenario described by the form, converting its inputs from the displayed units to SI.
+ * An expression is kept as typed, in the displayed unit of its quantity.
+ * @param {FormData} f - current form values
+ * @returns {Object} scenario as accepted by `computeScenario`
+ */
+function readScenario(f) {
+        // an empty field (or one `checkNumberFields` rejects) takes the default; a typed 0 is kept
+        const num = (name, fallback = 0) => {
+            const value = parseDecimal(f.get(name));
+            return Number.isNaN(value) ? fallback : value;
+        };
+        const si = (quantity, name, fallback = 0) => {
+            const value = parseDecimal(f.get(name));
+            return Number.isNaN(value) ? fallback : fromDisplay(quantity, value);
+        };
+        if (f.get('mode') === 'projectile') {
+            return { mode: 'projectile', speed: si('velocity', 'speed'), angle: num('angle'), h: si('length', 'h'), g: si('acceleration', 'g', 9.81), dt: num('dt', 0.1) };
+        }
+        if (f.get('mode') === 'dynamics') {
+            // a typed 0 must reach the mass check rather than fall back to the default
+            const mass = parseDecimal(f.get('mass'));
+            return {
+                mode: 'dynamics', x0: si('length', 'x0'), v0: si('velocity', 'v0'),
+                t0: num('t0'), t1: num('t1'), dt: num('dt', 0.1), integrator: formIntegrator(f),
+                mass: Number.isFinite(mass) ? mass : DEFAULT_MASS, forces: state.forces.map(term => ({ ...term })),
+            };
+        }
+        const scenario = {
+            mode: 'linear', x0: si('length', 'x0'), v0: si('velocity', 'v0'), a: si('acceleration', 'a'),
+            t0: num('t0'), t1: num('t1'), dt: num('dt', 0.1),
+            exprKind: f.get('exprKind') || '', expr: String(f.get('expr') || ''), integrator: formIntegrator(f),
+            segments: state.segments.map(seg => ({ ...seg, value: fromDisplay(seg.kind === 'target' ? 'velocity' : 'acceleration', seg.value) })),
+        };
+        if (f.get('mode') !== 'rotational') return scenario;
+        // x0, v0 and a were read as angles (see displayQuantity); the radius is a length, and a typed 0 is kept
+        const radius = parseDecimal(f.get('radius'));
+        return { ...scenario, mode: 'rotational', radius: Number.isFinite(radius) ? toSI('length', radius, displayUnits) : DEFAULT_RADIUS };
+    }
+
+    // numeric form fields read by readScenario in each mode
+    const MODE_NUMBER_FIELDS = {
+        linear: ['x0', 'v0', 'a', 't1'],
+        dynamics: ['x0', 'v0', 't1', 'mass'],
+        rotational: ['radius', 'x0', 'v0', 'a', 't1'],
+        projectile: ['speed', 'angle', 'h', 'g'],
+    };
+
+    /**
+ * Mark the numeric fields of the current mode whose text is not a number in either
+ * decimal notation (see `parseDecimal`), e.g. "abc" or "1.234,5", with `.invalid`.
+ * Empty fields take their defaults.
+ * @param {FormData} f
+ * @returns {string[]} labels of the rejected fields, as shown
+ */
+function checkNumberFields(f) {
+        const names = MODE_NUMBER_FIELDS[f.get('mode')] || MODE_NUMBER_FIELDS.linear;
+        const rejected = [];
+        form.querySelectorAll('input[inputmode="decimal"]').forEach(input => {
+            const text = String(input.value).trim();
+            const wrong = names.includes(input.name) && text !== '' && Number.isNaN(parseDecimal(text));
+            input.classList.toggle('invalid', wrong);
+            if (!wrong) return;
+            const label = input.closest('.input-row') && input.closest('.input-row').querySelector('label');
+            rejected.push(label ? label.textContent.replace(/\s+/g, ' ').trim().replace(/:$/, '') : input.name);
+        });
+        return rejected;
+    }
+
+    // regenerations are numbered so that one finishing after a later one is dropped
+    let computeRun = 0;
+
+    /**
+ * Show or hide `#truncationNotice`, which says when the page shows only part of a run.
+ * @param {string|null} text
+ */
+function setTruncationNotice(text) {
+        const el = document.getElementById('truncationNotice');
+        if (!el) return;
+        el.style.display = text ? 'block' : 'none';
+        el.textContent = text || '';
+        if (text) pageLog('Truncated: ' + text);
+    }
+
+    /**
+ * Read form inputs, compute kinematic data, render the table and charts.
+ * Validates inputs and surfaces helpful messages when no data can be computed.
+ * The samples are computed by the worker; callers that use the new state await the returned promise.
+ * @returns {Promise<void>}
+ */
+async function updateFromForm() {
+        const f = new FormData(form);
+        const run = ++computeRun;
+        const historyLabel = pendingHistoryLabel;
+        pendingHistoryLabel = null;
+        displayUnits = formUnits(f);
+        state.integrator = formIntegrator(f);
+        clearFit();
+        state.drags = [];
+        state.others = []; state.meetings = []; state.frame = null;
+        const meetingList = document.getElementById('bodyMeetings');
+        if (meetingList) meetingList.innerHTML = '';
+        state.bodyName = String(f.get('bodyName') || '').trim() || defaultBodyName(0);
+        state.mode = f.get('mode') === 'projectile' ? 'projectile' : 'linear';
+        // imported samples are positions, so an import is shown as 1D motion even in rotational mode
+        const wasRotational = rotationalDisplay;
+        rotationalDisplay = f.get('mode') === 'rotational' && !state.imported;
+        state.rotation = null;
+        applyModeLayout(f.get('mode') === 'dynamics' || rotationalDisplay ? f.get('mode') : state.mode);
+        if (rotationalDisplay !== wasRotational) {
+            // the phase and event editors name x, v and a after the mode
+            if (phaseList) renderPhaseEditor(phaseList, state.segments, onPhasesChanged);
+            if (eventList) renderEventEditor(eventList, state.events, onEventsChanged);
+        }
+        state.forceBreakdown = null;
+        renderForceChart(state);
+        // text that is not a number stops the update instead of silently becoming a default
+        const rejected = state.imported ? [] : checkNumberFields(f);
+        if (rejected.length) {
+            const chartErrorEl = document.getElementById('chartError');
+            const message = 'Error: Not a number: ' + rejected.join(', ');
+            if (chartErrorEl) { chartErrorEl.style.display = 'block'; chartErrorEl.innerText = message; }
+            pageLog(message);
+            setTruncationNotice(null);
+            return;
+        }
+        // the comparison only depends on the form, so it follows every change
+        if (state.comparing) runComparison();
+        if (state.mode === 'projectile') {
+            const ok = await updateProjectile(f, run);
+            if (run !== computeRun) return;
+            refreshEvents(state);
+            if (ok) recordHistory(historyLabel);
+            return;
+        }
+        state.projectile = null;
+        if (state.imported) {
+            // a file still being read and smoothed is finished by applyImport
+            if (!state.imported.series) return applyImport();
+            renderImported();
+            recordHistory(historyLabel);
+            return;
+        }
+
+        const scenario = readScenario(f);
+        const { x0, v0, a, t0, t1, dt, exprKind } = scenario;
+
+        if (dt <= 0) { alert(__('Time step dt must be > 0')); return; }
+        if (t1 < t0) { alert(__('End time must be >= start time')); return; }
+
+        const placeholder = document.getElementById('chartPlaceholder');
+        const chartErrorEl = document.getElementById('chartError');
+        const exprInput = form.querySelector('input[name="expr"]');
+        const exprDerived = document.getElementById('exprDerived');
+        if (exprRow) exprRow.style.display = exprKind ? 'flex' : 'none';
+        if (exprDerived) exprDerived.innerText = '';
+
+        state.x0 = x0; state.v0 = v0; state.dt = dt;
+        const maxPoints = MAX_POINTS;
+        let result;
+        try {
+            // an expression takes precedence over phases and the constant `a`
+            result = await computeDisplayedScenario(scenario, maxPoints);
+        } catch (err) {
+            if (run !== computeRun) return;
+            if (!(err instanceof ExpressionError) && !(err instanceof ScenarioError)) throw err;
+            // ScenarioError: invalid mass or force terms in dynamics mode, or a negative radius
+            const what = err instanceof ExpressionError ? 'Expression error: ' : 'Error: ';
+            if (err instanceof ExpressionError && exprInput) exprInput.classList.add('invalid');
+            if (chartErrorEl) { chartErrorEl.style.display = 'block'; chartErrorEl.innerText = what + err.message; }
+            pageLog(what + err.message);
+            setTruncationNotice(null);
+            return;
+        }
+        if (run !== computeRun) return;
+        setTruncationNotice(result.truncated ? `Only the first ${result.times.length} samples are shown: a run is limited to ${MAX_POINTS} samples. Use a larger time step or a shorter interval to see the whole motion.` : null);
+        if (exprKind) {
+            if (exprInput) exprInput.classList.remove('invalid');
+            if (exprDerived) {
+                exprDerived.innerText = ['x', 'v', 'a'].filter(q => q !== exprKind)
+                    .map(q => `${symbolOf(q)}(t) = ${result.formulas[q] !== null ? `${result.formulas[q]}  [${unitOf(EXPR_QUANTITIES[q])}]` : '(numerical)'}`).join('\n');
+            }
+        }
+        const { times, xs, vs, as, phases, boundaries } = result;
+        state.times = times; state.xs = xs; state.vs = vs; state.as = as;
+        state.phases = phases; state.boundaries = boundaries;
+        // exact event times need the constant-acceleration pieces; expressions and forces are solved numerically
+        state.pieces = exprKind || scenario.mode === 'dynamics' ? null : constantPieces(scenario);
+        state.forceBreakdown = result.forces ? { forces: result.forces, net: result.net } : null;
+        state.rotation = result.mode === 'rotational' ? { radius: result.radius } : null;
+
+        // further bodies share the first body's times; rotational mode has none
+        state.others = (state.rotation ? [] : state.bodies).map((b, i) => ({
+            name: b.name, color: bodyColor(i + 1),
+            ...sampleBody({ x0: fromDisplay('length', b.x0), v0: fromDisplay('velocity', b.v0), a: fromDisplay('acceleration', b.a) }, times),
+        }));
+        const frame = String(f.get('frame') || '');
+        state.frame = frame !== '' && !state.rotation && Number(frame) <= state.others.length ? Number(frame) : null;
+        if (resultsHeadRow && state.others.length) {
+            const th = (text, unit) => `<th style="text-align:right">${text} (<span data-unit="${unit}"></span>)</th>`;
+            resultsHeadRow.innerHTML = '<th style="text-align:left">Time (s)</th>'
+                + bodySeries(state).map(b => th('v ' + escapeHtml(b.name), 'velocity') + th('x ' + escapeHtml(b.name), 'length')).join('');
+            applyUnitLabels();
+        }
+
+        pageLog('Form params:', { x0, v0, a, t0, t1, dt, maxPoints, phases: state.segments.length, exprKind });
+        pageLog('Computed points: ' + times.length);
+
+        // If there are no points, show a helpful placeholder
+        if (!times.length) {
+            pageLog('No points generated.');
+            if (placeholder) placeholder.style.display = 'block';
+            if (chartErrorEl) { chartErrorEl.style.display = 'block'; chartErrorEl.innerText = 'No data points generated – check time interval and dt.'; }
+            return;
+        }
+        if (placeholder) placeholder.style.display = 'none';
+        if (chartErrorEl) chartErrorEl.style.display = 'none';
+
+        console.log('Rendering charts — lengths:', { times: times.length, xs: xs.length, vs: vs.length, as: as.length });
+
+        const phaseBoundaries = { boundaries };
+        // body datasets are tagged with `body` / `series` and filled by refreshChartsAndTable
+        // (decimated, in the selected frame of reference); the charts are updated in place when possible
+        const shown = shownSeries(state);
+        const L = unitOf('length'), V = unitOf('velocity'), A = unitOf('acceleration');
+        const others = (series, quantity, extra = {}) => shown.slice(1).map((b, k) => Object.assign({
+            label: `${series[0]} ${b.name} (${unitOf(quantity)})`, data: [], body: k + 1, series,
+            borderColor: b.color, backgroundColor: b.color, pointRadius: 0, borderWidth: 2, fill: false, dragData: false,
+        }, extra));
+        const firstLabel = state.others.length ? state.bodyName : null;
+        const frameNote = state.frame === null ? '' : `, relative to ${shown[state.frame].name}`;
+        const meetings = { points: [] };
+
+        try {
+            // Create small charts with drag
+            pageLog('Creating small summary charts');
+            smallPosChart = renderLineChart(smallPosCtx, [{ label: `${symbolOf('x')}${firstLabel ? ' ' + firstLabel : ''} (${L})`, data: [], body: 0, series: 'xs', borderColor: 'rgba(255,152,0,1)', backgroundColor: 'rgba(255,152,0,0.08)', pointRadius: 4, borderWidth:2, fill:false }, ...others('xs', 'length')], [], { plugins: { legend: { display: false }, dragData: setupDragOptions('position'), phaseBoundaries, meetings }, elements: { point: { radius: 4 } } }, [phaseBoundaryPlugin, meetingPlugin]);
+            smallVelChart = renderLineChart(smallVelCtx, [{ label: `${symbolOf('v')}${firstLabel ? ' ' + firstLabel : ''} (${V})`, data: [], body: 0, series: 'vs', borderColor: 'rgba(33,150,243,1)', backgroundColor: 'rgba(33,150,243,0.08)', pointRadius: 4, borderWidth:2, fill:false }, ...others('vs', 'velocity')], [], { plugins: { legend: { display: false }, dragData: setupDragOptions('velocity'), phaseBoundaries }, elements: { point: { radius: 4 } } }, [phaseBoundaryPlugin]);
+            smallAccChart = renderLineChart(smallAccCtx, [{ label: `${symbolOf('a')}${firstLabel ? ' ' + firstLabel : ''} (${A})`, data: [], body: 0, series: 'as', borderColor: 'rgba(244,67,54,1)', backgroundColor: 'rgba(244,67,54,0.08)', pointRadius: 4, borderWidth:2, fill:false }, ...others('as', 'acceleration')], [], { plugins: { legend: { display: false }, dragData: setupDragOptions('acceleration'), phaseBoundaries }, elements: { point: { radius: 4 } } }, [phaseBoundaryPlugin]);
+            // Force layout/resize for visibility; refreshChartsAndTable draws the samples
+            try { smallPosChart.resize(); smallVelChart.resize(); smallAccChart.resize(); } catch(e) { pageLog('Small chart resize error: ' + (e && e.message ? e.message : String(e))); }
+            pageLog('Small charts ready');
+        } catch (err) { console.error('Small chart creation failed:', err); if (chartErrorEl) { chartErrorEl.style.display = 'block'; chartErrorEl.innerText = 'Small chart error: ' + (err && err.message ? err.message : String(err)); } pageLog('Small chart error: ' + (err && err.message ? err.message : String(err))); }
+        // Large professional charts (three side-by-side)
+        // Main combined chart (x & v) on the right
+        mainChart = renderLineChart(mainCtx, [
+            { label: `${symbolOf('x')}(t) — ${firstLabel || __(rotationalDisplay ? 'Angle' : 'Displacement')} (${L})`, data: [], body: 0, series: 'xs', borderColor: 'rgba(255,152,0,1)', yAxisID: 'y', borderWidth: 3, pointRadius: 0, tension: 0.25 },
+            { label: `${symbolOf('v')}(t) — ${firstLabel || __(rotationalDisplay ? 'Angular velocity' : 'Velocity')} (${V})`, data: [], body: 0, series: 'vs', borderColor: 'rgba(33,150,243,1)', yAxisID: 'y1', borderWidth: 3, pointRadius: 0, tension: 0.25 },
+            ...others('xs', 'length', { yAxisID: 'y', tension: 0.25 }),
+            ...others('vs', 'velocity', { yAxisID: 'y1', tension: 0.25, borderDash: [6, 3] })
+        ], [], { plugins: { legend: { position: 'top' }, phaseBoundaries, meetings }, scales: { y: { type: 'linear', position: 'left', title: { display: true, text: `${symbolOf('x')} (${L})${frameNote}` } }, y1: { type: 'linear', position: 'right', title: { display: true, text: `${symbolOf('v')} (${V})${frameNote}` }, grid: { drawOnChartArea: false } } } }, [phaseBoundaryPlugin, meetingPlugin]);
+        try { mainChart.resize(); pageLog('Main chart ready'); } catch (e) { pageLog('Main chart render error: ' + (e && e.message ? e.message : String(e))); }
+        // samples, table, meeting markers and the meeting list
+        refreshChartsAndTable(state);
+        if (state.meetings.length) pageLog('Meetings: ' + state.meetings.map(m => `${bodySeries(state)[m.a].name}/${bodySeries(state)[m.b].name} t=${m.t.toFixed(3)}`).join(', '));
+
+        // show/hide error
+        if (chartErrorEl) { chartErrorEl.style.display = 'none'; }
+
+        // initial readout
+        if (state.times.length) updateReadoutElements(state.times[0], state.xs[0], state.vs[0], state.as[0]);
+        syncPlayback();
+        recordHistory(historyLabel);
+    }
+
+    /**
+ * Compute (in the worker) and render the 2D projectile mode: trajectory y(x) on the main chart,
+ * x(t), y(t) and vx/vy(t) on the small charts, plus range / apex / flight time / impact summary.
+ * @param {FormData} f - current form values
+ * @param {number} run - number of the regeneration (see `computeRun`); a later one makes the result stale
+ * @returns {Promise<boolean>} whether data was shown
+ */
+async function updateProjectile(f, run) {
+        const { speed, angle, h, g, dt } = readScenario(f);
+        const placeholder = document.getElementById('chartPlaceholder');
+        const chartErrorEl = document.getElementById('chartError');
+        const summaryEl = document.getElementById('projectileSummary');
+        const fail = (msg) => {
+            pageLog(msg);
+            if (chartErrorEl) { chartErrorEl.style.display = 'block'; chartErrorEl.innerText = msg; }
+            if (summaryEl) summaryEl.innerHTML = '';
+            setTruncationNotice(null);
+        };
+        if (g <= 0) { fail('Gravity g must be > 0 for projectile motion.'); return false; }
+        if (h < 0) { fail('Launch height must be >= 0.'); return false; }
+
+        const data = await runComputation('scenario', { scenario: { mode: 'projectile', speed, angle, h, g, dt }, maxPoints: MAX_POINTS });
+        if (run !== computeRun) return false;
+        state.projectile = data;
+        // the trajectory is not a time chart, so the linked zoom and crosshair are off
+        timeZoom.window = null;
+        crosshair.t = null;
+        state.table.setCurrentRow(null);
+        renderZoomStatus();
+        pageLog('Projectile params:', { speed, angle, h, g, dt });
+        pageLog('Computed points: ' + data.times.length + (data.truncated ? ' (truncated)' : ''));
+        if (!data.times.length) { fail('No data points generated – check launch parameters and dt.'); return false; }
+        if (placeholder) placeholder.style.display = 'none';
+        if (chartErrorEl) chartErrorEl.style.display = 'none';
+        setTruncationNotice(data.truncated ? `Only the first ${data.times.length} samples are shown and the flight ends before the impact: a run is limited to ${MAX_POINTS} samples. Use a larger time step.` : null);
+
+        renderProjectileTable(state.table, data);
+
+        const { summary } = data;
+        if (summaryEl) {
+            const row = (label, value, unit) => `<div class="input-row"><label>${label}</label><strong>${fmt(value, 3)} ${unit}</strong></div>`;
+            const length = (label, value) => row(label, toDisplay('length', value), unitOf('length'));
+            summaryEl.innerHTML = length('Range', summary.range)
+                + length('Apex height', summary.apexY)
+                + length('Apex at x', summary.apexX)
+                + row('Time to apex', summary.apexT, 's')
+                + row('Time of flight', summary.flightTime, 's')
+                + row('Impact speed', toDisplay('velocity', summary.impactSpeed), unitOf('velocity'))
+                + row('Impact angle (below horizontal)', summary.impactAngle, '°');
+        }
+
+        // the charts draw a decimated copy of long flights; the table lists every sample
+        const full = [toDisplay('length', data.xs), toDisplay('length', data.ys), toDisplay('velocity', data.vxs), toDisplay('velocity', data.vys)];
+        const indexes = decimationIndexes(data.times, full);
+        const times = pickIndexes(data.times, indexes);
+        const [xs, ys, vxs, vys] = full.map(values => pickIndexes(values, indexes));
+        const L = unitOf('length'), V = unitOf('velocity');
+        const smallOpts = { plugins: { legend: { display: false }, dragData: false }, elements: { point: { radius: 2 } } };
+        try {
+            smallPosChart = renderLineChart(smallPosCtx, [{ label: `x (${L})`, data: xs, borderColor: 'rgba(255,152,0,1)', backgroundColor: 'rgba(255,152,0,0.08)', pointRadius: 2, borderWidth: 2, fill: false }], times, smallOpts);
+            smallVelChart = renderLineChart(smallVelCtx, [{ label: `y (${L})`, data: ys, borderColor: 'rgba(33,150,243,1)', backgroundColor: 'rgba(33,150,243,0.08)', pointRadius: 2, borderWidth: 2, fill: false }], times, smallOpts);
+            smallAccChart = renderLineChart(smallAccCtx, [
+                { label: `vx (${V})`, data: vxs, borderColor: 'rgba(244,67,54,1)', pointRadius: 0, borderWidth: 2, fill: false },
+                { label: `vy (${V})`, data: vys, borderColor: 'rgba(123,31,162,1)', pointRadius: 0, borderWidth: 2, fill: false }
+            ], times, smallOpts);
+        } catch (err) { console.error('Small chart creation failed:', err); fail('Small chart error: ' + (err && err.message ? err.message : String(err))); }
+
+        // Trajectory y(x) on a linear x axis; apex and impact highlighted as separate point datasets
+        mainChart = renderLineChart(mainCtx, [
+            { label: __('Trajectory y(x)'), data: xs.map((x, i) => ({ x, y: ys[i] })), borderColor: 'rgba(39,174,96,1)', borderWidth: 3, pointRadius: 0, tension: 0 },
+            { label: __('Apex'), data: [{ x: toDisplay('length', summary.apexX), y: toDisplay('length', summary.apexY) }], borderColor: 'rgba(33,150,243,1)', backgroundColor: 'rgba(33,150,243,1)', pointRadius: 6, showLine: false },
+            { label: __('Impact'), data: [{ x: toDisplay('length', summary.range), y: 0 }], borderColor: 'rgba(244,67,54,1)', backgroundColor: 'rgba(244,67,54,1)', pointRadius: 6, showLine: false }
+        ], [], { plugins: { legend: { position: 'top' }, dragData: false, timeCursor: { marker: true } }, scales: { x: { type: 'linear', min: 0, title: { display: true, text: `x (${L})` } }, y: { type: 'linear', min: 0, title: { display: true, text: `y (${L})` } } } });
+        try { mainChart.resize(); pageLog('Trajectory chart rendered'); } catch (e) { pageLog('Main chart render error: ' + (e && e.message ? e.message : String(e))); }
+
+        updateReadoutElements(data.times[0], data.xs[0], speed, -g);
+        syncPlayback();
+        return true;
+    }
+
+    // --- measured data import ---
+    const importFile = document.getElementById('importFile');
+    const importBtn = document.getElementById('importCsv');
+    const importPanel = document.getElementById('importPanel');
+    const importStatus = document.getElementById('importStatus');
+    const importControls = ['importTCol', 'importXCol', 'importTUnit', 'importXUnit', 'importMethod', 'importWindow', 'importShowRaw'].map(id => document.getElementById(id)).filter(Boolean);
+    const importValue = (id) => { const el = document.getElementById(id); return el ? el.value : ''; };
+
+    /**
+ * Show an import problem inline (status line and #chartError) without touching the current data.
+ * @param {string} msg
+ */
+function showImportError(msg) {
+        pageLog('Import error: ' + msg);
+        if (importStatus) { importStatus.style.color = '#900'; importStatus.innerText = msg; }
+        const chartErrorEl = document.getElementById('chartError');
+        if (chartErrorEl) { chartErrorEl.style.display = 'block'; chartErrorEl.innerText = 'Import error: ' + msg; }
+    }
+
+    /**
+ * Rebuild the imported series from the current column mapping and smoothing
+ * settings (in the worker), then render it. Keeps the previous data when the mapping is unusable.
+ * @returns {Promise<void>}
+ */
+async function applyImport() {
+        const imp = state.imported;
+        if (!imp) return;
+        const historyLabel = pendingHistoryLabel || 'Import settings changed';
+        pendingHistoryLabel = null;
+        const run = ++computeRun;
+        let built;
+        try {
+            built = await runComputation('importSeries', {
+                rows: imp.parsed.rows,
+                mapping: {
+                    tCol: Number(importValue('importTCol')),
+                    xCol: Number(importValue('importXCol')),
+                    tUnit: importValue('importTUnit') || 's',
+                    xUnit: importValue('importXUnit') || 'm',
+                },
+                method: importValue('importMethod') || 'sg',
+                window: parseInt(importValue('importWindow'), 10) || 7,
+            });
+        } catch (err) {
+            if (run === computeRun && state.imported === imp) showImportError(err.message);
+            return;
+        }
+        if (run !== computeRun || state.imported !== imp) return;
+        const { series, smoothed } = built;
+        imp.series = series;
+        if (rotationalDisplay) {
+            // imported samples are positions (see updateFromForm)
+            rotationalDisplay = false;
+            applyModeLayout('linear');
+            if (phaseList) renderPhaseEditor(phaseList, state.segments, onPhasesChanged);
+            if (eventList) renderEventEditor(eventList, state.events, onEventsChanged);
+        }
+        state.rotation = null;
+        imp.rawVs = built.rawVs;
+        imp.rawAs = built.rawAs;
+        state.times = series.times.map(t => Number(t.toFixed(8)));
+        state.xs = smoothed.xs; state.vs = smoothed.vs; state.as = smoothed.as;
+        state.phases = []; state.boundaries = [];
+        state.x0 = state.xs[0]; state.v0 = state.vs[0];
+        state.dt = (series.times[series.times.length - 1] - series.times[0]) / (series.times.length - 1);
+        const notes = [];
+        if (series.skipped) notes.push(`${series.skipped} non-numeric row(s) skipped`);
+        if (series.duplicates) notes.push(`${series.duplicates} repeated timestamp(s) dropped`);
+        if (series.truncated) notes.push(`only the first ${MAX_IMPORT_ROWS} samples kept`);
+        if (importStatus) {
+            importStatus.style.color = '';
+            importStatus.innerText = `${imp.fileName}: ${series.times.length} samples` + (notes.length ? ' — ' + notes.join(', ') : '') + '. Form parameters are ignored until the import is cleared.';
+        }
+        renderImported();
+        recordHistory(historyLabel);
+    }
+
+    /**
+ * Render imported data: smoothed x/v/a as lines on a linear time axis with the
+ * raw samples (and their unsmoothed differences) overlaid as faint points.
+ * Dragging is disabled because the samples need not be evenly spaced.
+ */
+function renderImported() {
+        const imp = state.imported;
+        const { times, xs, vs, as } = state;
+        clearFit();
+        const placeholder = document.getElementById('chartPlaceholder');
+        const chartErrorEl = document.getElementById('chartError');
+        if (placeholder) placeholder.style.display = 'none';
+        if (chartErrorEl) chartErrorEl.style.display = 'none';
+        setTruncationNotice(imp.series.truncated ? `Only the first ${MAX_IMPORT_ROWS} samples of ${imp.fileName} were imported; split longer recordings into several files.` : null);
+
+        renderTable(state.table, times, xs, vs, as);
+        const { full, minSpan } = windowLimits(times);
+        timeZoom.window = clampWindow(timeZoom.window, full, minSpan);
+        renderZoomStatus();
+        drawImportedCharts();
+
+        refreshEvents(state);
+        updateReadoutElements(times[0], xs[0], vs[0], as[0]);
+        syncPlayback();
+    }
+
+    /**
+ * Draw the charts of imported data for the zoomed time window (`timeZoom`).
+ */
+function drawImportedCharts() {
+        const imp = state.imported;
+        const { times, xs, vs, as } = state;
+        const showRaw = !document.getElementById('importShowRaw') || document.getElementById('importShowRaw').checked;
+        const win = timeZoom.window;
+        // long recordings are drawn decimated: the smoothed lines and the raw samples each keep their own extremes
+        const smoothIndexes = windowIndexes(times, [toDisplay('length', xs), toDisplay('velocity', vs), toDisplay('acceleration', as)], win);
+        const rawIndexes = showRaw ? windowIndexes(times, [imp.series.xs, imp.rawVs, imp.rawAs], win) : null;
+        const L = unitOf('length'), V = unitOf('velocity'), A = unitOf('acceleration');
+        const points = (ys, indexes) => pickIndexes(times, indexes).map((t, k) => ({ x: t, y: ys[indexes ? indexes[k] : k] }));
+        const raw = (label, ys, color) => ({ label, data: points(ys, rawIndexes), borderColor: color, backgroundColor: color, pointRadius: 1.5, showLine: false });
+        const linearTime = { x: { type: 'linear', min: win ? win.min : undefined, max: win ? win.max : undefined, title: { display: true, text: 't (s)' }, grid: { color: 'rgba(8,12,24,0.06)' }, ticks: { color: '#3b4a59', maxRotation: 0 } } };
+        const smallOpts = { plugins: { legend: { display: false }, dragData: false }, scales: linearTime };
+        const small = (ctx, label, ys, rawYs, color, rawColor) => renderLineChart(ctx, [
+            { label, data: points(ys, smoothIndexes), borderColor: color, pointRadius: 0, borderWidth: 2, fill: false },
+            ...(showRaw ? [raw(label + ' raw', rawYs, rawColor)] : [])
+        ], [], smallOpts);
+        try {
+            smallPosChart = small(smallPosCtx, `x (${L})`, toDisplay('length', xs), toDisplay('length', imp.series.xs), 'rgba(255,152,0,1)', 'rgba(120,120,120,0.5)');
+            smallVelChart = small(smallVelCtx, `v (${V})`, toDisplay('velocity', vs), toDisplay('velocity', imp.rawVs), 'rgba(33,150,243,1)', 'rgba(120,120,120,0.35)');
+            smallAccChart = small(smallAccCtx, `a (${A})`, toDisplay('acceleration', as), toDisplay('acceleration', imp.rawAs), 'rgba(244,67,54,1)', 'rgba(120,120,120,0.25)');
+        } catch (err) { console.error('Small chart creation failed:', err); showImportError('Small chart error: ' + (err && err.message ? err.message : String(err))); }
+
+        mainChart = renderLineChart(mainCtx, [
+            { label: `x(t) — ${__('smoothed')} (${L})`, data: points(toDisplay('length', xs), smoothIndexes), borderColor: 'rgba(255,152,0,1)', yAxisID: 'y', borderWidth: 3, pointRadius: 0, tension: 0 },
+            { label: `v(t) — ${__('smoothed')} (${V})`, data: points(toDisplay('velocity', vs), smoothIndexes), borderColor: 'rgba(33,150,243,1)', yAxisID: 'y1', borderWidth: 3, pointRadius: 0, tension: 0 },
+            ...(showRaw ? [Object.assign(raw(`x(t) — measured (${L})`, toDisplay('length', imp.series.xs), 'rgba(120,120,120,0.55)'), { yAxisID: 'y' })] : [])
+        ], [], { plugins: { legend: { position: 'top' }, dragData: false }, scales: Object.assign({}, linearTime, { y: { type: 'linear', position: 'left', title: { display: true, text: `x (${L})` } }, y1: { type: 'linear', position: 'right', title: { display: true, text: `v (${V})` }, grid: { drawOnChartArea: false } } }) });
+        // the first dataset of every chart is the smoothed line, so points map back to samples
+        [smallPosChart, smallVelChart, smallAccChart, mainChart].forEach(chart => { if (chart) chart.$sampleIndexes = smoothIndexes; });
+        try { mainChart.resize(); pageLog('Imported data charts rendered'); } catch (e) { pageLog('Main chart render error: ' + (e && e.message ? e.message : String(e))); }
+    }
+
+    if (importBtn && importFile) {
+        importBtn.addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', async () => {
+            const file = importFile.files && importFile.files[0];
+            importFile.value = '';
+            if (!file) return;
+            if (importPanel) importPanel.style.display = 'block';
+            let parsed;
+            try {
+                parsed = await runComputation('parseCsv', { text: await file.text() });
+            } catch (err) { showImportError(err && err.message ? err.message : String(err)); return; }
+            // Populate the column mapping selects from the header row
+            const { tCol, xCol } = guessColumns(parsed.headers);
+            ['importTCol', 'importXCol'].forEach((id, k) => {
+                const sel = document.getElementById(id);
+                if (!sel) return;
+                sel.innerHTML = '';
+                parsed.headers.forEach((h, i) => { const o = document.createElement('option'); o.value = String(i); o.textContent = h; o.dataset.noI18n = ''; sel.appendChild(o); });
+                sel.value = String(k === 0 ? tCol : xCol);
+            });
+            state.imported = { fileName: file.name, parsed, series: null };
+            pendingHistoryLabel = 'Import ' + file.name;
+            applyImport();
+        });
+        importControls.forEach(el => el.addEventListener('change', () => { if (state.imported) applyImport(); }));
+        const clearImportBtn = document.getElementById('clearImport');
+        if (clearImportBtn) clearImportBtn.addEventListener('click', () => {
+            state.imported = null;
+            if (importPanel) importPanel.style.display = 'none';
+            pendingHistoryLabel = 'Clear import';
+            updateFromForm();
+        });
+    }
+
+    // --- least-squares model fit ---
+    const fitBtn = document.getElementById('fitBtn');
+    const fitStatus = document.getElementById('fitStatus');
+    const fitResults = document.getElementById('fitResults');
+    const fitTbody = document.querySelector('#fitTable tbody');
+    const residualPanel = document.getElementById('residualPanel');
+    const residualCanvas = document.getElementById('residualChart');
+    const fitLabels = { linear: 'Constant-velocity', quadratic: 'Constant-acceleration', piecewise: 'Two-phase' };
+
+    /**
+ * Samples the fit runs on: the measured positions when data is imported, otherwise the current series.
+ * @returns {{times:number[], xs:number[]}}
+ */
+function fitSource() {
+        return state.imported && state.imported.series ? state.imported.series : state;
+    }
+
+    /**
+ * Show a fit problem in the fit panel without touching the current data.
+ * @param {string} msg
+ */
+function showFitError(msg) {
+        pageLog('Fit error: ' + msg);
+        if (fitStatus) { fitStatus.style.color = '#900'; fitStatus.innerText = msg; }
+    }
+
+    /**
+ * Forget the current fit: hide its results and residuals and drop the overlay from the main chart.
+ */
+function clearFit() {
+        state.fit = null;
+        if (fitResults) fitResults.style.display = 'none';
+        if (fitStatus) fitStatus.innerText = '';
+        if (residualPanel) residualPanel.style.display = 'none';
+        if (residualCanvas) destroyChartIfExists(residualCanvas);
+        residualChart = null;
+        if (mainChart && mainChart.data.datasets.some(d => d.fitOverlay)) {
+            mainChart.data.datasets = mainChart.data.datasets.filter(d => !d.fitOverlay);
+            mainChart.update('none');
+        }
+    }
+
+    /**
+ * Fit the selected model to the current position data, list the parameters,
+ * overlay the fitted x(t) on the main chart and plot the residuals.
+ */
+function runFit() {
+        const model = (document.getElementById('fitModel') || {}).value || 'quadratic';
+        if (state.mode !== 'linear') { showFitError('Fitting is available in 1D linear mode only.'); return; }
+        const src = fitSource();
+        let fit;
+        try {
+            fit = fitModel(src.times, src.xs, model);
+        } catch (err) { showFitError(err && err.message ? err.message : String(err)); return; }
+        state.fit = fit;
+        pageLog(`Fit (${model}, SI): ` + fit.params.map(p => `${p.name}=${p.value.toFixed(4)}`).join(' ') + ` R²=${fit.r2.toFixed(5)}`);
+
+        if (fitTbody) renderFitTable(fitTbody, fit);
+        if (fitResults) fitResults.style.display = 'block';
+        if (fitStatus) {
+            fitStatus.style.color = '';
+            fitStatus.innerText = `${fitLabels[model]} fit to ${src.times.length} ${state.imported ? 'measured' : 'generated'} samples` + (model === 'piecewise' ? ' (uncertainties assume the switch time is exact).' : '.');
+        }
+
+        // Overlay on the main chart, matching its x axis (category labels or linear time) and its decimation
+        if (mainChart) {
+            const linearX = mainChart.scales.x && mainChart.scales.x.type === 'linear';
+            const times = pickIndexes(state.times, mainChart.$sampleIndexes || null);
+            const ys = times.map(t => toDisplay('length', fit.evaluate(t)));
+            const overlay = { label: `x(t) — ${__('fit')} (${unitOf('length')})`, data: linearX ? times.map((t, i) => ({ x: t, y: ys[i] })) : ys, borderColor: 'rgba(39,174,96,1)', borderDash: [6, 4], yAxisID: 'y', borderWidth: 2, pointRadius: 0, tension: 0, fill: false, fitOverlay: true };
+            mainChart.data.datasets = mainChart.data.datasets.filter(d => !d.fitOverlay).concat(overlay);
+            mainChart.update('none');
+        }
+
+        if (!residualCanvas) return;
+        if (residualPanel) residualPanel.style.display = 'block';
+        const n = src.times.length;
+        const residualIndexes = decimationIndexes(src.times, [fit.residuals]);
+        residualChart = makeLineChart(residualCanvas, [
+            { label: `${__('Residual')} (${unitOf('length')})`, data: pickIndexes(src.times.map((t, i) => ({ x: t, y: toDisplay('length', fit.residuals[i]) })), residualIndexes), borderColor: 'rgba(123,31,162,1)', backgroundColor: 'rgba(123,31,162,1)', pointRadius: 2, showLine: false },
+            { label: __('Zero'), data: [{ x: src.times[0], y: 0 }, { x: src.times[n - 1], y: 0 }], borderColor: 'rgba(8,12,24,0.35)', borderWidth: 1, pointRadius: 0 }
+        ], [], { plugins: { legend: { display: false }, dragData: false }, scales: { x: { type: 'linear', title: { display: true, text: 't (s)' }, grid: { color: 'rgba(8,12,24,0.06)' }, ticks: { color: '#3b4a59', maxRotation: 0 } }, y: { type: 'linear', title: { display: true, text: `residual (${unitOf('length')})` } } } });
+        try { residualChart.resize(); residualChart.update(); } catch (e) { pageLog('Residual chart render error: ' + (e && e.message ? e.message : String(e))); }
+    }
+
+    /**
+ * Copy the fitted parameters into the form: x0, v0 and a (or two motion phases
+ * for the two-phase model), with the time interval covering the fitted samples.
+ * Generated data is regenerated from the fit; imported data stays until cleared.
+ */
+function applyFit() {
+        const fit = state.fit;
+        if (!fit) return;
+        const round = (v) => Number(v.toFixed(6));
+        const set = (name, v) => { const el = form.querySelector(`input[name="${name}"]`); if (el) el.value = inputNumber(round(v)); };
+        const p = Object.fromEntries(fit.params.map(q => [q.name, q.value]));
+        const src = fitSource();
+        const tEnd = src.times[src.times.length - 1];
+        const t0 = parseDecimal(new FormData(form).get('t0')) || 0;
+
+        const accel = (v) => toDisplay('acceleration', v);
+        set('x0', toDisplay('length', p.x0));
+        set('v0', toDisplay('velocity', p.v0));
+        set('t1', tEnd);
+        if (exprKindSelect) exprKindSelect.value = '';
+        state.segments.splice(0);
+        if (fit.model === 'piecewise') {
+            set('a', accel(p.a1));
+            state.segments.push(
+                { duration: round(Math.max(0, p.ts - t0)), kind: 'accel', value: round(accel(p.a1)) },
+                { duration: round(Math.max(0, tEnd - p.ts)), kind: 'accel', value: round(accel(p.a2)) }
+            );
+        } else {
+            set('a', fit.model === 'linear' ? 0 : accel(p.a));
+        }
+        if (phaseList) renderPhaseEditor(phaseList, state.segments, onPhasesChanged);
+        if (phaseHint) phaseHint.style.display = state.segments.length ? 'block' : 'none';
+        pageLog('Fit parameters applied to form');
+
+        if (state.imported) {
+            if (fitStatus) fitStatus.innerText = 'Parameters copied to the form. Clear the import to simulate them.';
+            return;
+        }
+        pendingHistoryLabel = 'Apply ' + fit.model + ' fit';
+        updateFromForm();
+    }
+
+    if (fitBtn) fitBtn.addEventListener('click', runFit);
+    const fitApplyBtn = document.getElementById('fitApply');
+    if (fitApplyBtn) fitApplyBtn.addEventListener('click', applyFit);
+    const fitClearBtn = document.getElementById('fitClear');
+    if (fitClearBtn) fitClearBtn.addEventListener('click', clearFit);
+
+    // --- integrator comparison against the exact constant-acceleration solution ---
+    const compareStatus = document.getElementById('compareStatus');
+    const compareResults = document.getElementById('compareResults');
+    const compareTable = document.getElementById('convergenceTable');
+    const comparePanel = document.getElementById('comparePanel');
+    const compareCanvas = document.getElementById('compareChart');
+    const compareErrorCanvas = document.getElementById('compareErrorChart');
+
+    /**
+ * Show a comparison message; errors also hide the comparison charts and table.
+ * @param {string} msg
+ * @param {boolean} [isError=false]
+ */
+function showCompareStatus(msg, isError = false) {
+        if (compareStatus) { compareStatus.style.color = isError ? '#900' : ''; compareStatus.innerText = msg; }
+        if (!isError) return;
+        pageLog('Comparison error: ' + msg);
+        if (compareResults) compareResults.style.display = 'none';
+        if (comparePanel) comparePanel.style.display = 'none';
+    }
+
+    /**
+ * Close the comparison: hide its charts and table and stop following form changes.
+ */
+function clearComparison() {
+        state.comparing = false;
+        if (compareStatus) compareStatus.innerText = '';
+        if (compareResults) compareResults.style.display = 'none';
+        if (comparePanel) comparePanel.style.display = 'none';
+        [compareCanvas, compareErrorCanvas].forEach(c => { if (c) destroyChartIfExists(c); });
+    }
+
+    /**
+ * Solve the constant-acceleration motion given by the form's x0, v0 and a with every
+ * scheme, overlay the selected scheme on the exact x(t), chart each scheme's error
+ * and tabulate how the largest error shrinks as dt is halved. Phases, expressions,
+ * drags and imported data are not part of the comparison, which says so.
+ */
+function runComparison() {
+        state.comparing = true;
+        const scenario = readScenario(new FormData(form));
+        if (scenario.mode !== 'linear') { showCompareStatus('The comparison is available in 1D linear mode only.', true); return; }
+        const p = { x0: scenario.x0, v0: scenario.v0, a: scenario.a, t0: scenario.t0, t1: scenario.t1, dt: scenario.dt };
+        if (!(p.dt > 0) || !(p.t1 > p.t0)) { showCompareStatus('The comparison needs dt > 0 and an end time after the start time.', true); return; }
+        if (stepCount(p.t0, p.t1, p.dt) > MAX_COMPARE_STEPS) { showCompareStatus(`Too many steps to compare (at most ${MAX_COMPARE_STEPS}); use a larger time step or a shorter interval.`, true); return; }
+
+        const { times, exact, results } = compareWithExact(p);
+        const rows = convergenceTable(p);
+        const selected = results.find(r => r.scheme === scenario.integrator);
+        const L = unitOf('length');
+        const others = scenario.exprKind ? 'the expression' : scenario.segments.length ? 'the motion phases' : state.imported ? 'the imported data' : '';
+        showCompareStatus(`${times.length - 1} steps of ${inputNumber(p.dt)} s with a = ${inputNumber(Number(toDisplay('acceleration', p.a).toPrecision(6)))} ${unitOf('acceleration')}.`
+            + (others ? ` The main charts show ${others}, which is not part of the comparison.` : ''));
+        if (compareTable) renderConvergenceTable(compareTable, rows);
+        if (compareResults) compareResults.style.display = 'block';
+        if (!compareCanvas || !compareErrorCanvas) return;
+        if (comparePanel) comparePanel.style.display = 'block';
+
+        const keep = decimationIndexes(times, [exact.xs, ...results.map(r => r.xErrors)]);
+        const points = (ys) => pickIndexes(times.map((t, i) => ({ x: t, y: toDisplay('length', ys[i]) })), keep);
+        const xAxis = { type: 'linear', title: { display: true, text: 't (s)' }, grid: { color: 'rgba(8,12,24,0.06)' }, ticks: { color: '#3b4a59', maxRotation: 0 } };
+        renderLineChart(compareCanvas, [
+            { label: `x ${__('exact')} (${L})`, data: points(exact.xs), borderColor: 'rgba(8,12,24,0.7)', borderDash: [6, 4], borderWidth: 2, pointRadius: 0, fill: false },
+            { label: `x ${INTEGRATORS[selected.scheme]} (${L})`, data: points(selected.xs), borderColor: INTEGRATOR_COLORS[selected.scheme], borderWidth: 2, pointRadius: 0, fill: false },
+        ], [], { plugins: { legend: { position: 'top' }, dragData: false }, scales: { x: xAxis, y: { type: 'linear', title: { display: true, text: `x (${L})` } } } });
+        renderLineChart(compareErrorCanvas, results.map(r => ({
+            label: INTEGRATORS[r.scheme], data: points(r.xErrors), borderColor: INTEGRATOR_COLORS[r.scheme],
+            borderWidth: r.scheme === selected.scheme ? 3 : 1.5, pointRadius: 0, fill: false,
+        })), [], { plugins: { legend: { position: 'top' }, dragData: false }, scales: { x: xAxis, y: { type: 'linear', title: { display: true, text: `${__('error in x')} (${L})` } } } });
+        pageLog('Comparison: ' + rows[0].cells.map(c => `${c.scheme}=${c.exact ? 'exact' : c.maxError.toExponential(2)}`).join(' '));
+    }
+
+    const compareBtn = document.getElementById('compareBtn');
+    if (compareBtn) compareBtn.addEventListener('click', runComparison);
+    const compareClearBtn = document.getElementById('compareClear');
+    if (compareClearBtn) compareClearBtn.addEventListener('click', clearComparison);
+
+    // --- animated playback ---
+    const playToggleBtn = document.getElementById('playToggle');
+    const playScrubber = document.getElementById('playScrubber');
+    const playSpeed = document.getElementById('playSpeed');
+    const playLoop = document.getElementById('playLoop');
+    const playTimeEl = document.getElementById('playTime');
+    const trackCanvas = document.getElementById('trackCanvas');
+    const playback = { playing: false, raf: 0, last: 0 };
+    if (playSpeed) {
+        playSpeed.innerHTML = PLAYBACK_SPEEDS.map(s => `<option value="${s}"${s === 1 ? ' selected' : ''}>${s}×</option>`).join('');
+    }
+
+    /**
+ * Series animated by playback in the current mode. The projectile plays its
+ * horizontal motion on the track and marks (x, y) on the trajectory chart.
+ * @returns {{times:number[], xs:number[], vs:number[], as:number[]|null, ys:number[]|null}}
+ */
+function playbackSeries() {
+        const p = state.mode === 'projectile' ? state.projectile : null;
+        if (p) return { times: p.times, xs: p.xs, vs: p.vxs, as: null, ys: p.ys };
+        return { times: state.times, xs: state.xs, vs: state.vs, as: state.as, ys: null };
+    }
+
+    /**
+ * The rotating disc at time `t`: the marked point's velocity and accelerations,
+ * with arrow scales from the whole run (`state.rotation.point`, see `refreshChartsAndTable`).
+ * @param {{times:number[], xs:number[], vs:number[], as:number[]}} s - θ, ω and α (SI)
+ * @param {number} t
+ * @returns {Object} frame for `drawDisc`
+ */
+function discFrame(s, t) {
+        const { radius, point } = state.rotation;
+        const absMax = (arr) => arr.reduce((m, val) => Math.max(m, Math.abs(val)), 0);
+        return {
+            theta: sampleAt(s.times, s.xs, t), theta0: s.xs[0],
+            v: radius * sampleAt(s.times, s.vs, t), at: radius * sampleAt(s.times, s.as, t), ac: sampleAt(s.times, point.centripetal, t),
+            vMax: absMax(point.speeds), atMax: absMax(point.tangential), acMax: absMax(point.centripetal),
+        };
+    }
+
+    /**
+ * Show the motion at time `t` (clamped to the series): chart cursors, track, readout and scrubber.
+ * @param {number} t
+ */
+function showPlaybackFrame(t) {
+        const s = playbackSeries();
+        const n = s.times.length;
+        if (!n) return;
+        const tc = Math.min(s.times[n - 1], Math.max(s.times[0], t));
+        const x = sampleAt(s.times, s.xs, tc);
+        const v = sampleAt(s.times, s.vs, tc);
+        let a = s.as ? sampleAt(s.times, s.as, tc) : 0;
+        playbackCursor.t = tc;
+        playbackCursor.point = null;
+        if (s.ys) {
+            const p = state.projectile;
+            const vy = sampleAt(s.times, p.vys, tc);
+            playbackCursor.point = { x: toDisplay('length', x), y: toDisplay('length', sampleAt(s.times, s.ys, tc)) };
+            // readout shows speed and the (constant) vertical acceleration
+            a = n > 1 ? (p.vys[1] - p.vys[0]) / (p.times[1] - p.times[0]) : 0;
+            updateReadoutElements(tc, x, Math.hypot(v, vy), a);
+        } else {
+            updateReadoutElements(tc, x, v, a);
+        }
+        [smallPosChart, smallVelChart, smallAccChart, mainChart, residualChart].forEach(c => { if (c) c.draw(); });
+        if (trackCanvas && state.rotation) {
+            drawDisc(trackCanvas, discFrame(s, tc));
+        } else if (trackCanvas) {
+            const absMax = (arr) => (arr ? arr.reduce((m, val) => Math.max(m, Math.abs(val)), 0) : 0);
+            // further bodies ride on the same track (ground frame)
+            const others = s.ys ? [] : state.others;
+            const ranges = [s.xs, ...others.map(o => o.xs)].map(extent);
+            drawTrack(trackCanvas, {
+                x, v, a: s.ys ? 0 : a,
+                xMin: Math.min(...ranges.map(r => r.min)), xMax: Math.max(...ranges.map(r => r.max)),
+                vMax: absMax(s.vs), aMax: absMax(s.as),
+                others: others.map(o => ({ x: sampleAt(s.times, o.xs, tc), color: o.color })),
+            });
+        }
+        if (playScrubber) playScrubber.value = String(tc);
+        if (playTimeEl) playTimeEl.innerText = fmt(tc, 2) + ' s';
+    }
+
+    /**
+ * Re-apply playback after charts were recreated: fit the scrubber to the new
+ * time range and redraw the current frame (the start when playback was never used).
+ */
+function syncPlayback() {
+        const s = playbackSeries();
+        const n = s.times.length;
+        if (!n || !playScrubber) return;
+        playScrubber.min = String(s.times[0]);
+        playScrubber.max = String(s.times[n - 1]);
+        playScrubber.step = 'any';
+        if (playbackCursor.t === null) {
+            if (trackCanvas && state.rotation) {
+                drawDisc(trackCanvas, discFrame(s, s.times[0]));
+            } else if (trackCanvas) {
+                const x0 = s.xs[0];
+                drawTrack(trackCanvas, { x: x0, v: 0, a: 0, xMin: extent(s.xs).min, xMax: extent(s.xs).max, vMax: 0, aMax: 0 });
+            }
+            return;
+        }
+        showPlaybackFrame(playbackCursor.t);
+    }
+
+    /** Stop the animation loop (the cursor stays where it is). */
+function pausePlayback() {
+        playback.playing = false;
+        cancelAnimationFrame(playback.raf);
+        if (playToggleBtn) playToggleBtn.innerText = '▶ Play';
+    }
+
+    /**
+ * Animation frame: advance the clock by the elapsed real time times the speed.
+ * @param {number} now - rAF timestamp (ms)
+ */
+function playbackTick(now) {
+        if (!playback.playing) return;
+        const s = playbackSeries();
+        const n = s.times.length;
+        if (!n) { pausePlayback(); return; }
+        const elapsed = playback.last ? (now - playback.last) / 1000 : 0;
+        playback.last = now;
+        const speed = parseFloat(playSpeed ? playSpeed.value : '1') || 1;
+        const next = advanceClock(playbackCursor.t, elapsed, speed, s.times[0], s.times[n - 1], !!(playLoop && playLoop.checked));
+        showPlaybackFrame(next.t);
+        if (next.ended) { pausePlayback(); return; }
+        playback.raf = requestAnimationFrame(playbackTick);
+    }
+
+    /** Start playing from the cursor, or from the start when at the end. */
+function startPlayback() {
+        const s = playbackSeries();
+        const n = s.times.length;
+        if (!n) return;
+        if (playbackCursor.t === null || playbackCursor.t >= s.times[n - 1]) showPlaybackFrame(s.times[0]);
+        playback.playing = true;
+        playback.last = 0;
+        if (playToggleBtn) playToggleBtn.innerText = '⏸ Pause';
+        playback.raf = requestAnimationFrame(playbackTick);
+    }
+
+    if (playToggleBtn) playToggleBtn.addEventListener('click', () => (playback.playing ? pausePlayback() : startPlayback()));
+    if (playScrubber) playScrubber.addEventListener('input', () => { pausePlayback(); showPlaybackFrame(parseFloat(playScrubber.value)); });
+    const playRewindBtn = document.getElementById('playRewind');
+    if (playRewindBtn) playRewindBtn.addEventListener('click', () => { pausePlayback(); const s = playbackSeries(); if (s.times.length) showPlaybackFrame(s.times[0]); });
+    [['playStepBack', -1], ['playStepFwd', 1]].forEach(([id, dir]) => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', () => {
+            pausePlayback();
+            const s = playbackSeries();
+            if (!s.times.length) return;
+            showPlaybackFrame(playbackCursor.t === null ? s.times[0] : stepTime(s.times, playbackCursor.t, dir));
+        });
+    });
+    window.addEventListener('resize', debounce(syncPlayback, 150));
+
+    // --- undo / redo history ---
+    // snapshots copy the samples, so long runs keep fewer entries (about 32 MB of samples at most)
+    const HISTORY_SAMPLE_BUDGET = 4e6;
+    const editHistory = createHistory(undefined, { weigh: (entry) => entry.snapshot.data.times.length * 4, maxWeight: HISTORY_SAMPLE_BUDGET });
+    const historyLog = document.getElementById('historyLog');
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const chartSymbols = { position: 'x', velocity: 'v', acceleration: 'a' };
+
+    /**
+ * The form's values, with numbers written with a decimal point whatever the
+ * language, as history entries, links and the library keep them.
+ * @returns {Object<string, string>}
+ */
+function formValues() {
+        const values = Object.fromEntries(new FormData(form));
+        form.querySelectorAll('input[inputmode="decimal"][name]').forEach(el => { values[el.name] = canonicalNumberText(el.value); });
+        return values;
+    }
+
+    /**
+ * Fill in the form from values kept by `formValues`, writing numbers in the page's language.
+ * @param {Object<string, string>} values
+ */
+function setFormValues(values) {
+        for (const [name, value] of Object.entries(values)) {
+            const el = form.elements.namedItem(name);
+            if (el && 'value' in el) el.value = el.getAttribute('inputmode') === 'decimal' ? inputNumber(value) : value;
+        }
+    }
+
+    /**
+ * Copy everything needed to bring the page back to its current state:
+ * form values, motion phases, further bodies, the import and the (possibly dragged) samples.
+ * @returns {Object}
+ */
+function takeSnapshot() {
+        return {
+            mode: state.mode,
+            form: formValues(),
+            segments: state.segments.map(seg => ({ ...seg })),
+            forces: state.forces.map(term => ({ ...term })),
+            bodies: state.bodies.map(b => ({ ...b })),
+            imported: state.imported ? { ...state.imported } : null,
+            drags: state.drags.map(d => ({ ...d })),
+            data: {
+                times: state.times.slice(), xs: state.xs.slice(), vs: state.vs.slice(), as: state.as.slice(),
+                phases: state.phases.slice(), boundaries: state.boundaries.map(b => ({ ...b })),
+            },
+        };
+    }
+
+    /**
+ * Whether two snapshots describe the same page state (used to skip no-op regenerations).
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameSnapshot(a, b) {
+        const sameArray = (p, q) => p.length === q.length && p.every((v, i) => v === q[i]);
+        return a.mode === b.mode
+            && JSON.stringify(a.form) === JSON.stringify(b.form)
+            && JSON.stringify(a.segments) === JSON.stringify(b.segments)
+            && JSON.stringify(a.forces) === JSON.stringify(b.forces)
+            && JSON.stringify(a.bodies) === JSON.stringify(b.bodies)
+            && (a.imported && a.imported.series) === (b.imported && b.imported.series)
+            && ['times', 'xs', 'vs', 'as'].every(k => sameArray(a.data[k], b.data[k]));
+    }
+
+    /**
+ * Summarise a regeneration as the form fields that changed since the previous entry.
+ * @param {Object} prev - previous snapshot
+ * @param {Object} next - new snapshot
+ * @returns {string}
+ */
+function describeFormChange(prev, next) {
+        const changes = Object.keys(next.form)
+            .filter(k => prev.form[k] !== next.form[k])
+            .map(k => `${k} ${prev.form[k] !== undefined ? inputNumber(prev.form[k]) : ''} → ${inputNumber(next.form[k])}`);
+        if (JSON.stringify(prev.segments) !== JSON.stringify(next.segments)) changes.push('phases edited');
+        if (JSON.stringify(prev.forces) !== JSON.stringify(next.forces)) changes.push('forces edited');
+        if (JSON.stringify(prev.bodies) !== JSON.stringify(next.bodies)) changes.push('bodies edited');
+        return changes.length ? changes.join(', ') : 'Regenerate';
+    }
+
+    /**
+ * Record the current state as a new history entry unless it is unchanged.
+ * Ignored while an entry is being restored.
+ * @param {string|null} label - log text; derived from the form changes when omitted
+ * @param {{chart:string, index:number, t:number, oldValue:number, newValue:number}|null} [drag] - drag details
+ */
+function recordHistory(label, drag = null) {
+        if (restoringHistory) return;
+        const snapshot = takeSnapshot();
+        const current = editHistory.current();
+        if (current && !drag && sameSnapshot(current.snapshot, snapshot)) return;
+        let text = label;
+        if (!current) text = 'Initial';
+        else if (drag) text = `Drag ${drag.chart} ${symbolOf(chartSymbols[drag.chart])}[${drag.index}] (t = ${fmt(drag.t, 2)} s): ${fmt(drag.oldValue, 3)} → ${fmt(drag.newValue, 3)} ${unitOf(DRAG_QUANTITIES[drag.chart])}${drag.note || ''}`;
+        else if (!text) text = describeFormChange(current.snapshot, snapshot);
+        editHistory.push({ label: text, drag, snapshot });
+        renderHistory();
+    }
+
+    /**
+ * Bring the page back to a history entry: restore the form, phases and import,
+ * re-render, then put back sample values that came from drags.
+ * @param {{snapshot:Object}|null} entry - entry returned by undo / redo / goTo
+ * @returns {Promise<void>}
+ */
+async function restoreHistory(entry) {
+        if (!entry) return;
+        const snap = entry.snapshot;
+        restoringHistory = true;
+        try {
+            setBodies(snap.bodies);
+            setFormValues(snap.form);
+            state.segments.splice(0, state.segments.length, ...snap.segments.map(seg => ({ ...seg })));
+            if (phaseList) renderPhaseEditor(phaseList, state.segments, onPhasesChanged);
+            if (phaseHint) phaseHint.style.display = state.segments.length ? 'block' : 'none';
+            setForces(snap.forces);
+            state.imported = snap.imported ? { ...snap.imported } : null;
+            if (importPanel) importPanel.style.display = state.imported ? 'block' : 'none';
+            const d = snap.data;
+            state.times = d.times.slice(); state.xs = d.xs.slice(); state.vs = d.vs.slice(); state.as = d.as.slice();
+            await updateFromForm();
+            if (state.mode === 'linear' && !state.imported && state.times.length === d.times.length) {
+                // drag edits cannot be recomputed from the form
+                state.xs = d.xs.slice(); state.vs = d.vs.slice(); state.as = d.as.slice();
+                state.drags = snap.drags.map(drag => ({ ...drag }));
+                refreshChartsAndTable(state);
+                updateReadoutElements(state.times[0], state.xs[0], state.vs[0], state.as[0]);
+            }
+        } finally {
+            restoringHistory = false;
+        }
+        pageLog('History: restored "' + entry.label + '"');
+        renderHistory();
+    }
+
+    /**
+ * Redraw the edit log and the undo / redo button states.
+ */
+function renderHistory() {
+        if (historyLog) renderHistoryLog(historyLog, editHistory.entries(), editHistory.cursor(), (i) => restoreHistory(editHistory.goTo(i)));
+        if (undoBtn) undoBtn.disabled = !editHistory.canUndo();
+        if (redoBtn) redoBtn.disabled = !editHistory.canRedo();
+    }
+
+    if (undoBtn) undoBtn.addEventListener('click', () => restoreHistory(editHistory.undo()));
+    if (redoBtn) redoBtn.addEventListener('click', () => restoreHistory(editHistory.redo()));
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        // text and number fields keep their native undo
+        const el = e.target;
+        if (el && (el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'file'].includes(el.type)))) return;
+        e.preventDefault();
+        restoreHistory(key === 'y' || e.shiftKey ? editHistory.redo() : editHistory.undo());
+    });
+
+    // Export (CSV columns follow the active mode; numbers and separators follow the language;
+    // `#exportWindowOnly` leaves out the samples outside the zoomed time window)
+    exportBtn.onclick = () => {
+        const format = csvFormat(locale);
+        if (state.mode === 'projectile') { if (state.projectile) downloadText('projectile.csv', csvFromProjectile(state.projectile, displayUnits, format)); return; }
+        const windowOnly = document.getElementById('exportWindowOnly');
+        const { start, end } = windowOnly && windowOnly.checked ? windowRange(state.times, timeZoom.window) : { start: 0, end: state.times.length - 1 };
+        const cut = (values) => values.slice(start, end + 1);
+        const times = cut(state.times), phases = cut(state.phases);
+        // revolutions are counted from the first exported sample
+        if (state.rotation) { downloadText('rotation.csv', csvFromRotation(times, cut(state.xs), cut(state.vs), cut(state.as), phases, state.rotation.radius, displayUnits, format)); return; }
+        const csv = state.others.length
+            ? csvFromBodies(times, bodySeries(state).map(b => ({ ...b, xs: cut(b.xs), vs: cut(b.vs), as: cut(b.as) })), phases, displayUnits, format)
+            : csvFromData(times, cut(state.xs), cut(state.vs), cut(state.as), phases, displayUnits, format);
+        downloadText('kinematics.csv', csv);
+    };
+    downloadBtn.onclick = () => { try { if (mainChart) downloadChartImage(mainChart, 'main-chart.png'); if (smallPosChart) downloadChartImage(smallPosChart, 'small-pos.png'); if (smallVelChart) downloadChartImage(smallVelChart, 'small-vel.png'); if (smallAccChart) downloadChartImage(smallAccChart, 'small-acc.png'); if (residualChart) downloadChartImage(residualChart, 'residuals.png'); } catch (err) { console.error(err); alert(__('Download failed: :message', { message: err.message })); } };
+
+    form.addEventListener('submit', (e) => { e.preventDefault(); updateFromForm(); });
+
+    // enable drag checkbox (drag options are baked into the charts, so they are recreated)
+    const enableDragChk = document.getElementById('enableDrag');
+    if (enableDragChk) {
+        state.dragEnabled = enableDragChk.checked;
+        enableDragChk.addEventListener('change', () => { state.dragEnabled = enableDragChk.checked; updateFromForm(); });
+    }
+
+    // drag mode, brush width and x0 / v0 locks (read when a drag happens, so the charts stay as they are)
+    const dragModeSelect = document.getElementById('dragMode');
+    const dragWidthInput = document.getElementById('dragWidth');
+    const lockX0Chk = document.getElementById('lockX0');
+    const lockV0Chk = document.getElementById('lockV0');
+    if (dragModeSelect) {
+        dragModeSelect.innerHTML = Object.entries(DRAG_MODES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+        dragModeSelect.value = state.dragMode;
+        dragModeSelect.addEventListener('change', () => { state.dragMode = dragModeSelect.value; });
+    }
+    if (dragWidthInput) {
+        dragWidthInput.max = String(MAX_BRUSH_WIDTH);
+        dragWidthInput.value = String(state.dragWidth);
+        dragWidthInput.addEventListener('change', () => {
+            const width = Math.round(Number(dragWidthInput.value));
+            state.dragWidth = Number.isFinite(width) ? Math.min(MAX_BRUSH_WIDTH, Math.max(1, width)) : DEFAULT_BRUSH_WIDTH;
+            dragWidthInput.value = String(state.dragWidth);
+        });
+    }
+    [[lockX0Chk, 'x0'], [lockV0Chk, 'v0']].forEach(([chk, key]) => {
+        if (!chk) return;
+        state.dragLocks[key] = chk.checked;
+        chk.addEventListener('change', () => { state.dragLocks[key] = chk.checked; });
+    });
+
+    // --- shareable links ---
+    const copyLinkBtn = document.getElementById('copyLink');
+    const linkStatus = document.getElementById('linkStatus');
+
+    /**
+ * Show a short message under the export buttons.
+ * @param {string} msg
+ * @param {boolean} [isError=false]
+ */
+function showLinkStatus(msg, isError = false) {
+        if (!linkStatus) return;
+        linkStatus.style.color = isError ? '#900' : '';
+        linkStatus.innerText = msg;
+    }
+
+    /**
+ * Decode the scenario in the URL fragment, reporting bad links inline.
+ * @returns {Object|null} scenario from `decodeScenario`, or null when there is none or it is invalid
+ */
+function readLinkScenario() {
+        try {
+            return decodeScenario(window.location.hash);
+        } catch (err) {
+            if (!(err instanceof PermalinkError)) throw err;
+            pageLog('Permalink error: ' + err.message);
+            showLinkStatus('Could not open the shared link: ' + err.message, true);
+            return null;
+        }
+    }
+
+    /**
+ * Load a shared or saved scenario: form values, phases and drag flag first, then the
+ * regenerated series with the link's drag edits replayed, then display settings.
+ * The result is recorded as a single history entry.
+ * @param {Object} scenario - as returned by `decodeScenario`
+ * @param {string} [label='Open shared link'] - edit log text
+ * @returns {Promise<void>}
+ */
+async function openScenario(scenario, label = 'Open shared link') {
+        form.reset();
+        setBodies(scenario.bodies);
+        setFormValues(scenario.form);
+        state.segments.splice(0, state.segments.length, ...scenario.segments);
+        if (phaseList) renderPhaseEditor(phaseList, state.segments, onPhasesChanged);
+        if (phaseHint) phaseHint.style.display = state.segments.length ? 'block' : 'none';
+        setForces(scenario.forces);
+        state.imported = null;
+        if (importPanel) importPanel.style.display = 'none';
+        state.dragEnabled = scenario.dragEnabled;
+        if (enableDragChk) enableDragChk.checked = scenario.dragEnabled;
+        setEvents(scenario.display.events);
+
+        restoringHistory = true;
+        try {
+            await updateFromForm();
+            if (state.mode === 'linear' && state.times.length) {
+                const drags = scenario.drags.filter(d => d.index < state.times.length);
+                drags.forEach(d => applyDragSync(d.chart, d.index, d.value, state, false, d));
+                if (drags.length) {
+                    state.drags = drags.map(d => ({ ...d }));
+                    refreshChartsAndTable(state);
+                    updateReadoutElements(state.times[0], state.xs[0], state.vs[0], state.as[0]);
+                }
+                const fitSelect = document.getElementById('fitModel');
+                if (scenario.display.fit && fitSelect) { fitSelect.value = scenario.display.fit; runFit(); }
+            }
+        } finally {
+            restoringHistory = false;
+        }
+        pageLog('Scenario restored: ' + label);
+        recordHistory(label);
+    }
+
+    /**
+ * Encode the current scenario for a link or the library.
+ * @param {(msg:string, isError:boolean) => void} report - receives the reason when it cannot be encoded
+ * @returns {string|null} fragment without `#`
+ */
+function currentFragment(report) {
+        try {
+            return encodeScenario({
+                form: formValues(),
+                segments: state.segments,
+                forces: state.forces,
+                bodies: state.bodies,
+                drags: state.imported ? [] : state.drags,
+                dragEnabled: state.dragEnabled,
+                display: { fit: state.fit ? state.fit.model : null, events: state.events },
+            });
+        } catch (err) {
+            if (!(err instanceof PermalinkError)) throw err;
+            report(err.message, true);
+            return null;
+        }
+    }
+
+    if (copyLinkBtn) copyLinkBtn.addEventListener('click', async () => {
+        const fragment = currentFragment(showLinkStatus);
+        if (!fragment) return;
+        const url = window.location.href.split('#')[0] + '#' + fragment;
+        // replaceState keeps the address bar in sync without firing hashchange
+        window.history.replaceState(null, '', '#' + fragment);
+        const note = state.imported ? ' Imported data is not part of links.' : '';
+        try {
+            await navigator.clipboard.writeText(url);
+            showLinkStatus('Link copied to the clipboard.' + note);
+        } catch (err) {
+            window.prompt(__('Copy this link:'), url);
+            showLinkStatus('Link ready.' + note);
+        }
+    });
+    window.addEventListener('hashchange', () => {
+        const scenario = readLinkScenario();
+        if (scenario) openScenario(scenario);
+    });
+
+    // --- saved scenario library ---
+    const scenarioListEl = document.getElementById('scenarioList');
+    const scenarioNameInput = document.getElementById('scenarioName');
+    const saveScenarioBtn = document.getElementById('saveScenario');
+    const libraryStatus = document.getElementById('libraryStatus');
+    let savedScenarios = [];
+
+    /**
+ * Show a library message; errors are also written to the debug log.
+ * @param {string} msg
+ * @param {boolean} [isError=false]
+ */
+function showLibraryStatus(msg, isError = false) {
+        if (isError) pageLog('Scenario library: ' + msg);
+        if (!libraryStatus) return;
+        libraryStatus.style.color = isError ? '#900' : '';
+        libraryStatus.innerText = msg;
+    }
+
+    /**
+ * Fetch the user's scenarios and redraw the list. A 401 disables saving.
+ */
+async function refreshLibrary() {
+        try {
+            savedScenarios = await listScenarios();
+        } catch (err) {
+            savedScenarios = [];
+            const signedOut = err && err.response && err.response.status === 401;
+            if (saveScenarioBtn) saveScenarioBtn.disabled = signedOut;
+            showLibraryStatus(describeApiError(err), !signedOut);
+        }
+        if (scenarioListEl) renderScenarioList(scenarioListEl, savedScenarios, { load: loadSaved, rename: renameSaved, duplicate: duplicateSaved, remove: deleteSaved });
+    }
+
+    /**
+ * Save the current scenario under the typed name, replacing an existing one of the same name after confirmation.
+ */
+async function saveCurrent() {
+        const name = scenarioNameInput ? scenarioNameInput.value.trim() : '';
+        if (!name) { showLibraryStatus('Enter a name first.', true); return; }
+        const payload = currentFragment(showLibraryStatus);
+        if (!payload) return;
+        const existing = savedScenarios.find(s => s.name === name);
+        try {
+            if (existing) {
+                if (!window.confirm(__('Replace the saved scenario ":name"?', { name }))) return;
+                await updateScenario(existing.id, { payload });
+            } else {
+                await saveScenario(name, payload);
+            }
+            showLibraryStatus(`Saved "${name}".`);
+        } catch (err) { showLibraryStatus(describeApiError(err), true); return; }
+        await refreshLibrary();
+    }
+
+    /**
+ * Load a saved scenario into the page.
+ * @param {{id:number, name:string}} item
+ */
+async function loadSaved(item) {
+        let scenario;
+        try {
+            const saved = await loadScenario(item.id);
+            scenario = decodeScenario(saved.payload);
+        } catch (err) {
+            showLibraryStatus(err instanceof PermalinkError ? `"${item.name}" cannot be opened: ${err.message}` : describeApiError(err), true);
+            return;
+        }
+        if (!scenario) return;
+        openScenario(scenario, `Load "${item.name}"`);
+        if (scenarioNameInput) scenarioNameInput.value = item.name;
+        showLibraryStatus(`Loaded "${item.name}".`);
+    }
+
+    /** @param {{id:number, name:string}} item */
+async function renameSaved(item) {
+        const name = window.prompt(__('New name:'), item.name);
+        if (name === null || !name.trim() || name.trim() === item.name) return;
+        try {
+            await updateScenario(item.id, { name: name.trim() });
+            showLibraryStatus(`Renamed to "${name.trim()}".`);
+        } catch (err) { showLibraryStatus(describeApiError(err), true); return; }
+        await refreshLibrary();
+    }
+
+    /** @param {{id:number, name:string}} item */
+async function duplicateSaved(item) {
+        try {
+            const copy = await duplicateScenario(item.id);
+            showLibraryStatus(`Saved a copy as "${copy.name}".`);
+        } catch (err) { showLibraryStatus(describeApiError(err), true); return; }
+        await refreshLibrary();
+    }
+
+    /** @param {{id:number, name:string}} item */
+async function deleteSaved(item) {
+        if (!window.confirm(__('Delete the saved scenario ":name"?', { name: item.name }))) return;
+        try {
+            await deleteScenario(item.id);
+            showLibraryStatus(`Deleted "${item.name}".`);
+        } catch (err) { showLibraryStatus(describeApiError(err), true); return; }
+        await refreshLibrary();
+    }
+
+    if (saveScenarioBtn) saveScenarioBtn.addEventListener('click', saveCurrent);
+    // Enter in the name field saves instead of submitting the parameter form
+    if (scenarioNameInput) scenarioNameInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); saveCurrent(); } });
+    if (scenarioListEl) refreshLibrary();
+
+    // --- live classroom session ---
+    const classroomIdle = document.getElementById('classroomIdle');
+    const classroomActive = document.getElementById('classroomActive');
+    const classroomTeacher = document.getElementById('classroomTeacher');
+    const classroomStudent = document.getElementById('classroomStudent');
+    const classroomCodeInput = document.getElementById('classroomCode');
+    const classroomNameInput = document.getElementById('classroomName');
+    const classroomNoteInput = document.getElementById('classroomNote');
+    const classroomLiveDrags = document.getElementById('classroomLiveDrags');
+    const classroomFollow = document.getElementById('classroomFollow');
+    const classroomLoadBtn = document.getElementById('classroomLoad');
+    const classroomPeople = document.getElementById('classroomPeople');
+    const classroomSubmissions = document.getElementById('classroomSubmissions');
+    const classroomStatus = document.getElementById('classroomStatus');
+    const classroomConnection = document.getElementById('classroomConnection');
+    const CLASSROOM_STORAGE_KEY = 'kineso-classroom';
+    // the teacher's view refreshes the connected list this often, dropping students who went quiet
+    const CLASSROOM_POLL_SECONDS = 30;
+    let classroom = null;
+
+    /**
+ * Show a session message; errors are also written to the debug log.
+ * @param {string} msg
+ * @param {boolean} [isError=false]
+ */
+function showClassroomStatus(msg, isError = false) {
+        if (isError) pageLog('Live session: ' + msg);
+        if (!classroomStatus) return;
+        classroomStatus.style.color = isError ? '#900' : '';
+        classroomStatus.innerText = msg;
     }
 
-    // small summary charts (top of right panel)
-    const smallPosCtx = document.getElementById('smallPositionChartTop').getContext('2d');
-    const smallVelCtx = document.getElementById('smallVelocityChartTop').getContext('2d');
-    const smallAccCtx = document.getElementById('smallAccelerationChartTop').getContext('2d');
+    /**
+ * Show the join / start controls or the controls of the current session and role.
+ */
+function renderClassroom() {
+        if (classroomIdle) classroomIdle.style.display = classroom ? 'none' : 'flex';
+        if (classroomActive) classroomActive.style.display = classroom ? 'block' : 'none';
+        if (!classroom) return;
+        if (classroomTeacher) classroomTeacher.style.display = classroom.role === 'teacher' ? 'flex' : 'none';
+        if (classroomStudent) classroomStudent.style.display = classroom.role === 'student' ? 'flex' : 'none';
+        const versions = document.getElementById('classroomTeacherVersions');
+        if (versions) versions.style.display = classroom.role === 'teacher' ? 'block' : 'none';
+        const label = document.getElementById('classroomCodeLabel');
+        if (label) label.innerText = classroom.code;
+        const role = document.getElementById('classroomRole');
+        if (role) role.innerText = classroom.role === 'teacher' ? 'you are the teacher' : `joined as ${classroom.name}`;
+        if (classroomLoadBtn) classroomLoadBtn.disabled = !classroom.pending;
+        if (classroomPeople) renderParticipantList(classroomPeople, classroom.participants);
+        if (classroomSubmissions && classroom.role === 'teacher') renderSubmissionList(classroomSubmissions, classroom.submissions, openSubmission);
+    }
 
-    // main combined chart (right side)
-    const mainCtx = document.getElementById('mainChart').getContext('2d');
+    /**
+ * Remember the session for this tab, so reloading the page rejoins it.
+ */
+function saveClassroom() {
+        try {
+            if (classroom) sessionStorage.setItem(CLASSROOM_STORAGE_KEY, JSON.stringify({ role: classroom.role, code: classroom.code, name: classroom.name }));
+            else sessionStorage.removeItem(CLASSROOM_STORAGE_KEY);
+        } catch (err) { /* storage may be unavailable; the session then lasts until reload */ }
+    }
 
+    /**
+ * Set up the page for a session and subscribe to its broadcasts. Without a
+ * websocket connection the session still works through its HTTP routes, but
+ * nothing arrives live.
+ * @param {{role:'teacher'|'student', code:string, name:string, participants:string[]}} session
+ */
+async function enterClassroom(session) {
+        classroom = { ...session, submissions: [], lastPayload: null, pending: null, timer: null, echo: null };
+        saveClassroom();
+        renderClassroom();
+        const current = classroom;
+        current.timer = setInterval(() => refreshClassroom(current), (current.role === 'teacher' ? CLASSROOM_POLL_SECONDS : HEARTBEAT_SECONDS) * 1000);
+        let echo;
+        try {
+            echo = await connectEcho();
+        } catch (err) {
+            showClassroomStatus(err.message, true);
+            if (classroomConnection) classroomConnection.innerText = 'offline';
+            return;
+        }
+        if (classroom !== current) return;
+        current.echo = echo;
+        echo.channel(`classroom.${current.code}`)
+            .listen('ClassroomScenarioPushed', (e) => { if (current.role === 'student') receiveTeacherPush(e.payload, e.drag); })
+            .listen('ClassroomParticipantsChanged', (e) => { current.participants = e.participants; renderClassroom(); })
+            .listen('ClassroomSessionEnded', () => { if (current.role === 'student') { stopClassroom(); showClassroomStatus('The teacher ended the session.'); } });
+        if (current.role === 'teacher') {
+            echo.private(`classroom.${current.code}.teacher`)
+                .listen('ClassroomSubmissionReceived', (e) => {
+                    current.submissions.unshift(e.submission);
+                    renderClassroom();
+                    showClassroomStatus(`New version from ${e.submission.name}.`);
+                });
+        }
+        const connection = echo.connector.pusher.connection;
+        const showState = () => {
+            if (!classroomConnection) return;
+            classroomConnection.innerText = connection.state === 'connected' ? 'live' : connection.state === 'connecting' || connection.state === 'initialized' ? 'connecting…' : 'offline (retrying)';
+        };
+        connection.bind('state_change', showState);
+        current.unbindState = () => connection.unbind('state_change', showState);
+        showState();
+    }
 
-    let state = { times: [], xs: [], vs: [], as: [], x0: 0, v0: 0, dt: 0.1, tbody, dragEnabled: false };
+    /**
+ * Leave the session locally: stop timers and broadcasts and show the join controls again.
+ */
+function stopClassroom() {
+        if (!classroom) return;
+        clearInterval(classroom.timer);
+        if (classroom.echo) {
+            classroom.echo.leave(`classroom.${classroom.code}`);
+            if (classroom.role === 'teacher') classroom.echo.leave(`classroom.${classroom.code}.teacher`);
+            if (classroom.unbindState) classroom.unbindState();
+        }
+        classroom = null;
+        saveClassroom();
+        renderClassroom();
+    }
 
-    // Chart instances
-    let mainChart = null;
+    /**
+ * Periodic check: the teacher reloads the connected list and versions, a
+ * student sends its heartbeat. A session that ended or forgot the student is left.
+ * @param {Object} current - the session the timer was started for
+ */
+async function refreshClassroom(current) {
+        try {
+            if (current.role === 'teacher') {
+                const data = await getSession(current.code);
+                current.submissions = data.submissions;
+                current.participants = data.participants;
+            } else {
+                current.participants = (await sendHeartbeat(current.code)).participants;
+            }
+            if (classroom === current) renderClassroom();
+        } catch (err) {
+            const status = err && err.response && err.response.status;
+            if (classroom !== current || !status) return;
+            if (status === 404 || status === 410) {
+                stopClassroom();
+                showClassroomStatus(describeClassroomError(err), true);
+            }
+        }
+    }
 
     /**
- * Return drag plugin options for the given chart type.
- * When `state.dragEnabled` is false, returns a no-op config preventing movement.
- * @param {'position'|'velocity'|'acceleration'} chartType
- * @returns {Object} configuration accepted by chartjs-plugin-dragdata
+ * Teacher: start a new session.
  */
-function setupDragOptions(chartType) {
-        // If dragging is disabled, return a no-op config so points aren't movable
-        if (!state.dragEnabled) {
-            return {
-                round: 6,
-                dragX: false,
-                dragY: false,
-                showTooltip: false,
-                onDragStart: () => {},
-                onDrag: () => {},
-                onDragEnd: () => {}
-            };
+async function hostClassroom() {
+        let session;
+        try {
+            session = await startSession();
+        } catch (err) { showClassroomStatus(describeClassroomError(err), true); return; }
+        await enterClassroom({ role: 'teacher', code: session.code, name: '', participants: session.participants });
+        showClassroomStatus(`Session ${session.code} started. Students join with this code; press "Push scenario" to send them the page.`);
+    }
+
+    /**
+ * Teacher: reopen a session after a reload.
+ * @param {string} code
+ */
+async function resumeHosting(code) {
+        let data;
+        try {
+            data = await getSession(code);
+        } catch (err) { saveClassroom(); showClassroomStatus(describeClassroomError(err), true); return; }
+        if (data.ended) { saveClassroom(); showClassroomStatus('The session has ended.'); return; }
+        await enterClassroom({ role: 'teacher', code, name: '', participants: data.participants });
+        classroom.submissions = data.submissions;
+        renderClassroom();
+    }
+
+    /**
+ * Student: join the session with the typed (or remembered) code and name and
+ * open the scenario the teacher pushed last.
+ * @param {string} code
+ * @param {string} name
+ */
+async function joinClassroom(code, name) {
+        if (!code) { showClassroomStatus('Enter the join code first.', true); return; }
+        if (!name) { showClassroomStatus('Enter your name first.', true); return; }
+        let data;
+        try {
+            data = await joinSession(code, name);
+        } catch (err) { saveClassroom(); showClassroomStatus(describeClassroomError(err), true); return; }
+        await enterClassroom({ role: 'student', code, name: data.name, participants: data.participants });
+        showClassroomStatus(`Joined session ${code}.`);
+        if (data.payload) receiveTeacherPush(data.payload, null);
+    }
+
+    /**
+ * Student: a scenario arrived from the teacher. Following students get it
+ * right away, others can load it when they are ready.
+ * @param {string} payload - encoded scenario
+ * @param {Array|null} drag - compact drag edit when the push came from one drag
+ */
+function receiveTeacherPush(payload, drag) {
+        if (!classroom) return;
+        if (classroomFollow && !classroomFollow.checked) {
+            classroom.pending = payload;
+            renderClassroom();
+            showClassroomStatus('The teacher sent a new scenario – press "Load teacher\'s scenario" to see it.');
+            return;
         }
+        applyTeacherPush(payload, drag);
+    }
 
-        return {
-            round: 6,
-            dragX: false,
-            dragY: true,
-            showTooltip: true,
-            onDragStart: () => {},
-            onDrag: (e, datasetIndex, index, value) => {
-                const t = state.times[index];
-                // temporary update readout
-                if (chartType === 'position') {
-                    updateReadoutElements(t, value, state.vs[index], state.as[index]);
-                    // quick visual sync for this dataset
-                    if (chartType === 'position' && smallPosChart) {
-                        smallPosChart.data.datasets[0].data[index] = value;
-                        smallPosChart.update('none');
-                    }
-                } else if (chartType === 'velocity') {
-                    updateReadoutElements(t, state.xs[index], value, state.as[index]);
-                    if (smallVelChart) { smallVelChart.data.datasets[0].data[index] = value; smallVelChart.update('none'); }
-                } else if (chartType === 'acceleration') {
-                    updateReadoutElements(t, state.xs[index], state.vs[index], value);
-                    if (smallAccChart) { smallAccChart.data.datasets[0].data[index] = value; smallAccChart.update('none'); }
-                }
-            },
-            onDragEnd: (e, datasetIndex, index, value) => {
-                // apply sync changes and update all charts
-                applyDragSync(chartType, index, value, state);
-                // update readout for final values
-                updateReadoutElements(state.times[index], state.xs[index], state.vs[index], state.as[index]);
-                // update form initial values if index == 0
-                if (index === 0) {
-                    // update x0/v0 fields
-                    if (chartType === 'position') document.querySelector('input[name="x0"]').value = state.xs[0].toFixed(6);
-                    if (chartType === 'velocity') document.querySelector('input[name="v0"]').value = state.vs[0].toFixed(6);
-                    if (chartType === 'acceleration') document.querySelector('input[name="a"]').value = state.as[0].toFixed(6);
+    /**
+ * Bring the teacher's scenario into the page. A single drag is replayed with
+ * `applyDragSync` when the page still shows the teacher's previous push
+ * (the student has not changed anything since); otherwise, or when the result
+ * differs from the teacher's page, the whole scenario is opened with `openScenario`.
+ * @param {string} payload - encoded scenario
+ * @param {Array|null} drag - compact drag edit (`encodeDrag`)
+ */
+function applyTeacherPush(payload, drag) {
+        let scenario;
+        try {
+            scenario = decodeScenario(payload);
+        } catch (err) {
+            showClassroomStatus(err instanceof PermalinkError ? `The teacher's scenario cannot be opened: ${err.message}` : String(err), true);
+            return;
+        }
+        const following = classroom.lastPayload !== null && currentFragment(() => {}) === classroom.lastPayload;
+        classroom.lastPayload = payload;
+        classroom.pending = null;
+        renderClassroom();
+        if (drag && following && state.mode === 'linear' && !state.imported) {
+            let edit = null;
+            try { edit = decodeDrag(drag); } catch (err) { pageLog('Live session: ' + err.message); }
+            if (edit && edit.index < state.times.length) {
+                applyDragSync(edit.chart, edit.index, edit.value, state, true, edit);
+                const lastDrag = state.drags[state.drags.length - 1];
+                if (canMergeDrags(lastDrag, edit)) lastDrag.value = edit.value;
+                else state.drags.push(edit);
+                if (state.fit) runFit();
+                updateReadoutElements(state.times[edit.index], state.xs[edit.index], state.vs[edit.index], state.as[edit.index]);
+                if (currentFragment(() => {}) === payload) {
+                    recordHistory('Teacher drag');
+                    return;
                 }
             }
-        };
+        }
+        if (scenario) openScenario(scenario, 'Teacher scenario');
     }
 
     /**
- * Read form inputs, compute kinematic data, render the table and charts.
- * Validates inputs and surfaces helpful messages when no data can be computed.
+ * Teacher: send the page's scenario to every student.
+ * @param {Array|null} [drag=null] - compact drag edit when called after a drag
  */
-function updateFromForm() {
-        const f = new FormData(form);
-        const x0 = parseFloat(f.get('x0')) || 0;
-        const v0 = parseFloat(f.get('v0')) || 0;
-        const a = parseFloat(f.get('a')) || 0;
-        const t0 = parseFloat(f.get('t0')) || 0;
-        const t1 = parseFloat(f.get('t1')) || 0;
-        const dt = parseFloat(f.get('dt')) || 0.1;
+async function pushToClassroom(drag = null) {
+        if (!classroom || classroom.role !== 'teacher') return;
+        const payload = currentFragment(showClassroomStatus);
+        if (!payload) return;
+        try {
+            await pushScenario(classroom.code, payload, drag);
+            if (!drag) showClassroomStatus('Scenario sent to the class.');
+        } catch (err) { showClassroomStatus(describeClassroomError(err), true); }
+    }
 
-        if (dt <= 0) { alert('Time step dt must be > 0'); return; }
-        if (t1 < t0) { alert('End time must be >= start time'); return; }
+    /**
+ * Called after every drag: a teacher sharing drags live pushes the edit.
+ * @param {Object} drag - the edit as kept in `state.drags`
+ */
+function classroomDragged(drag) {
+        if (classroom && classroom.role === 'teacher' && classroomLiveDrags && classroomLiveDrags.checked) pushToClassroom(encodeDrag(drag));
+    }
 
-        state.x0 = x0; state.v0 = v0; state.dt = dt;
-        const maxPoints = 1000;
-        const { times, xs, vs, as } = computeKinematics(x0, v0, a, t0, t1, dt, maxPoints);
-        state.times = times; state.xs = xs; state.vs = vs; state.as = as;
+    /**
+ * Teacher: open a version a student sent.
+ * @param {{name:string, payload:string}} item
+ */
+function openSubmission(item) {
+        let scenario;
+        try {
+            scenario = decodeScenario(item.payload);
+        } catch (err) {
+            showClassroomStatus(err instanceof PermalinkError ? `The version from ${item.name} cannot be opened: ${err.message}` : String(err), true);
+            return;
+        }
+        if (!scenario) return;
+        openScenario(scenario, `Version from ${item.name}`);
+        showClassroomStatus(`Showing the version from ${item.name}. Press "Push scenario" to share it with the class.`);
+    }
 
-        pageLog('Form params:', { x0, v0, a, t0, t1, dt, maxPoints });
-        pageLog('Computed points: ' + times.length);
+    /**
+ * Student: send the page's scenario to the teacher with the typed note.
+ */
+async function submitToClassroom() {
+        if (!classroom) return;
+        const payload = currentFragment(showClassroomStatus);
+        if (!payload) return;
+        try {
+            await submitVersion(classroom.code, payload, classroomNoteInput ? classroomNoteInput.value.trim() : '');
+            if (classroomNoteInput) classroomNoteInput.value = '';
+            showClassroomStatus('Your version was sent to the teacher.');
+        } catch (err) { showClassroomStatus(describeClassroomError(err), true); }
+    }
 
-        // If there are no points, show a helpful placeholder
-        const placeholder = document.getElementById('chartPlaceholder');
-        const chartErrorEl = document.getElementById('chartError');
-        if (!times.length) {
-            pageLog('No points generated.');
-            if (placeholder) placeholder.style.display = 'block';
-            if (chartErrorEl) { chartErrorEl.style.display = 'block'; chartErrorEl.innerText = 'No data points generated – check time interval and dt.'; }
-            return;
+    /**
+ * Leave the session (student) or end it for everyone (teacher).
+ */
+async function leaveClassroom() {
+        if (!classroom) return;
+        const { role, code } = classroom;
+        if (role === 'teacher' && !window.confirm(__('End the session for every student?'))) return;
+        try {
+            if (role === 'teacher') await endSession(code);
+            else await leaveSession(code);
+        } catch (err) { showClassroomStatus(describeClassroomError(err), true); }
+        stopClassroom();
+        showClassroomStatus(role === 'teacher' ? 'Session ended.' : 'You left the session.');
+    }
+
+    const classroomButton = (id, fn) => { const btn = document.getElementById(id); if (btn) btn.addEventListener('click', fn); };
+    classroomButton('classroomHost', hostClassroom);
+    classroomButton('classroomJoin', () => joinClassroom(normalizeCode(classroomCodeInput && classroomCodeInput.value), classroomNameInput ? classroomNameInput.value.trim() : ''));
+    classroomButton('classroomPush', () => pushToClassroom());
+    classroomButton('classroomSubmit', submitToClassroom);
+    classroomButton('classroomLeave', leaveClassroom);
+    classroomButton('classroomEnd', leaveClassroom);
+    classroomButton('classroomLoad', () => { if (classroom && classroom.pending) applyTeacherPush(classroom.pending, null); });
+    // Enter in the code or name field joins instead of submitting the parameter form
+    [classroomCodeInput, classroomNameInput].forEach(input => {
+        if (input) input.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); document.getElementById('classroomJoin').click(); } });
+    });
+    if (classroomIdle) {
+        let saved = null;
+        try { saved = JSON.parse(sessionStorage.getItem(CLASSROOM_STORAGE_KEY) || 'null'); } catch (err) { saved = null; }
+        renderClassroom();
+        if (saved && saved.role === 'teacher') resumeHosting(saved.code);
+        else if (saved && saved.role === 'student') joinClassroom(saved.code, saved.name);
+    }
+
+    // --- accessible charts: keyboard navigation, announcements and sonification ---
+    // Every chart canvas takes focus. The arrow keys move a keyboard cursor across the points of its
+    // first curve; the point is highlighted, shown in the readout and announced in `#chartAnnouncer`.
+    // Canvas id → the drag chart type whose values Up / Down change (null: navigation only)
+    const KEYBOARD_CHARTS = { smallPositionChartTop: 'position', smallVelocityChartTop: 'velocity', smallAccelerationChartTop: 'acceleration', mainChart: null };
+    const chartAnnouncer = document.getElementById('chartAnnouncer');
+    const toneToggle = document.getElementById('a11yTones');
+    const sonifySelect = document.getElementById('sonifyChart');
+    const sonifyDurationInput = document.getElementById('sonifyDuration');
+    const sonifyBtn = document.getElementById('sonifyPlay');
+    // point index of the keyboard cursor per canvas id
+    const keyCursor = {};
+
+    /**
+ * Say something through the live region.
+ * @param {string} text
+ */
+function announce(text) {
+        if (chartAnnouncer) chartAnnouncer.textContent = text;
+        pageLog('Announce: ' + text);
+    }
+
+    /**
+ * Spoken description of one point: t, x, v and a of the first body (as shown,
+ * in the displayed units) for 1D charts, or the chart's own axes otherwise.
+ * @param {Chart} chart
+ * @param {number} index - drawn point (see `sampleIndex`)
+ * @returns {string}
+ */
+function describeKeyPoint(chart, index) {
+        const ds = chart.data.datasets[0];
+        const n = ds.data.length;
+        const name = chart.canvas.getAttribute('aria-label') || 'chart';
+        const head = `${name.charAt(0).toUpperCase()}${name.slice(1)}, point ${index + 1} of ${n}`;
+        if (state.mode === 'linear' && chart.$sampleIndexes !== undefined) {
+            const b = shownSeries(state)[0];
+            const i = sampleIndex(chart, index);
+            const value = (q, v) => `${formatNumber(toDisplay(q, v))} ${unitOf(q)}`;
+            return `${head}: t = ${formatNumber(state.times[i])} s, x = ${value('length', b.xs[i])}, v = ${value('velocity', b.vs[i])}, a = ${value('acceleration', b.as[i])}`;
         }
-        if (placeholder) placeholder.style.display = 'none';
-        if (chartErrorEl) chartErrorEl.style.display = 'none';
+        const { xs, ys } = datasetPoints(chart, ds);
+        return `${head}: ${xAxisName(chart)} = ${formatNumber(xs[index])}, ${ds.label} = ${formatNumber(ys[index])}`;
+    }
+
+    /**
+ * Move the keyboard cursor of a chart to a point: highlight it with the tooltip,
+ * update the readout (1D motion) and announce it, with a beep when tones are on.
+ * @param {Chart} chart
+ * @param {number} index - drawn point (see `sampleIndex`)
+ * @param {boolean} [speak=true]
+ */
+function showKeyPoint(chart, index, speak = true) {
+        keyCursor[chart.canvas.id] = index;
+        const active = [{ datasetIndex: 0, index }];
+        const el = chart.getDatasetMeta(0).data[index];
+        chart.setActiveElements(active);
+        if (chart.tooltip && el) chart.tooltip.setActiveElements(active, { x: el.x, y: el.y });
+        chart.update('none');
+        if (state.mode === 'linear' && chart.$sampleIndexes !== undefined) {
+            const b = shownSeries(state)[0];
+            const i = sampleIndex(chart, index);
+            updateReadoutElements(state.times[i], b.xs[i], b.vs[i], b.as[i]);
+        }
+        if (!speak) return;
+        announce(describeKeyPoint(chart, index));
+        if (toneToggle && toneToggle.checked) {
+            const { ys } = datasetPoints(chart, chart.data.datasets[0]);
+            const { min, max } = extent(ys);
+            try { playTone(pitchFor(ys[index], min, max)); } catch (err) { pageLog(err.message); }
+        }
+    }
 
-        renderTable(tbody, times, xs, vs, as);
+    /**
+ * Change the value of the point under the keyboard cursor by one step (see
+ * `adjustStep`), as a drag in the selected drag mode would. Slide mode, which
+ * needs a horizontal movement, changes the single point.
+ * @param {Chart} chart
+ * @param {number} point - drawn point (see `sampleIndex`)
+ * @param {number} direction - +1 (ArrowUp) or −1 (ArrowDown)
+ * @param {boolean} coarse - ten times the step (Shift held)
+ */
+function adjustKeyPoint(chart, point, direction, coarse) {
+        const chartType = KEYBOARD_CHARTS[chart.canvas.id];
+        if (!chartType || state.mode !== 'linear' || state.imported || !state.dragEnabled || state.frame !== null) {
+            announce('Values can only be changed on the position, velocity and acceleration charts of 1D motion, with dragging enabled and the ground frame shown.');
+            return;
+        }
+        const index = sampleIndex(chart, point);
+        if (lockedIndexes(chartType, state.dragLocks).includes(index)) {
+            announce(`${symbolOf(chartType === 'position' ? 'x' : 'v')}0 is locked.`);
+            return;
+        }
+        const quantity = DRAG_QUANTITIES[chartType];
+        const shown = toDisplay(quantity, { position: state.xs, velocity: state.vs, acceleration: state.as }[chartType]);
+        const mode = state.dragMode === 'slide' ? 'point' : state.dragMode;
+        const drag = { chart: chartType, index, value: fromDisplay(quantity, shown[index] + direction * adjustStep(shown, coarse)) };
+        if (mode !== 'point') Object.assign(drag, { mode, width: state.dragWidth });
+        if (state.dragLocks.x0 || state.dragLocks.v0) drag.locks = { ...state.dragLocks };
+        commitDrag(drag);
+        showKeyPoint(chart, point);
+    }
 
-        // Destroy old charts (use Chart.getChart to avoid "canvas already in use" errors)
+    /**
+ * Play the first curve of a chart as sound, or stop it when it is playing.
+ * The length comes from `#sonifyDuration` (seconds).
+ * @param {Chart|null} chart
+ */
+function toggleSonification(chart) {
+        const setLabel = (playing) => { if (sonifyBtn) sonifyBtn.textContent = playing ? 'Stop' : 'Play'; };
+        if (sonification) { stopSonification(); setLabel(false); return; }
+        if (!chart || !chart.data.datasets.length) { announce('There is no curve to play.'); return; }
+        const seconds = Math.min(30, Math.max(1, parseFloat(sonifyDurationInput && sonifyDurationInput.value) || 4));
         try {
-            destroyChartIfExists(smallPosCtx);
-            destroyChartIfExists(smallVelCtx);
-            destroyChartIfExists(smallAccCtx);
-            destroyChartIfExists(mainCtx);
-            smallPosChart = smallVelChart = smallAccChart = mainChart = null;
-        } catch (err) { console.warn('Error destroying charts:', err); }
+            playSonification(datasetPoints(chart, chart.data.datasets[0]).ys, seconds, () => setLabel(false));
+            setLabel(true);
+        } catch (err) { announce(err.message); }
+    }
+
+    Object.keys(KEYBOARD_CHARTS).forEach(id => {
+        const canvas = document.getElementById(id);
+        if (!canvas) return;
+        canvas.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            const chart = Chart.getChart(canvas);
+            const n = chart && chart.data.datasets.length ? chart.data.datasets[0].data.length : 0;
+            if (!n) return;
+            const index = Math.min(keyCursor[id] || 0, n - 1);
+            const next = navigateIndex(e.key, index, n);
+            if (next !== null) {
+                e.preventDefault();
+                showKeyPoint(chart, next);
+            } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                adjustKeyPoint(chart, index, e.key === 'ArrowUp' ? 1 : -1, e.shiftKey);
+            } else if (e.key === 'p' || e.key === 'P') {
+                e.preventDefault();
+                toggleSonification(chart);
+            } else if (e.key === 'Escape' && sonification) {
+                toggleSonification(chart);
+            } else if (['+', '=', '-', '0'].includes(e.key) && canZoom(chart)) {
+                e.preventDefault();
+                if (e.key === '0') setTimeWindow(null);
+                else zoomAround(state.times[sampleIndex(chart, index)], e.key === '-' ? 1 / ZOOM_STEP : ZOOM_STEP);
+                const win = timeZoom.window;
+                announce(win ? `Showing t = ${formatNumber(win.min)} to ${formatNumber(win.max)} s.` : 'Showing the whole run.');
+            }
+        });
+        // show where the cursor is on focus; the description is read from aria-describedby
+        canvas.addEventListener('focus', () => {
+            const chart = Chart.getChart(canvas);
+            const n = chart && chart.data.datasets.length ? chart.data.datasets[0].data.length : 0;
+            if (n) showKeyPoint(chart, Math.min(keyCursor[id] || 0, n - 1), false);
+        });
+        canvas.addEventListener('blur', () => {
+            const chart = Chart.getChart(canvas);
+            if (!chart) return;
+            chart.setActiveElements([]);
+            if (chart.tooltip) chart.tooltip.setActiveElements([], { x: 0, y: 0 });
+            chart.update('none');
+        });
+    });
+    if (sonifyBtn) sonifyBtn.addEventListener('click', () => toggleSonification(sonifySelect ? Chart.getChart(sonifySelect.value) : null));
+
+    // --- linked zoom, pan and crosshair ---
+    // The time axis of the four charts is zoomed together (`timeZoom`): the wheel zooms about the
+    // pointer, dragging pans a zoomed window and a double click resets it. While drag editing is on,
+    // a press on a point edits it, so only the band of the x axis pans. Hovering a chart moves the
+    // shared crosshair, the readout and the highlighted row of the results table to the nearest sample.
+    const resetZoomBtn = document.getElementById('resetZoom');
+    // pan in progress: the canvas, the pointer x and the window when the button went down, and seconds per pixel
+    let panning = null;
+
+    /**
+ * Whether a chart takes part in the linked zoom: a time chart of 1D motion showing the page's samples.
+ * @param {Chart|null} chart
+ * @returns {boolean}
+ */
+function canZoom(chart) {
+        return !!chart && chart.$sampleIndexes !== undefined && state.mode === 'linear' && state.times.length > 1;
+    }
+
+    /**
+ * Redraw the time charts for the current window (`timeZoom`) and show it next to the reset button.
+ */
+function redrawTimeWindow() {
+        renderZoomStatus();
+        if (state.imported && state.imported.series) { drawImportedCharts(); return; }
+        const shown = shownSeries(state);
+        [smallPosChart, smallVelChart, smallAccChart, mainChart].forEach(chart => {
+            if (!chart || chart.$sampleIndexes === undefined) return;
+            setChartSeries(chart, state.times, shown);
+            chart.update('none');
+        });
+    }
+
+    /**
+ * Zoom the time charts to a window, kept inside the run (see `clampWindow`).
+ * @param {{min:number, max:number}|null} win - null shows the whole run
+ */
+function setTimeWindow(win) {
+        const { full, minSpan } = windowLimits(state.times);
+        timeZoom.window = clampWindow(win, full, minSpan);
+        redrawTimeWindow();
+    }
+
+    /**
+ * Zoom the time charts about a time, which stays where it is on the axis.
+ * @param {number} t - s
+ * @param {number} factor - above 1 zooms in
+ */
+function zoomAround(t, factor) {
+        const { full, minSpan } = windowLimits(state.times);
+        setTimeWindow(zoomWindow(timeZoom.window, full, t, factor, minSpan));
+    }
+
+    /**
+ * Move the crosshair to the sample nearest a pixel of a chart, show that sample
+ * in the readout and highlight its row in the results table.
+ * @param {Chart} chart
+ * @param {number} px - pixel from the left of the canvas
+ */
+function showCrosshair(chart, px) {
+        const { times } = state;
+        const t = timeAtPixel(chart, px);
+        if (!Number.isFinite(t)) return;
+        const i = Math.round(indexForTime(times, Math.min(Math.max(t, times[0]), times[times.length - 1])));
+        if (!Number.isFinite(i) || crosshair.t === times[i]) return;
+        crosshair.t = times[i];
+        const b = shownSeries(state)[0];
+        updateReadoutElements(times[i], b.xs[i], b.vs[i], b.as[i]);
+        state.table.setCurrentRow(i);
+        [smallPosChart, smallVelChart, smallAccChart, mainChart].forEach(c => { if (c) c.draw(); });
+    }
+
+    /** Hide the crosshair and the table highlight (the readout keeps the last sample). */
+function hideCrosshair() {
+        if (crosshair.t === null) return;
+        crosshair.t = null;
+        state.table.setCurrentRow(null);
+        [smallPosChart, smallVelChart, smallAccChart, mainChart].forEach(c => { if (c) c.draw(); });
+    }
+
+    Object.keys(KEYBOARD_CHARTS).forEach(id => {
+        const canvas = document.getElementById(id);
+        if (!canvas) return;
+        canvas.addEventListener('wheel', (e) => {
+            const chart = Chart.getChart(canvas);
+            if (!canZoom(chart) || !e.deltaY) return;
+            e.preventDefault();
+            zoomAround(timeAtPixel(chart, getRelativePosition(e, chart).x), e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP);
+        }, { passive: false });
+        canvas.addEventListener('pointerdown', (e) => {
+            const chart = Chart.getChart(canvas);
+            const win = timeZoom.window;
+            if (!canZoom(chart) || !win || e.button !== 0) return;
+            const { x, y } = getRelativePosition(e, chart);
+            const { chartArea } = chart;
+            const editing = state.dragEnabled && !state.imported && KEYBOARD_CHARTS[id];
+            if (editing && y <= chartArea.bottom) return;
+            panning = { canvas, x, window: win, perPixel: (win.max - win.min) / Math.max(1, chartArea.right - chartArea.left) };
+            if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            const chart = Chart.getChart(canvas);
+            if (!canZoom(chart)) return;
+            const { x } = getRelativePosition(e, chart);
+            if (panning && panning.canvas === canvas) {
+                setTimeWindow(panWindow(panning.window, windowLimits(state.times).full, (panning.x - x) * panning.perPixel));
+            }
+            showCrosshair(chart, x);
+        });
+        const endPan = () => { if (panning && panning.canvas === canvas) panning = null; };
+        canvas.addEventListener('pointerup', endPan);
+        canvas.addEventListener('pointercancel', endPan);
+        canvas.addEventListener('pointerleave', () => { if (!panning) hideCrosshair(); });
+        canvas.addEventListener('dblclick', () => {
+            if (canZoom(Chart.getChart(canvas)) && timeZoom.window) setTimeWindow(null);
+        });
+    });
+    if (resetZoomBtn) resetZoomBtn.addEventListener('click', () => setTimeWindow(null));
 
-        console.log('Creating charts — lengths:', { times: times.length, xs: xs.length, vs: vs.length, as: as.length });
+    // --- lab report ---
+    const reportBtn = document.getElementById('downloadReport');
+    const reportPageSize = document.getElementById('reportPageSize');
+    const reportStatus = document.getElementById('reportStatus');
+    if (reportPageSize) reportPageSize.innerHTML = REPORT_PAGE_SIZES.map(size => `<option value="${size}">${size}</option>`).join('');
 
+    /**
+ * Parameter summary and data for the report, from whatever the page currently shows
+ * (including hand-dragged points and imported measurements).
+ * @returns {{parameters:Array<{label:string, value:string}>, data:Object, units:Object}|null} null when there is no data
+ */
+function reportContent() {
+        const scenario = readScenario(new FormData(form));
+        const units = displayUnits;
+        if (state.mode === 'projectile') {
+            if (!state.projectile) return null;
+            return { parameters: describeScenario(scenario, units), data: { mode: 'projectile', ...state.projectile, g: scenario.g }, units };
+        }
+        if (!state.times.length) return null;
+        const data = { mode: 'linear', times: state.times, xs: state.xs, vs: state.vs, as: state.as, phases: state.phases };
+        if (state.rotation) Object.assign(data, { mode: 'rotational', radius: state.rotation.radius });
+        const imp = state.imported;
+        if (imp && imp.series) {
+            const showRaw = document.getElementById('importShowRaw');
+            if (!showRaw || showRaw.checked) data.raw = { xs: imp.series.xs, vs: imp.rawVs, as: imp.rawAs };
+            const parameters = describeImport({
+                fileName: imp.fileName, samples: state.times.length,
+                tUnit: importValue('importTUnit'), xUnit: importValue('importXUnit'),
+                method: importValue('importMethod'), window: parseInt(importValue('importWindow'), 10) || 7,
+            });
+            return { parameters, data, units };
+        }
+        const parameters = describeScenario(scenario, units);
+        // the report covers the first body; further bodies are listed with their parameters
+        state.bodies.forEach(b => parameters.push({ label: `Body ${b.name}`, value: `x0 = ${b.x0} ${unitOf('length')}, v0 = ${b.v0} ${unitOf('velocity')}, a = ${b.a} ${unitOf('acceleration')}` }));
+        if (state.drags.length) parameters.push({ label: 'Hand-edited points', value: `${state.drags.length} (the data below includes the edits)` });
+        return { parameters, data, units };
+    }
+
+    if (reportBtn) reportBtn.addEventListener('click', () => {
+        const content = reportContent();
+        if (reportStatus) reportStatus.style.color = content ? '' : '#900';
+        if (!content) { if (reportStatus) reportStatus.innerText = 'Generate some data first.'; return; }
+        const field = (id) => { const el = document.getElementById(id); return el ? el.value : ''; };
+        printReport(buildReportHtml({
+            title: field('reportTitle'),
+            author: field('reportAuthor').trim(),
+            date: new Date().toISOString().slice(0, 10),
+            pageSize: field('reportPageSize'),
+            notes: field('reportNotes'),
+            ...content,
+        }));
+        if (reportStatus) reportStatus.innerText = 'Choose "Save as PDF" in the print dialog to keep the report.';
+        pageLog('Lab report opened for printing (' + content.data.times.length + ' samples)');
+    });
+
+    if (resetBtn) resetBtn.addEventListener('click', () => {
+        form.reset();
+        if (enableDragChk) state.dragEnabled = enableDragChk.checked;
+        state.imported = null;
+        if (importPanel) importPanel.style.display = 'none';
+        state.segments.splice(0);
+        if (phaseList) renderPhaseEditor(phaseList, state.segments, onPhasesChanged);
+        if (phaseHint) phaseHint.style.display = 'none';
+        setForces([]);
+        if (dynamicsNote) dynamicsNote.textContent = '';
+        setBodies([]);
+        setEvents([]);
+        pendingHistoryLabel = 'Reset';
+        updateFromForm();
+    });
+
+    // --- practice quiz: seeded problems from quiz.js, answers checked in the page ---
+    const quizSection = document.getElementById('quizSection');
+    const quizPanel = document.getElementById('quizPanel');
+    const quizSeedInput = document.getElementById('quizSeed');
+    const quizCountInput = document.getElementById('quizCount');
+    const quizStatus = document.getElementById('quizStatus');
+    const quizAnswerInput = document.getElementById('quizAnswer');
+    const quizSketchRow = document.getElementById('quizSketchRow');
+    const quizFeedback = document.getElementById('quizFeedback');
+    const quizSolution = document.getElementById('quizSolution');
+    const quizCheckBtn = document.getElementById('quizCheck');
+    const quizSolutionBtn = document.getElementById('quizShowSolution');
+    const quizNextBtn = document.getElementById('quizNext');
+    const QUIZ_STORAGE_KEY = 'kineso-quiz';
+    // { seed, problems, index, results: [{ correct, attempts, revealed }], sketch: number[] }
+    let quiz = null;
+    let quizAnswerChart = null;
+
+    /**
+ * Start a quiz from a seed, resuming the score kept for this browser session
+ * when the same quiz is already in progress.
+ * @param {string} seed
+ * @param {number} count
+ */
+function startQuiz(seed, count) {
+        const problems = generateQuiz(seed, count);
+        if (!problems.length) return;
+        let saved = null;
+        try { saved = JSON.parse(sessionStorage.getItem(QUIZ_STORAGE_KEY) || 'null'); } catch (err) { saved = null; }
+        const resume = saved && saved.seed === seed && saved.count === problems.length && Array.isArray(saved.results) && saved.results.length === problems.length;
+        quiz = {
+            seed, problems,
+            index: resume ? Math.min(Math.max(Number(saved.index) || 0, 0), problems.length - 1) : 0,
+            results: resume ? saved.results : problems.map(() => ({ correct: false, attempts: 0, revealed: false })),
+            sketch: [],
+        };
+        if (quizSeedInput) quizSeedInput.value = seed;
+        if (quizCountInput) quizCountInput.value = String(problems.length);
+        if (quizPanel) quizPanel.style.display = 'block';
+        if (quizStatus) quizStatus.innerText = resume ? `Quiz ${seed} resumed.` : `Quiz ${seed}: ${problems.length} problems. Share the code or link so everyone gets the same set.`;
+        pageLog(`Quiz ${seed} started (${problems.length} problems${resume ? ', resumed' : ''})`);
+        saveQuiz();
+        showQuizProblem();
+    }
+
+    /**
+ * Remember the quiz progress for this browser session.
+ */
+function saveQuiz() {
+        if (!quiz) return;
         try {
-            // Create small charts with drag
-            pageLog('Creating small summary charts');
-            smallPosChart = makeLineChart(smallPosCtx, [{ label: 'x (m)', data: xs.slice(), borderColor: 'rgba(255,152,0,1)', backgroundColor: 'rgba(255,152,0,0.08)', pointRadius: 4, borderWidth:2, fill:false }], times, { plugins: { legend: { display: false }, dragData: setupDragOptions('position') }, elements: { point: { radius: 4 } } });
-            smallVelChart = makeLineChart(smallVelCtx, [{ label: 'v (m/s)', data: vs.slice(), borderColor: 'rgba(33,150,243,1)', backgroundColor: 'rgba(33,150,243,0.08)', pointRadius: 4, borderWidth:2, fill:false }], times, { plugins: { legend: { display: false }, dragData: setupDragOptions('velocity') }, elements: { point: { radius: 4 } } });
-            smallAccChart = makeLineChart(smallAccCtx, [{ label: 'a (m/s^2)', data: as.slice(), borderColor: 'rgba(244,67,54,1)', backgroundColor: 'rgba(244,67,54,0.08)', pointRadius: 4, borderWidth:2, fill:false }], times, { plugins: { legend: { display: false }, dragData: setupDragOptions('acceleration') }, elements: { point: { radius: 4 } } });
-            // Force layout/resize and render for visibility
-            try { smallPosChart.resize(); smallPosChart.update(); smallVelChart.resize(); smallVelChart.update(); smallAccChart.resize(); smallAccChart.update(); } catch(e) { pageLog('Small chart resize error: ' + (e && e.message ? e.message : String(e))); }
-            pageLog('Small charts created');
-        } catch (err) { console.error('Small chart creation failed:', err); if (chartErrorEl) { chartErrorEl.style.display = 'block'; chartErrorEl.innerText = 'Small chart error: ' + (err && err.message ? err.message : String(err)); } pageLog('Small chart error: ' + (err && err.message ? err.message : String(err))); }
-        // Large professional charts (three side-by-side)
-        // Create main combined chart (x & v) on the right
-        if (mainChart) mainChart.destroy();
-        mainChart = makeLineChart(mainCtx, [
-            { label: 'x(t) — Displacement (m)', data: xs.slice(), borderColor: 'rgba(255,152,0,1)', yAxisID: 'y', borderWidth: 3, pointRadius: 0, tension: 0.25 },
-            { label: 'v(t) — Velocity (m/s)', data: vs.slice(), borderColor: 'rgba(33,150,243,1)', yAxisID: 'y1', borderWidth: 3, pointRadius: 0, tension: 0.25 }
-        ], times, { plugins: { legend: { position: 'top' } }, scales: { y: { type: 'linear', position: 'left', title: { display: true, text: 'x (m)' } }, y1: { type: 'linear', position: 'right', title: { display: true, text: 'v (m/s)' }, grid: { drawOnChartArea: false } } } });
-        try { mainChart.resize(); mainChart.update(); pageLog('Main chart created and rendered'); } catch (e) { pageLog('Main chart render error: ' + (e && e.message ? e.message : String(e))); }
+            sessionStorage.setItem(QUIZ_STORAGE_KEY, JSON.stringify({ seed: quiz.seed, count: quiz.problems.length, index: quiz.index, results: quiz.results }));
+        } catch (err) { /* storage may be unavailable; the score then lasts until reload */ }
+    }
 
-        // show/hide error
-        if (chartErrorEl) { chartErrorEl.style.display = 'none'; }
+    /**
+ * Show the score line: problems solved before their solution was shown.
+ */
+function renderQuizScore() {
+        const el = document.getElementById('quizScore');
+        if (!el || !quiz) return;
+        const solved = quiz.results.filter(r => r.correct).length;
+        const tried = quiz.results.filter(r => r.attempts || r.revealed).length;
+        el.innerText = `Score ${solved} / ${quiz.problems.length} (${tried} attempted)`;
+    }
+
+    /**
+ * Render the current problem: prompt, graphs, answer fields and buttons.
+ */
+function showQuizProblem() {
+        const problem = quiz.problems[quiz.index];
+        const result = quiz.results[quiz.index];
+        const title = document.getElementById('quizTitle');
+        if (title) title.innerText = `Quiz ${quiz.seed} — problem ${problem.number} of ${quiz.problems.length}: ${problem.label}`;
+        const prompt = document.getElementById('quizPrompt');
+        if (prompt) prompt.innerText = problem.prompt;
+        const sketch = problem.answer.kind === 'sketch';
+        quiz.sketch = sketch ? problem.answer.times.map(() => 0) : [];
+        const numberRow = document.getElementById('quizNumberRow');
+        if (numberRow) numberRow.style.display = sketch ? 'none' : 'flex';
+        const unit = document.getElementById('quizUnit');
+        if (unit) unit.innerText = sketch ? '' : problem.answer.unit;
+        if (quizAnswerInput) quizAnswerInput.value = '';
+        if (quizSketchRow) {
+            quizSketchRow.style.display = sketch ? 'flex' : 'none';
+            quizSketchRow.innerHTML = sketch
+                ? problem.answer.times.map((t, i) => `<label>t = ${inputNumber(t)} s<input type="text" inputmode="decimal" data-index="${i}" value="0" aria-label="${problem.answer.quantity} at t = ${t} s (${problem.answer.unit})"></label>`).join('')
+                : '';
+        }
+        if (quizFeedback) { quizFeedback.innerText = result.correct ? 'Solved.' : ''; quizFeedback.style.color = ''; }
+        if (quizSolution) { quizSolution.innerHTML = ''; quizSolution.style.display = 'none'; }
+        if (quizNextBtn) quizNextBtn.innerText = quiz.index < quiz.problems.length - 1 ? 'Next problem' : 'Finish';
+        drawQuizGraphs(problem, false);
+        if (result.revealed) showQuizSolution();
+        renderQuizScore();
+    }
+
+    /**
+ * Draw the problem's given graph and, for sketches, the draggable answer graph.
+ * The answer graph shows the true curve once the solution is revealed.
+ * @param {Object} problem - from `generateQuiz`
+ * @param {boolean} reveal
+ * @param {number[]} [wrong=[]] - sketch points to mark as wrong
+ */
+function drawQuizGraphs(problem, reveal, wrong = []) {
+        const graphs = document.getElementById('quizGraphs');
+        const answerBox = document.getElementById('quizAnswerGraph');
+        const sketch = problem.answer.kind === 'sketch';
+        if (graphs) graphs.style.display = problem.graph || sketch ? 'flex' : 'none';
+        if (answerBox) answerBox.style.display = sketch ? 'block' : 'none';
+        destroyChartIfExists('quizGivenChart');
+        destroyChartIfExists('quizAnswerChart');
+        quizAnswerChart = null;
+        // quiz graphs are not time-synced with the simulation: no playback cursor or event marks
+        const quizPlugins = { legend: { position: 'top' }, timeCursor: false, eventMarks: false };
+        const colors = { x: 'rgba(255,152,0,1)', v: 'rgba(33,150,243,1)' };
+        const g = problem.graph;
+        if (g) {
+            makeLineChart('quizGivenChart', [
+                { label: `${g.quantity}(t) (${g.unit})`, data: g.values, borderColor: colors[g.quantity], backgroundColor: colors[g.quantity], pointRadius: g.times.length > 20 ? 0 : 3, borderWidth: 2, fill: false, tension: 0 }
+            ], g.times, { plugins: { ...quizPlugins, dragData: false }, scales: { y: { title: { display: true, text: `${g.quantity} (${g.unit})` } } } });
+        }
+        if (!sketch) return;
+        const answer = problem.answer;
+        const span = Math.ceil(Math.max(...answer.values.map(Math.abs))) + 2;
+        const datasets = [{
+            label: `your ${answer.quantity}(t) (${answer.unit})`, data: quiz.sketch.slice(), borderColor: colors[answer.quantity],
+            pointBackgroundColor: answer.times.map((t, i) => (wrong.includes(i) ? 'rgba(229,57,53,1)' : colors[answer.quantity])),
+            pointRadius: 6, borderWidth: 2, fill: false, tension: 0,
+        }];
+        if (reveal) datasets.push({ label: `true ${answer.quantity}(t)`, data: answer.values, borderColor: 'rgba(67,160,71,1)', borderDash: [6, 4], pointRadius: 0, borderWidth: 2, fill: false, tension: 0, dragData: false });
+        quizAnswerChart = makeLineChart('quizAnswerChart', datasets, answer.times, {
+            plugins: {
+                ...quizPlugins,
+                dragData: {
+                    round: 1, dragX: false, showTooltip: true,
+                    onDragEnd: (e, datasetIndex, index, value) => {
+                        if (datasetIndex !== 0) return;
+                        quiz.sketch[index] = value;
+                        const input = quizSketchRow && quizSketchRow.querySelector(`input[data-index="${index}"]`);
+                        if (input) input.value = inputNumber(value);
+                    },
+                },
+            },
+            scales: { y: { min: -span, max: span, title: { display: true, text: `${answer.quantity} (${answer.unit})` } } },
+        });
+    }
 
-        // (download wiring set later)
+    /**
+ * Reveal the worked solution (and the true curve of a sketch); the problem no longer scores.
+ */
+function showQuizSolution() {
+        const problem = quiz.problems[quiz.index];
+        quiz.results[quiz.index].revealed = true;
+        if (quizSolution) {
+            quizSolution.innerHTML = problem.solution.map(step => `<li>${escapeHtml(step)}</li>`).join('');
+            quizSolution.style.display = 'block';
+        }
+        if (problem.answer.kind === 'sketch') drawQuizGraphs(problem, true);
+        else if (quizFeedback && !quiz.results[quiz.index].correct) quizFeedback.innerText = `Answer: ${toSignificant(problem.answer.value, problem.answer.figures)} ${problem.answer.unit}`;
+        saveQuiz();
+        renderQuizScore();
+    }
 
-        // Export
-        exportBtn.onclick = () => { const csv = csvFromData(state.times, state.xs, state.vs, state.as); downloadText('kinematics.csv', csv); };
-        downloadBtn.onclick = () => { try { if (mainChart) downloadChartImage(mainChart, 'main-chart.png'); if (smallPosChart) downloadChartImage(smallPosChart, 'small-pos.png'); if (smallVelChart) downloadChartImage(smallVelChart, 'small-vel.png'); if (smallAccChart) downloadChartImage(smallAccChart, 'small-acc.png'); } catch (err) { console.error(err); alert('Download failed: ' + err.message); } };
+    /**
+ * Check the typed answer or the sketch and record the attempt.
+ */
+function checkQuizAnswer() {
+        const problem = quiz.problems[quiz.index];
+        const result = quiz.results[quiz.index];
+        let outcome;
+        if (problem.answer.kind === 'sketch') {
+            outcome = checkSketch(quiz.sketch, problem.answer);
+            drawQuizGraphs(problem, result.revealed, outcome.wrong);
+        } else {
+            outcome = checkNumericAnswer(quizAnswerInput ? quizAnswerInput.value : '', problem.answer);
+        }
+        result.attempts++;
+        // only answers found before the solution was shown count
+        if (outcome.correct && !result.revealed) result.correct = true;
+        if (quizFeedback) {
+            quizFeedback.style.color = outcome.correct ? '#2e7d32' : '#900';
+            quizFeedback.innerText = outcome.message + (outcome.correct && result.revealed ? ' (after the solution, so it does not score)' : '');
+        }
+        pageLog(`Quiz ${quiz.seed} problem ${problem.number}: ${outcome.correct ? 'correct' : 'wrong'} (attempt ${result.attempts})`);
+        saveQuiz();
+        renderQuizScore();
+    }
 
-        // enable drag checkbox
-        const enableDragChk = document.getElementById('enableDrag');
-        if (enableDragChk) {
-            state.dragEnabled = enableDragChk.checked;
-            enableDragChk.addEventListener('change', () => { state.dragEnabled = enableDragChk.checked; updateFromForm(); });
+    if (quizSketchRow) quizSketchRow.addEventListener('input', (e) => {
+        const i = Number(e.target.dataset && e.target.dataset.index);
+        if (!quiz || !Number.isInteger(i)) return;
+        const value = readEditorNumber(e.target);
+        if (Number.isNaN(value)) return;
+        quiz.sketch[i] = value;
+        if (quizAnswerChart) { quizAnswerChart.data.datasets[0].data[i] = quiz.sketch[i]; quizAnswerChart.update('none'); }
+    });
+    if (quizCheckBtn) quizCheckBtn.addEventListener('click', () => { if (quiz) checkQuizAnswer(); });
+    if (quizAnswerInput) quizAnswerInput.addEventListener('keydown', (e) => { if (e.key === 'Enter' && quiz) { e.preventDefault(); checkQuizAnswer(); } });
+    if (quizSolutionBtn) quizSolutionBtn.addEventListener('click', () => { if (quiz) showQuizSolution(); });
+    if (quizNextBtn) quizNextBtn.addEventListener('click', () => {
+        if (!quiz) return;
+        if (quiz.index < quiz.problems.length - 1) {
+            quiz.index++;
+            saveQuiz();
+            showQuizProblem();
+            return;
         }
+        const solved = quiz.results.filter(r => r.correct).length;
+        if (quizFeedback) { quizFeedback.style.color = ''; quizFeedback.innerText = `Quiz ${quiz.seed} finished: ${solved} of ${quiz.problems.length} solved. Go back with "Previous" or start a new quiz.`; }
+    });
+    const quizPrevBtn = document.getElementById('quizPrev');
+    if (quizPrevBtn) quizPrevBtn.addEventListener('click', () => {
+        if (!quiz || quiz.index === 0) return;
+        quiz.index--;
+        saveQuiz();
+        showQuizProblem();
+    });
+    const quizCloseBtn = document.getElementById('quizClose');
+    if (quizCloseBtn) quizCloseBtn.addEventListener('click', () => {
+        if (quizPanel) quizPanel.style.display = 'none';
+        destroyChartIfExists('quizGivenChart');
+        destroyChartIfExists('quizAnswerChart');
+        quiz = null;
+    });
 
-        // initial readout
-        if (state.times.length) updateReadoutElements(state.times[0], state.xs[0], state.vs[0], state.as[0]);
+    /**
+ * Seed and problem count from the quiz fields; an empty seed gets a fresh one.
+ * @returns {{seed:string, count:number}}
+ */
+function readQuizFields() {
+        const seed = (quizSeedInput && quizSeedInput.value.trim()) || randomSeed();
+        const count = quizCountInput ? parseInt(quizCountInput.value, 10) || DEFAULT_QUIZ_LENGTH : DEFAULT_QUIZ_LENGTH;
+        return { seed, count: Math.min(Math.max(count, 1), MAX_QUIZ_LENGTH) };
     }
 
-    form.addEventListener('submit', (e) => { e.preventDefault(); updateFromForm(); });
+    const quizStartBtn = document.getElementById('quizStart');
+    if (quizStartBtn) quizStartBtn.addEventListener('click', () => { const { seed, count } = readQuizFields(); startQuiz(seed, count); });
+    if (quizSeedInput) quizSeedInput.addEventListener('keydown', (e) => {
+        // the seed field sits in the motion form: Enter starts the quiz instead of regenerating
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        const { seed, count } = readQuizFields();
+        startQuiz(seed, count);
+    });
+    const quizLinkBtn = document.getElementById('quizCopyLink');
+    if (quizLinkBtn) quizLinkBtn.addEventListener('click', async () => {
+        const { seed, count } = quiz ? { seed: quiz.seed, count: quiz.problems.length } : readQuizFields();
+        if (quizSeedInput) quizSeedInput.value = seed;
+        const url = `${window.location.origin}${window.location.pathname}?quiz=${encodeURIComponent(seed)}&n=${count}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            if (quizStatus) quizStatus.innerText = 'Quiz link copied to the clipboard.';
+        } catch (err) {
+            window.prompt(__('Copy this quiz link:'), url);
+            if (quizStatus) quizStatus.innerText = 'Quiz link ready.';
+        }
+    });
+    if (quizSection) {
+        // ?quiz=<seed>&n=<count> opens that quiz, e.g. from a link shared with a class
+        const params = new URLSearchParams(window.location.search);
+        const seed = (params.get('quiz') || '').trim().slice(0, 32);
+        if (seed) startQuiz(seed, parseInt(params.get('n'), 10) || DEFAULT_QUIZ_LENGTH);
+    }
 
-    // populate charts immediately with form defaults so UI shows data on page load
-    updateFromForm();
-    resetBtn.addEventListener('click', () => { form.reset(); updateFromForm(); });
+    // Language: the switcher's stored choice, else the browser's languages. Texts are
+    // translated once here and then whenever the page adds or changes text.
+    const LOCALE_STORAGE_KEY = 'kineso-locale';
+    const localeSelect = document.getElementById('localeSelect');
+
+    /**
+ * Switch the page to a language: translate its text and rewrite the numbers typed
+ * into numeric inputs with the language's decimal sign.
+ * @param {string} next - key of `LOCALES`
+ */
+function applyLocale(next) {
+        locale = next;
+        document.documentElement.lang = next;
+        if (localeSelect) localeSelect.value = next;
+        document.querySelectorAll('input[inputmode="decimal"]').forEach(el => {
+            el.value = inputNumber(canonicalNumberText(el.value));
+            el.defaultValue = inputNumber(canonicalNumberText(el.defaultValue));
+        });
+        translateTree(document.body);
+    }
+
+    let storedLocale = null;
+    try { storedLocale = localStorage.getItem(LOCALE_STORAGE_KEY); } catch (err) { storedLocale = null; }
+    applyLocale(pickLocale([storedLocale, ...(navigator.languages || [navigator.language])]));
+    new MutationObserver(records => records.forEach(r => {
+        if (r.type === 'childList') r.addedNodes.forEach(translateTree);
+        else if (r.type === 'characterData') translateTree(r.target);
+        else if (!r.target.closest(UNTRANSLATED)) translateText(r.target, r.attributeName);
+    })).observe(document.body, { subtree: true, childList: true, characterData: true, attributes: true, attributeFilter: TRANSLATED_ATTRIBUTES });
+    if (localeSelect) {
+        localeSelect.innerHTML = Object.entries(LOCALES).map(([key, name]) => `<option value="${key}" lang="${key}">${name}</option>`).join('');
+        localeSelect.value = locale;
+        localeSelect.addEventListener('change', () => {
+            try { localStorage.setItem(LOCALE_STORAGE_KEY, localeSelect.value); } catch (err) { /* the choice then lasts for this page only */ }
+            applyLocale(localeSelect.value);
+            // charts, table and readout format their text when drawn: draw the current entry again
+            if (editHistory.current()) restoreHistory(editHistory.current());
+            pageLog('Language: ' + locale);
+        });
+    }
 
-    // initial render
-    updateFromForm();
+    // initial render: a scenario in the URL fragment is applied before the first updateFromForm
+    const linkScenario = readLinkScenario();
+    if (linkScenario) openScenario(linkScenario);
+    else updateFromForm();
 });
@@ -0,0 +1,374 @@
+/**
+ * resources/js/kineso-chart.js
+ * KINESO — embeddable <kineso-chart> element
+ *
+ * The charts, data table and drag sync of the demo page as a custom element
+ * that can be placed any number of times on any page:
+ *
+ *   <kineso-chart v0="3" a="-0.5" t1="8" editable table></kineso-chart>
+ *
+ * Everything lives in the element's shadow root, and each element keeps its
+ * own scenario, samples, drags and charts. Attributes (values in SI):
+ * - the scenario: mode, x0, v0, a, t0, t1, dt, expr-kind, expr, integrator,
+ *   speed, angle, h, g, mass, phases ("4:a:1.5 3:t:0") and forces
+ *   ("friction:0.3:0.5 spring:20"), as for `scripts/kineso.js` (see `embed-bridge.js`)
+ * - charts: which of x, v and a to show (default "x v a"); projectile motion shows y(x)
+ * - editable: points can be dragged; drag-mode picks `point` (default), `brush` or `endpoints`
+ * - table: show the data table
+ * - chart-height: height of each chart in px (default 180)
+ * - bridge: origins (space-separated, or `*`) allowed to use the postMessage
+ *   API of `embed-bridge.js` when the element is inside an iframe
+ *
+ * Properties: `scenario` (get / set; setting it rewrites the attributes) and
+ * `data` (the samples including drags); `reset()` drops the drags. Events
+ * bubble out of the shadow root:
+ * - `kineso-change` after every recomputation, `detail: {scenario, data}`
+ * - `kineso-drag` after every drag, `detail: {chart, index, t, value, data}`
+ * - `kineso-error` for invalid attributes, `detail: {message}`; the message is also shown in the element
+ *
+ * Importing this module defines the element. `npm run build:embed` bundles it
+ * with Chart.js into `public/embed/` for pages outside this application.
+ */
+
+import { Chart, LineController, LineElement, PointElement, LinearScale, CategoryScale, Tooltip, Legend } from 'chart.js';
+import dragDataPlugin from 'chartjs-plugin-dragdata';
+import { ExpressionError } from './expression';
+import { DEFAULT_SCENARIO, MAX_POINTS, ScenarioError, applyDragEdit, computeScenario } from './kinematics-core';
+import { DEFAULT_BRUSH_WIDTH, editSeries } from './drag-modes';
+import { decimationIndexes, pickIndexes } from './decimation';
+import { createVirtualTable } from './virtual-table';
+import { BRIDGE_PREFIX, SCENARIO_ATTRIBUTES, parseOrigins, originAllowed, scenarioFromAttributes, scenarioToAttributes, handleBridgeMessage } from './embed-bridge';
+
+Chart.register(LineController, LineElement, PointElement, LinearScale, CategoryScale, Tooltip, Legend, dragDataPlugin);
+
+/** Time charts: the `charts` attribute letter, dragged series, label and colour. */
+const EMBED_CHARTS = {
+    x: { chartType: 'position', series: 'xs', label: 'x (m)', color: '255,152,0' },
+    v: { chartType: 'velocity', series: 'vs', label: 'v (m/s)', color: '33,150,243' },
+    a: { chartType: 'acceleration', series: 'as', label: 'a (m/s²)', color: '244,67,54' },
+};
+
+/** Drag modes the element offers through `drag-mode` (sliding needs the page's modifier keys). */
+const EMBED_DRAG_MODES = ['point', 'brush', 'endpoints'];
+
+/** Chart height (px) without a `chart-height` attribute. */
+const DEFAULT_CHART_HEIGHT = 180;
+
+const STYLE = `
+    :host { display:block; font-family:system-ui, sans-serif; color:#22303f; }
+    .charts { display:grid; grid-template-columns:repeat(auto-fit, minmax(220px, 1fr)); gap:10px; }
+    .chart { position:relative; background:#fbfcfd; border-radius:6px; padding:6px; }
+    .error { display:none; margin-top:8px; padding:8px; border:1px solid #fee; border-radius:6px; color:#900; }
+    .note { display:none; margin-top:6px; font-size:12px; color:#5b6b7a; }
+    .scroll { display:none; max-height:240px; overflow:auto; margin-top:10px; }
+    table { width:100%; border-collapse:collapse; font-family:monospace; font-size:13px; }
+    th { position:sticky; top:0; background:#fbfcfd; text-align:left; padding:6px; color:#5b6b7a; }
+    td { padding:6px; text-align:right; border-bottom:1px dashed #eef2f5; }
+    tr.vt-spacer td { border-bottom:0; }
+`;
+
+/**
+ * `<kineso-chart>`: see the module comment for its attributes, properties and events.
+ */
+class KinesoChart extends HTMLElement {
+    static get observedAttributes() {
+        return [...Object.keys(SCENARIO_ATTRIBUTES), 'phases', 'forces', 'charts', 'editable', 'drag-mode', 'table', 'chart-height', 'bridge'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        // samples of the last run (SI) and the drags applied to them
+        this._result = null;
+        this._drags = 0;
+        this._charts = [];
+        // a run is due; cleared by every run, so a scheduled run after a direct one is skipped
+        this._pending = false;
+        this._origins = [];
+        this._onMessage = (event) => this._handleMessage(event);
+    }
+
+    connectedCallback() {
+        if (!this._root) this._build();
+        this._connectBridge();
+        this._schedule();
+    }
+
+    disconnectedCallback() {
+        this._charts.forEach(chart => chart.destroy());
+        this._charts = [];
+        if (typeof window !== 'undefined') window.removeEventListener('message', this._onMessage);
+    }
+
+    attributeChangedCallback(name) {
+        if (name === 'bridge' && this.isConnected) this._connectBridge();
+        this._schedule();
+    }
+
+    /** The scenario of the attributes, with the defaults of `computeScenario` filled in. */
+    get scenario() {
+        return { ...DEFAULT_SCENARIO, ...scenarioFromAttributes(name => this.getAttribute(name)) };
+    }
+
+    /**
+     * Replace the scenario: keys left out take their defaults. The scenario is
+     * checked first and the attributes are left alone when it is invalid.
+     * @param {Object} scenario - as for `computeScenario`
+     * @throws {ScenarioError|ExpressionError}
+     */
+    set scenario(scenario) {
+        computeScenario(scenario, MAX_POINTS);
+        const attributes = scenarioToAttributes(scenario);
+        for (const name of [...Object.keys(SCENARIO_ATTRIBUTES), 'phases', 'forces']) {
+            if (name in attributes) this.setAttribute(name, attributes[name]);
+            else this.removeAttribute(name);
+        }
+    }
+
+    /** The samples shown (SI), including drags; null before the first run or after an error. */
+    get data() {
+        const r = this._result;
+        if (!r) return null;
+        if (r.mode === 'projectile') return { mode: r.mode, times: r.times.slice(), xs: r.xs.slice(), ys: r.ys.slice(), vxs: r.vxs.slice(), vys: r.vys.slice() };
+        return { mode: r.mode, times: r.times.slice(), xs: r.xs.slice(), vs: r.vs.slice(), as: r.as.slice(), drags: this._drags, truncated: !!r.truncated };
+    }
+
+    /** Drop the drags and show the scenario's own samples again. */
+    reset() {
+        this._render();
+    }
+
+    /** Create the shadow DOM once. */
+    _build() {
+        this._root = this.shadowRoot;
+        this._root.innerHTML = `<style>${STYLE}</style>
+            <div class="charts" part="charts"></div>
+            <div class="error" part="error" role="alert"></div>
+            <div class="note" part="note"></div>
+            <div class="scroll" part="table"><table><thead><tr></tr></thead><tbody></tbody></table></div>`;
+        this._chartBox = this._root.querySelector('.charts');
+        this._errorEl = this._root.querySelector('.error');
+        this._noteEl = this._root.querySelector('.note');
+        this._scroller = this._root.querySelector('.scroll');
+        this._headRow = this._root.querySelector('thead tr');
+        this._table = createVirtualTable(this._root.querySelector('tbody'), this._scroller);
+    }
+
+    /** Recompute once after a batch of attribute changes. */
+    _schedule() {
+        if (this._pending || !this._root) return;
+        this._pending = true;
+        queueMicrotask(() => {
+            if (this._pending && this.isConnected) this._render();
+        });
+    }
+
+    /** Compute the scenario of the attributes and draw it, dropping any drags. */
+    _render() {
+        this._pending = false;
+        let scenario;
+        try {
+            scenario = this.scenario;
+            this._result = computeScenario(scenario, MAX_POINTS);
+        } catch (err) {
+            if (!(err instanceof ScenarioError) && !(err instanceof ExpressionError)) throw err;
+            this._result = null;
+            this._showError(err.message);
+            return;
+        }
+        this._drags = 0;
+        this._showError(null);
+        this._noteEl.style.display = this._result.truncated ? 'block' : 'none';
+        this._noteEl.textContent = this._result.truncated ? `Only the first ${MAX_POINTS} samples are shown; use a larger dt.` : '';
+        this._drawCharts();
+        this._drawTable();
+        this._emit('change', { scenario, data: this.data });
+    }
+
+    /**
+     * Show or clear an error message.
+     * @param {string|null} message
+     */
+    _showError(message) {
+        this._errorEl.style.display = message ? 'block' : 'none';
+        this._errorEl.textContent = message || '';
+        if (!message) return;
+        this._charts.forEach(chart => chart.destroy());
+        this._charts = [];
+        this._chartBox.innerHTML = '';
+        this._scroller.style.display = 'none';
+        this.dispatchEvent(new CustomEvent('kineso-error', { bubbles: true, composed: true, detail: { message } }));
+    }
+
+    /** Letters of the time charts to show, from the `charts` attribute. */
+    _chartLetters() {
+        const letters = String(this.getAttribute('charts') || '').split(/\s+/).filter(c => Object.prototype.hasOwnProperty.call(EMBED_CHARTS, c));
+        return letters.length ? letters : Object.keys(EMBED_CHARTS);
+    }
+
+    /** (Re)create the charts for the current result. */
+    _drawCharts() {
+        this._charts.forEach(chart => chart.destroy());
+        this._charts = [];
+        const r = this._result;
+        const height = parseFloat(this.getAttribute('chart-height')) > 0 ? parseFloat(this.getAttribute('chart-height')) : DEFAULT_CHART_HEIGHT;
+        const letters = r.mode === 'projectile' ? ['y'] : this._chartLetters();
+        this._chartBox.innerHTML = letters.map(c => `<div class="chart" style="height:${height}px"><canvas data-chart="${c}" role="img"></canvas></div>`).join('');
+        const scales = (xTitle, yTitle) => ({
+            x: { type: r.mode === 'projectile' ? 'linear' : 'category', title: { display: true, text: xTitle }, ticks: { maxRotation: 0, autoSkip: true } },
+            y: { title: { display: true, text: yTitle } },
+        });
+        const base = { responsive: true, maintainAspectRatio: false, animation: false, elements: { line: { borderWidth: 2, tension: 0.3 }, point: { radius: 2, hoverRadius: 5 } } };
+        if (r.mode === 'projectile') {
+            const canvas = this._chartBox.querySelector('canvas');
+            canvas.setAttribute('aria-label', 'trajectory y(x)');
+            this._charts.push(new Chart(canvas, {
+                type: 'line',
+                data: { datasets: [{ label: 'y(x)', data: r.xs.map((x, i) => ({ x, y: r.ys[i] })), borderColor: 'rgba(33,150,243,1)', pointRadius: 0, fill: false }] },
+                options: { ...base, plugins: { legend: { display: false }, dragData: false }, scales: scales('x (m)', 'y (m)') },
+            }));
+            return;
+        }
+        const indexes = decimationIndexes(r.times, [r.xs, r.vs, r.as]);
+        const labels = pickIndexes(r.times, indexes).map(t => Number(t.toFixed(4)));
+        letters.forEach(c => {
+            const def = EMBED_CHARTS[c];
+            const canvas = this._chartBox.querySelector(`canvas[data-chart="${c}"]`);
+            canvas.setAttribute('aria-label', `${def.chartType} chart`);
+            const chart = new Chart(canvas, {
+                type: 'line',
+                data: { labels, datasets: [{ label: def.label, data: pickIndexes(r[def.series], indexes), borderColor: `rgba(${def.color},1)`, backgroundColor: `rgba(${def.color},0.08)`, fill: false }] },
+                options: { ...base, plugins: { legend: { display: false }, dragData: this._dragOptions(def) }, scales: scales('t (s)', def.label) },
+            });
+            chart.$sampleIndexes = indexes;
+            chart.$series = def.series;
+            this._charts.push(chart);
+        });
+    }
+
+    /** Redraw the charts' data in place after a drag. */
+    _updateCharts() {
+        const r = this._result;
+        this._charts.forEach(chart => {
+            chart.data.datasets[0].data = pickIndexes(r[chart.$series], chart.$sampleIndexes);
+            chart.update('none');
+        });
+    }
+
+    /**
+     * chartjs-plugin-dragdata options for one time chart. The dragged point maps
+     * back to its sample through the chart's decimation indexes.
+     * @param {{chartType:string, series:string}} def
+     * @returns {Object|false}
+     */
+    _dragOptions(def) {
+        if (!this.hasAttribute('editable') || this._result.mode === 'projectile') return false;
+        const mode = EMBED_DRAG_MODES.includes(this.getAttribute('drag-mode')) ? this.getAttribute('drag-mode') : 'point';
+        const chartOf = () => this._charts.find(chart => chart.$series === def.series);
+        let session = null;
+        return {
+            round: 6,
+            dragX: false,
+            showTooltip: true,
+            onDragStart: (e, datasetIndex, point) => {
+                const chart = chartOf();
+                const index = chart && chart.$sampleIndexes ? chart.$sampleIndexes[point] : point;
+                session = { index, original: this._result[def.series].slice(), edit: null };
+            },
+            onDrag: (e, datasetIndex, point, value) => {
+                if (!session) return false;
+                session.edit = { mode, width: DEFAULT_BRUSH_WIDTH, value };
+                const chart = chartOf();
+                if (chart) {
+                    chart.data.datasets[0].data = pickIndexes(editSeries(session.original, session.index, session.edit), chart.$sampleIndexes);
+                    chart.update('none');
+                }
+                return false;
+            },
+            onDragEnd: () => {
+                const current = session;
+                session = null;
+                if (!current || !current.edit) return;
+                const r = this._result;
+                const { x0, v0, dt } = this.scenario;
+                // only an integrator attribute changes the drag maths; without one the original differences apply
+                const integrator = this.getAttribute('integrator') || undefined;
+                applyDragEdit(def.chartType, current.index, current.edit.value, { xs: r.xs, vs: r.vs, as: r.as, x0, v0, dt, integrator }, current.edit);
+                this._drags++;
+                this._updateCharts();
+                this._table.refresh();
+                this._emit('drag', { chart: def.chartType, index: current.index, t: r.times[current.index], value: current.edit.value, data: this.data });
+            },
+        };
+    }
+
+    /** Fill the data table, or hide it without a `table` attribute. */
+    _drawTable() {
+        const r = this._result;
+        const shown = this.hasAttribute('table');
+        this._scroller.style.display = shown ? 'block' : 'none';
+        if (!shown) { this._table.setRows(0, () => ''); return; }
+        const cell = (v) => `<td>${v.toFixed(3)}</td>`;
+        if (r.mode === 'projectile') {
+            this._headRow.innerHTML = '<th>t (s)</th><th>x (m)</th><th>y (m)</th><th>vx (m/s)</th><th>vy (m/s)</th>';
+            this._table.setRows(r.times.length, i => cell(r.times[i]) + cell(r.xs[i]) + cell(r.ys[i]) + cell(r.vxs[i]) + cell(r.vys[i]));
+        } else {
+            this._headRow.innerHTML = '<th>t (s)</th><th>x (m)</th><th>v (m/s)</th><th>a (m/s²)</th>';
+            this._table.setRows(r.times.length, i => cell(r.times[i]) + cell(r.xs[i]) + cell(r.vs[i]) + cell(r.as[i]));
+        }
+    }
+
+    /**
+     * Dispatch `kineso-<name>` on the element and tell the host page through the bridge.
+     * @param {'change'|'drag'} name
+     * @param {Object} detail
+     */
+    _emit(name, detail) {
+        this.dispatchEvent(new CustomEvent(`kineso-${name}`, { bubbles: true, composed: true, detail }));
+        this._notify(name, detail);
+    }
+
+    /** Listen for host messages when framed and allowed by the `bridge` attribute. */
+    _connectBridge() {
+        if (typeof window === 'undefined') return;
+        window.removeEventListener('message', this._onMessage);
+        this._origins = window.parent !== window ? parseOrigins(this.getAttribute('bridge')) : [];
+        if (!this._origins.length) return;
+        window.addEventListener('message', this._onMessage);
+        this._notify('ready', {});
+    }
+
+    /**
+     * Post a notification to the host page, once per allowed origin.
+     * @param {string} name
+     * @param {Object} body
+     */
+    _notify(name, body) {
+        if (!this._origins.length) return;
+        const message = { type: BRIDGE_PREFIX + name, ...(this.id ? { widget: this.id } : {}), ...body };
+        (this._origins.includes('*') ? ['*'] : this._origins).forEach(origin => window.parent.postMessage(message, origin));
+    }
+
+    /**
+     * Answer a request from the host page.
+     * @param {MessageEvent} event
+     */
+    _handleMessage(event) {
+        if (event.source !== window.parent || !originAllowed(event.origin, this._origins)) return;
+        const reply = handleBridgeMessage(event.data, {
+            id: this.id,
+            getScenario: () => this.scenario,
+            getData: () => this.data,
+            setScenario: (scenario) => {
+                this.scenario = scenario;
+                // answer with the new samples rather than wait for the scheduled run
+                this._render();
+            },
+        });
+        if (reply) event.source.postMessage(reply, this._origins.includes('*') ? '*' : event.origin);
+    }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('kineso-chart')) customElements.define('kineso-chart', KinesoChart);
+
+export { EMBED_CHARTS, EMBED_DRAG_MODES, DEFAULT_CHART_HEIGHT, KinesoChart };
@@ -0,0 +1,547 @@
+/**
+ * resources/js/lab-report.js
+ * KINESO — printable lab report
+ *
+ * Builds a self-contained HTML lab report for one scenario: title block,
+ * parameter summary, the four charts of the page (drawn as inline SVG so they
+ * look the same in the browser and in headless Chromium), derived quantities,
+ * the full data table including acceleration and a notes section. The page
+ * prints it to PDF from a hidden frame; `scripts/lab-report.js` renders it with
+ * Puppeteer. Report data is in SI; the report shows it in the units chosen on
+ * the page (`units`, see units.js).
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+import { DEFAULT_SCENARIO } from './kinematics-core.js';
+import { INTEGRATORS } from './integrators.js';
+import { describeForce } from './dynamics.js';
+import { QUANTITIES, ANGULAR_QUANTITIES, SI_UNITS, fromSI, unitFactor, unitLabel } from './units.js';
+import { pointMotion } from './rotation.js';
+import { extent, decimationIndexes, pickIndexes } from './decimation.js';
+
+/** Page sizes offered for the report (CSS `@page` / Puppeteer format names). */
+const REPORT_PAGE_SIZES = ['A4', 'Letter', 'Legal', 'A5'];
+
+/** Default report title. */
+const DEFAULT_REPORT_TITLE = 'KINESO lab report';
+
+/** Most points drawn per chart series; longer series are decimated (LTTB, keeping the extremes). */
+const REPORT_CHART_POINTS = 600;
+
+/** Symbols of x, v and a in rotational reports. */
+const ANGULAR_SYMBOLS = { x: 'θ', v: 'ω', a: 'α' };
+
+const COLORS = { x: 'rgb(255,152,0)', v: 'rgb(33,150,243)', a: 'rgb(244,67,54)', y: 'rgb(33,150,243)', vy: 'rgb(123,31,162)', path: 'rgb(39,174,96)' };
+
+/**
+ * Escape text for use in HTML content and attribute values.
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a number for the report; non-finite values print as an en dash.
+ * @param {number} value
+ * @param {number} [digits=3]
+ * @returns {string}
+ */
+function formatNumber(value, digits = 3) {
+    if (!Number.isFinite(value)) return '–';
+    const text = value.toFixed(digits);
+    return /^-0\.?0*$/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Parameter summary rows for a computed scenario.
+ * @param {Object} scenario - parameters as accepted by `computeScenario` (SI); an expression is
+ *   shown as written, in the unit of its quantity
+ * @param {Object} [units=SI_UNITS] - unit choice to show values in
+ * @returns {Array<{label:string, value:string}>}
+ */
+function describeScenario(scenario, units = SI_UNITS) {
+    const p = { ...DEFAULT_SCENARIO, ...scenario };
+    const row = (label, value, unit = '') => ({ label, value: unit ? `${value} ${unit}` : String(value) });
+    // converted values keep six significant digits so typed inputs read back as typed
+    const amount = (q, v) => (unitFactor(q, units) === 1 ? v : Number(fromSI(q, v, units).toPrecision(6)));
+    const length = (label, v) => row(label, amount('length', v), unitLabel('length', units));
+    const velocity = (label, v) => row(label, amount('velocity', v), unitLabel('velocity', units));
+    const acceleration = (label, v) => row(label, amount('acceleration', v), unitLabel('acceleration', units));
+    if (p.mode === 'projectile') {
+        return [
+            row('Mode', 'Projectile (no air resistance)'),
+            velocity('Launch speed', p.speed),
+            row('Launch angle', p.angle, '°'),
+            length('Launch height', p.h),
+            acceleration('Gravity g', p.g),
+            row('Time step', p.dt, 's'),
+        ];
+    }
+    const rows = [];
+    // rotational scenarios hold θ, ω and α in x0, v0 and a
+    const rotational = p.mode === 'rotational';
+    const [qx, qv, qa] = rotational ? ANGULAR_QUANTITIES : QUANTITIES;
+    const sym = rotational ? ANGULAR_SYMBOLS : { x: 'x', v: 'v', a: 'a' };
+    const modeLabel = rotational ? 'Angular motion' : 'Mode';
+    const x0 = () => row(rotational ? 'Initial angle θ0' : 'Initial position x0', amount(qx, p.x0), unitLabel(qx, units));
+    const v0 = () => row(rotational ? 'Initial angular velocity ω0' : 'Initial velocity v0', amount(qv, p.v0), unitLabel(qv, units));
+    if (rotational) rows.push(row('Mode', 'Rotation about a fixed axis'), length('Radius of the marked point r', p.radius));
+    if (p.mode === 'dynamics') {
+        rows.push(row('Mode', 'Forces (dynamics)'), row('Mass m', p.mass, 'kg'));
+        if (!p.forces.length) rows.push(row('Forces', 'none'));
+        // force parameters are always SI
+        p.forces.forEach((term, i) => rows.push(row(`Force ${i + 1}`, describeForce(term))));
+        rows.push(x0(), v0());
+        rows.push(row('Time interval', `${p.t0} – ${p.t1}`, 's'));
+        rows.push(row('Numerical scheme', INTEGRATORS[p.integrator] || p.integrator));
+    } else if (p.exprKind) {
+        const quantity = { x: qx, v: qv, a: qa }[p.exprKind];
+        rows.push(row(modeLabel, `Expression ${sym[p.exprKind]}(t) = ${p.expr} (${unitLabel(quantity, units)})`));
+        if (p.exprKind !== 'x') rows.push(x0());
+        if (p.exprKind === 'a') rows.push(v0());
+        rows.push(row('Time interval', `${p.t0} – ${p.t1}`, 's'));
+        rows.push(row('Numerical scheme', INTEGRATORS[p.integrator] || p.integrator));
+    } else if (p.segments.length) {
+        rows.push(row(modeLabel, `${p.segments.length} motion phase${p.segments.length === 1 ? '' : 's'}`));
+        rows.push(x0(), v0());
+        p.segments.forEach((seg, i) => rows.push(row(`Phase ${i + 1}`, seg.kind === 'target'
+            ? `${seg.duration} s, reach ${sym.v} = ${amount(qv, seg.value)} ${unitLabel(qv, units)}`
+            : `${seg.duration} s, ${sym.a} = ${amount(qa, seg.value)} ${unitLabel(qa, units)}`)));
+    } else {
+        rows.push(row(modeLabel, rotational ? 'Constant angular acceleration' : 'Constant acceleration'));
+        rows.push(x0(), v0(), row(rotational ? 'Angular acceleration α' : 'Acceleration a', amount(qa, p.a), unitLabel(qa, units)));
+        rows.push(row('Time interval', `${p.t0} – ${p.t1}`, 's'));
+    }
+    rows.push(row('Time step', p.dt, 's'));
+    return rows;
+}
+
+/**
+ * Parameter summary rows for imported measurements.
+ * @param {{fileName:string, samples:number, tUnit?:string, xUnit?:string, method?:string, window?:number}} info
+ * @returns {Array<{label:string, value:string}>}
+ */
+function describeImport(info) {
+    const methods = { none: 'none (raw differences)', ma: 'moving average', sg: 'Savitzky–Golay', spline: 'smoothing spline' };
+    const method = info.method || 'sg';
+    return [
+        { label: 'Mode', value: 'Imported measurements' },
+        { label: 'File', value: info.fileName },
+        { label: 'Samples', value: String(info.samples) },
+        { label: 'Units in file', value: `t in ${info.tUnit || 's'}, x in ${info.xUnit || 'm'}` },
+        { label: 'Smoothing', value: methods[method] + (method === 'none' ? '' : `, window ${info.window || 7}`) },
+    ];
+}
+
+/**
+ * Times at which a series changes sign, linearly interpolated.
+ * @param {number[]} times
+ * @param {number[]} values
+ * @returns {number[]}
+ */
+function signChanges(times, values) {
+    const out = [];
+    for (let i = 1; i < values.length; i++) {
+        const a = values[i - 1], b = values[i];
+        if ((a < 0 && b > 0) || (a > 0 && b < 0)) out.push(times[i - 1] + (times[i] - times[i - 1]) * a / (a - b));
+        else if (b === 0 && a !== 0 && i + 1 < values.length && Math.sign(values[i + 1]) === -Math.sign(a)) out.push(times[i]);
+    }
+    return out;
+}
+
+/**
+ * Report data converted from SI to the given units (times stay in seconds). Rotational
+ * data gains the marked point's motion (`point`, see `pointMotion`) in linear units.
+ * @param {Object} data - report data (see `buildReportHtml`)
+ * @param {Object} units - unit choice from `resolveUnits`
+ * @returns {Object}
+ */
+function convertData(data, units) {
+    const length = (v) => fromSI('length', v, units);
+    const velocity = (v) => fromSI('velocity', v, units);
+    const acceleration = (v) => fromSI('acceleration', v, units);
+    if (data.mode === 'projectile') {
+        const s = data.summary;
+        return {
+            ...data,
+            xs: length(data.xs), ys: length(data.ys), vxs: velocity(data.vxs), vys: velocity(data.vys), g: acceleration(data.g),
+            summary: {
+                ...s,
+                range: length(s.range), apexX: length(s.apexX), apexY: length(s.apexY),
+                impactVx: velocity(s.impactVx), impactVy: velocity(s.impactVy), impactSpeed: velocity(s.impactSpeed),
+            },
+        };
+    }
+    if (data.mode === 'rotational') {
+        const point = pointMotion({ thetas: data.xs, omegas: data.vs, alphas: data.as }, data.radius);
+        return {
+            ...data,
+            xs: fromSI('angle', data.xs, units), vs: fromSI('angularVelocity', data.vs, units), as: fromSI('angularAcceleration', data.as, units),
+            radius: length(data.radius),
+            point: { ...point, speeds: velocity(point.speeds), tangential: acceleration(point.tangential), centripetal: acceleration(point.centripetal), total: acceleration(point.total) },
+        };
+    }
+    const raw = data.raw ? { xs: length(data.raw.xs), vs: velocity(data.raw.vs), as: acceleration(data.raw.as) } : data.raw;
+    return { ...data, xs: length(data.xs), vs: velocity(data.vs), as: acceleration(data.as), raw };
+}
+
+/**
+ * Typeset unit labels per quantity, e.g. `{ length: 'ft', velocity: 'ft/s', acceleration: 'ft/s²', angle: 'rad', … }`.
+ * @param {Object} units - unit choice from `resolveUnits`
+ * @returns {Object<string, string>} label per quantity of `QUANTITIES` and `ANGULAR_QUANTITIES`
+ */
+function unitLabels(units) {
+    return Object.fromEntries([...QUANTITIES, ...ANGULAR_QUANTITIES].map(q => [q, unitLabel(q, units)]));
+}
+
+/**
+ * Quantities derived from the sampled data.
+ * @param {Object} data - report data (see `buildReportHtml`)
+ * @param {Object} [units=SI_UNITS] - unit choice to show values in
+ * @returns {Array<{label:string, value:string}>}
+ */
+function derivedQuantities(data, units = SI_UNITS) {
+    const { times } = data;
+    const n = times.length;
+    if (!n) return [];
+    const u = unitLabels(units);
+    const q = (label, value, unit, digits = 3) => ({ label, value: `${formatNumber(value, digits)} ${unit}` });
+    const shown = convertData(data, units);
+    if (data.mode === 'projectile') {
+        const s = shown.summary;
+        return [
+            q('Launch velocity vx0', shown.vxs[0], u.velocity),
+            q('Launch velocity vy0', shown.vys[0], u.velocity),
+            q('Range', s.range, u.length),
+            q('Apex height', s.apexY, u.length),
+            q('Apex at x', s.apexX, u.length),
+            q('Time to apex', s.apexT, 's'),
+            q('Time of flight', s.flightTime, 's'),
+            q('Impact speed', s.impactSpeed, u.velocity),
+            q('Impact angle (below horizontal)', s.impactAngle, '°', 1),
+        ];
+    }
+    if (data.mode === 'rotational') {
+        const { xs, vs, as, point } = shown;
+        const span = times[n - 1] - times[0];
+        let iMax = 0;
+        for (let i = 1; i < n; i++) if (Math.abs(vs[i]) > Math.abs(vs[iMax])) iMax = i;
+        return [
+            q('Duration', span, 's'),
+            { label: 'Samples', value: String(n) },
+            q('Initial angle', xs[0], u.angle),
+            q('Final angle', xs[n - 1], u.angle),
+            q('Angle turned Δθ', xs[n - 1] - xs[0], u.angle),
+            { label: 'Revolutions turned', value: formatNumber(point.revolutions[n - 1]) },
+            q('Initial angular velocity', vs[0], u.angularVelocity),
+            q('Final angular velocity', vs[n - 1], u.angularVelocity),
+            { label: 'Maximum angular speed', value: `${formatNumber(Math.abs(vs[iMax]))} ${u.angularVelocity} at t = ${formatNumber(times[iMax])} s` },
+            { label: 'Angular acceleration range', value: `${formatNumber(extent(as).min)} – ${formatNumber(extent(as).max)} ${u.angularAcceleration}` },
+            q('Radius of the marked point r', shown.radius, u.length),
+            q('Final speed of the point r·ω', point.speeds[n - 1], u.velocity),
+            q('Final tangential acceleration r·α', point.tangential[n - 1], u.acceleration),
+            q('Final centripetal acceleration r·ω²', point.centripetal[n - 1], u.acceleration),
+            q('Largest centripetal acceleration', extent(point.centripetal).max, u.acceleration),
+        ];
+    }
+    const { xs, vs, as } = shown;
+    const span = times[n - 1] - times[0];
+    let distance = 0;
+    for (let i = 1; i < n; i++) distance += Math.abs(xs[i] - xs[i - 1]);
+    let iMax = 0;
+    for (let i = 1; i < n; i++) if (Math.abs(vs[i]) > Math.abs(vs[iMax])) iMax = i;
+    const turns = signChanges(times, vs);
+    return [
+        q('Duration', span, 's'),
+        { label: 'Samples', value: String(n) },
+        q('Initial position', xs[0], u.length),
+        q('Final position', xs[n - 1], u.length),
+        q('Displacement Δx', xs[n - 1] - xs[0], u.length),
+        q('Distance travelled', distance, u.length),
+        q('Initial velocity', vs[0], u.velocity),
+        q('Final velocity', vs[n - 1], u.velocity),
+        q('Average velocity Δx/Δt', span > 0 ? fromSI('velocity', (data.xs[n - 1] - data.xs[0]) / span, units) : NaN, u.velocity),
+        { label: 'Maximum speed', value: `${formatNumber(Math.abs(vs[iMax]))} ${u.velocity} at t = ${formatNumber(times[iMax])} s` },
+        q('Average acceleration Δv/Δt', span > 0 ? fromSI('acceleration', (data.vs[n - 1] - data.vs[0]) / span, units) : NaN, u.acceleration),
+        { label: 'Acceleration range', value: `${formatNumber(extent(as).min)} – ${formatNumber(extent(as).max)} ${u.acceleration}` },
+        { label: 'Direction reversals (v = 0)', value: turns.length ? turns.slice(0, 6).map(t => `t = ${formatNumber(t)} s`).join(', ') + (turns.length > 6 ? ', …' : '') : 'none' },
+    ];
+}
+
+/**
+ * Round axis ticks covering [min, max].
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=5] - approximate number of intervals
+ * @returns {{ticks:number[], digits:number}} tick values and decimals needed to print them
+ */
+function niceTicks(min, max, count = 5) {
+    if (!(max > min)) {
+        const pad = Math.abs(min) * 0.1 || 1;
+        min -= pad; max += pad;
+    }
+    const raw = (max - min) / count;
+    const mag = 10 ** Math.floor(Math.log10(raw));
+    const norm = raw / mag;
+    const step = (norm < 1.5 ? 1 : norm < 3 ? 2 : norm < 7 ? 5 : 10) * mag;
+    const ticks = [];
+    for (let v = Math.floor(min / step) * step; v <= max + step * 0.999; v += step) ticks.push(Number(v.toPrecision(12)));
+    while (ticks.length > 2 && ticks[1] <= min) ticks.shift();
+    return { ticks, digits: Math.max(0, -Math.floor(Math.log10(step))) };
+}
+
+/**
+ * Draw a line chart as an SVG string. Series longer than `REPORT_CHART_POINTS`
+ * are decimated (see `decimation.js`).
+ * @param {{title:string, xLabel:string, yLabel:string, y2Label?:string,
+ *   series:Array<{label:string, xs:number[], ys:number[], color:string, axis?:'y'|'y2', dots?:boolean}>}} spec
+ *   series on `y2` use a second axis on the right; `dots` draws markers instead of a line
+ * @returns {string} `<svg>` markup
+ */
+function svgChart(spec) {
+    const W = 480, H = 270;
+    const hasY2 = spec.series.some(s => s.axis === 'y2');
+    const m = { left: 58, right: hasY2 ? 58 : 16, top: 44, bottom: 40 };
+    const pw = W - m.left - m.right, ph = H - m.top - m.bottom;
+    const range = (list) => {
+        const ranges = list.map(extent).filter(r => r.minIndex >= 0);
+        return ranges.length ? { min: Math.min(...ranges.map(r => r.min)), max: Math.max(...ranges.map(r => r.max)) } : { min: 0, max: 1 };
+    };
+    const xr = range(spec.series.map(s => s.xs));
+    const axisFor = (name) => {
+        const r = range(spec.series.filter(s => (s.axis || 'y') === name).map(s => s.ys));
+        const t = niceTicks(r.min, r.max);
+        return { ...t, min: t.ticks[0], max: t.ticks[t.ticks.length - 1] };
+    };
+    const xt = niceTicks(xr.min, xr.max, 6);
+    const xAxis = { ...xt, min: Math.min(xr.min, xt.ticks[0]), max: xr.max > xr.min ? xr.max : xt.ticks[xt.ticks.length - 1] };
+    xAxis.ticks = xt.ticks.filter(v => v >= xAxis.min - 1e-9 && v <= xAxis.max + 1e-9);
+    const axes = { y: axisFor('y'), y2: hasY2 ? axisFor('y2') : null };
+    const px = (v) => m.left + (v - xAxis.min) / (xAxis.max - xAxis.min || 1) * pw;
+    const py = (axis, v) => m.top + ph - (v - axis.min) / (axis.max - axis.min || 1) * ph;
+    const r1 = (v) => Math.round(v * 10) / 10;
+
+    const parts = [];
+    parts.push(`<text x="${W / 2}" y="16" text-anchor="middle" font-size="13" font-weight="700">${escapeHtml(spec.title)}</text>`);
+    // grid and tick labels
+    for (const v of axes.y.ticks) {
+        const y = r1(py(axes.y, v));
+        parts.push(`<line x1="${m.left}" x2="${m.left + pw}" y1="${y}" y2="${y}" stroke="#e3e8ee"/>`);
+        parts.push(`<text x="${m.left - 6}" y="${y + 3}" text-anchor="end" font-size="10">${formatNumber(v, axes.y.digits)}</text>`);
+    }
+    if (axes.y2) {
+        for (const v of axes.y2.ticks) {
+            parts.push(`<text x="${m.left + pw + 6}" y="${r1(py(axes.y2, v)) + 3}" font-size="10">${formatNumber(v, axes.y2.digits)}</text>`);
+        }
+    }
+    for (const v of xAxis.ticks) {
+        const x = r1(px(v));
+        parts.push(`<line x1="${x}" x2="${x}" y1="${m.top}" y2="${m.top + ph}" stroke="#f0f3f6"/>`);
+        parts.push(`<text x="${x}" y="${m.top + ph + 14}" text-anchor="middle" font-size="10">${formatNumber(v, xAxis.digits)}</text>`);
+    }
+    parts.push(`<rect x="${m.left}" y="${m.top}" width="${pw}" height="${ph}" fill="none" stroke="#90a4ae"/>`);
+    // axis titles
+    parts.push(`<text x="${m.left + pw / 2}" y="${H - 6}" text-anchor="middle" font-size="11">${escapeHtml(spec.xLabel)}</text>`);
+    parts.push(`<text transform="translate(13 ${m.top + ph / 2}) rotate(-90)" text-anchor="middle" font-size="11">${escapeHtml(spec.yLabel)}</text>`);
+    if (axes.y2) parts.push(`<text transform="translate(${W - 8} ${m.top + ph / 2}) rotate(90)" text-anchor="middle" font-size="11">${escapeHtml(spec.y2Label || '')}</text>`);
+    // series
+    spec.series.forEach((s, k) => {
+        const axis = axes[s.axis === 'y2' ? 'y2' : 'y'];
+        const indexes = decimationIndexes(s.xs, [s.ys], REPORT_CHART_POINTS);
+        const xs = pickIndexes(s.xs, indexes), ys = pickIndexes(s.ys, indexes);
+        const pts = [];
+        for (let i = 0; i < xs.length; i++) {
+            if (Number.isFinite(xs[i]) && Number.isFinite(ys[i])) pts.push(`${r1(px(xs[i]))},${r1(py(axis, ys[i]))}`);
+        }
+        if (s.dots) {
+            parts.push(`<g fill="${s.color}">` + pts.map(p => { const [x, y] = p.split(','); return `<circle cx="${x}" cy="${y}" r="${s.xs.length > 60 ? 1.2 : 3}"/>`; }).join('') + '</g>');
+        } else if (pts.length) {
+            parts.push(`<polyline fill="none" stroke="${s.color}" stroke-width="2" stroke-linejoin="round" points="${pts.join(' ')}"/>`);
+        }
+        // legend entry
+        const lx = m.left + k * 150;
+        parts.push(`<rect x="${lx}" y="26" width="12" height="${s.dots ? 6 : 3}" fill="${s.color}"/>`);
+        parts.push(`<text x="${lx + 16}" y="${s.dots ? 32 : 30}" font-size="10">${escapeHtml(s.label)}</text>`);
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" font-family="Arial, sans-serif" fill="#263238">${parts.join('')}</svg>`;
+}
+
+/**
+ * The four charts of the page for the report data; rotational reports add the marked point's accelerations.
+ * @param {Object} data - report data, already converted to the report units
+ * @param {Object<string, string>} u - unit labels from `unitLabels`
+ * @returns {string[]} SVG markup of each chart
+ */
+function reportCharts(data, u) {
+    const t = data.times;
+    if (data.mode === 'projectile') {
+        return [
+            svgChart({ title: 'Trajectory y(x)', xLabel: `x (${u.length})`, yLabel: `y (${u.length})`, series: [{ label: 'y(x)', xs: data.xs, ys: data.ys, color: COLORS.path }] }),
+            svgChart({ title: 'Horizontal position x(t)', xLabel: 't (s)', yLabel: `x (${u.length})`, series: [{ label: `x (${u.length})`, xs: t, ys: data.xs, color: COLORS.x }] }),
+            svgChart({ title: 'Height y(t)', xLabel: 't (s)', yLabel: `y (${u.length})`, series: [{ label: `y (${u.length})`, xs: t, ys: data.ys, color: COLORS.y }] }),
+            svgChart({ title: 'Velocity components', xLabel: 't (s)', yLabel: `v (${u.velocity})`, series: [
+                { label: `vx (${u.velocity})`, xs: t, ys: data.vxs, color: COLORS.a },
+                { label: `vy (${u.velocity})`, xs: t, ys: data.vys, color: COLORS.vy },
+            ] }),
+        ];
+    }
+    if (data.mode === 'rotational') {
+        const single = (title, label, ys, color) => svgChart({ title, xLabel: 't (s)', yLabel: label, series: [{ label, xs: t, ys, color }] });
+        return [
+            svgChart({ title: 'Angle and angular velocity', xLabel: 't (s)', yLabel: `θ (${u.angle})`, y2Label: `ω (${u.angularVelocity})`, series: [
+                { label: `θ(t) (${u.angle})`, xs: t, ys: data.xs, color: COLORS.x },
+                { label: `ω(t) (${u.angularVelocity})`, xs: t, ys: data.vs, color: COLORS.v, axis: 'y2' },
+            ] }),
+            single('Angle θ(t)', `θ (${u.angle})`, data.xs, COLORS.x),
+            single('Angular velocity ω(t)', `ω (${u.angularVelocity})`, data.vs, COLORS.v),
+            single('Angular acceleration α(t)', `α (${u.angularAcceleration})`, data.as, COLORS.a),
+            svgChart({ title: 'Accelerations of the marked point', xLabel: 't (s)', yLabel: `a (${u.acceleration})`, series: [
+                { label: `a_t = r·α (${u.acceleration})`, xs: t, ys: data.point.tangential, color: COLORS.a },
+                { label: `a_c = r·ω² (${u.acceleration})`, xs: t, ys: data.point.centripetal, color: COLORS.vy },
+            ] }),
+        ];
+    }
+    const raw = data.raw || null;
+    const single = (title, label, ys, color, rawYs) => svgChart({ title, xLabel: 't (s)', yLabel: label, series: [
+        { label: raw ? `${label}, smoothed` : label, xs: t, ys, color },
+        ...(rawYs ? [{ label: 'raw samples', xs: t, ys: rawYs, color: 'rgba(96,125,139,0.6)', dots: true }] : []),
+    ] });
+    return [
+        svgChart({ title: 'Position and velocity', xLabel: 't (s)', yLabel: `x (${u.length})`, y2Label: `v (${u.velocity})`, series: [
+            { label: `x(t) (${u.length})`, xs: t, ys: data.xs, color: COLORS.x },
+            { label: `v(t) (${u.velocity})`, xs: t, ys: data.vs, color: COLORS.v, axis: 'y2' },
+        ] }),
+        single('Position x(t)', `x (${u.length})`, data.xs, COLORS.x, raw && raw.xs),
+        single('Velocity v(t)', `v (${u.velocity})`, data.vs, COLORS.v, raw && raw.vs),
+        single('Acceleration a(t)', `a (${u.acceleration})`, data.as, COLORS.a, raw && raw.as),
+    ];
+}
+
+/**
+ * Data table rows, one per sample; projectile tables get the constant vertical acceleration as their
+ * acceleration column, rotational ones the marked point's accelerations and the revolutions turned.
+ * @param {Object} data - report data, already converted to the report units
+ * @param {Object<string, string>} u - unit labels from `unitLabels`
+ * @returns {{headers:string[], rows:string[][]}}
+ */
+function reportTable(data, u) {
+    const f = (v) => formatNumber(v, 4);
+    const indexes = data.times.map((t, i) => i);
+    if (data.mode === 'projectile') {
+        const ay = -data.g;
+        return {
+            headers: ['t (s)', `x (${u.length})`, `y (${u.length})`, `vx (${u.velocity})`, `vy (${u.velocity})`, `ay (${u.acceleration})`],
+            rows: indexes.map(i => [f(data.times[i]), f(data.xs[i]), f(data.ys[i]), f(data.vxs[i]), f(data.vys[i]), f(ay)]),
+        };
+    }
+    const phased = Array.isArray(data.phases) && data.phases.length > 0 && data.phases.some(p => p > 1);
+    if (data.mode === 'rotational') {
+        const { point } = data;
+        return {
+            headers: ['t (s)', `θ (${u.angle})`, `ω (${u.angularVelocity})`, `α (${u.angularAcceleration})`, `a_t (${u.acceleration})`, `a_c (${u.acceleration})`, 'revolutions', ...(phased ? ['phase'] : [])],
+            rows: indexes.map(i => [f(data.times[i]), f(data.xs[i]), f(data.vs[i]), f(data.as[i]), f(point.tangential[i]), f(point.centripetal[i]), f(point.revolutions[i]), ...(phased ? [String(data.phases[i])] : [])]),
+        };
+    }
+    return {
+        headers: ['t (s)', `x (${u.length})`, `v (${u.velocity})`, `a (${u.acceleration})`, ...(phased ? ['phase'] : [])],
+        rows: indexes.map(i => [f(data.times[i]), f(data.xs[i]), f(data.vs[i]), f(data.as[i]), ...(phased ? [String(data.phases[i])] : [])]),
+    };
+}
+
+/**
+ * Build the complete report document.
+ * @param {{title?:string, author?:string, date?:string, pageSize?:string, notes?:string,
+ *   parameters:Array<{label:string, value:string}>, data:Object, units?:Object}} report
+ *   `data` is in SI and either `{mode:'linear', times, xs, vs, as, phases?, raw?:{xs, vs, as}}` (raw measured
+ *   samples for imported data), `{mode:'rotational', times, xs, vs, as, phases?, radius}` (θ, ω and α in rad, radius in m)
+ *   or `{mode:'projectile', times, xs, ys, vxs, vys, summary, g, truncated?}`.
+ *   `units` (default SI) selects the units of the charts, derived quantities and table.
+ *   Empty notes print ruled lines for handwriting.
+ * @returns {string} HTML document
+ */
+function buildReportHtml(report) {
+    const title = (report.title || '').trim() || DEFAULT_REPORT_TITLE;
+    const pageSize = REPORT_PAGE_SIZES.includes(report.pageSize) ? report.pageSize : 'A4';
+    const { data } = report;
+    const units = report.units || SI_UNITS;
+    const u = unitLabels(units);
+    const shown = convertData(data, units);
+    const table = reportTable(shown, u);
+    const listRows = (rows) => rows.map(r => `<tr><th>${escapeHtml(r.label)}</th><td>${escapeHtml(r.value)}</td></tr>`).join('');
+    const meta = [report.author && `Author: ${escapeHtml(report.author)}`, report.date && `Date: ${escapeHtml(report.date)}`].filter(Boolean).join(' · ');
+    const notes = (report.notes || '').trim();
+    const notesHtml = notes
+        ? notes.split(/\n\s*\n/).map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('')
+        : '<div class="ruled"></div>'.repeat(8);
+    const truncated = data.truncated ? '<p class="hint">The data was truncated to the sample limit – use a larger time step for the full motion.</p>' : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+@page { size: ${pageSize}; margin: 16mm 14mm; }
+body { font-family: Arial, sans-serif; color: #263238; font-size: 11pt; margin: 0; }
+h1 { font-size: 20pt; margin: 0 0 4px; }
+h2 { font-size: 13pt; margin: 18px 0 8px; border-bottom: 1px solid #cfd8dc; padding-bottom: 3px; }
+.meta { color: #586673; font-size: 10pt; }
+table.kv { border-collapse: collapse; }
+table.kv th { text-align: left; font-weight: 400; color: #586673; padding: 2px 18px 2px 0; vertical-align: top; }
+table.kv td { padding: 2px 0; }
+.charts { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+.charts svg { width: 100%; height: auto; break-inside: avoid; }
+table.data { border-collapse: collapse; width: 100%; font-family: monospace; font-size: 8.5pt; }
+table.data th, table.data td { border-bottom: 1px solid #eceff1; padding: 2px 6px; text-align: right; }
+table.data thead { display: table-header-group; }
+table.data thead th { border-bottom: 1px solid #90a4ae; background: #f5f7f9; }
+table.data tr { break-inside: avoid; }
+.ruled { border-bottom: 1px solid #b0bec5; height: 28px; }
+.hint { color: #900; font-size: 9pt; }
+section { break-inside: avoid-page; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+${meta ? `<div class="meta">${meta}</div>` : ''}
+</header>
+<section>
+<h2>Parameters</h2>
+<table class="kv">${listRows(report.parameters || [])}</table>
+</section>
+<h2>Charts</h2>
+<div class="charts">${reportCharts(shown, u).join('\n')}</div>
+<section>
+<h2>Derived quantities</h2>
+<table class="kv">${listRows(derivedQuantities(data, units))}</table>
+</section>
+<h2>Notes</h2>
+${notesHtml}
+<h2>Data (${data.times.length} samples)</h2>
+${truncated}
+<table class="data">
+<thead><tr>${table.headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+<tbody>
+${table.rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+export {
+    REPORT_PAGE_SIZES,
+    DEFAULT_REPORT_TITLE,
+    REPORT_CHART_POINTS,
+    escapeHtml,
+    describeScenario,
+    describeImport,
+    derivedQuantities,
+    svgChart,
+    buildReportHtml,
+};
@@ -0,0 +1,335 @@
+/**
+ * resources/js/permalink.js
+ * KINESO — shareable scenario links
+ *
+ * Serialises a scenario (form values, motion phases, force terms, further bodies, hand-dragged
+ * points, the drag flag and chart display settings, including events) into a compact URL fragment of the
+ * form `#v<version>.<base64url JSON>` and back.
+ *
+ * Drags are stored as the edit operations that produced them (including the
+ * drag mode and locks, see `drag-modes.js`) rather than as data arrays;
+ * replaying them on the regenerated series gives the same points and keeps
+ * links short. Links from older versions are upgraded through
+ * `MIGRATIONS` so they keep working after the format changes.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+import { UNITS, UNIT_SYSTEMS } from './units.js';
+import { INTEGRATORS } from './integrators.js';
+import { FORCE_TERMS, MAX_FORCES } from './dynamics.js';
+
+/** Current link format version. */
+const PERMALINK_VERSION = 1;
+
+/** Longest fragment accepted or produced; most chat tools and browsers handle this safely. */
+const MAX_FRAGMENT_LENGTH = 8000;
+
+/** Limits on the number of phases, further bodies and drag edits in one link. */
+const MAX_LINK_SEGMENTS = 50;
+const MAX_LINK_BODIES = 10;
+const MAX_LINK_DRAGS = 300;
+
+/** Longest body name kept in a link. */
+const MAX_BODY_NAME = 20;
+
+/** Form fields stored in a link, with their validators. */
+const FORM_FIELDS = {
+    mode: (v) => ['linear', 'projectile', 'dynamics', 'rotational'].includes(v),
+    exprKind: (v) => ['', 'a', 'v', 'x'].includes(v),
+    expr: (v) => v.length <= 500,
+    x0: isNumberText,
+    v0: isNumberText,
+    a: isNumberText,
+    t1: isNumberText,
+    speed: isNumberText,
+    angle: isNumberText,
+    h: isNumberText,
+    g: isNumberText,
+    mass: isNumberText,
+    radius: isNumberText,
+    integrator: (v) => hasKey(INTEGRATORS, v),
+    bodyName: (v) => v.length <= MAX_BODY_NAME,
+    frame: (v) => v === '' || /^\d{1,2}$/.test(v),
+    // unit choice; values above are in these units. Links without them are SI.
+    unitSystem: (v) => hasKey(UNIT_SYSTEMS, v),
+    lengthUnit: (v) => v === '' || hasKey(UNITS.length, v),
+    velocityUnit: (v) => v === '' || hasKey(UNITS.velocity, v),
+    accelUnit: (v) => v === '' || hasKey(UNITS.acceleration, v),
+    angleUnit: (v) => hasKey(UNITS.angle, v),
+};
+
+const CHART_CODES = { position: 'x', velocity: 'v', acceleration: 'a' };
+const DRAG_MODE_CODES = { brush: 'b', endpoints: 'e', slide: 's' };
+const MAX_DRAG_WIDTH = 50;
+const FIT_MODELS = ['linear', 'quadratic', 'piecewise'];
+const EVENT_KINDS = ['x', 'v', 'a', 'start'];
+const MAX_LINK_EVENTS = 8;
+
+/**
+ * Upgrade steps keyed by the version they upgrade *from*: `MIGRATIONS[n]`
+ * turns a decoded version-n payload into a version n+1 payload. Add one
+ * whenever `PERMALINK_VERSION` is bumped.
+ * @type {Object<number, (payload:Object) => Object>}
+ */
+const MIGRATIONS = {};
+
+/** Error raised for links that cannot be produced or restored. */
+class PermalinkError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermalinkError';
+    }
+}
+
+/**
+ * Whether a form value is empty or a finite number.
+ * @param {string} v
+ * @returns {boolean}
+ */
+function isNumberText(v) {
+    return v.trim() === '' || (v.length <= 40 && Number.isFinite(Number(v)));
+}
+
+/**
+ * Whether `key` is an own key of `table` (unit tables are plain objects).
+ * @param {Object} table
+ * @param {string} key
+ * @returns {boolean}
+ */
+function hasKey(table, key) {
+    return Object.prototype.hasOwnProperty.call(table, key);
+}
+
+/**
+ * Base64url-encode a UTF-8 string.
+ * @param {string} text
+ * @returns {string}
+ */
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let bin = '';
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string to UTF-8 text.
+ * @param {string} data
+ * @returns {string}
+ */
+function fromBase64Url(data) {
+    const bin = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
+
+/**
+ * Compact form of a drag edit: `[chart, index, value]` for a single point without
+ * locks, otherwise `[chart, index, value, mode, width, locks]` with the mode as a
+ * letter (`p` for a single point) and the locks as bits (1: x0, 2: v0). A slide
+ * stores its shift in place of the value, which it does not use.
+ * @param {{chart:string, index:number, value:number, mode?:string, width?:number, shift?:number, locks?:{x0?:boolean, v0?:boolean}}} d
+ * @returns {Array}
+ */
+function encodeDrag(d) {
+    const round = (v) => Number(Number(v).toFixed(6));
+    const locks = d.locks || {};
+    const lockBits = (locks.x0 ? 1 : 0) | (locks.v0 ? 2 : 0);
+    const code = DRAG_MODE_CODES[d.mode];
+    if (!code && !lockBits) return [CHART_CODES[d.chart], d.index, round(d.value)];
+    const value = d.mode === 'slide' ? Math.round(d.shift || 0) : round(d.value);
+    return [CHART_CODES[d.chart], d.index, value, code || 'p', code ? d.width : 0, lockBits];
+}
+
+/**
+ * Expand and check a compact drag edit made by `encodeDrag`.
+ * @param {*} d
+ * @returns {{chart:'position'|'velocity'|'acceleration', index:number, value:number,
+ *   mode?:'brush'|'endpoints'|'slide', width?:number, shift?:number, locks?:{x0:boolean, v0:boolean}}}
+ * @throws {PermalinkError}
+ */
+function decodeDrag(d) {
+    const bad = () => new PermalinkError('The link contains an invalid dragged point.');
+    const charts = Object.fromEntries(Object.entries(CHART_CODES).map(([name, code]) => [code, name]));
+    const modes = Object.fromEntries(Object.entries(DRAG_MODE_CODES).map(([name, code]) => [code, name]));
+    if (!Array.isArray(d) || (d.length !== 3 && d.length !== 6) || !charts[d[0]] || !Number.isInteger(d[1]) || d[1] < 0 || !Number.isFinite(d[2])) throw bad();
+    const drag = { chart: charts[d[0]], index: d[1], value: d[2] };
+    if (d.length === 3) return drag;
+    const [, , , mode, width, lockBits] = d;
+    if ((mode !== 'p' && !modes[mode]) || !Number.isInteger(width) || width < 0 || width > MAX_DRAG_WIDTH || !Number.isInteger(lockBits) || lockBits < 0 || lockBits > 3) throw bad();
+    if (modes[mode]) Object.assign(drag, { mode: modes[mode], width });
+    if (mode === 's') {
+        // a slide stores its shift (whole samples) in place of a value
+        if (!Number.isInteger(d[2])) throw bad();
+        drag.shift = d[2];
+        drag.value = 0;
+    }
+    if (lockBits) drag.locks = { x0: (lockBits & 1) === 1, v0: (lockBits & 2) === 2 };
+    return drag;
+}
+
+/**
+ * Compact form of a force term: its kind followed by its parameters in the order of `FORCE_TERMS`.
+ * @param {{kind:string}} term
+ * @returns {Array}
+ */
+function encodeForce(term) {
+    const round = (v) => Number(Number(v).toFixed(6));
+    return [term.kind, ...Object.keys(FORCE_TERMS[term.kind].params).map(name => round(term[name]))];
+}
+
+/**
+ * Expand and check a compact force term made by `encodeForce`.
+ * @param {*} f
+ * @returns {{kind:string}}
+ * @throws {PermalinkError}
+ */
+function decodeForce(f) {
+    const def = Array.isArray(f) && hasKey(FORCE_TERMS, f[0]) ? FORCE_TERMS[f[0]] : null;
+    const names = def ? Object.keys(def.params) : [];
+    if (!def || f.length !== names.length + 1 || !f.slice(1).every(Number.isFinite)) throw new PermalinkError('The link contains an invalid force term.');
+    return Object.fromEntries([['kind', f[0]], ...names.map((name, i) => [name, f[i + 1]])]);
+}
+
+/**
+ * Build the URL fragment (without `#`) for a scenario.
+ * @param {{form:Object<string,string>, segments?:Array<{duration:number, kind:string, value:number}>,
+ *   forces?:Array<{kind:string}>,
+ *   bodies?:Array<{name:string, x0:number, v0:number, a:number}>,
+ *   drags?:Array<{chart:string, index:number, value:number, mode?:string, width?:number, shift?:number, locks?:Object}>, dragEnabled?:boolean,
+ *   display?:{fit?:string|null, events?:Array<{kind:string, value:number}>}}} scenario
+ * @returns {string}
+ * @throws {PermalinkError} when the scenario does not fit in a link
+ */
+function encodeScenario(scenario) {
+    const round = (v) => Number(Number(v).toFixed(6));
+    const form = {};
+    for (const name of Object.keys(FORM_FIELDS)) {
+        if (scenario.form[name] !== undefined && scenario.form[name] !== null) form[name] = String(scenario.form[name]);
+    }
+    const segments = scenario.segments || [];
+    const forces = scenario.forces || [];
+    const bodies = scenario.bodies || [];
+    const drags = scenario.drags || [];
+    if (segments.length > MAX_LINK_SEGMENTS) throw new PermalinkError(`Too many motion phases for a link (max ${MAX_LINK_SEGMENTS}).`);
+    if (forces.length > MAX_FORCES) throw new PermalinkError(`Too many force terms for a link (max ${MAX_FORCES}).`);
+    if (bodies.length > MAX_LINK_BODIES) throw new PermalinkError(`Too many bodies for a link (max ${MAX_LINK_BODIES}).`);
+    if (drags.length > MAX_LINK_DRAGS) throw new PermalinkError(`Too many dragged points for a link (max ${MAX_LINK_DRAGS} edits).`);
+    const payload = { f: form };
+    if (segments.length) payload.p = segments.map(s => [round(s.duration), s.kind === 'target' ? 't' : 'a', round(s.value)]);
+    if (forces.length) payload.k = forces.map(encodeForce);
+    if (bodies.length) payload.b = bodies.map(b => [String(b.name).slice(0, MAX_BODY_NAME), round(b.x0), round(b.v0), round(b.a)]);
+    if (drags.length) payload.d = drags.map(encodeDrag);
+    if (scenario.dragEnabled) payload.e = 1;
+    const display = scenario.display || {};
+    const events = (display.events || []).slice(0, MAX_LINK_EVENTS);
+    if (display.fit || events.length) payload.c = {};
+    if (display.fit) payload.c.fit = display.fit;
+    if (events.length) payload.c.ev = events.map(ev => ev.kind === 'start' ? [ev.kind] : [ev.kind, round(ev.value)]);
+    const fragment = `v${PERMALINK_VERSION}.` + toBase64Url(JSON.stringify(payload));
+    if (fragment.length > MAX_FRAGMENT_LENGTH) throw new PermalinkError('This scenario is too large for a link – try fewer dragged points or phases.');
+    return fragment;
+}
+
+/**
+ * Restore a scenario from a URL fragment.
+ * @param {string} fragment - `location.hash`, with or without the leading `#`
+ * @returns {{form:Object<string,string>, segments:Array<{duration:number, kind:'accel'|'target', value:number}>,
+ *   forces:Array<{kind:string}>, bodies:Array<{name:string, x0:number, v0:number, a:number}>,
+ *   drags:Array<{chart:'position'|'velocity'|'acceleration', index:number, value:number,
+ *     mode?:'brush'|'endpoints'|'slide', width?:number, shift?:number, locks?:{x0:boolean, v0:boolean}}>, dragEnabled:boolean,
+ *   display:{fit:string|null, events:Array<{kind:'x'|'v'|'a'|'start', value:number}>}}|null}
+ *   the scenario, or null when the fragment is empty
+ * @throws {PermalinkError} for malformed, oversized or unsupported links
+ */
+function decodeScenario(fragment) {
+    const text = String(fragment || '').replace(/^#/, '');
+    if (!text) return null;
+    if (text.length > MAX_FRAGMENT_LENGTH) throw new PermalinkError('The link is too long.');
+    const m = /^v(\d+)\.([A-Za-z0-9_-]+)$/.exec(text);
+    if (!m) throw new PermalinkError('The link is not a KINESO scenario.');
+    let version = Number(m[1]);
+    if (version < 1) throw new PermalinkError('Unknown link version.');
+    if (version > PERMALINK_VERSION) throw new PermalinkError('The link was made by a newer version of KINESO – reload the page.');
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(m[2]));
+    } catch (err) {
+        throw new PermalinkError('The link is damaged (it may have been cut off when copying).');
+    }
+    while (version < PERMALINK_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) throw new PermalinkError('Unsupported link version.');
+        payload = migrate(payload);
+        version++;
+    }
+    return validatePayload(payload);
+}
+
+/**
+ * Check a current-version payload and expand it into a scenario.
+ * Unknown keys are ignored; known keys with bad values reject the link.
+ * @param {*} payload
+ * @returns {Object} scenario as returned by `decodeScenario`
+ * @throws {PermalinkError}
+ */
+function validatePayload(payload) {
+    const bad = (what) => new PermalinkError(`The link contains an invalid ${what}.`);
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (!isObject(payload) || !isObject(payload.f)) throw bad('scenario');
+
+    const form = {};
+    for (const [name, check] of Object.entries(FORM_FIELDS)) {
+        if (!(name in payload.f)) continue;
+        const value = payload.f[name];
+        if (typeof value !== 'string' || !check(value)) throw bad(`value for "${name}"`);
+        form[name] = value;
+    }
+
+    const segments = payload.p || [];
+    if (!Array.isArray(segments) || segments.length > MAX_LINK_SEGMENTS) throw bad('phase list');
+    const expandedSegments = segments.map(s => {
+        if (!Array.isArray(s) || s.length !== 3 || !Number.isFinite(s[0]) || s[0] < 0 || !['a', 't'].includes(s[1]) || !Number.isFinite(s[2])) throw bad('motion phase');
+        return { duration: s[0], kind: s[1] === 't' ? 'target' : 'accel', value: s[2] };
+    });
+
+    const forces = payload.k || [];
+    if (!Array.isArray(forces) || forces.length > MAX_FORCES) throw bad('list of force terms');
+    const expandedForces = forces.map(decodeForce);
+
+    const bodies = payload.b || [];
+    if (!Array.isArray(bodies) || bodies.length > MAX_LINK_BODIES) throw bad('list of bodies');
+    const expandedBodies = bodies.map(b => {
+        if (!Array.isArray(b) || b.length !== 4 || typeof b[0] !== 'string' || !b[0].trim() || b[0].length > MAX_BODY_NAME || !b.slice(1).every(Number.isFinite)) throw bad('body');
+        return { name: b[0], x0: b[1], v0: b[2], a: b[3] };
+    });
+
+    const drags = payload.d || [];
+    if (!Array.isArray(drags) || drags.length > MAX_LINK_DRAGS) throw bad('list of dragged points');
+    const expandedDrags = drags.map(decodeDrag);
+
+    const display = payload.c || {};
+    if (!isObject(display)) throw bad('chart setting');
+    if (display.fit !== undefined && !FIT_MODELS.includes(display.fit)) throw bad('fit model');
+    const events = display.ev || [];
+    if (!Array.isArray(events) || events.length > MAX_LINK_EVENTS) throw bad('list of events');
+    const expandedEvents = events.map(ev => {
+        if (!Array.isArray(ev) || !EVENT_KINDS.includes(ev[0])) throw bad('event');
+        if (ev[0] === 'start') return { kind: 'start', value: 0 };
+        if (ev.length !== 2 || !Number.isFinite(ev[1])) throw bad('event');
+        return { kind: ev[0], value: ev[1] };
+    });
+
+    return {
+        form,
+        segments: expandedSegments,
+        forces: expandedForces,
+        bodies: expandedBodies,
+        drags: expandedDrags,
+        dragEnabled: payload.e === 1,
+        display: { fit: display.fit || null, events: expandedEvents },
+    };
+}
+
+export { PERMALINK_VERSION, MAX_FRAGMENT_LENGTH, PermalinkError, encodeDrag, decodeDrag, encodeForce, decodeForce, encodeScenario, decodeScenario };
@@ -0,0 +1,85 @@
+/**
+ * resources/js/playback.js
+ * KINESO — playback clock and sampling helpers
+ *
+ * Pure helpers behind the animated playback: interpolating a sampled series
+ * at an arbitrary time, advancing the playback clock (with optional looping)
+ * and stepping between samples.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+/** Playback speeds offered in the UI (multiples of real time). */
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Index of the last sample at or before `t` (0 when `t` precedes all samples).
+ * @param {number[]} times - increasing sample times
+ * @param {number} t
+ * @returns {number}
+ */
+function sampleIndexAt(times, t) {
+    let lo = 0, hi = times.length - 1;
+    if (hi < 0 || t <= times[0]) return 0;
+    if (t >= times[hi]) return hi;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (times[mid] <= t) lo = mid; else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Linearly interpolate a sampled series at time `t`, clamped to the first / last sample.
+ * @param {number[]} times - increasing sample times
+ * @param {number[]} values
+ * @param {number} t
+ * @returns {number} interpolated value (NaN for an empty series)
+ */
+function sampleAt(times, values, t) {
+    const n = times.length;
+    if (!n) return NaN;
+    const i = sampleIndexAt(times, t);
+    if (i >= n - 1 || t <= times[0]) return values[i];
+    const span = times[i + 1] - times[i];
+    const f = span > 0 ? (t - times[i]) / span : 0;
+    return values[i] + f * (values[i + 1] - values[i]);
+}
+
+/**
+ * Advance the playback clock.
+ * @param {number} t - current playback time (s)
+ * @param {number} elapsed - real time since the last frame (s)
+ * @param {number} speed - playback speed multiplier
+ * @param {number} t0 - first sample time
+ * @param {number} t1 - last sample time
+ * @param {boolean} loop - wrap to `t0` instead of stopping at `t1`
+ * @returns {{t:number, ended:boolean}} new time; `ended` when playback stopped at `t1`
+ */
+function advanceClock(t, elapsed, speed, t0, t1, loop) {
+    const span = t1 - t0;
+    const next = t + Math.max(0, elapsed) * speed;
+    if (next < t1) return { t: next, ended: false };
+    if (!loop || span <= 0) return { t: t1, ended: true };
+    return { t: t0 + ((next - t0) % span), ended: false };
+}
+
+/**
+ * Time of the neighbouring sample, for single-step controls.
+ * @param {number[]} times - increasing sample times
+ * @param {number} t - current time
+ * @param {1|-1} direction
+ * @returns {number} next (or previous) sample time, clamped to the series
+ */
+function stepTime(times, t, direction) {
+    if (!times.length) return t;
+    const i = sampleIndexAt(times, t);
+    if (direction > 0) {
+        const j = times[i] > t ? i : i + 1;
+        return times[Math.min(times.length - 1, j)];
+    }
+    const j = times[i] < t ? i : i - 1;
+    return times[Math.max(0, j)];
+}
+
+export { PLAYBACK_SPEEDS, sampleIndexAt, sampleAt, advanceClock, stepTime };
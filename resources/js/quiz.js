@@ -0,0 +1,313 @@
+/**
+ * resources/js/quiz.js
+ * KINESO — practice problems
+ *
+ * Generates randomized kinematics problems from `QUIZ_TEMPLATES` and checks
+ * answers. The ground truth of every problem comes from the same helpers the
+ * page uses (`computeKinematics`, `computePiecewiseKinematics`, the event
+ * solver), so problems and graphs always agree with the simulator.
+ *
+ * Problems are drawn from a seeded generator: the same seed gives the same
+ * problem set on every computer, so a class can share one quiz. Numeric answers
+ * are checked against a tolerance and the significant-figure rule (no fewer
+ * figures than the least precise given value, and at most one more); sketched
+ * graphs point by point.
+ *
+ * Values are in SI. This module has no DOM or Chart.js dependencies.
+ */
+
+import { computeKinematics, computePiecewiseKinematics, computeAFromV, resolveSegments } from './kinematics-core.js';
+import { constantPieces, solveEvent } from './events.js';
+
+/** Problems in a quiz unless asked otherwise. */
+const DEFAULT_QUIZ_LENGTH = 5;
+
+/** Most problems in one quiz. */
+const MAX_QUIZ_LENGTH = 20;
+
+/** Relative tolerance of numeric answers, on top of the rounding the significant figures allow. */
+const ANSWER_TOLERANCE = 0.02;
+
+/**
+ * Pseudo-random generator (mulberry32) seeded from any string, e.g. a class code.
+ * @param {string|number} seed
+ * @returns {() => number} generator of numbers in [0, 1)
+ */
+function createRng(seed) {
+    // FNV-1a hash of the seed text
+    let h = 2166136261;
+    for (const ch of String(seed)) {
+        h ^= ch.codePointAt(0);
+        h = Math.imul(h, 16777619);
+    }
+    let state = h >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A fresh seed of six letters and digits, easy to read out to a class.
+ * @param {() => number} [random=Math.random]
+ * @returns {string}
+ */
+function randomSeed(random = Math.random) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let seed = '';
+    for (let i = 0; i < 6; i++) seed += alphabet[Math.floor(random() * alphabet.length)];
+    return seed;
+}
+
+/**
+ * A value from lo to hi in steps of `step`, chosen by `rng`.
+ * @param {() => number} rng
+ * @param {number} lo
+ * @param {number} hi
+ * @param {number} step
+ * @returns {number}
+ */
+function between(rng, lo, hi, step) {
+    const n = Math.round((hi - lo) / step) + 1;
+    return Number((lo + step * Math.floor(rng() * n)).toFixed(6));
+}
+
+/**
+ * Number of significant figures in a typed number. Trailing zeros of a whole
+ * number without a decimal point (`1200`) are not counted.
+ * @param {string} text
+ * @returns {number} 0 when `text` is not a number
+ */
+function significantFigures(text) {
+    const m = /^[+-]?(\d*)(?:\.(\d*))?(?:e[+-]?\d+)?$/i.exec(String(text).trim());
+    if (!m || !(m[1] || m[2])) return 0;
+    const whole = m[1] || '', frac = m[2];
+    if (frac === undefined) {
+        const digits = whole.replace(/^0+/, '').replace(/0+$/, '');
+        return Math.max(digits.length, 1);
+    }
+    const digits = (whole + frac).replace(/^0+/, '');
+    return Math.max(digits.length, 1);
+}
+
+/**
+ * Round to a number of significant figures, as text (`18.75`, 2 → `19`).
+ * @param {number} value
+ * @param {number} figures
+ * @returns {string}
+ */
+function toSignificant(value, figures) {
+    if (value === 0) return (0).toFixed(Math.max(figures - 1, 0));
+    const digits = figures - 1 - Math.floor(Math.log10(Math.abs(value)));
+    return digits > 0 ? value.toFixed(Math.min(digits, 20)) : String(Math.round(value / 10 ** -digits) * 10 ** -digits);
+}
+
+/** Format a given value with one decimal, e.g. `4.0`. */
+const given = (v) => v.toFixed(1);
+
+/** A given value as a term in a formula: negative values in parentheses. */
+const term = (v) => (v < 0 ? `(${given(v)})` : given(v));
+
+/** Significant figures expected in an answer: those of the least precise given value. */
+const figuresOf = (...values) => Math.min(...values.map(v => significantFigures(given(v))));
+
+/**
+ * Problem templates. `generate(rng)` returns the problem text, optional graph,
+ * answer and worked solution; `label` names the template in the page.
+ *
+ * A numeric answer is `{kind:'number', value, unit, figures}`; a sketch is
+ * `{kind:'sketch', quantity, times, values, tolerance, unit}`, checked at each time.
+ * A graph is `{quantity, times, values, unit}`.
+ */
+const QUIZ_TEMPLATES = {
+    displacement: {
+        label: 'Displacement',
+        generate(rng) {
+            const v0 = between(rng, 1, 6, 0.5), a = between(rng, 1, 4, 0.5), t = between(rng, 2, 8, 0.5);
+            const { xs } = computeKinematics(0, v0, a, 0, t, t);
+            const dx = xs[xs.length - 1];
+            const figures = figuresOf(v0, a, t);
+            return {
+                prompt: `A cart moving at ${given(v0)} m/s speeds up uniformly at ${given(a)} m/s² for ${given(t)} s. How far does it travel in that time?`,
+                answer: { kind: 'number', value: dx, unit: 'm', figures },
+                solution: [
+                    'Constant acceleration: Δx = v0·t + ½·a·t²',
+                    `Δx = ${given(v0)} × ${given(t)} + ½ × ${given(a)} × ${given(t)}² = ${v0 * t} + ${0.5 * a * t * t}`,
+                    `Δx = ${toSignificant(dx, figures)} m (${figures} significant figures)`,
+                ],
+            };
+        },
+    },
+    finalVelocity: {
+        label: 'Final velocity',
+        generate(rng) {
+            const v0 = between(rng, 1, 12, 0.5), t = between(rng, 2, 6, 0.5);
+            let a = between(rng, 1, 3, 0.5) * (rng() < 0.5 ? -1 : 1);
+            // keep the answer away from zero, where relative checks break down
+            if (Math.abs(v0 + a * t) < 0.5) a = -a;
+            const { vs } = computeKinematics(0, v0, a, 0, t, t);
+            const v = vs[vs.length - 1];
+            const figures = figuresOf(v0, a, t);
+            return {
+                prompt: `A ball moves at ${given(v0)} m/s. It accelerates at ${given(a)} m/s² for ${given(t)} s. What is its velocity then? (Use a minus sign for motion backwards.)`,
+                answer: { kind: 'number', value: v, unit: 'm/s', figures },
+                solution: [
+                    'Constant acceleration: v = v0 + a·t',
+                    `v = ${given(v0)} + ${term(a)} × ${given(t)}`,
+                    `v = ${toSignificant(v, figures)} m/s (${figures} significant figures)`,
+                ],
+            };
+        },
+    },
+    stoppingDistance: {
+        label: 'Stopping distance',
+        generate(rng) {
+            const v0 = between(rng, 10, 30, 1), d = between(rng, 2, 8, 0.5);
+            // the stopping time is where v = 0, found by the event solver
+            const tEnd = 2 * v0 / d;
+            const pieces = constantPieces({ x0: 0, v0, a: -d, t0: 0, t1: tEnd });
+            const [stop] = solveEvent({ kind: 'v', value: 0 }, { times: [0, tEnd], xs: [], vs: [], as: [], pieces });
+            const { xs } = computeKinematics(0, v0, -d, 0, stop.t, stop.t);
+            const dx = xs[xs.length - 1];
+            const figures = figuresOf(v0, d);
+            return {
+                prompt: `A car travelling at ${given(v0)} m/s brakes with a constant deceleration of ${given(d)} m/s². How far does it travel before it stops?`,
+                answer: { kind: 'number', value: dx, unit: 'm', figures },
+                solution: [
+                    `It stops when v = v0 − d·t = 0, at t = v0 / d = ${given(v0)} / ${given(d)} = ${toSignificant(stop.t, figures + 1)} s`,
+                    'Distance: Δx = v0·t − ½·d·t², or directly Δx = v0² / (2·d)',
+                    `Δx = ${given(v0)}² / (2 × ${given(d)}) = ${toSignificant(dx, figures)} m (${figures} significant figures)`,
+                ],
+            };
+        },
+    },
+    accelerationFromGraph: {
+        label: 'Acceleration from a graph',
+        generate(rng) {
+            const t1 = between(rng, 4, 8, 1), v0 = between(rng, -4, 4, 1);
+            const a = between(rng, 0.5, 3, 0.5) * (rng() < 0.5 ? -1 : 1);
+            const { times, vs } = computeKinematics(0, v0, a, 0, t1, 1);
+            // the slope of the sampled graph, as the page's finite differences give it
+            const slope = computeAFromV(vs, 1)[0];
+            const figures = 2;
+            return {
+                prompt: 'The graph shows the velocity of a trolley. What is its acceleration?',
+                graph: { quantity: 'v', times, values: vs, unit: 'm/s' },
+                answer: { kind: 'number', value: slope, unit: 'm/s²', figures },
+                solution: [
+                    'The acceleration is the slope of the v(t) graph; the line is straight, so a is constant.',
+                    `a = Δv / Δt = (${term(vs[vs.length - 1])} − ${term(vs[0])}) / (${given(times[times.length - 1])} − 0)`,
+                    `a = ${toSignificant(slope, figures)} m/s² (read from a graph: ${figures} significant figures)`,
+                ],
+            };
+        },
+    },
+    sketchVelocity: {
+        label: 'Sketch v(t) from x(t)',
+        generate(rng) {
+            const v0 = between(rng, -2, 3, 1);
+            const phases = 2 + Math.floor(rng() * 2);
+            const segments = [];
+            for (let i = 0; i < phases; i++) {
+                segments.push({ duration: between(rng, 2, 3, 1), kind: 'accel', value: rng() < 0.25 ? 0 : between(rng, 0.5, 2, 0.5) * (rng() < 0.5 ? -1 : 1) });
+            }
+            const curve = computePiecewiseKinematics(0, v0, segments, 0, 0.25);
+            const nodes = computePiecewiseKinematics(0, v0, segments, 0, 1);
+            const maxSpeed = Math.max(...nodes.vs.map(Math.abs));
+            const pieces = resolveSegments(0, v0, segments, 0);
+            return {
+                prompt: 'The graph shows x(t) for a toy car. Sketch its velocity: drag the points of the answer graph (or type the values) to v at each whole second.',
+                graph: { quantity: 'x', times: curve.times, values: curve.xs, unit: 'm' },
+                answer: { kind: 'sketch', quantity: 'v', times: nodes.times, values: nodes.vs, tolerance: Math.max(0.5, 0.1 * maxSpeed), unit: 'm/s' },
+                solution: [
+                    'v(t) is the slope of x(t): a straight stretch means constant v, a curve bending up means v increases.',
+                    ...pieces.map(p => `${given(p.t0)}–${given(p.t1)} s: a = ${given(p.a)} m/s², v goes from ${given(p.v0)} to ${given(p.v0 + p.a * (p.t1 - p.t0))} m/s`),
+                ],
+            };
+        },
+    },
+};
+
+/**
+ * Generate a quiz. Problem k depends only on the seed and k, so the whole class
+ * gets the same problems in the same order.
+ * @param {string} seed
+ * @param {number} [count=DEFAULT_QUIZ_LENGTH] - clamped to 1..MAX_QUIZ_LENGTH
+ * @param {string[]} [templates] - keys of `QUIZ_TEMPLATES` to draw from (all by default)
+ * @returns {Array<{number:number, template:string, label:string, prompt:string, graph?:Object, answer:Object, solution:string[]}>}
+ */
+function generateQuiz(seed, count = DEFAULT_QUIZ_LENGTH, templates = Object.keys(QUIZ_TEMPLATES)) {
+    const ids = templates.filter(id => Object.prototype.hasOwnProperty.call(QUIZ_TEMPLATES, id));
+    if (!ids.length) return [];
+    const n = Math.min(Math.max(Math.round(count) || DEFAULT_QUIZ_LENGTH, 1), MAX_QUIZ_LENGTH);
+    const problems = [];
+    for (let k = 0; k < n; k++) {
+        const rng = createRng(`${seed}:${k}`);
+        // cycle through the templates in a seeded order so a short quiz still mixes them
+        const id = ids[(k + Math.floor(createRng(seed)() * ids.length)) % ids.length];
+        problems.push({ number: k + 1, template: id, label: QUIZ_TEMPLATES[id].label, ...QUIZ_TEMPLATES[id].generate(rng) });
+    }
+    return problems;
+}
+
+/**
+ * Check a typed numeric answer. It is correct when it lies within
+ * `ANSWER_TOLERANCE` of the truth (widened by the rounding its expected
+ * significant figures allow) and has between `figures` and `figures + 1`
+ * significant figures.
+ * @param {string} text - the answer as typed
+ * @param {{value:number, unit:string, figures:number}} answer
+ * @returns {{correct:boolean, valueOk:boolean, figuresOk:boolean, message:string}}
+ */
+function checkNumericAnswer(text, answer) {
+    const typed = String(text).trim().replace(',', '.');
+    const value = Number(typed);
+    if (!typed || !Number.isFinite(value) || !significantFigures(typed)) {
+        return { correct: false, valueOk: false, figuresOk: false, message: 'Type a number (without the unit).' };
+    }
+    const truth = answer.value;
+    const rounding = 0.5 * 10 ** (Math.floor(Math.log10(Math.abs(truth) || 1)) - answer.figures + 1);
+    const valueOk = Math.abs(value - truth) <= Math.max(ANSWER_TOLERANCE * Math.abs(truth), rounding) + 1e-12;
+    const figures = significantFigures(typed);
+    const figuresOk = figures >= answer.figures && figures <= answer.figures + 1;
+    let message;
+    if (valueOk && figuresOk) message = 'Correct.';
+    else if (valueOk) message = `Right value, but give ${answer.figures} significant figures (you gave ${figures}).`;
+    else if (Math.sign(value) !== Math.sign(truth) && Math.abs(Math.abs(value) - Math.abs(truth)) <= ANSWER_TOLERANCE * Math.abs(truth)) message = 'Check the sign.';
+    else message = 'Not quite – try again or show the solution.';
+    return { correct: valueOk && figuresOk, valueOk, figuresOk, message };
+}
+
+/**
+ * Check a sketched graph point by point.
+ * @param {number[]} values - sketched values at `answer.times`
+ * @param {{values:number[], tolerance:number}} answer
+ * @returns {{correct:boolean, wrong:number[], message:string}} `wrong` lists the indexes outside the tolerance
+ */
+function checkSketch(values, answer) {
+    const wrong = [];
+    answer.values.forEach((truth, i) => {
+        if (!(Math.abs(Number(values[i]) - truth) <= answer.tolerance + 1e-12)) wrong.push(i);
+    });
+    const message = wrong.length
+        ? `${wrong.length} of ${answer.values.length} points are off by more than ${toSignificant(answer.tolerance, 2)} ${answer.unit || ''}.`.replace(' .', '.')
+        : 'Correct – every point is within tolerance.';
+    return { correct: wrong.length === 0, wrong, message };
+}
+
+export {
+    DEFAULT_QUIZ_LENGTH,
+    MAX_QUIZ_LENGTH,
+    ANSWER_TOLERANCE,
+    QUIZ_TEMPLATES,
+    createRng,
+    randomSeed,
+    significantFigures,
+    toSignificant,
+    generateQuiz,
+    checkNumericAnswer,
+    checkSketch,
+};
@@ -0,0 +1,65 @@
+/**
+ * resources/js/rotation.js
+ * KINESO — rotation about a fixed axis
+ *
+ * Rotational mode reuses the 1D pipeline with θ, ω and α in place of x, v
+ * and a: a scenario's `x0`, `v0` and `a` (and its phases and expressions)
+ * are then an angle, angular velocity and angular acceleration in rad, rad/s
+ * and rad/s². This module derives what a point at distance `radius` from the
+ * axis does: its speed r·ω, tangential acceleration r·α, centripetal
+ * acceleration r·ω² (towards the axis) and the revolutions turned since the start.
+ *
+ * Values are in SI. This module has no DOM or Chart.js dependencies.
+ */
+
+/** Distance (m) of the marked point from the axis in a new rotational scenario. */
+const DEFAULT_RADIUS = 0.5;
+
+/**
+ * Revolutions turned since the first sample, signed (negative for clockwise turns).
+ * @param {number} theta - angle (rad)
+ * @param {number} theta0 - angle (rad) of the first sample
+ * @returns {number}
+ */
+function revolutionsOf(theta, theta0) {
+    return (theta - theta0) / (2 * Math.PI);
+}
+
+/**
+ * Motion of the point at `radius` from the axis, per sample.
+ * @param {{thetas:number[], omegas:number[], alphas:number[]}} data - angle (rad), angular velocity (rad/s)
+ *   and angular acceleration (rad/s²) per sample
+ * @param {number} radius - m
+ * @returns {{speeds:number[], tangential:number[], centripetal:number[], total:number[], revolutions:number[]}}
+ *   speed r·ω (m/s), tangential r·α and centripetal r·ω² acceleration, the magnitude of their sum (m/s²)
+ *   and the revolutions turned
+ */
+function pointMotion(data, radius) {
+    const { thetas, omegas, alphas } = data;
+    const theta0 = thetas.length ? thetas[0] : 0;
+    const tangential = alphas.map(alpha => radius * alpha);
+    const centripetal = omegas.map(omega => radius * omega * omega);
+    return {
+        speeds: omegas.map(omega => radius * omega),
+        tangential,
+        centripetal,
+        total: tangential.map((at, i) => Math.hypot(at, centripetal[i])),
+        revolutions: thetas.map(theta => revolutionsOf(theta, theta0)),
+    };
+}
+
+/**
+ * What is wrong with the radius of a rotational scenario, if anything.
+ * @param {number} radius
+ * @returns {string|null} a message for the user, or null when it is valid
+ */
+function checkRadius(radius) {
+    return Number.isFinite(radius) && radius >= 0 ? null : 'Radius must be a number >= 0.';
+}
+
+export {
+    DEFAULT_RADIUS,
+    revolutionsOf,
+    pointMotion,
+    checkRadius,
+};
@@ -0,0 +1,88 @@
+/**
+ * resources/js/scenario-api.js
+ * KINESO — client for the saved scenario library
+ *
+ * Thin wrappers around the `/scenarios` JSON routes using the `window.axios`
+ * instance set up in `bootstrap.js` (it sends the CSRF cookie automatically).
+ * Every function returns the `data` member of the response; failures reject
+ * with the axios error, which `describeApiError` turns into a readable message.
+ */
+
+const BASE = '/scenarios';
+
+/**
+ * @typedef {{id:number, name:string, payload?:string, created_at:string, updated_at:string}} SavedScenario
+ */
+
+/** @returns {Promise<SavedScenario[]>} the user's scenarios without payloads, newest first */
+async function listScenarios() {
+    const res = await window.axios.get(BASE);
+    return res.data.data;
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<SavedScenario>} scenario including its encoded payload
+ */
+async function loadScenario(id) {
+    const res = await window.axios.get(`${BASE}/${id}`);
+    return res.data.data;
+}
+
+/**
+ * @param {string} name
+ * @param {string} payload - encoded scenario from `encodeScenario`
+ * @returns {Promise<SavedScenario>}
+ */
+async function saveScenario(name, payload) {
+    const res = await window.axios.post(BASE, { name, payload });
+    return res.data.data;
+}
+
+/**
+ * Rename a scenario and/or replace its payload.
+ * @param {number} id
+ * @param {{name?:string, payload?:string}} changes
+ * @returns {Promise<SavedScenario>}
+ */
+async function updateScenario(id, changes) {
+    const res = await window.axios.patch(`${BASE}/${id}`, changes);
+    return res.data.data;
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<SavedScenario>} the copy, named "<name> (copy)"
+ */
+async function duplicateScenario(id) {
+    const res = await window.axios.post(`${BASE}/${id}/duplicate`);
+    return res.data.data;
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+async function deleteScenario(id) {
+    await window.axios.delete(`${BASE}/${id}`);
+}
+
+/**
+ * Turn a failed request into a message for the user.
+ * Validation errors (422) report the first message per field.
+ * @param {*} err - rejection from one of the functions above
+ * @returns {string}
+ */
+function describeApiError(err) {
+    const res = err && err.response;
+    if (!res) return 'The server could not be reached.';
+    if (res.status === 401) return 'Please sign in to use saved scenarios.';
+    if (res.status === 419) return 'Your session has expired – reload the page.';
+    if (res.status === 404) return 'That scenario no longer exists.';
+    if (res.status === 422 && res.data && res.data.errors) {
+        return Object.values(res.data.errors).map(list => list[0]).join(' ');
+    }
+    return `The server reported an error (${res.status}).`;
+}
+
+export { listScenarios, loadScenario, saveScenario, updateScenario, duplicateScenario, deleteScenario, describeApiError };
@@ -0,0 +1,232 @@
+/**
+ * resources/js/smoothing.js
+ * KINESO — smoothing and differentiation for measured, possibly non-uniform samples
+ *
+ * The finite-difference helpers in `kinematics.js` assume a fixed `dt` and
+ * amplify measurement noise badly. The functions here take the actual sample
+ * times and offer three smoothers that also return velocity and acceleration:
+ * - moving average (`ma`): smooth, difference, smooth again
+ * - Savitzky–Golay (`sg`): local least-squares polynomial around every sample
+ * - cubic smoothing spline (`spline`): Reinsch's penalised spline
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+/**
+ * First derivative of samples on a non-uniform grid. Interior points use the
+ * second-order three-point formula; the end points use one-sided differences.
+ * @param {number[]} times - strictly increasing sample times
+ * @param {number[]} values
+ * @returns {number[]} derivative estimates
+ */
+function differentiateNonUniform(times, values) {
+    const n = values.length;
+    const d = new Array(n).fill(0);
+    if (n < 2) return d;
+    d[0] = (values[1] - values[0]) / (times[1] - times[0]);
+    d[n - 1] = (values[n - 1] - values[n - 2]) / (times[n - 1] - times[n - 2]);
+    for (let i = 1; i < n - 1; i++) {
+        const h0 = times[i] - times[i - 1], h1 = times[i + 1] - times[i];
+        d[i] = (-h1 / (h0 * (h0 + h1))) * values[i - 1]
+            + ((h1 - h0) / (h0 * h1)) * values[i]
+            + (h0 / (h1 * (h0 + h1))) * values[i + 1];
+    }
+    return d;
+}
+
+/**
+ * Centered moving average over `window` samples. Near the ends the window
+ * shrinks symmetrically so the average stays centred on the sample.
+ * @param {number[]} values
+ * @param {number} window - odd number of samples, >= 1
+ * @returns {number[]}
+ */
+function movingAverage(values, window) {
+    const n = values.length;
+    const half = Math.max(0, Math.floor(window / 2));
+    const prefix = new Array(n + 1);
+    prefix[0] = 0;
+    for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + values[i];
+    const out = new Array(n);
+    for (let i = 0; i < n; i++) {
+        const r = Math.min(half, i, n - 1 - i);
+        out[i] = (prefix[i + r + 1] - prefix[i - r]) / (2 * r + 1);
+    }
+    return out;
+}
+
+/**
+ * Solve a small dense linear system in place by Gaussian elimination with partial pivoting.
+ * @param {number[][]} A - square matrix (modified)
+ * @param {number[]} b - right-hand side (modified)
+ * @returns {number[]} solution
+ */
+function solveDense(A, b) {
+    const n = b.length;
+    for (let c = 0; c < n; c++) {
+        let p = c;
+        for (let r = c + 1; r < n; r++) if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+        [A[c], A[p]] = [A[p], A[c]];
+        [b[c], b[p]] = [b[p], b[c]];
+        const pivot = A[c][c] || 1e-300;
+        for (let r = c + 1; r < n; r++) {
+            const f = A[r][c] / pivot;
+            if (!f) continue;
+            for (let k = c; k < n; k++) A[r][k] -= f * A[c][k];
+            b[r] -= f * b[c];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let s = b[r];
+        for (let k = r + 1; k < n; k++) s -= A[r][k] * x[k];
+        x[r] = s / (A[r][r] || 1e-300);
+    }
+    return x;
+}
+
+/**
+ * Savitzky–Golay smoothing generalised to non-uniform samples: a polynomial of
+ * degree `order` is least-squares fitted to the `window` samples around each
+ * point (the window is shifted inwards at the ends) and evaluated there.
+ * @param {number[]} times - strictly increasing sample times
+ * @param {number[]} values
+ * @param {number} [window=7] - odd number of samples per fit, at least order + 2
+ * @param {number} [order=2] - polynomial degree (1–4)
+ * @returns {{x:number[], v:number[], a:number[]}} smoothed values and first / second derivatives
+ */
+function savitzkyGolay(times, values, window = 7, order = 2) {
+    const n = values.length;
+    const p = Math.max(1, Math.min(4, order));
+    const w = Math.min(n, Math.max(p + 2, window | 1));
+    const half = Math.floor(w / 2);
+    const x = new Array(n), v = new Array(n), a = new Array(n);
+    for (let i = 0; i < n; i++) {
+        const start = Math.max(0, Math.min(n - w, i - half));
+        // normal equations in tau = (t - t_i) / scale, scaled for conditioning
+        const scale = (times[start + w - 1] - times[start]) / 2 || 1;
+        const m = p + 1;
+        const A = Array.from({ length: m }, () => new Array(m).fill(0));
+        const b = new Array(m).fill(0);
+        for (let j = start; j < start + w; j++) {
+            const tau = (times[j] - times[i]) / scale;
+            const pw = [1];
+            for (let k = 1; k < 2 * m; k++) pw.push(pw[k - 1] * tau);
+            for (let r = 0; r < m; r++) {
+                b[r] += values[j] * pw[r];
+                for (let c = 0; c < m; c++) A[r][c] += pw[r + c];
+            }
+        }
+        const coef = solveDense(A, b);
+        x[i] = coef[0];
+        v[i] = coef[1] / scale;
+        a[i] = p >= 2 ? 2 * coef[2] / (scale * scale) : 0;
+    }
+    if (p < 2) return { x, v, a: differentiateNonUniform(times, v) };
+    return { x, v, a };
+}
+
+/**
+ * Cubic smoothing spline (Reinsch algorithm) minimising
+ * Σ (y_i − g(t_i))² + alpha ∫ g''(t)² dt.
+ * @param {number[]} times - strictly increasing sample times
+ * @param {number[]} values
+ * @param {number} alpha - smoothing parameter (0 interpolates the data)
+ * @returns {{x:number[], v:number[], a:number[]}} spline values and derivatives at the sample times
+ */
+function smoothingSpline(times, values, alpha) {
+    const n = values.length;
+    if (n < 3) return { x: values.slice(), v: differentiateNonUniform(times, values), a: new Array(n).fill(0) };
+    const h = new Array(n - 1);
+    for (let i = 0; i < n - 1; i++) h[i] = times[i + 1] - times[i];
+    const m = n - 2;
+    // Q columns for interior knots k = 1..n-2 have entries at rows k-1, k, k+1
+    const qa = new Array(m), qb = new Array(m), qc = new Array(m);
+    for (let j = 0; j < m; j++) {
+        const k = j + 1;
+        qa[j] = 1 / h[k - 1];
+        qc[j] = 1 / h[k];
+        qb[j] = -qa[j] - qc[j];
+    }
+    // Banded symmetric matrix M = R + alpha QᵀQ stored as diagonals d0, d1 (offset 1), d2 (offset 2)
+    const d0 = new Array(m), d1 = new Array(m).fill(0), d2 = new Array(m).fill(0), rhs = new Array(m);
+    for (let j = 0; j < m; j++) {
+        const k = j + 1;
+        d0[j] = (h[k - 1] + h[k]) / 3 + alpha * (qa[j] * qa[j] + qb[j] * qb[j] + qc[j] * qc[j]);
+        if (j + 1 < m) d1[j] = h[k] / 6 + alpha * (qb[j] * qa[j + 1] + qc[j] * qb[j + 1]);
+        if (j + 2 < m) d2[j] = alpha * qc[j] * qa[j + 2];
+        rhs[j] = qa[j] * values[k - 1] + qb[j] * values[k] + qc[j] * values[k + 1];
+    }
+    // Gaussian elimination on the pentadiagonal system (symmetric positive definite, no pivoting needed)
+    const up1 = d1.slice(), up2 = d2.slice(), diag = d0.slice(), b = rhs.slice();
+    const low1 = d1.slice(), low2 = d2.slice();
+    for (let j = 0; j < m; j++) {
+        if (j + 1 < m) {
+            const f = low1[j] / diag[j];
+            diag[j + 1] -= f * up1[j];
+            if (j + 2 < m) up1[j + 1] -= f * up2[j];
+            b[j + 1] -= f * b[j];
+        }
+        if (j + 2 < m) {
+            const f = low2[j] / diag[j];
+            low1[j + 1] -= f * up1[j];
+            diag[j + 2] -= f * up2[j];
+            b[j + 2] -= f * b[j];
+        }
+    }
+    const gamma = new Array(m);
+    for (let j = m - 1; j >= 0; j--) {
+        let s = b[j];
+        if (j + 1 < m) s -= up1[j] * gamma[j + 1];
+        if (j + 2 < m) s -= up2[j] * gamma[j + 2];
+        gamma[j] = s / diag[j];
+    }
+    // g = y − alpha Q γ
+    const x = values.slice();
+    for (let j = 0; j < m; j++) {
+        const k = j + 1;
+        x[k - 1] -= alpha * qa[j] * gamma[j];
+        x[k] -= alpha * qb[j] * gamma[j];
+        x[k + 1] -= alpha * qc[j] * gamma[j];
+    }
+    const a = [0, ...gamma, 0];
+    const v = new Array(n);
+    for (let i = 0; i < n - 1; i++) v[i] = (x[i + 1] - x[i]) / h[i] - h[i] * (2 * a[i] + a[i + 1]) / 6;
+    v[n - 1] = (x[n - 1] - x[n - 2]) / h[n - 2] + h[n - 2] * (a[n - 2] + 2 * a[n - 1]) / 6;
+    return { x, v, a };
+}
+
+/**
+ * Smooth a measured position series and derive velocity and acceleration.
+ * `window` is the smoothing width in samples for every method; for the spline
+ * it sets the cut-off period (window × mean sample spacing) of the penalty.
+ * @param {number[]} times - strictly increasing sample times (s)
+ * @param {number[]} xs - measured positions (m)
+ * @param {{method?:'none'|'ma'|'sg'|'spline', window?:number, order?:number}} [opts]
+ * @returns {{xs:number[], vs:number[], as:number[]}}
+ */
+function smoothSeries(times, xs, opts = {}) {
+    const method = opts.method || 'none';
+    const window = Math.max(3, Math.round(opts.window || 7) | 1);
+    if (method === 'sg') {
+        const r = savitzkyGolay(times, xs, window, opts.order || 2);
+        return { xs: r.x, vs: r.v, as: r.a };
+    }
+    if (method === 'spline') {
+        const n = times.length;
+        const meanDt = n > 1 ? (times[n - 1] - times[0]) / (n - 1) : 1;
+        const alpha = Math.pow(window * meanDt / (2 * Math.PI), 4) / meanDt;
+        const r = smoothingSpline(times, xs, alpha);
+        return { xs: r.x, vs: r.v, as: r.a };
+    }
+    if (method === 'ma') {
+        const sx = movingAverage(xs, window);
+        const sv = movingAverage(differentiateNonUniform(times, sx), window);
+        const sa = movingAverage(differentiateNonUniform(times, sv), window);
+        return { xs: sx, vs: sv, as: sa };
+    }
+    const vs = differentiateNonUniform(times, xs);
+    return { xs: xs.slice(), vs, as: differentiateNonUniform(times, vs) };
+}
+
+export { differentiateNonUniform, movingAverage, savitzkyGolay, smoothingSpline, smoothSeries };
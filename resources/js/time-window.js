@@ -0,0 +1,127 @@
+/**
+ * resources/js/time-window.js
+ * KINESO — the zoomed time window shared by the time charts
+ *
+ * A window is `{min, max}` in seconds, or null for the whole run. Zooming and
+ * panning keep it inside the run and no narrower than a few samples; a window
+ * that grows back to the whole run becomes null again, so "not zoomed" has a
+ * single representation.
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+import { decimationIndexes } from './decimation.js';
+
+/** Factor one wheel notch or key press zooms by. */
+const ZOOM_STEP = 1.25;
+
+/** Fewest samples a zoomed window may span. */
+const MIN_WINDOW_SAMPLES = 5;
+
+/**
+ * Keep a window inside the run and at least `minSpan` wide.
+ * @param {{min:number, max:number}|null} win
+ * @param {{min:number, max:number}} full - first and last sample time of the run
+ * @param {number} [minSpan=0] - s
+ * @returns {{min:number, max:number}|null} null when the window covers the whole run
+ */
+function clampWindow(win, full, minSpan = 0) {
+    if (!win || !(full.max > full.min)) return null;
+    const fullSpan = full.max - full.min;
+    const span = Math.max(win.max - win.min, Math.min(minSpan, fullSpan));
+    if (!Number.isFinite(span) || span >= fullSpan) return null;
+    const min = Math.min(Math.max(win.min, full.min), full.max - span);
+    return { min, max: min + span };
+}
+
+/**
+ * Zoom a window about a time, keeping that time at the same place on the axis.
+ * @param {{min:number, max:number}|null} win - null for the whole run
+ * @param {{min:number, max:number}} full
+ * @param {number} centre - s
+ * @param {number} factor - above 1 zooms in, below 1 zooms out
+ * @param {number} [minSpan=0] - s
+ * @returns {{min:number, max:number}|null}
+ */
+function zoomWindow(win, full, centre, factor, minSpan = 0) {
+    const from = win || full;
+    const span = from.max - from.min;
+    if (!(span > 0) || !(factor > 0)) return clampWindow(win, full, minSpan);
+    const c = Math.min(Math.max(centre, from.min), from.max);
+    const ratio = (c - from.min) / span;
+    const newSpan = Math.max(span / factor, Math.min(minSpan, span));
+    if (factor > 1 && newSpan >= span) return clampWindow(win, full, minSpan);
+    const min = c - ratio * newSpan;
+    return clampWindow({ min, max: min + newSpan }, full, minSpan);
+}
+
+/**
+ * Shift a window along the time axis, stopping at either end of the run.
+ * @param {{min:number, max:number}|null} win
+ * @param {{min:number, max:number}} full
+ * @param {number} shift - s, positive moves towards later times
+ * @returns {{min:number, max:number}|null}
+ */
+function panWindow(win, full, shift) {
+    if (!win) return null;
+    const span = win.max - win.min;
+    const min = Math.min(Math.max(win.min + shift, full.min), full.max - span);
+    return { min, max: min + span };
+}
+
+/**
+ * The samples a window shows, as indexes into `times`.
+ * @param {number[]} times - ascending sample times (s)
+ * @param {{min:number, max:number}|null} win
+ * @returns {{start:number, end:number}} first and last sample index, inclusive
+ */
+function windowRange(times, win) {
+    const last = times.length - 1;
+    if (!win || last < 0) return { start: 0, end: Math.max(last, 0) };
+    let start = 0;
+    while (start < last && times[start] < win.min) start++;
+    let end = last;
+    while (end > start && times[end] > win.max) end--;
+    return { start, end };
+}
+
+/**
+ * Samples a chart draws for a window: those inside it, decimated on their own
+ * (see `decimation.js`) so a zoomed chart shows the full detail of the window.
+ * @param {number[]} times - ascending sample times (s)
+ * @param {number[][]} series - values of each drawn series at `times`
+ * @param {{min:number, max:number}|null} win
+ * @returns {number[]|null} ascending sample indexes, or null when every sample is drawn
+ */
+function windowIndexes(times, series, win) {
+    if (!win) return decimationIndexes(times, series);
+    const { start, end } = windowRange(times, win);
+    const inside = decimationIndexes(times.slice(start, end + 1), series.map(ys => ys.slice(start, end + 1)));
+    if (inside) return inside.map(i => i + start);
+    const indexes = [];
+    for (let i = start; i <= end; i++) indexes.push(i);
+    return indexes;
+}
+
+/**
+ * The whole run of a series and the narrowest window allowed on it.
+ * @param {number[]} times - ascending sample times (s)
+ * @returns {{full:{min:number, max:number}, minSpan:number}}
+ */
+function windowLimits(times) {
+    const n = times.length;
+    const full = { min: n ? times[0] : 0, max: n ? times[n - 1] : 0 };
+    const minSpan = n > 1 ? (full.max - full.min) * (MIN_WINDOW_SAMPLES - 1) / (n - 1) : 0;
+    return { full, minSpan };
+}
+
+export {
+    ZOOM_STEP,
+    MIN_WINDOW_SAMPLES,
+    clampWindow,
+    zoomWindow,
+    panWindow,
+    windowRange,
+    windowIndexes,
+    windowLimits,
+};
@@ -0,0 +1,159 @@
+/**
+ * resources/js/units.js
+ * KINESO — unit systems and conversions
+ *
+ * All computations run in SI (m, m/s, m/s²; rad, rad/s, rad/s²); the selected
+ * units only apply where values enter or leave the page (inputs, charts, table,
+ * readout, CSV). A unit choice is a small object `{ length, velocity, acceleration,
+ * angle, angularVelocity, angularAcceleration }` of unit keys, built by
+ * `resolveUnits` from a unit system plus optional per-quantity overrides and an
+ * angle unit, which sets all three angular quantities. Time is always in seconds.
+ *
+ * Unit keys are ASCII (`m/s^2`) so they can live in form values, links and CSV
+ * headers; `unitLabel` gives the typeset form (`m/s²`).
+ *
+ * This module has no DOM or Chart.js dependencies.
+ */
+
+/** Units per quantity: size in SI units and the label shown to the user. */
+const UNITS = {
+    length: {
+        m: { factor: 1, label: 'm' },
+        cm: { factor: 0.01, label: 'cm' },
+        mm: { factor: 0.001, label: 'mm' },
+        km: { factor: 1000, label: 'km' },
+        in: { factor: 0.0254, label: 'in' },
+        ft: { factor: 0.3048, label: 'ft' },
+        mi: { factor: 1609.344, label: 'mi' },
+    },
+    velocity: {
+        'm/s': { factor: 1, label: 'm/s' },
+        'cm/s': { factor: 0.01, label: 'cm/s' },
+        'km/h': { factor: 1 / 3.6, label: 'km/h' },
+        'ft/s': { factor: 0.3048, label: 'ft/s' },
+        mph: { factor: 0.44704, label: 'mph' },
+        kn: { factor: 1852 / 3600, label: 'kn' },
+    },
+    acceleration: {
+        'm/s^2': { factor: 1, label: 'm/s²' },
+        'cm/s^2': { factor: 0.01, label: 'cm/s²' },
+        'ft/s^2': { factor: 0.3048, label: 'ft/s²' },
+        'km/h/s': { factor: 1 / 3.6, label: 'km/h/s' },
+        'mph/s': { factor: 0.44704, label: 'mph/s' },
+        g0: { factor: 9.80665, label: 'g₀' },
+    },
+    angle: {
+        rad: { factor: 1, label: 'rad' },
+        deg: { factor: Math.PI / 180, label: '°' },
+        rev: { factor: 2 * Math.PI, label: 'rev' },
+    },
+    angularVelocity: {
+        'rad/s': { factor: 1, label: 'rad/s' },
+        'deg/s': { factor: Math.PI / 180, label: '°/s' },
+        'rev/s': { factor: 2 * Math.PI, label: 'rev/s' },
+    },
+    angularAcceleration: {
+        'rad/s^2': { factor: 1, label: 'rad/s²' },
+        'deg/s^2': { factor: Math.PI / 180, label: '°/s²' },
+        'rev/s^2': { factor: 2 * Math.PI, label: 'rev/s²' },
+    },
+};
+
+/** Unit systems offered in the selector, with their unit for each quantity. */
+const UNIT_SYSTEMS = {
+    si: { label: 'SI (m, s)', units: { length: 'm', velocity: 'm/s', acceleration: 'm/s^2' } },
+    cgs: { label: 'CGS (cm, s)', units: { length: 'cm', velocity: 'cm/s', acceleration: 'cm/s^2' } },
+    imperial: { label: 'Imperial (ft, s)', units: { length: 'ft', velocity: 'ft/s', acceleration: 'ft/s^2' } },
+};
+
+/** Quantities whose units come from the unit system, each with its own override. */
+const QUANTITIES = ['length', 'velocity', 'acceleration'];
+
+/** Quantities of rotational motion; their units follow the angle unit alone. */
+const ANGULAR_QUANTITIES = ['angle', 'angularVelocity', 'angularAcceleration'];
+
+/**
+ * Build a unit choice from a system and per-quantity overrides.
+ * Unknown systems fall back to SI; empty or unknown overrides use the system's unit.
+ * The angle unit (radians unless overridden) sets the angular velocity and
+ * acceleration units too, e.g. `deg` gives °, °/s and °/s².
+ * @param {string} [system='si'] - key of `UNIT_SYSTEMS`
+ * @param {{length?:string, velocity?:string, acceleration?:string, angle?:string}} [overrides]
+ * @returns {{length:string, velocity:string, acceleration:string, angle:string, angularVelocity:string, angularAcceleration:string}}
+ */
+function resolveUnits(system = 'si', overrides = {}) {
+    const known = (table, key) => typeof key === 'string' && Object.prototype.hasOwnProperty.call(table, key);
+    const base = (known(UNIT_SYSTEMS, system) ? UNIT_SYSTEMS[system] : UNIT_SYSTEMS.si).units;
+    const units = {};
+    for (const q of QUANTITIES) units[q] = known(UNITS[q], overrides[q]) ? overrides[q] : base[q];
+    const angle = known(UNITS.angle, overrides.angle) ? overrides.angle : 'rad';
+    units.angle = angle;
+    units.angularVelocity = `${angle}/s`;
+    units.angularAcceleration = `${angle}/s^2`;
+    return units;
+}
+
+/** Unit choice of the SI system. */
+const SI_UNITS = Object.freeze(resolveUnits('si'));
+
+/**
+ * Size of the chosen unit of a quantity in SI units.
+ * @param {string} quantity - key of `UNITS`
+ * @param {Object} units - unit choice from `resolveUnits`
+ * @returns {number}
+ */
+function unitFactor(quantity, units) {
+    return UNITS[quantity][units[quantity]].factor;
+}
+
+/**
+ * Convert a value (or array of values) from SI to the chosen unit.
+ * @param {string} quantity - key of `UNITS`
+ * @param {number|number[]} value
+ * @param {Object} units - unit choice from `resolveUnits`
+ * @returns {number|number[]}
+ */
+function fromSI(quantity, value, units) {
+    const k = unitFactor(quantity, units);
+    if (Array.isArray(value)) return k === 1 ? value.slice() : value.map(v => v / k);
+    return k === 1 ? value : value / k;
+}
+
+/**
+ * Convert a value (or array of values) in the chosen unit to SI.
+ * @param {string} quantity - key of `UNITS`
+ * @param {number|number[]} value
+ * @param {Object} units - unit choice from `resolveUnits`
+ * @returns {number|number[]}
+ */
+function toSI(quantity, value, units) {
+    const k = unitFactor(quantity, units);
+    if (Array.isArray(value)) return k === 1 ? value.slice() : value.map(v => v * k);
+    return k === 1 ? value : value * k;
+}
+
+/**
+ * Typeset label of the chosen unit, e.g. `m/s²`.
+ * @param {string} quantity - key of `UNITS`
+ * @param {Object} units - unit choice from `resolveUnits`
+ * @returns {string}
+ */
+function unitLabel(quantity, units) {
+    return UNITS[quantity][units[quantity]].label;
+}
+
+/**
+ * Re-express a value typed in one unit choice in another, keeping ten significant
+ * digits so converted inputs stay readable.
+ * @param {string} quantity - key of `UNITS`
+ * @param {number} value
+ * @param {Object} from - unit choice the value is in
+ * @param {Object} to - unit choice to convert to
+ * @returns {number}
+ */
+function convertValue(quantity, value, from, to) {
+    const k = unitFactor(quantity, from) / unitFactor(quantity, to);
+    return k === 1 ? value : Number((value * k).toPrecision(10));
+}
+
+export { UNITS, UNIT_SYSTEMS, QUANTITIES, ANGULAR_QUANTITIES, SI_UNITS, resolveUnits, unitFactor, fromSI, toSI, unitLabel, convertValue };
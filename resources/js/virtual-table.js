@@ -0,0 +1,105 @@
+/**
+ * resources/js/virtual-table.js
+ * KINESO — virtualized table body
+ *
+ * A table with hundreds of thousands of rows cannot keep one `<tr>` per row.
+ * The table body created here only holds the rows visible in its scrolling
+ * container (plus a margin) between two spacer rows whose heights stand for
+ * the rows left out, so the scrollbar behaves as if every row were there.
+ * Rows are produced on demand by a callback, so changing the data costs
+ * nothing until the visible rows are drawn again.
+ */
+
+/** Row height (px) assumed until a drawn row has been measured. */
+const DEFAULT_ROW_HEIGHT = 29;
+
+/** Rows drawn above and below the visible ones. */
+const OVERSCAN = 12;
+
+/**
+ * Make a table body virtual.
+ * @param {HTMLTableSectionElement} tbody
+ * @param {HTMLElement} scroller - the scrolling element around the table
+ * @returns {{
+ *   setRows:(count:number, renderRow:(i:number) => string) => void,
+ *   setDecorations:(decorations:Map<number, {className?:string, style?:string, title?:string}>) => void,
+ *   refresh:() => void,
+ *   scrollToRow:(i:number) => void,
+ *   setCurrentRow:(i:number|null) => void,
+ *   rowCount:() => number
+ * }} `renderRow` returns the cells (`<td>` HTML) of row `i`; decorations add a class, style or title to rows;
+ *   the current row gets the class `vt-current` and is scrolled into view when it is not visible
+ */
+function createVirtualTable(tbody, scroller) {
+    let count = 0;
+    let renderRow = () => '';
+    let decorations = new Map();
+    let current = null;
+    let rowHeight = DEFAULT_ROW_HEIGHT;
+    let frame = null;
+    const columns = () => Math.max(1, tbody.parentElement && tbody.parentElement.tHead && tbody.parentElement.tHead.rows[0] ? tbody.parentElement.tHead.rows[0].cells.length : 1);
+    const spacer = (height) => (height > 0 ? `<tr class="vt-spacer" aria-hidden="true" style="height:${height}px"><td colspan="${columns()}" style="padding:0; border:0"></td></tr>` : '');
+
+    function draw() {
+        frame = null;
+        if (!count) { tbody.innerHTML = ''; return; }
+        const visible = Math.ceil((scroller.clientHeight || rowHeight * 10) / rowHeight);
+        // after the rows shrink the old scroll position may lie past the end until the browser clamps it
+        const top = Math.min(Math.max(0, scroller.scrollTop - tbody.offsetTop), Math.max(0, (count - visible) * rowHeight));
+        const first = Math.max(0, Math.min(count - 1, Math.floor(top / rowHeight) - OVERSCAN));
+        const last = Math.min(count, first + visible + 2 * OVERSCAN);
+        let html = spacer(first * rowHeight);
+        for (let i = first; i < last; i++) {
+            const d = decorations.get(i) || {};
+            const className = [d.className, i === current ? 'vt-current' : ''].filter(Boolean).join(' ');
+            const attrs = `${className ? ` class="${className}"` : ''}${d.style ? ` style="${d.style}"` : ''}${d.title ? ` title="${d.title}"` : ''}`;
+            html += `<tr data-row="${i}"${attrs}>${renderRow(i)}</tr>`;
+        }
+        html += spacer((count - last) * rowHeight);
+        tbody.innerHTML = html;
+        // measure once real rows exist, then redraw if the guess was off
+        const sample = tbody.querySelector('tr[data-row]');
+        const measured = sample ? sample.getBoundingClientRect().height : 0;
+        if (measured > 0 && Math.abs(measured - rowHeight) > 0.5) {
+            rowHeight = measured;
+            schedule();
+        }
+    }
+
+    function schedule() {
+        if (frame !== null) return;
+        frame = typeof requestAnimationFrame === 'function' ? requestAnimationFrame(draw) : setTimeout(draw, 16);
+    }
+
+    scroller.addEventListener('scroll', schedule, { passive: true });
+
+    return {
+        setRows(n, render) {
+            count = n;
+            renderRow = render;
+            draw();
+        },
+        setDecorations(map) {
+            decorations = map;
+            draw();
+        },
+        refresh: draw,
+        scrollToRow(i) {
+            scroller.scrollTop = tbody.offsetTop + Math.max(0, i) * rowHeight;
+            draw();
+        },
+        setCurrentRow(i) {
+            current = i;
+            if (i !== null) {
+                const top = tbody.offsetTop + i * rowHeight;
+                if (top < scroller.scrollTop || top + rowHeight > scroller.scrollTop + scroller.clientHeight) {
+                    scroller.scrollTop = Math.max(0, top - (scroller.clientHeight - rowHeight) / 2);
+                }
+            }
+            schedule();
+        },
+        rowCount: () => count,
+    };
+}
+
+export { DEFAULT_ROW_HEIGHT, OVERSCAN, createVirtualTable };
@@ -0,0 +1,34 @@
+<!--
+    resources/views/embed.blade.php
+    KINESO — embeddable chart page
+    One <kineso-chart> element (resources/js/kineso-chart.js) filling the page, for
+    iframes in other sites. Query parameters become the element's attributes.
+-->
+@php
+    // attributes of <kineso-chart>; anything else in the query string is ignored
+    $names = [
+        'mode', 'x0', 'v0', 'a', 't0', 't1', 'dt', 'expr-kind', 'expr', 'integrator',
+        'speed', 'angle', 'h', 'g', 'mass', 'phases', 'forces',
+        'charts', 'editable', 'drag-mode', 'table', 'chart-height',
+    ];
+    $attributes = collect(request()->query())->only($names)->filter(fn ($value) => is_string($value));
+    // the postMessage bridge stays off unless the embedding page names the origins allowed to use it
+    $origin = request()->query('origin');
+@endphp
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>KINESO chart</title>
+    @if (file_exists(public_path('build/manifest.json')) || file_exists(public_path('hot')))
+        @vite(['resources/js/kineso-chart.js'])
+    @endif
+    <style>
+        html, body { margin:0; padding:8px; background:#fff; }
+    </style>
+</head>
+<body>
+    <kineso-chart id="kineso"@if (is_string($origin) && $origin !== '') bridge="{{ $origin }}"@endif @foreach ($attributes as $name => $value) {{ $name }}="{{ $value }}" @endforeach></kineso-chart>
+</body>
+</html>
@@ -49,6 +49,54 @@
         #resultsTable { width:100%; border-collapse:collapse; font-family:monospace; font-size:13px; }
         #resultsTable th { background:#fbfcfd; text-align:left; padding:8px; color:var(--muted); border-bottom:1px solid #f0f3f6; }
         #resultsTable td { padding:8px; text-align:right; border-bottom:1px dashed #eef2f5; }
+        .input-row select { width:116px; padding:6px; border:1px solid #e8eef4; border-radius:6px; background:#fbfcfd; }
+        .input-row input.expr-input { width:100%; font-family:monospace; }
+        .input-row input.invalid, .phase-row input.invalid, .quiz-sketch input.invalid { border-color:#e57373; background:#fff5f5; }
+        .input-row.unit-overrides select { width:72px; padding:6px 4px; }
+        .phase-row { display:flex; gap:4px; align-items:center; margin-bottom:4px; }
+        .phase-row .phase-label { width:22px; font-size:12px; font-weight:700; color:var(--muted); }
+        .phase-row input { width:58px; padding:4px 6px; border:1px solid #e8eef4; border-radius:6px; background:#fbfcfd; }
+        .phase-row select { padding:3px; border:1px solid #e8eef4; border-radius:6px; background:#fbfcfd; }
+        .phase-row button { padding:2px 6px; border:1px solid #e8eef4; border-radius:4px; background:#fff; cursor:pointer; }
+        .force-row { flex-wrap:wrap; }
+        .force-row .force-name { flex:1 0 100%; font-size:12px; color:var(--muted); }
+        .force-row label { font-size:12px; color:var(--muted); }
+        .body-row .body-swatch { width:12px; height:12px; border-radius:3px; flex:none; }
+        .body-row input[data-field="name"] { width:44px; }
+        .body-row input { width:52px; }
+        .event-row .event-unit { font-size:12px; color:var(--muted); }
+        .event-times { margin:2px 0 4px 0; padding-left:20px; font-family:monospace; font-size:12px; }
+        #resultsTable tr.event-hit td { background:#f1f8e9; font-weight:600; }
+        #resultsTable tr.vt-spacer td { border-bottom:0; }
+        #resultsTable tr.vt-current td { background:#e3f2fd; }
+        #fitTable td { padding:3px 4px; border-bottom:1px dashed #eef2f5; }
+        #fitTable td:first-child { color:var(--muted); }
+        #fitTable td:not(:first-child) { text-align:right; }
+        #convergenceTable th, #convergenceTable td { padding:3px 4px; border-bottom:1px dashed #eef2f5; vertical-align:top; }
+        #convergenceTable th { color:var(--muted); font-weight:normal; }
+        .history-log { max-height:160px; overflow:auto; margin:6px 0 0 0; padding-left:24px; font-family:monospace; font-size:12px; color:#22303f; }
+        .history-log li { padding:2px 0; cursor:pointer; }
+        .history-log li:hover { color:var(--accent); }
+        .history-log li.current { font-weight:700; }
+        .history-log li.undone { color:#aab4be; }
+        .scenario-list { list-style:none; margin:6px 0 0 0; padding:0; max-height:180px; overflow:auto; font-size:13px; }
+        .scenario-list li { display:flex; gap:4px; align-items:center; padding:2px 0; }
+        .scenario-list li.empty { color:var(--muted); font-size:12px; }
+        .scenario-list button { padding:2px 6px; border:1px solid #e8eef4; border-radius:4px; background:#fff; cursor:pointer; font-size:12px; }
+        .scenario-list button.scenario-name { flex:1; text-align:left; border:none; background:none; color:var(--brand); overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+        .quiz-panel { margin-bottom:10px; padding:10px 12px; background:#fbfdff; border:1px solid #e6eef4; border-radius:6px; font-size:14px; }
+        .quiz-head { display:flex; gap:12px; align-items:center; }
+        .quiz-head #quizScore { margin-left:auto; font-size:13px; color:var(--muted); }
+        .quiz-graph { flex:1; min-width:0; height:180px; }
+        .quiz-sketch { flex-wrap:wrap; gap:6px; margin-top:6px; font-size:12px; color:var(--muted); }
+        .quiz-sketch label { display:flex; flex-direction:column; }
+        .quiz-sketch input { width:56px; padding:4px 6px; border:1px solid #e8eef4; border-radius:6px; background:#fbfcfd; }
+        .playback-bar { display:flex; gap:8px; align-items:center; margin-bottom:6px; font-size:13px; color:var(--muted); }
+        .playback-bar input[type="range"] { flex:1; min-width:80px; }
+        .playback-bar #playTime { width:64px; font-family:monospace; text-align:right; }
+        .playback-bar select { padding:4px; border:1px solid #e8eef4; border-radius:6px; background:#fbfcfd; }
+        .sr-only { position:absolute; width:1px; height:1px; padding:0; margin:-1px; overflow:hidden; clip:rect(0,0,0,0); white-space:nowrap; border:0; }
+        canvas[tabindex]:focus-visible { outline:2px solid #1e88e5; outline-offset:2px; border-radius:4px; }
         .readout { margin-bottom:10px; padding:8px 10px; background:#fff; border-radius:6px; display:flex; gap:12px; font-family:monospace; color:var(--muted); }
     </style>
 </head>
@@ -59,38 +107,116 @@
             <h1 style="margin:0; font-size:20px;">KINESO</h1>
             <div style="margin-top:6px; color:var(--muted);">Interactive physics demo with live draggable charts and CSV export</div>
         </div>
+        <!-- options are filled in from i18n.js; the choice is kept in localStorage -->
+        <select id="localeSelect" class="input-field" title="Language" aria-label="Language" style="margin-left:auto; padding:6px; border:1px solid #e8eef4; border-radius:6px; background:#fbfcfd;"></select>
         <div class="readout" style="font-family:monospace;">
             <div>t = <strong id="ro-t">-</strong> s</div>
-            <div>x = <strong id="ro-x">-</strong> m</div>
-            <div>v = <strong id="ro-v">-</strong> m/s</div>
-            <div>a = <strong id="ro-a">-</strong> m/s²</div>
+            <div><span data-rotational-text="θ">x</span> = <strong id="ro-x">-</strong> <span data-unit="length">m</span></div>
+            <div><span data-rotational-text="ω">v</span> = <strong id="ro-v">-</strong> <span data-unit="velocity">m/s</span></div>
+            <div><span data-rotational-text="α">a</span> = <strong id="ro-a">-</strong> <span data-unit="acceleration">m/s²</span></div>
         </div>
     </div>
 
     <!-- Debug panel -->
     <div style="display:flex; gap:8px; align-items:center; margin-bottom:10px;">
         <button id="toggleDebug" class="btn">Show debug</button>
-        <div id="uiDebug" style="display:none; background:#fff; border:1px solid #eef2f5; padding:8px; border-radius:6px; width:100%; max-height:120px; overflow:auto; font-family:monospace; font-size:12px;"></div>
+        <div id="uiDebug" data-no-i18n style="display:none; background:#fff; border:1px solid #eef2f5; padding:8px; border-radius:6px; width:100%; max-height:120px; overflow:auto; font-family:monospace; font-size:12px;"></div>
     </div>
 
     <div class="main-content">
         <section class="panel left" style="display:flex; flex-direction:column; flex:0 0 320px; width:320px;">
             <h3 style="margin-top:0; margin-bottom:8px">1. ENTER PARAMETERS</h3>
             <form id="kinForm">
+                <div class="input-row" style="margin-bottom:10px;"><label>Motion:</label>
+                    <select name="mode" class="input-field">
+                        <option value="linear">1D linear</option>
+                        <option value="projectile">2D projectile</option>
+                        <option value="dynamics">1D forces (dynamics)</option>
+                        <option value="rotational">Rotation (θ, ω, α)</option>
+                    </select>
+                </div>
+                <!-- options are filled in from units.js; '' overrides keep the system's unit -->
+                <div class="input-row" style="margin-bottom:4px;"><label>Units:</label><select name="unitSystem" class="input-field"></select></div>
+                <div class="input-row unit-overrides" style="margin-bottom:10px;"><label>Override:</label>
+                    <select name="lengthUnit" class="input-field" title="Length unit" aria-label="Length unit"></select>
+                    <select name="velocityUnit" class="input-field" title="Velocity unit" aria-label="Velocity unit"></select>
+                    <select name="accelUnit" class="input-field" title="Acceleration unit" aria-label="Acceleration unit"></select>
+                </div>
+
+                <div id="linearInputs">
+                <!-- rotational mode: x0, v0 and a below stand for θ0, ω0 and α; elements with data-rotational-text show that text instead -->
+                <div id="rotationInputs" style="display:none; flex-direction:column; gap:10px; margin-bottom:10px;">
+                    <div class="input-row"><label>Angle unit:</label><select name="angleUnit" class="input-field" title="Unit of θ, ω and α"></select></div>
+                    <div class="input-row"><label>Radius of the marked point (r, <span data-linear-unit="length">m</span>):</label><input class="input-field" type="text" inputmode="decimal" name="radius" value="0.5"></div>
+                </div>
                 <div style="display:flex; flex-direction:column; gap:10px;">
-                    <div class="input-row"><label>Initial Velocity (v0):</label><input class="input-field" type="number" step="any" name="v0" value="5"></div>
-                    <div class="input-row"><label>Acceleration (a):</label><input class="input-field" type="number" step="any" name="a" value="2"></div>
-                    <div class="input-row"><label>Time Interval (t1 - t0):</label><input class="input-field" type="number" step="any" name="t1" value="10"></div>
+                    <div class="input-row"><label><span data-rotational-text="Initial angle (θ0,">Initial Position (x0,</span> <span data-unit="length">m</span>):</label><input class="input-field" type="text" inputmode="decimal" name="x0" value="0"></div>
+                    <div class="input-row"><label><span data-rotational-text="Initial angular velocity (ω0,">Initial Velocity (v0,</span> <span data-unit="velocity">m/s</span>):</label><input class="input-field" type="text" inputmode="decimal" name="v0" value="5"></div>
+                    <div id="accelRow" class="input-row"><label><span data-rotational-text="Angular acceleration (α,">Acceleration (a,</span> <span data-unit="acceleration">m/s²</span>):</label><input class="input-field" type="text" inputmode="decimal" name="a" value="2"></div>
+                    <div id="exprKindRow" class="input-row"><label>Expression:</label>
+                        <select name="exprKind" class="input-field">
+                            <option value="" data-rotational-text="Off (constant α)">Off (constant a)</option>
+                            <option value="a" data-rotational-text="α(t) =">a(t) =</option>
+                            <option value="v" data-rotational-text="ω(t) =">v(t) =</option>
+                            <option value="x" data-rotational-text="θ(t) =">x(t) =</option>
+                        </select>
+                    </div>
+                    <div id="exprRow" class="input-row" style="display:none;"><input class="input-field expr-input" type="text" name="expr" value="3*sin(0.5*t)" spellcheck="false" autocomplete="off" placeholder="e.g. 3*sin(0.5*t)" title="Functions: sin cos tan asin acos atan sinh cosh tanh exp ln log sqrt abs sign floor ceil round min max atan2 pow; constants: pi e"></div>
+                    <div id="exprDerived" style="font-family:monospace; font-size:12px; color:var(--muted); white-space:pre-wrap;"></div>
+                    <div class="input-row"><label>Time Interval (t1 - t0):</label><input class="input-field" type="text" inputmode="decimal" name="t1" value="10"></div>
+                    <!-- options are filled in from integrators.js -->
+                    <div class="input-row"><label>Numerical scheme:</label><select name="integrator" class="input-field" title="Used to derive the other quantities after a drag, and for expressions without a closed form"></select></div>
+                </div>
+
+                <div id="dynamicsEditor" style="display:none; margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Forces</h4>
+                    <div style="display:flex; flex-direction:column; gap:8px;">
+                        <div class="input-row"><label for="dynamicsPreset">Preset:</label><select id="dynamicsPreset" class="input-field"></select></div>
+                        <div id="dynamicsNote" style="font-size:12px; color:var(--muted);"></div>
+                        <div class="input-row"><label>Mass (m, kg):</label><input class="input-field" type="text" inputmode="decimal" name="mass" value="1"></div>
+                    </div>
+                    <div id="forceList" style="margin-top:8px;"></div>
+                    <div style="font-size:12px; color:var(--muted); margin-top:4px;">Forces act along x and are in SI units. The acceleration is the net force divided by m, solved step by step with the numerical scheme above.</div>
+                    <div class="input-row" style="margin-top:6px;"><select id="forceKind" aria-label="Kind of force"></select><button id="addForce" type="button" class="btn">Add force</button></div>
+                </div>
+
+                <div id="phaseEditor" style="margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Motion phases</h4>
+                    <div id="phaseList"></div>
+                    <div id="phaseHint" style="display:none; font-size:12px; color:var(--muted); margin-top:4px;"><span data-rotational-text='Phases replace the angular acceleration and time interval above. "α =" sets a constant angular acceleration ('>Phases replace the acceleration and time interval above. "a =" sets a constant acceleration (</span><span data-unit="acceleration">m/s²</span><span data-rotational-text='), "ω →" reaches a target angular velocity ('>), "v →" reaches a target velocity (</span><span data-unit="velocity">m/s</span>) by the end of the phase.</div>
+                    <button id="addPhase" type="button" class="btn" style="margin-top:6px;">Add phase</button>
+                </div>
+
+                <div id="bodyEditor" style="margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Bodies</h4>
+                    <div class="input-row"><label>Name of this body:</label><input class="input-field" type="text" name="bodyName" value="A" maxlength="20" autocomplete="off"></div>
+                    <div id="bodyList"></div>
+                    <div style="font-size:12px; color:var(--muted); margin-top:4px;">Further bodies move with constant acceleration; x0 (<span data-unit="length">m</span>), v0 (<span data-unit="velocity">m/s</span>) and a (<span data-unit="acceleration">m/s²</span>) are their values at t = 0.</div>
+                    <button id="addBody" type="button" class="btn" style="margin-top:6px;">Add body</button>
+                    <div id="frameRow" class="input-row" style="display:none; margin-top:8px;"><label>Frame of reference:</label><select name="frame" class="input-field"></select></div>
+                    <div id="bodyMeetings" style="margin-top:6px; font-size:13px;"></div>
+                </div>
+                <div id="rotationSummary" style="display:none; margin-top:10px; flex-direction:column; gap:4px; font-size:13px;"></div>
+                </div>
+
+                <div id="projectileInputs" style="display:none;">
+                    <div style="display:flex; flex-direction:column; gap:10px;">
+                        <div class="input-row"><label>Launch speed (<span data-unit="velocity">m/s</span>):</label><input class="input-field" type="text" inputmode="decimal" name="speed" value="20"></div>
+                        <div class="input-row"><label>Launch angle (°):</label><input class="input-field" type="text" inputmode="decimal" name="angle" value="45"></div>
+                        <div class="input-row"><label>Launch height (<span data-unit="length">m</span>):</label><input class="input-field" type="text" inputmode="decimal" name="h" value="0"></div>
+                        <div class="input-row"><label>Gravity g (<span data-unit="acceleration">m/s²</span>):</label><input class="input-field" type="text" inputmode="decimal" name="g" value="9.81"></div>
+                    </div>
+                    <div id="projectileSummary" style="margin-top:10px; display:flex; flex-direction:column; gap:4px; font-size:13px;"></div>
                 </div>
 
                 <div style="margin-top:12px;"><button type="submit" class="generate-btn">GENERATE MOTION DATA</button></div>
 
                 <div style="margin-top:12px;">
                     <h4 style="margin:6px 0 10px 0; font-size:14px; color:var(--muted)">2. DATA TABLE</h4>
-                    <div style="max-height:260px; overflow:auto; border:1px solid #f0f3f6; padding:6px; background:#fbfcfd;">
+                    <div id="resultsScroll" style="max-height:260px; overflow:auto; border:1px solid #f0f3f6; padding:6px; background:#fbfcfd;">
                         <table id="resultsTable">
                             <thead>
-                                <tr><th style="text-align:left">Time (s)</th><th style="text-align:right">Vel (m/s)</th><th style="text-align:right">Dist (m)</th></tr>
+                                <tr><th style="text-align:left">Time (s)</th><th style="text-align:right">Vel (<span data-unit="velocity">m/s</span>)</th><th style="text-align:right">Dist (<span data-unit="length">m</span>)</th></tr>
                             </thead>
                             <tbody></tbody>
                         </table>
@@ -99,39 +225,244 @@
 
                 <div style="margin-top:12px; display:flex; gap:8px; align-items:center;">
                     <button id="exportCsv" type="button" class="btn">Export CSV</button>
+                    <button id="importCsv" type="button" class="btn">Import CSV</button>
                     <button id="downloadCharts" type="button" class="btn">Download Charts</button>
+                    <button id="copyLink" type="button" class="btn" title="Copy a link that reopens this scenario">Copy link</button>
                     <label style="margin-left:8px; font-size:13px; color:var(--muted)"><input id="enableDrag" type="checkbox"> Enable drag</label>
+                    <input id="importFile" type="file" accept=".csv,.txt,text/csv" style="display:none;">
+                </div>
+                <div id="zoomOptions" style="margin-top:8px; display:flex; gap:10px; align-items:center; flex-wrap:wrap; font-size:13px; color:var(--muted)">
+                    <button id="resetZoom" type="button" class="btn" title="Wheel: zoom the time axis, drag: pan, double click: reset" disabled>Reset zoom</button>
+                    <span id="zoomStatus"></span>
+                    <label title="Export CSV leaves out the samples outside the zoomed time window"><input id="exportWindowOnly" type="checkbox"> Export the zoomed window only</label>
+                </div>
+                <div id="dragOptions" style="margin-top:8px; display:flex; gap:10px; align-items:center; flex-wrap:wrap; font-size:13px; color:var(--muted)">
+                    <label>Drag mode <select id="dragMode" title="Shift: brush, Alt: keep endpoints, Shift+Alt: slide in time"></select></label>
+                    <label>Brush width <input id="dragWidth" type="number" min="1" step="1" style="width:56px"> samples</label>
+                    <label title="Keep the first position while editing"><input id="lockX0" type="checkbox"> Lock x0</label>
+                    <label title="Keep the first velocity while editing"><input id="lockV0" type="checkbox"> Lock v0</label>
+                </div>
+                <div id="soundOptions" style="margin-top:8px; display:flex; gap:10px; align-items:center; flex-wrap:wrap; font-size:13px; color:var(--muted)">
+                    <label>Play curve <select id="sonifyChart">
+                        <option value="smallPositionChartTop">Position chart</option>
+                        <option value="smallVelocityChartTop">Velocity chart</option>
+                        <option value="smallAccelerationChartTop">Acceleration chart</option>
+                    </select></label>
+                    <label>over <input id="sonifyDuration" type="number" min="1" max="30" step="1" value="4" style="width:48px"> s</label>
+                    <button id="sonifyPlay" type="button" class="btn" title="Higher values sound higher; P plays a focused chart">Play</button>
+                    <label title="Beep at the pitch of each point reached with the arrow keys"><input id="a11yTones" type="checkbox"> Tone on each point</label>
+                </div>
+                <div id="linkStatus" style="font-size:12px; margin-top:6px;"></div>
+
+                <div id="importPanel" style="display:none; margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Imported data</h4>
+                    <div id="importStatus" style="font-size:12px; margin-bottom:8px;"></div>
+                    <div style="display:flex; flex-direction:column; gap:8px;">
+                        <div class="input-row"><label>Time column:</label><select id="importTCol"></select>
+                            <select id="importTUnit" style="width:64px;"><option value="s">s</option><option value="ms">ms</option><option value="min">min</option></select></div>
+                        <div class="input-row"><label>Position column:</label><select id="importXCol"></select>
+                            <select id="importXUnit" style="width:64px;"><option value="m">m</option><option value="cm">cm</option><option value="mm">mm</option><option value="km">km</option><option value="ft">ft</option><option value="in">in</option></select></div>
+                        <div class="input-row"><label>Smoothing:</label>
+                            <select id="importMethod">
+                                <option value="none">None (raw differences)</option>
+                                <option value="ma">Moving average</option>
+                                <option value="sg" selected>Savitzky–Golay</option>
+                                <option value="spline">Smoothing spline</option>
+                            </select></div>
+                        <div class="input-row"><label>Window (samples):</label><input id="importWindow" type="number" min="3" step="2" value="9"></div>
+                        <div class="input-row"><label><input id="importShowRaw" type="checkbox" checked> Overlay raw data</label><button id="clearImport" type="button" class="btn">Clear import</button></div>
+                    </div>
+                </div>
+
+                <div id="fitSection" style="margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Model fit</h4>
+                    <div class="input-row"><label>Model:</label>
+                        <select id="fitModel">
+                            <option value="quadratic" selected>Constant acceleration</option>
+                            <option value="linear">Constant velocity</option>
+                            <option value="piecewise">Two acceleration phases</option>
+                        </select>
+                        <button id="fitBtn" type="button" class="btn">Fit</button></div>
+                    <div id="fitStatus" style="font-size:12px; margin-top:6px;"></div>
+                    <div id="fitResults" style="display:none; margin-top:6px;">
+                        <table id="fitTable" style="width:100%; border-collapse:collapse; font-family:monospace; font-size:13px;"><tbody></tbody></table>
+                        <div style="display:flex; gap:8px; margin-top:8px;">
+                            <button id="fitApply" type="button" class="btn">Apply to form</button>
+                            <button id="fitClear" type="button" class="btn">Clear fit</button>
+                        </div>
+                    </div>
+                </div>
+
+                <div id="compareSection" style="margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Integrator accuracy</h4>
+                    <div style="font-size:12px; color:var(--muted);">Solves the motion with constant a from x0 and v0 above with each numerical scheme and compares it with the exact x(t) = x0 + v0·t + ½·a·t², at dt and at dt/2, dt/4 and dt/8.</div>
+                    <div class="input-row" style="margin-top:6px;"><button id="compareBtn" type="button" class="btn">Compare with exact</button><button id="compareClear" type="button" class="btn">Close</button></div>
+                    <div id="compareStatus" style="font-size:12px; margin-top:6px;"></div>
+                    <div id="compareResults" style="display:none; margin-top:6px; overflow-x:auto;">
+                        <table id="convergenceTable" style="width:100%; border-collapse:collapse; font-family:monospace; font-size:12px; text-align:right;"></table>
+                    </div>
+                </div>
+
+                <div id="eventSection" style="margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Events</h4>
+                    <div id="eventList"></div>
+                    <div style="font-size:12px; color:var(--muted); margin-top:4px;">Find when x, v or a reach a value, or when the object is back at its start. Times are exact for constant acceleration and phases, interpolated between samples otherwise.</div>
+                    <button id="addEvent" type="button" class="btn" style="margin-top:6px;">Add event</button>
+                    <div id="eventResults" style="margin-top:6px; font-size:13px;"></div>
+                </div>
+
+                <div id="historySection" style="margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Edit history</h4>
+                    <div style="display:flex; gap:8px;">
+                        <button id="undoBtn" type="button" class="btn" title="Undo (Ctrl+Z)" disabled>Undo</button>
+                        <button id="redoBtn" type="button" class="btn" title="Redo (Ctrl+Shift+Z)" disabled>Redo</button>
+                    </div>
+                    <ol id="historyLog" class="history-log" aria-label="Edit log"></ol>
+                </div>
+
+                <div id="librarySection" style="margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Saved scenarios</h4>
+                    <div class="input-row"><input id="scenarioName" class="input-field expr-input" type="text" maxlength="120" placeholder="Scenario name" autocomplete="off" aria-label="Scenario name">
+                        <button id="saveScenario" type="button" class="btn">Save</button></div>
+                    <div id="libraryStatus" style="font-size:12px; margin-top:6px;"></div>
+                    <ul id="scenarioList" class="scenario-list" aria-label="Saved scenarios"></ul>
+                </div>
+
+                <div id="classroomSection" style="margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Live session</h4>
+                    <div id="classroomIdle" style="flex-direction:column; gap:8px;">
+                        <div class="input-row"><label for="classroomCode">Join code:</label><input id="classroomCode" class="input-field" type="text" maxlength="8" autocomplete="off" spellcheck="false" style="width:90px; text-transform:uppercase;"></div>
+                        <div class="input-row"><label for="classroomName">Your name:</label><input id="classroomName" class="input-field" type="text" maxlength="40" autocomplete="off" style="width:140px;"></div>
+                        <div class="input-row"><button id="classroomJoin" type="button" class="btn">Join</button><button id="classroomHost" type="button" class="btn" title="Start a session as the teacher (sign-in required)">Start session</button></div>
+                    </div>
+                    <div id="classroomActive" style="display:none;">
+                        <div style="font-size:13px;">Session <strong id="classroomCodeLabel"></strong> · <span id="classroomRole"></span> · <span id="classroomConnection"></span></div>
+                        <div id="classroomTeacher" class="input-row" style="margin-top:8px; flex-wrap:wrap;">
+                            <button id="classroomPush" type="button" class="btn" title="Send the current scenario to every student">Push scenario</button>
+                            <label style="font-size:13px; color:var(--muted)"><input id="classroomLiveDrags" type="checkbox"> Share my drags live</label>
+                            <button id="classroomEnd" type="button" class="btn">End session</button>
+                        </div>
+                        <div id="classroomStudent" class="input-row" style="margin-top:8px; flex-wrap:wrap;">
+                            <label style="font-size:13px; color:var(--muted)"><input id="classroomFollow" type="checkbox" checked> Follow the teacher</label>
+                            <button id="classroomLoad" type="button" class="btn" disabled>Load teacher's scenario</button>
+                            <input id="classroomNote" class="input-field" type="text" maxlength="200" placeholder="Note for the teacher" autocomplete="off" aria-label="Note for the teacher" style="width:160px;">
+                            <button id="classroomSubmit" type="button" class="btn" title="Send your version of the scenario to the teacher">Send my version</button>
+                            <button id="classroomLeave" type="button" class="btn">Leave</button>
+                        </div>
+                        <div style="font-size:12px; color:var(--muted); margin-top:8px;">Connected</div>
+                        <ul id="classroomPeople" class="scenario-list" aria-label="Connected students"></ul>
+                        <div id="classroomTeacherVersions">
+                            <div style="font-size:12px; color:var(--muted); margin-top:8px;">Versions from students</div>
+                            <ul id="classroomSubmissions" class="scenario-list" aria-label="Versions from students"></ul>
+                        </div>
+                    </div>
+                    <div id="classroomStatus" style="font-size:12px; margin-top:6px;"></div>
+                </div>
+
+                <div id="reportSection" style="margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Lab report</h4>
+                    <div style="display:flex; flex-direction:column; gap:8px;">
+                        <div class="input-row"><label for="reportTitle">Title:</label><input id="reportTitle" class="input-field" type="text" maxlength="120" placeholder="KINESO lab report" autocomplete="off" style="width:180px;"></div>
+                        <div class="input-row"><label for="reportAuthor">Author:</label><input id="reportAuthor" class="input-field" type="text" maxlength="120" autocomplete="off" style="width:180px;"></div>
+                        <div class="input-row"><label for="reportPageSize">Page size:</label><select id="reportPageSize"></select></div>
+                        <textarea id="reportNotes" rows="3" placeholder="Notes (leave empty for ruled lines to write on)" aria-label="Report notes" style="width:100%; box-sizing:border-box; padding:6px 8px; border:1px solid #e8eef4; border-radius:6px; background:#fbfcfd; font:inherit; resize:vertical;"></textarea>
+                        <div class="input-row"><button id="downloadReport" type="button" class="btn" title="Open the print dialog with the report; choose &quot;Save as PDF&quot;">Download report</button></div>
+                    </div>
+                    <div id="reportStatus" style="font-size:12px; margin-top:6px;"></div>
+                </div>
+
+                <div id="quizSection" style="margin-top:12px;">
+                    <h4 style="margin:6px 0 8px 0; font-size:14px; color:var(--muted)">Practice quiz</h4>
+                    <div style="display:flex; flex-direction:column; gap:8px;">
+                        <div class="input-row"><label for="quizSeed">Quiz code:</label><input id="quizSeed" class="input-field" type="text" maxlength="32" placeholder="empty for a new one" autocomplete="off" spellcheck="false" style="width:140px;"></div>
+                        <div class="input-row"><label for="quizCount">Problems:</label><input id="quizCount" class="input-field" type="number" min="1" max="20" step="1" value="5"></div>
+                        <div class="input-row"><button id="quizStart" type="button" class="btn">Start quiz</button><button id="quizCopyLink" type="button" class="btn" title="Copy a link that opens this quiz">Copy quiz link</button></div>
+                    </div>
+                    <div id="quizStatus" style="font-size:12px; margin-top:6px;"></div>
                 </div>
             </form>
         </section>
 
         <section class="panel right">
             <h3 style="margin-top:0; margin-bottom:8px">3. DYNAMIC GRAPHS</h3>
+            <div id="quizPanel" class="quiz-panel" style="display:none;">
+                <div class="quiz-head"><strong id="quizTitle"></strong><span id="quizScore"></span><button id="quizClose" type="button" class="btn">Close quiz</button></div>
+                <div id="quizPrompt" style="margin:6px 0;"></div>
+                <div id="quizGraphs" style="display:none; gap:12px;">
+                    <div class="quiz-graph"><canvas id="quizGivenChart" aria-label="quiz graph" role="img"></canvas></div>
+                    <div id="quizAnswerGraph" class="quiz-graph"><canvas id="quizAnswerChart" aria-label="your sketch" role="img"></canvas></div>
+                </div>
+                <div id="quizNumberRow" class="input-row"><label for="quizAnswer">Answer:</label><input id="quizAnswer" class="input-field" type="text" inputmode="decimal" autocomplete="off"><span id="quizUnit"></span></div>
+                <div id="quizSketchRow" class="quiz-sketch" style="display:none;"></div>
+                <div style="display:flex; gap:8px; margin-top:6px;">
+                    <button id="quizCheck" type="button" class="btn">Check</button>
+                    <button id="quizShowSolution" type="button" class="btn">Show solution</button>
+                    <button id="quizPrev" type="button" class="btn">Previous</button>
+                    <button id="quizNext" type="button" class="btn">Next problem</button>
+                </div>
+                <div id="quizFeedback" style="margin-top:6px; font-size:13px;" aria-live="polite"></div>
+                <ol id="quizSolution" style="display:none; margin:6px 0 0 0; padding-left:22px; font-size:13px;"></ol>
+                <div style="font-size:12px; color:var(--muted); margin-top:6px;">Quiz values are in SI units. Give numeric answers to as many significant figures as the least precise given value (one more is fine).</div>
+            </div>
+            <div id="playbackBar" class="playback-bar">
+                <button id="playRewind" type="button" class="btn" title="Back to start" aria-label="Back to start">⏮</button>
+                <button id="playStepBack" type="button" class="btn" title="Previous sample" aria-label="Previous sample">◀|</button>
+                <button id="playToggle" type="button" class="btn">▶ Play</button>
+                <button id="playStepFwd" type="button" class="btn" title="Next sample" aria-label="Next sample">|▶</button>
+                <input id="playScrubber" type="range" min="0" max="10" step="any" value="0" aria-label="Playback time">
+                <span id="playTime">0.00 s</span>
+                <select id="playSpeed" aria-label="Playback speed"></select>
+                <label><input id="playLoop" type="checkbox"> Loop</label>
+            </div>
+            <div style="height:64px; margin-bottom:8px;"><canvas id="trackCanvas" aria-label="moving object track" role="img" style="width:100%; height:100%; display:block;"></canvas></div>
             <div id="chartsContainer" style="display:flex; gap:16px; align-items:stretch; min-height:360px;">
                 <div style="flex:1; min-width:0; display:flex; flex-direction:column; justify-content:flex-end;">
                     <div class="smallcharts" style="display:flex; gap:12px; align-items:flex-end;">
                         <div style="flex:1; height:120px; display:flex; flex-direction:column; align-items:stretch; justify-content:flex-end;">
-                            <canvas id="smallPositionChartTop" aria-label="position chart" role="img" style="width:100%; height:100%; display:block;"></canvas>
-                            <div class="smallchart-title" style="margin-top:8px;"><span class="pill pill-orange"></span> x(t) — Displacement (m)</div>
+                            <canvas id="smallPositionChartTop" aria-label="position chart" role="img" tabindex="0" aria-describedby="smallPositionChartTopDesc" style="width:100%; height:100%; display:block;"></canvas>
+                            <div id="smallPositionTitle" class="smallchart-title" style="margin-top:8px;"><span class="pill pill-orange"></span> x(t) — Displacement (<span data-unit="length">m</span>)</div>
                         </div>
                         <div style="flex:1; height:120px; display:flex; flex-direction:column; align-items:stretch; justify-content:flex-end;">
-                            <canvas id="smallVelocityChartTop" aria-label="velocity chart" role="img" style="width:100%; height:100%; display:block;"></canvas>
-                            <div class="smallchart-title" style="margin-top:8px;"><span class="pill pill-blue"></span> v(t) — Velocity (m/s)</div>
+                            <canvas id="smallVelocityChartTop" aria-label="velocity chart" role="img" tabindex="0" aria-describedby="smallVelocityChartTopDesc" style="width:100%; height:100%; display:block;"></canvas>
+                            <div id="smallVelocityTitle" class="smallchart-title" style="margin-top:8px;"><span class="pill pill-blue"></span> v(t) — Velocity (<span data-unit="velocity">m/s</span>)</div>
                         </div>
                         <div style="flex:1; height:120px; display:flex; flex-direction:column; align-items:stretch; justify-content:flex-end;">
-                            <canvas id="smallAccelerationChartTop" aria-label="acceleration chart" role="img" style="width:100%; height:100%; display:block;"></canvas>
-                            <div class="smallchart-title" style="margin-top:8px;"><span class="pill pill-red"></span> a(t) — Acceleration (m/s²)</div>
+                            <canvas id="smallAccelerationChartTop" aria-label="acceleration chart" role="img" tabindex="0" aria-describedby="smallAccelerationChartTopDesc" style="width:100%; height:100%; display:block;"></canvas>
+                            <div id="smallAccelerationTitle" class="smallchart-title" style="margin-top:8px;"><span class="pill pill-red"></span> a(t) — Acceleration (<span data-unit="acceleration">m/s²</span>)</div>
                         </div>
                     </div>
                 </div>
                 <div style="flex:3; min-width:0; display:flex; align-items:stretch;">
                     <div style="flex:1; min-height:360px; padding:12px; background:linear-gradient(180deg,#ffffff,#fbfdff); border-radius:6px; display:flex;">
-                        <canvas id="mainChart" style="width:100%; height:100%; display:block;"></canvas>
+                        <canvas id="mainChart" aria-label="combined position and velocity chart" role="img" tabindex="0" aria-describedby="mainChartDesc" style="width:100%; height:100%; display:block;"></canvas>
                     </div>
                 </div>
             </div>
+            <!-- Chart descriptions (kept current by chartDescriptionPlugin) and the live region for keyboard navigation -->
+            <div class="sr-only">
+                <p id="smallPositionChartTopDesc"></p>
+                <p id="smallVelocityChartTopDesc"></p>
+                <p id="smallAccelerationChartTopDesc"></p>
+                <p id="mainChartDesc"></p>
+                <div id="chartAnnouncer" aria-live="polite" aria-atomic="true"></div>
+            </div>
+            <div id="forcePanel" style="display:none; height:180px; margin-top:10px; padding:6px 12px; background:#fbfcfd; border-radius:6px;">
+                <canvas id="forceChart" aria-label="force breakdown chart" role="img" style="width:100%; height:100%; display:block;"></canvas>
+            </div>
+            <div id="residualPanel" style="display:none; height:140px; margin-top:10px; padding:6px 12px; background:#fbfcfd; border-radius:6px;">
+                <canvas id="residualChart" aria-label="fit residuals chart" role="img" style="width:100%; height:100%; display:block;"></canvas>
+            </div>
+            <div id="comparePanel" style="display:none; margin-top:10px;">
+                <div style="height:180px; padding:6px 12px; background:#fbfcfd; border-radius:6px;">
+                    <canvas id="compareChart" aria-label="numerical and exact position chart" role="img" style="width:100%; height:100%; display:block;"></canvas>
+                </div>
+                <div style="height:180px; margin-top:8px; padding:6px 12px; background:#fbfcfd; border-radius:6px;">
+                    <canvas id="compareErrorChart" aria-label="position error of each numerical scheme chart" role="img" style="width:100%; height:100%; display:block;"></canvas>
+                </div>
+            </div>
             <div id="chartPlaceholder" style="margin-top:12px; padding:8px; background:#fbfcfd; border:1px dashed #e6eef4; color:var(--muted); border-radius:6px;">Click <strong>GENERATE MOTION DATA</strong> to populate charts.</div>
             <div id="chartError" style="display:none; margin-top:10px; padding:8px; border-radius:6px; background:#fff; border:1px solid #fee; color:#900;">Chart rendering error</div>
+            <div id="truncationNotice" role="status" style="display:none; margin-top:10px; padding:8px; border-radius:6px; background:#fff8e1; border:1px solid #ffe0a3; color:#7a4f00; font-size:13px;"></div>
         </section>
     </div>
 
@@ -0,0 +1,16 @@
+<?php
+/**
+ * routes/channels.php
+ *
+ * Authorisation for private broadcast channels. The students' channel
+ * `classroom.{code}` is public (knowing the join code is enough); only the
+ * teacher who started a session may listen for the versions students send.
+ */
+
+use App\Models\ClassroomSession;
+use App\Models\User;
+use Illuminate\Support\Facades\Broadcast;
+
+Broadcast::channel('classroom.{code}.teacher', function (User $user, string $code) {
+    return ClassroomSession::where('code', $code)->where('user_id', $user->id)->exists();
+});
@@ -6,6 +6,8 @@
  * focused on returning the appropriate Blade views for local development.
  */
 
+use App\Http\Controllers\ClassroomController;
+use App\Http\Controllers\ScenarioController;
 use Illuminate\Support\Facades\Route;
 
 Route::get('/', function () {
@@ -22,3 +24,44 @@
 Route::get('/kinematics', function () {
     return view('kinematics');
 });
+
+/**
+ * Route: GET /embed
+ * A bare page with one <kineso-chart> element, for iframes in other sites.
+ * Query parameters become the element's attributes (e.g. ?v0=3&a=-0.5&editable=1);
+ * the postMessage bridge is off without `origin`, which names the origins allowed to use it
+ * (`?origin=*` allows every origin).
+ */
+Route::get('/embed', function () {
+    return view('embed');
+});
+
+/**
+ * Scenario library: JSON endpoints for the signed-in user's saved scenarios.
+ * Unauthenticated XHR requests receive 401, validation failures 422.
+ */
+Route::middleware('auth')->prefix('scenarios')->controller(ScenarioController::class)->group(function () {
+    Route::get('/', 'index');
+    Route::post('/', 'store');
+    Route::get('/{scenario}', 'show');
+    Route::patch('/{scenario}', 'update');
+    Route::delete('/{scenario}', 'destroy');
+    Route::post('/{scenario}/duplicate', 'duplicate');
+});
+
+/**
+ * Live classroom sessions, addressed by join code. The teacher's routes need a
+ * signed-in user; students join, keep alive, leave and send versions as guests.
+ */
+Route::prefix('classroom')->controller(ClassroomController::class)->group(function () {
+    Route::middleware('auth')->group(function () {
+        Route::post('/', 'store');
+        Route::get('/{classroom}', 'show');
+        Route::post('/{classroom}/push', 'push');
+        Route::post('/{classroom}/end', 'end');
+    });
+    Route::post('/{classroom}/join', 'join');
+    Route::post('/{classroom}/heartbeat', 'heartbeat');
+    Route::post('/{classroom}/leave', 'leave');
+    Route::post('/{classroom}/submissions', 'submit');
+});
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/*
+  scripts/kineso.js
+  Compute KINESO scenarios from the command line and print them as CSV, JSON or a text table.
+
+  Examples:
+    node scripts/kineso.js --v0 3 --a -0.5 --t1 8 --dt 0.5
+    node scripts/kineso.js --phase 4:a:1.5 --phase 3:t:0 --format table
+    node scripts/kineso.js --expr-kind a --expr "2*sin(t)" --format json
+    node scripts/kineso.js --mode projectile --speed 15 --angle 30
+    node scripts/kineso.js --preset skydiver --dt 0.5 --format table
+    node scripts/kineso.js --mode rotational --radius 0.3 --v0 2 --a 0.5 --format table
+    node scripts/kineso.js --scenario worksheet.json --format table > worksheet.txt
+*/
+import { parseArgs } from 'util';
+import { DEFAULT_SCENARIO, MAX_POINTS, csvFromData, csvFromRotation, csvFromProjectile } from '../resources/js/kinematics-core.js';
+import { describeForce } from '../resources/js/dynamics.js';
+import { pointMotion } from '../resources/js/rotation.js';
+import { SCENARIO_OPTIONS, SCENARIO_USAGE, UsageError, toNumber, joinNegativeValues, readScenarios, computeScenarios, reportError } from './scenario-options.js';
+
+const USAGE = `Usage: node scripts/kineso.js [options]
+
+${SCENARIO_USAGE}
+
+Output:
+  --format csv|json|table      output format (csv)
+  --max-points <n>             sample limit per scenario (${MAX_POINTS})
+  --help                       show this help`;
+
+const FORMATS = ['csv', 'json', 'table'];
+
+/** Column headers and rows of a computed scenario. */
+function columns(result) {
+  if (result.mode === 'projectile') {
+    return {
+      headers: ['t (s)', 'x (m)', 'y (m)', 'vx (m/s)', 'vy (m/s)'],
+      rows: result.times.map((t, i) => [t, result.xs[i], result.ys[i], result.vxs[i], result.vys[i]]),
+    };
+  }
+  const phased = result.phases.length > 0;
+  if (result.mode === 'rotational') {
+    const point = pointMotion({ thetas: result.xs, omegas: result.vs, alphas: result.as }, result.radius);
+    return {
+      headers: ['t (s)', 'theta (rad)', 'omega (rad/s)', 'alpha (rad/s^2)', 'a_t (m/s^2)', 'a_c (m/s^2)', 'revolutions', ...(phased ? ['phase'] : [])],
+      rows: result.times.map((t, i) => [t, result.xs[i], result.vs[i], result.as[i], point.tangential[i], point.centripetal[i], point.revolutions[i], ...(phased ? [result.phases[i]] : [])]),
+    };
+  }
+  return {
+    headers: ['t (s)', 'x (m)', 'v (m/s)', 'a (m/s^2)', ...(phased ? ['phase'] : [])],
+    rows: result.times.map((t, i) => [t, result.xs[i], result.vs[i], result.as[i], ...(phased ? [result.phases[i]] : [])]),
+  };
+}
+
+/** Fixed-width text table, numbers right-aligned. */
+function textTable(result) {
+  const { headers, rows } = columns(result);
+  const cells = rows.map(row => row.map((v, c) => (headers[c] === 'phase' ? String(v) : v.toFixed(4))));
+  const widths = headers.map((h, c) => Math.max(h.length, ...cells.map(r => r[c].length)));
+  const line = (r) => r.map((v, c) => v.padStart(widths[c])).join('  ');
+  return [line(headers), widths.map(w => '-'.repeat(w)).join('  '), ...cells.map(line)].join('\n');
+}
+
+/** One-line description of a scenario, used as a heading in batch output. */
+function describe(scenario, result) {
+  const p = { ...DEFAULT_SCENARIO, ...scenario };
+  if (result.mode === 'projectile') return `projectile: speed=${p.speed} m/s, angle=${p.angle}°, h=${p.h} m, g=${p.g} m/s^2`;
+  if (result.mode === 'dynamics') return `m=${p.mass} kg, ${p.forces.length ? p.forces.map(describeForce).join(' + ') : 'no forces'}, x0=${p.x0}, v0=${p.v0}, t=${p.t0}..${p.t1}`;
+  if (result.mode === 'rotational') {
+    const motion = p.exprKind ? `${{ x: 'theta', v: 'omega', a: 'alpha' }[p.exprKind]}(t) = ${p.expr}, t=${p.t0}..${p.t1}`
+      : p.segments.length ? `${p.segments.length} phases` : `alpha=${p.a} rad/s^2, t=${p.t0}..${p.t1}`;
+    return `rotation, r=${p.radius} m: theta0=${p.x0} rad, omega0=${p.v0} rad/s, ${motion}`;
+  }
+  if (p.exprKind) return `${p.exprKind}(t) = ${p.expr}, x0=${p.x0}, v0=${p.v0}, t=${p.t0}..${p.t1}`;
+  if (p.segments.length) return `x0=${p.x0}, v0=${p.v0}, ${p.segments.length} phases`;
+  return `x0=${p.x0}, v0=${p.v0}, a=${p.a}, t=${p.t0}..${p.t1}`;
+}
+
+function summaryLines(result) {
+  if (result.mode === 'rotational') {
+    const n = result.times.length;
+    const point = pointMotion({ thetas: result.xs, omegas: result.vs, alphas: result.as }, result.radius);
+    return [
+      `${point.revolutions[n - 1].toFixed(3)} revolutions; at the end the point moves at ${point.speeds[n - 1].toFixed(3)} m/s`
+        + ` with a_t = ${point.tangential[n - 1].toFixed(3)} m/s^2 and a_c = ${point.centripetal[n - 1].toFixed(3)} m/s^2`,
+    ];
+  }
+  if (result.mode !== 'projectile') return [];
+  const s = result.summary;
+  return [
+    `range ${s.range.toFixed(3)} m, apex ${s.apexY.toFixed(3)} m at t = ${s.apexT.toFixed(3)} s, flight time ${s.flightTime.toFixed(3)} s`,
+    `impact ${s.impactSpeed.toFixed(3)} m/s at ${s.impactAngle.toFixed(1)}° below horizontal`,
+  ];
+}
+
+function render(format, items) {
+  if (format === 'json') {
+    const out = items.map(({ scenario, result }) => {
+      const { name, ...params } = scenario;
+      return { ...(name ? { name } : {}), scenario: { ...DEFAULT_SCENARIO, ...params }, ...result };
+    });
+    return JSON.stringify(items.length === 1 ? out[0] : out, null, 2);
+  }
+  const batch = items.length > 1;
+  return items.map(({ scenario, result }, i) => {
+    const title = `${scenario.name || `Scenario ${i + 1}`} — ${describe(scenario, result)}`;
+    if (format === 'table') {
+      const notes = [...summaryLines(result), ...(result.truncated ? ['(truncated — increase dt or --max-points)'] : [])];
+      return [title, ...notes, '', textTable(result)].join('\n');
+    }
+    const csv = result.mode === 'projectile' ? csvFromProjectile(result)
+      : result.mode === 'rotational' ? csvFromRotation(result.times, result.xs, result.vs, result.as, result.phases, result.radius)
+        : csvFromData(result.times, result.xs, result.vs, result.as, result.phases);
+    return batch ? `# ${title}\n${csv}` : csv;
+  }).join('\n\n');
+}
+
+async function main() {
+  const { values } = parseArgs({
+    args: joinNegativeValues(process.argv.slice(2)),
+    options: {
+      ...SCENARIO_OPTIONS,
+      format: { type: 'string', default: 'csv' },
+      'max-points': { type: 'string' },
+      help: { type: 'boolean' },
+    },
+  });
+  if (values.help) { console.log(USAGE); return; }
+  if (!FORMATS.includes(values.format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  const maxPoints = values['max-points'] === undefined ? MAX_POINTS : toNumber(values['max-points'], '--max-points');
+  if (!Number.isInteger(maxPoints) || maxPoints < 1) throw new UsageError('--max-points must be a positive integer');
+
+  const items = computeScenarios(await readScenarios(values), maxPoints);
+  process.stdout.write(render(values.format, items) + '\n');
+}
+
+main().catch(err => reportError('kineso', err));
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/*
+  scripts/lab-report.js
+  Render a KINESO lab report (parameters, charts, derived quantities, notes and data table) to PDF
+  with headless Chromium, for a scenario or for imported x(t) measurements.
+
+  Examples:
+    node scripts/lab-report.js --v0 3 --a -0.5 --t1 8 --title "Braking trolley" --author "Group 4"
+    node scripts/lab-report.js --scenario throw.json --page-size Letter --out throw.pdf
+    node scripts/lab-report.js --csv run1.csv --time-unit ms --pos-unit cm --smooth spline --notes-file notes.txt
+    node scripts/lab-report.js --phase 4:a:1.5 --phase 3:t:0 --html report.html
+*/
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import puppeteer from 'puppeteer';
+import { parseCsv, guessColumns, buildSeries, TIME_UNITS, LENGTH_UNITS } from '../resources/js/csv-import.js';
+import { smoothSeries, differentiateNonUniform } from '../resources/js/smoothing.js';
+import { DEFAULT_SCENARIO } from '../resources/js/kinematics-core.js';
+import { REPORT_PAGE_SIZES, DEFAULT_REPORT_TITLE, escapeHtml, describeScenario, describeImport, buildReportHtml } from '../resources/js/lab-report.js';
+import { SCENARIO_OPTIONS, SCENARIO_USAGE, UsageError, toNumber, joinNegativeValues, readScenarios, computeScenarios, reportError } from './scenario-options.js';
+
+const USAGE = `Usage: node scripts/lab-report.js [options]
+
+${SCENARIO_USAGE}
+
+Imported measurements (instead of a scenario):
+  --csv <file>                 x(t) measurements, as accepted by "Import CSV" on the page
+  --time-col, --pos-col <col>  column name or 1-based number (guessed from the header)
+  --time-unit s|ms|min         unit of the time column (s)
+  --pos-unit m|cm|mm|km|ft|in  unit of the position column (m)
+  --smooth none|ma|sg|spline   smoothing method (sg)
+  --window <n>                 smoothing window in samples (9)
+
+Report:
+  --title <text>               report title ("${DEFAULT_REPORT_TITLE}")
+  --author <text>              author line
+  --page-size ${REPORT_PAGE_SIZES.join('|')}   page size (A4)
+  --notes <text>               notes section text (blank lines separate paragraphs)
+  --notes-file <file>          read the notes from a file
+  --out <file.pdf>             PDF to write (kineso-report.pdf)
+  --html <file.html>           also write the HTML; without --out, write only the HTML
+  --help                       show this help`;
+
+const SMOOTHING_METHODS = ['none', 'ma', 'sg', 'spline'];
+
+/** Resolve a --time-col / --pos-col value against the CSV header. */
+function columnIndex(value, headers, fallback, option) {
+  if (value === undefined) return fallback;
+  const byName = headers.findIndex(h => h.trim().toLowerCase() === value.trim().toLowerCase());
+  if (byName >= 0) return byName;
+  const n = Number(value);
+  if (Number.isInteger(n) && n >= 1 && n <= headers.length) return n - 1;
+  throw new UsageError(`${option} "${value}" matches no column (${headers.join(', ')})`);
+}
+
+/** Build report data and parameter rows from a CSV file, as the page's import does. */
+async function importedReport(values) {
+  let text;
+  try {
+    text = await fs.readFile(values.csv, 'utf8');
+  } catch (err) {
+    throw new UsageError(`cannot read ${values.csv}: ${err.message}`);
+  }
+  const tUnit = values['time-unit'] || 's';
+  const xUnit = values['pos-unit'] || 'm';
+  const method = values.smooth || 'sg';
+  if (!Object.hasOwn(TIME_UNITS, tUnit)) throw new UsageError(`--time-unit must be one of ${Object.keys(TIME_UNITS).join(', ')}`);
+  if (!Object.hasOwn(LENGTH_UNITS, xUnit)) throw new UsageError(`--pos-unit must be one of ${Object.keys(LENGTH_UNITS).join(', ')}`);
+  if (!SMOOTHING_METHODS.includes(method)) throw new UsageError(`--smooth must be one of ${SMOOTHING_METHODS.join(', ')}`);
+  const window = values.window === undefined ? 9 : toNumber(values.window, '--window');
+
+  let series;
+  try {
+    const parsed = parseCsv(text);
+    const guess = guessColumns(parsed.headers);
+    series = buildSeries(parsed.rows, {
+      tCol: columnIndex(values['time-col'], parsed.headers, guess.tCol, '--time-col'),
+      xCol: columnIndex(values['pos-col'], parsed.headers, guess.xCol, '--pos-col'),
+      tUnit,
+      xUnit,
+    });
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(`${values.csv}: ${err.message}`);
+  }
+  const smoothed = smoothSeries(series.times, series.xs, { method, window });
+  const rawVs = differentiateNonUniform(series.times, series.xs);
+  const fileName = values.csv.split(/[\\/]/).pop();
+  return {
+    parameters: describeImport({ fileName, samples: series.times.length, tUnit, xUnit, method, window }),
+    data: {
+      mode: 'linear', times: series.times, xs: smoothed.xs, vs: smoothed.vs, as: smoothed.as,
+      raw: { xs: series.xs, vs: rawVs, as: differentiateNonUniform(series.times, rawVs) },
+    },
+  };
+}
+
+/** Build report data and parameter rows from the scenario options. */
+async function scenarioReport(values) {
+  const scenarios = await readScenarios(values);
+  if (scenarios.length !== 1) throw new UsageError(`a report covers one scenario; ${values.scenario} contains ${scenarios.length}`);
+  const [{ scenario, result }] = computeScenarios(scenarios);
+  const data = result.mode === 'projectile' ? { ...result, g: { ...DEFAULT_SCENARIO, ...scenario }.g } : result;
+  return { parameters: describeScenario(scenario), data, name: scenario.name };
+}
+
+async function writePdf(html, file, pageSize, title) {
+  const browser = await puppeteer.launch({ args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'load' });
+    await page.pdf({
+      path: file,
+      format: pageSize,
+      printBackground: true,
+      preferCSSPageSize: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: `<div style="width:100%; font-size:8px; color:#8a9aa6; padding:0 14mm; display:flex; justify-content:space-between;"><span>${escapeHtml(title)}</span><span><span class="pageNumber"></span> / <span class="totalPages"></span></span></div>`,
+    });
+  } finally {
+    await browser.close();
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    args: joinNegativeValues(process.argv.slice(2)),
+    options: {
+      ...SCENARIO_OPTIONS,
+      csv: { type: 'string' },
+      'time-col': { type: 'string' }, 'pos-col': { type: 'string' },
+      'time-unit': { type: 'string' }, 'pos-unit': { type: 'string' },
+      smooth: { type: 'string' }, window: { type: 'string' },
+      title: { type: 'string' },
+      author: { type: 'string' },
+      'page-size': { type: 'string', default: 'A4' },
+      notes: { type: 'string' },
+      'notes-file': { type: 'string' },
+      out: { type: 'string' },
+      html: { type: 'string' },
+      help: { type: 'boolean' },
+    },
+  });
+  if (values.help) { console.log(USAGE); return; }
+  const pageSize = REPORT_PAGE_SIZES.find(s => s.toLowerCase() === values['page-size'].toLowerCase());
+  if (!pageSize) throw new UsageError(`--page-size must be one of ${REPORT_PAGE_SIZES.join(', ')}`);
+  if (values.csv && values.scenario) throw new UsageError('use either --csv or --scenario, not both');
+
+  let notes = values.notes || '';
+  if (values['notes-file']) {
+    try {
+      notes = await fs.readFile(values['notes-file'], 'utf8');
+    } catch (err) {
+      throw new UsageError(`cannot read ${values['notes-file']}: ${err.message}`);
+    }
+  }
+
+  const content = values.csv ? await importedReport(values) : await scenarioReport(values);
+  const title = values.title || content.name || DEFAULT_REPORT_TITLE;
+  const html = buildReportHtml({
+    title,
+    author: values.author,
+    date: new Date().toISOString().slice(0, 10),
+    pageSize,
+    notes,
+    parameters: content.parameters,
+    data: content.data,
+  });
+
+  if (values.html) {
+    await fs.writeFile(values.html, html);
+    console.log(`Wrote ${values.html}`);
+  }
+  if (values.out || !values.html) {
+    const out = values.out || 'kineso-report.pdf';
+    await writePdf(html, out, pageSize, title);
+    console.log(`Wrote ${out}`);
+  }
+}
+
+main().catch(err => reportError('lab-report', err));
@@ -0,0 +1,191 @@
+/*
+  scripts/scenario-options.js
+  Command-line scenario options shared by kineso.js and lab-report.js: the parseArgs
+  option table, the usage text, scenario JSON files and argument error handling.
+*/
+import fs from 'fs/promises';
+import { ExpressionError } from '../resources/js/expression.js';
+import { MAX_POINTS, ScenarioError, computeScenario } from '../resources/js/kinematics-core.js';
+import { FORCE_TERMS, DYNAMICS_PRESETS, defaultForce } from '../resources/js/dynamics.js';
+
+/** parseArgs options describing one scenario (or a --scenario file). */
+const SCENARIO_OPTIONS = {
+  mode: { type: 'string' },
+  x0: { type: 'string' }, v0: { type: 'string' }, a: { type: 'string' },
+  t0: { type: 'string' }, t1: { type: 'string' }, dt: { type: 'string' },
+  phase: { type: 'string', multiple: true },
+  'expr-kind': { type: 'string' }, expr: { type: 'string' }, integrator: { type: 'string' },
+  speed: { type: 'string' }, angle: { type: 'string' }, h: { type: 'string' }, g: { type: 'string' },
+  mass: { type: 'string' }, force: { type: 'string', multiple: true }, preset: { type: 'string' },
+  radius: { type: 'string' },
+  scenario: { type: 'string' },
+};
+
+const SCENARIO_USAGE = `Scenario (defaults match the page):
+  --mode linear|projectile|dynamics|rotational
+                               motion mode (linear)
+  --x0, --v0, --a <n>          initial position, initial velocity, constant acceleration
+  --t0, --t1, --dt <n>         start time, end time, time step
+  --phase <dur>:<a|t>:<value>  add a motion phase: constant acceleration (a) or
+                               target velocity (t); repeatable, overrides --a and --t1
+  --expr-kind a|v|x            define a(t), v(t) or x(t) by an expression ...
+  --expr <text>                ... such as "3*sin(0.5*t)"; overrides phases and --a
+  --integrator <scheme>        scheme for quantities an expression only gives
+                               numerically: euler|semi-implicit|trapezoid|simpson|rk4
+                               (trapezoid)
+  --speed, --angle, --h, --g   projectile launch speed, angle (deg), height and gravity
+  --mass <kg>                  dynamics: mass of the body (1)
+  --force <kind>[:<p>...]      dynamics: add a force term; repeatable. Parameters in SI,
+                               omitted ones take their defaults:
+${Object.entries(FORCE_TERMS).map(([kind, term]) => `                                 ${kind}:${Object.keys(term.params).join(':')}`).join('\n')}
+  --preset <name>              dynamics: start from a preset (${Object.keys(DYNAMICS_PRESETS).join('|')});
+                               other options override it
+  --radius <m>                 rotational: distance of the marked point from the axis (0.5);
+                               --x0, --v0, --a, phases and expressions are then the angle,
+                               angular velocity and angular acceleration in rad
+  --scenario <file.json>       read one scenario object, or an array of them, instead;
+                               objects use the keys above (exprKind, integrator, segments:[{duration,
+                               kind:'accel'|'target', value}], forces:[{kind, ...parameters}]) plus an
+                               optional "name"`;
+
+const NUMBER_KEYS = ['x0', 'v0', 'a', 't0', 't1', 'dt', 'speed', 'angle', 'h', 'g', 'mass', 'radius'];
+
+/** Error raised for invalid command-line input; printed without a stack trace. */
+class UsageError extends Error {}
+
+function toNumber(value, what) {
+  const n = typeof value === 'number' ? value : Number(String(value).trim());
+  if (String(value).trim() === '' || !Number.isFinite(n)) throw new UsageError(`${what} must be a number, got "${value}"`);
+  return n;
+}
+
+/** Join "--a -0.5" into "--a=-0.5" so negative numbers are not taken for options. */
+function joinNegativeValues(args) {
+  const out = [];
+  for (let i = 0; i < args.length; i++) {
+    if (/^--[\w-]+$/.test(args[i]) && /^-(\d|\.\d)/.test(args[i + 1] || '')) out.push(`${args[i]}=${args[++i]}`);
+    else out.push(args[i]);
+  }
+  return out;
+}
+
+/** Parse "--phase 4:a:1.5" into a motion phase. */
+function parsePhase(text) {
+  const parts = text.split(':');
+  if (parts.length !== 3 || !['a', 't'].includes(parts[1])) {
+    throw new UsageError(`--phase expects <duration>:<a|t>:<value>, got "${text}"`);
+  }
+  return { duration: toNumber(parts[0], 'phase duration'), kind: parts[1] === 't' ? 'target' : 'accel', value: toNumber(parts[2], 'phase value') };
+}
+
+/** Parse "--force friction:0.3:0.5" into a force term; omitted parameters keep their defaults. */
+function parseForce(text) {
+  const [kind, ...params] = text.split(':');
+  const names = Object.hasOwn(FORCE_TERMS, kind) ? Object.keys(FORCE_TERMS[kind].params) : null;
+  if (!names) throw new UsageError(`--force kind must be one of ${Object.keys(FORCE_TERMS).join(', ')}, got "${kind}"`);
+  if (params.length > names.length) throw new UsageError(`--force ${kind} takes at most ${names.length} parameters (${names.join(':')}), got "${text}"`);
+  const term = defaultForce(kind);
+  params.forEach((value, i) => { term[names[i]] = toNumber(value, `${kind} ${names[i]}`); });
+  return term;
+}
+
+/** Check a force term from a JSON file; omitted parameters keep their defaults. */
+function normalizeForce(raw, where) {
+  if (raw === null || typeof raw !== 'object' || !Object.hasOwn(FORCE_TERMS, raw.kind)) {
+    throw new UsageError(`${where} needs kind ${Object.keys(FORCE_TERMS).map(k => `"${k}"`).join(', ')}`);
+  }
+  const term = defaultForce(raw.kind);
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === 'kind') continue;
+    if (!Object.hasOwn(term, key)) throw new UsageError(`${where}: unknown parameter "${key}"`);
+    term[key] = toNumber(value, `${where} ${key}`);
+  }
+  return term;
+}
+
+/** Check one scenario object from a JSON file and convert its values. */
+function normalizeScenario(raw, label) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) throw new UsageError(`${label} must be an object`);
+  const scenario = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (NUMBER_KEYS.includes(key)) scenario[key] = toNumber(value, `${label}: "${key}"`);
+    else if (key === 'segments') {
+      if (!Array.isArray(value)) throw new UsageError(`${label}: "segments" must be an array`);
+      scenario.segments = value.map((seg, i) => {
+        const where = `${label}: segment ${i + 1}`;
+        if (seg === null || typeof seg !== 'object' || !['accel', 'target'].includes(seg.kind)) {
+          throw new UsageError(`${where} needs kind "accel" or "target"`);
+        }
+        return { duration: toNumber(seg.duration, `${where} duration`), kind: seg.kind, value: toNumber(seg.value, `${where} value`) };
+      });
+    } else if (key === 'forces') {
+      if (!Array.isArray(value)) throw new UsageError(`${label}: "forces" must be an array`);
+      scenario.forces = value.map((term, i) => normalizeForce(term, `${label}: force ${i + 1}`));
+    } else if (['mode', 'exprKind', 'expr', 'integrator', 'name'].includes(key)) scenario[key] = String(value);
+    else throw new UsageError(`${label}: unknown key "${key}"`);
+  }
+  return scenario;
+}
+
+/**
+ * Build the list of scenarios to compute from the parsed options.
+ * @returns {Promise<Object[]>} scenario objects for `computeScenario`
+ */
+async function readScenarios(values) {
+  if (values.scenario) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await fs.readFile(values.scenario, 'utf8'));
+    } catch (err) {
+      throw new UsageError(`cannot read ${values.scenario}: ${err.message}`);
+    }
+    const list = Array.isArray(parsed) ? parsed : [parsed];
+    if (!list.length) throw new UsageError(`${values.scenario} contains no scenarios`);
+    return list.map((raw, i) => normalizeScenario(raw, `scenario ${i + 1}`));
+  }
+  const scenario = {};
+  if (values.preset !== undefined) {
+    const preset = Object.hasOwn(DYNAMICS_PRESETS, values.preset) ? DYNAMICS_PRESETS[values.preset] : null;
+    if (!preset) throw new UsageError(`--preset must be one of ${Object.keys(DYNAMICS_PRESETS).join(', ')}`);
+    Object.assign(scenario, { mode: 'dynamics', mass: preset.mass, x0: preset.x0, v0: preset.v0, t1: preset.t1, forces: preset.forces.map(f => ({ ...f })) });
+  }
+  for (const key of NUMBER_KEYS) if (values[key] !== undefined) scenario[key] = toNumber(values[key], `--${key}`);
+  if (values.mode !== undefined) scenario.mode = values.mode;
+  if (values['expr-kind'] !== undefined) scenario.exprKind = values['expr-kind'];
+  if (values.expr !== undefined) scenario.expr = values.expr;
+  if (values.integrator !== undefined) scenario.integrator = values.integrator;
+  if (values.phase) scenario.segments = values.phase.map(parsePhase);
+  if (values.force) {
+    scenario.forces = values.force.map(parseForce);
+    if (values.mode === undefined) scenario.mode = 'dynamics';
+  }
+  if (scenario.expr && !scenario.exprKind) throw new UsageError('--expr needs --expr-kind a|v|x');
+  return [scenario];
+}
+
+/**
+ * Compute every scenario, turning invalid parameters into a UsageError naming the scenario.
+ * @returns {Array<{scenario:Object, result:Object}>}
+ */
+function computeScenarios(scenarios, maxPoints = MAX_POINTS) {
+  return scenarios.map((scenario, i) => {
+    try {
+      return { scenario, result: computeScenario(scenario, maxPoints) };
+    } catch (err) {
+      if (err instanceof ScenarioError || err instanceof ExpressionError) throw new UsageError(`${scenario.name || `scenario ${i + 1}`}: ${err.message}`);
+      throw err;
+    }
+  });
+}
+
+/** Print a UsageError (or a parseArgs error) briefly, anything else with its stack, and set a failing exit code. */
+function reportError(program, err) {
+  if (err instanceof UsageError || (err && err.code && String(err.code).startsWith('ERR_PARSE_ARGS'))) {
+    console.error(`${program}: ${err.message}\nRun with --help for usage.`);
+  } else {
+    console.error(err);
+  }
+  process.exitCode = 1;
+}
+
+export { SCENARIO_OPTIONS, SCENARIO_USAGE, UsageError, toNumber, joinNegativeValues, readScenarios, computeScenarios, reportError };
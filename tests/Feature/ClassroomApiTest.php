@@ -0,0 +1,133 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Events\ClassroomParticipantsChanged;
+use App\Events\ClassroomScenarioPushed;
+use App\Events\ClassroomSessionEnded;
+use App\Events\ClassroomSubmissionReceived;
+use App\Models\ClassroomSession;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Event;
+use Tests\TestCase;
+
+class ClassroomApiTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private const PAYLOAD = 'v1.eyJmIjp7InYwIjoiNSJ9fQ';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Event::fake([ClassroomScenarioPushed::class, ClassroomParticipantsChanged::class, ClassroomSessionEnded::class, ClassroomSubmissionReceived::class]);
+    }
+
+    private function startSession(User $teacher): string
+    {
+        return $this->actingAs($teacher)->postJson('/classroom')->assertCreated()->json('data.code');
+    }
+
+    public function test_guests_cannot_start_a_session(): void
+    {
+        $this->postJson('/classroom')->assertUnauthorized();
+    }
+
+    public function test_a_teacher_pushes_scenarios_and_drags(): void
+    {
+        $teacher = User::factory()->create();
+        $code = $this->startSession($teacher);
+        $this->assertMatchesRegularExpression('/^['.ClassroomSession::CODE_ALPHABET.']{'.ClassroomSession::CODE_LENGTH.'}$/', $code);
+
+        $this->actingAs($teacher)
+            ->postJson("/classroom/{$code}/push", ['payload' => self::PAYLOAD, 'drag' => ['v', 4, 2.5, 'b', 5, 0]])
+            ->assertNoContent();
+
+        Event::assertDispatched(ClassroomScenarioPushed::class, fn ($e) => $e->code === $code && $e->drag === ['v', 4, 2.5, 'b', 5, 0]);
+        $this->assertDatabaseHas('classroom_sessions', ['code' => $code, 'payload' => self::PAYLOAD]);
+
+        $this->actingAs($teacher)
+            ->postJson("/classroom/{$code}/push", ['payload' => 'not a link', 'drag' => ['q', -1, 'x']])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['payload', 'drag.0', 'drag.1', 'drag.2']);
+
+        $this->actingAs($teacher)
+            ->postJson("/classroom/{$code}/push", ['payload' => self::PAYLOAD, 'drag' => ['v', 4, 2.5, 'q', 51, 4]])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['drag.3', 'drag.4', 'drag.5']);
+
+        $this->actingAs($teacher)
+            ->postJson("/classroom/{$code}/push", ['payload' => self::PAYLOAD, 'drag' => ['v', 4, 2.5, 'b']])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['drag.4', 'drag.5']);
+    }
+
+    public function test_students_join_send_versions_and_leave(): void
+    {
+        $teacher = User::factory()->create();
+        $code = $this->startSession($teacher);
+        $this->actingAs($teacher)->postJson("/classroom/{$code}/push", ['payload' => self::PAYLOAD]);
+
+        // the student is a guest in a browser of their own
+        $this->app['auth']->forgetGuards();
+        $this->flushSession();
+
+        $this->postJson("/classroom/{$code}/submissions", ['payload' => self::PAYLOAD])->assertForbidden();
+
+        $this->postJson("/classroom/{$code}/join", ['name' => 'Ada'])
+            ->assertOk()
+            ->assertJsonPath('data.payload', self::PAYLOAD)
+            ->assertJsonPath('data.participants', ['Ada']);
+        Event::assertDispatched(ClassroomParticipantsChanged::class, fn ($e) => $e->participants === ['Ada']);
+
+        $this->postJson("/classroom/{$code}/heartbeat")->assertOk()->assertJsonPath('data.participants', ['Ada']);
+
+        $this->postJson("/classroom/{$code}/submissions", ['payload' => self::PAYLOAD, 'note' => 'Braking earlier'])
+            ->assertCreated()
+            ->assertJsonPath('data.name', 'Ada');
+        Event::assertDispatched(ClassroomSubmissionReceived::class, fn ($e) => $e->submission->note === 'Braking earlier');
+
+        $this->actingAs($teacher)->getJson("/classroom/{$code}")
+            ->assertOk()
+            ->assertJsonPath('data.participants', ['Ada'])
+            ->assertJsonPath('data.submissions.0.name', 'Ada');
+
+        $this->app['auth']->forgetGuards();
+        $this->postJson("/classroom/{$code}/leave")->assertNoContent();
+        $this->assertDatabaseMissing('classroom_participants', ['name' => 'Ada']);
+    }
+
+    public function test_students_drop_off_the_list_without_heartbeats(): void
+    {
+        $code = $this->startSession(User::factory()->create());
+        $this->app['auth']->forgetGuards();
+
+        $this->postJson("/classroom/{$code}/join", ['name' => 'Ada'])->assertOk();
+        $this->travel(ClassroomSession::ONLINE_SECONDS + 1)->seconds();
+
+        $this->assertSame([], ClassroomSession::where('code', $code)->first()->onlineParticipants()->pluck('name')->all());
+    }
+
+    public function test_ended_sessions_refuse_students(): void
+    {
+        $teacher = User::factory()->create();
+        $code = $this->startSession($teacher);
+
+        $this->actingAs($teacher)->postJson("/classroom/{$code}/end")->assertNoContent();
+        Event::assertDispatched(ClassroomSessionEnded::class);
+
+        $this->app['auth']->forgetGuards();
+        $this->postJson("/classroom/{$code}/join", ['name' => 'Ada'])->assertStatus(410);
+        $this->postJson('/classroom/NOSUCH/join', ['name' => 'Ada'])->assertNotFound();
+    }
+
+    public function test_other_teachers_sessions_are_hidden(): void
+    {
+        $code = $this->startSession(User::factory()->create());
+
+        $this->actingAs(User::factory()->create())
+            ->getJson("/classroom/{$code}")
+            ->assertNotFound();
+    }
+}
@@ -0,0 +1,35 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+
+class EmbedPageTest extends TestCase
+{
+    public function test_query_parameters_become_chart_attributes(): void
+    {
+        $this->get('/embed?v0=3&a=-0.5&editable=1&origin=https://lms.example')
+            ->assertOk()
+            ->assertSee('<kineso-chart id="kineso" bridge="https://lms.example"', false)
+            ->assertSee('v0="3"', false)
+            ->assertSee('a="-0.5"', false)
+            ->assertSee('editable="1"', false);
+    }
+
+    public function test_the_bridge_is_off_without_an_origin(): void
+    {
+        $this->get('/embed?v0=3')
+            ->assertOk()
+            ->assertSee('<kineso-chart id="kineso"', false)
+            ->assertDontSee('bridge=', false);
+    }
+
+    public function test_unknown_parameters_are_dropped_and_values_escaped(): void
+    {
+        $this->get('/embed?onload=alert(1)&expr=%22%3E%3Cscript%3E')
+            ->assertOk()
+            ->assertDontSee('onload=', false)
+            ->assertDontSee('"><script>', false)
+            ->assertSee('expr="&quot;&gt;&lt;script&gt;"', false);
+    }
+}
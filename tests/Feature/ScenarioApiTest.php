@@ -0,0 +1,78 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Scenario;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ScenarioApiTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private const PAYLOAD = 'v1.eyJmIjp7InYwIjoiNSJ9fQ';
+
+    public function test_guests_receive_401(): void
+    {
+        $this->getJson('/scenarios')->assertUnauthorized();
+    }
+
+    public function test_a_user_can_save_list_and_load_scenarios(): void
+    {
+        $user = User::factory()->create();
+
+        $id = $this->actingAs($user)
+            ->postJson('/scenarios', ['name' => 'Braking car', 'payload' => self::PAYLOAD])
+            ->assertCreated()
+            ->json('data.id');
+
+        $this->actingAs($user)->getJson('/scenarios')
+            ->assertOk()
+            ->assertJsonPath('data.0.name', 'Braking car')
+            ->assertJsonMissingPath('data.0.payload');
+
+        $this->actingAs($user)->getJson("/scenarios/{$id}")
+            ->assertOk()
+            ->assertJsonPath('data.payload', self::PAYLOAD);
+    }
+
+    public function test_invalid_input_is_rejected_with_422(): void
+    {
+        $user = User::factory()->create();
+        Scenario::factory()->for($user)->create(['name' => 'Taken']);
+
+        $this->actingAs($user)
+            ->postJson('/scenarios', ['name' => 'Taken', 'payload' => 'not a link'])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['name', 'payload']);
+    }
+
+    public function test_rename_duplicate_and_delete(): void
+    {
+        $user = User::factory()->create();
+        $scenario = Scenario::factory()->for($user)->create(['name' => 'Drop']);
+
+        $this->actingAs($user)->patchJson("/scenarios/{$scenario->id}", ['name' => 'Free fall'])
+            ->assertOk()
+            ->assertJsonPath('data.name', 'Free fall');
+
+        $this->actingAs($user)->postJson("/scenarios/{$scenario->id}/duplicate")
+            ->assertCreated()
+            ->assertJsonPath('data.name', 'Free fall (copy)');
+        $this->actingAs($user)->postJson("/scenarios/{$scenario->id}/duplicate")
+            ->assertJsonPath('data.name', 'Free fall (copy 2)');
+
+        $this->actingAs($user)->deleteJson("/scenarios/{$scenario->id}")->assertNoContent();
+        $this->assertDatabaseMissing('scenarios', ['id' => $scenario->id]);
+    }
+
+    public function test_other_users_scenarios_are_hidden(): void
+    {
+        $scenario = Scenario::factory()->create();
+
+        $this->actingAs(User::factory()->create())
+            ->getJson("/scenarios/{$scenario->id}")
+            ->assertNotFound();
+    }
+}
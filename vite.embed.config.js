@@ -0,0 +1,20 @@
+import { defineConfig } from 'vite';
+
+/**
+ * Standalone build of the <kineso-chart> element (`npm run build:embed`) for
+ * pages outside this application: `public/embed/kineso-chart.js` (ES module)
+ * and `public/embed/kineso-chart.iife.js` (classic script), with Chart.js included.
+ */
+export default defineConfig({
+    publicDir: false,
+    build: {
+        outDir: 'public/embed',
+        emptyOutDir: true,
+        lib: {
+            entry: 'resources/js/kineso-chart.js',
+            name: 'KinesoChart',
+            formats: ['es', 'iife'],
+            fileName: (format) => (format === 'es' ? 'kineso-chart.js' : `kineso-chart.${format}.js`),
+        },
+    },
+});